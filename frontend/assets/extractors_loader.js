@@ -48,7 +48,9 @@ function initUtilitiesForExtractors() {
     Logger: window.Logger,
     DOMUtils: window.DOMUtils,
     FormatUtils: window.FormatUtils,
-    BaseExtractor: window.BaseExtractor
+    BaseExtractor: window.BaseExtractor,
+    // Extractor modules register themselves here (see product_detector.js)
+    ExtractorRegistry: window.ExtractorRegistry
   };
 }
 
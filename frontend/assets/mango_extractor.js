@@ -18,7 +18,7 @@ const MangoExtractor = {
   },
   
   // Extract product information from Mango pages
-  extract: function() {
+  extract: async function() {
     try {
       Logger.info("Extracting product data for Mango");
       
@@ -86,12 +86,9 @@ const MangoExtractor = {
         const srcset = imageElement.getAttribute('srcset');
         if (srcset) {
           // Find the largest image from srcset
-          const srcsetParts = srcset.split(',');
-          if (srcsetParts.length > 0) {
-            // Get the last (usually largest) image URL
-            const lastPart = srcsetParts[srcsetParts.length - 1].trim();
-            const imageUrl = lastPart.split(' ')[0]; // Get URL part
-            result.imageUrl = imageUrl;
+          const largestImage = FormatUtils.pickFromSrcset(srcset);
+          if (largestImage) {
+            result.imageUrl = largestImage.url;
             Logger.debug(`Found Mango image URL (from srcset): ${result.imageUrl}`);
           }
         } else {
@@ -246,82 +243,44 @@ const MangoExtractor = {
         if (!sizeContainer) {
           Logger.debug("Sizes not immediately visible, looking for Ekle button");
           
-          // Try to find the "Ekle" (Add) button - look for various potential selectors
-          const ekleButtonSelectors = [
-            "button:contains('Ekle')", // Literal text match
-            ".add-to-cart", 
-            "[data-testid='add-to-cart']",
-            "button.add-button",
-            ".PrimaryActions_addToBag__59Qzv" // Added for Mango's specific button class
+          // The "Ekle" (Add) button. It is an add-to-bag button, so only the
+          // one Mango's sandbox profile allows is used: found by its text,
+          // and only while no size is selected (it would add to the bag).
+          const ekleButton = InteractionSandbox.findAllowed("button");
+          
+          // The size list or the sheet/modal that holds it
+          const modalSizeSelectors = [
+            ".modal .SizesList_sizesList__SFVLW",
+            ".size-selector-modal .sizes",
+            ".size-modal",
+            ".SheetContent_content__sJjkI" // Mango's sheet content class
           ];
           
-          // Find the button
-          const ekleButton = DOMUtils.querySelector(ekleButtonSelectors);
+          // Click the button to reveal sizes, read them and close the sheet
+          // again. That happens once per URL; later runs reuse the sizes.
+          const revealedSizes = ekleButton && await DetectionScheduler.revealOnce("mango-sizes", function() {
+            return InteractionSandbox.run(
+              [{
+                click: ekleButton,
+                waitFor: sizeSelectors.concat(modalSizeSelectors),
+                timeout: 1500
+              }],
+              function(container) {
+                Logger.debug("Sizes revealed after clicking Ekle button");
+                extractSizesFromContainer(container);
+                return sizeVariants.splice(0);
+              }
+            );
+          });
+          foundSizes = !!revealedSizes;
+          if (revealedSizes) {
+            sizeVariants.push(...revealedSizes);
+          }
           
-          if (ekleButton) {
-            Logger.debug("Found Ekle button, clicking to reveal sizes");
-            
-            try {
-              // Save original onclick to restore later if needed
-              const originalOnClick = ekleButton.onclick;
-              
-              // Disable any click handlers temporarily to avoid actual adding to cart
-              ekleButton.onclick = function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                return false;
-              };
-              
-              // Click the button to reveal sizes
-              ekleButton.click();
-              
-              // Wait a tiny bit for sizes to appear in DOM
-              setTimeout(function() {
-                try {
-                  // Now try to find the sizes again
-                  sizeContainer = DOMUtils.querySelector(sizeSelectors);
-                  
-                  if (sizeContainer) {
-                    Logger.debug("Sizes revealed after clicking Ekle button");
-                    extractSizesFromContainer(sizeContainer);
-                    foundSizes = true;
-                  }
-                  
-                  // Restore original click handler
-                  if (originalOnClick) {
-                    ekleButton.onclick = originalOnClick;
-                  }
-                } catch (innerError) {
-                  Logger.error("Error processing sizes after clicking Ekle:", innerError);
-                }
-              }, 100);
-              
-              // Also try for any modal that appears with sizes
-              setTimeout(function() {
-                try {
-                  // Check for sizes in a modal
-                  const modalSizeSelectors = [
-                    ".modal .SizesList_sizesList__SFVLW",
-                    ".size-selector-modal .sizes",
-                    ".size-modal",
-                    ".SheetContent_content__sJjkI" // Added for Mango's sheet content class
-                  ];
-                  
-                  const modalSizes = DOMUtils.querySelector(modalSizeSelectors);
-                  if (modalSizes && !foundSizes) {
-                    Logger.debug("Found sizes in modal after clicking Ekle");
-                    extractSizesFromContainer(modalSizes);
-                    foundSizes = true;
-                  }
-                } catch (modalError) {
-                  Logger.error("Error processing modal sizes:", modalError);
-                }
-              }, 200);
-            } catch (clickError) {
-              Logger.error("Error clicking Ekle button:", clickError);
-            }
-          } else {
-            Logger.debug("Could not find Ekle button");
+          if (!ekleButton) {
+            Logger.debug("No Ekle button safe to click (missing, or a size is already selected)");
+          } else if (!foundSizes) {
+            Logger.debug("Could not reveal sizes with the Ekle button");
           }
         } else {
           // If sizes are directly visible, extract them
@@ -411,14 +370,12 @@ const MangoExtractor = {
             const allClasses = Array.from(sizeItem.classList).join(', ');
             Logger.debug(`Mango size ${sizeText} classes: ${allClasses}, availability: ${isInStock}`);
             
-            // Create a value object with stock information
-            const valueObj = {
-              size: sizeText,
+            // Stock information for this size
+            const stock = {
               inStock: isInStock,
-              delayedDelivery: hasDelayedDelivery,
-              deliveryInfo: deliveryInfo
+              deliveryEstimate: hasDelayedDelivery ? deliveryInfo : null,
+              notifyAvailable: !isInStock && sizeItem.innerHTML.includes('SizeItemContent_notifyMe__')
             };
-            const valueJson = JSON.stringify(valueObj);
             
             // Check if we've already processed this size
             if (processedSizes.has(sizeText)) {
@@ -427,30 +384,21 @@ const MangoExtractor = {
               
               // If the current entry is selected and the existing one isn't, replace it
               if (isSelected && !existingValue.selected) {
-                processedSizes.set(sizeText, {
-                  text: sizeText,
-                  selected: isSelected,
-                  value: valueJson
-                });
+                processedSizes.set(sizeText, BaseExtractor.createSizeOption(sizeText, isSelected, stock));
                 Logger.debug(`Updated Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
               }
               
               // If the current entry has delivery info and the existing one doesn't, replace it
-              else if (hasDelayedDelivery && !existingValue.value.includes('delayedDelivery')) {
-                processedSizes.set(sizeText, {
-                  text: sizeText,
-                  selected: isSelected || existingValue.selected, // Preserve selection state
-                  value: valueJson
-                });
+              else if (hasDelayedDelivery && !existingValue.deliveryEstimate) {
+                processedSizes.set(
+                  sizeText,
+                  BaseExtractor.createSizeOption(sizeText, isSelected || existingValue.selected, stock) // Preserve selection state
+                );
                 Logger.debug(`Updated Mango size with delivery info: ${sizeText}, InStock: ${isInStock}`);
               }
             } else {
               // First time seeing this size, add it to the map
-              processedSizes.set(sizeText, {
-                text: sizeText,
-                selected: isSelected,
-                value: valueJson
-              });
+              processedSizes.set(sizeText, BaseExtractor.createSizeOption(sizeText, isSelected, stock));
               
               Logger.debug(`Added Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
             }
@@ -495,15 +443,11 @@ const MangoExtractor = {
                           for (const size of sizes) {
                             // Add size if it has name/text property
                             if (size.name || size.text) {
-                              sizeVariants.push({
-                                text: size.name || size.text,
-                                selected: size.selected || false,
-                                value: JSON.stringify({
-                                  size: size.name || size.text,
-                                  inStock: size.inStock !== false, // Default to true
-                                  delayedDelivery: false
-                                })
-                              });
+                              sizeVariants.push(BaseExtractor.createSizeOption(
+                                size.name || size.text,
+                                size.selected || false,
+                                { inStock: size.inStock !== false } // Default to true
+                              ));
                             }
                           }
                         }
@@ -577,4 +521,18 @@ if (typeof module !== 'undefined' && module.exports) {
 } else {
   // For browser context
   window.MangoExtractor = MangoExtractor;
+
+  // Register with the product detector so this module takes precedence over
+  // the built-in Mango extractor
+  const registry = (window.ProductDetectorUtils && window.ProductDetectorUtils.ExtractorRegistry) ||
+    window.ExtractorRegistry;
+  if (registry) {
+    registry.register({
+      name: 'Mango',
+      hosts: ['mango.com'],
+      priority: 110,
+      timeBudget: 4000,
+      extract: () => MangoExtractor.extract()
+    });
+  }
 } 
\ No newline at end of file
@@ -18,14 +18,25 @@ const CONFIG = {
   maxRetries: 3, // Maximum number of retry attempts
   retryDelay: 1000, // Delay between retries (ms)
   observerDebounceTime: 300, // Time to wait after DOM changes before re-checking (ms)
+  coalesceWindow: 150, // Detection requests due within this window share one run (ms)
+  extractorTimeBudget: 2500, // Default time an extractor may spend waiting for the page (ms)
+  variantUpdateTimeout: 3000, // Time the page may take to settle after selecting a variant (ms)
+  variantFetchTimeout: 4000, // Time a fetched variant page may take to load (ms)
+  variantFetchConcurrency: 3, // Variant pages fetched at the same time
+  variantPagesTimeout: 5000, // Time all of a product's variant pages may take before reporting without the rest (ms)
 
   // Extraction settings
   minImageSize: 150, // Minimum size (width/height) for product images
   preferredImageSize: 400, // Preferred minimum size for product images
 
+  // Compatibility
+  legacySizeValues: true, // Also encode size stock as a JSON string in `value` until VariantOption.fromJson reads the structured fields
+
   // Logging
   debug: true, // Enable or disable debug logging
   debugTag: "PD", // Tag for filtering logs
+  flutterLogLevel: null, // Forward logs at or above this Logger level to Flutter as "log" messages (null: off)
+  reportMetrics: false, // Post a "metrics" message with the duration of each detection run
 };
 
 // ==================== Utilities ====================
@@ -44,6 +55,7 @@ const Logger = {
 
   // Main logging method
   log: function (level, message, data = null) {
+    this.forward(level, message, data);
     if (!CONFIG.debug || level < this.currentLevel) return;
 
     const timestamp = new Date().toISOString().slice(11, 23); // HH:MM:SS.mmm
@@ -76,6 +88,26 @@ const Logger = {
     }
   },
 
+  // Send a log entry to Flutter when CONFIG.flutterLogLevel asks for it
+  forwarding: false,
+  forward: function (level, message, data) {
+    if (CONFIG.flutterLogLevel === null || level < CONFIG.flutterLogLevel || this.forwarding) return;
+
+    // Posting can log too; don't forward those
+    this.forwarding = true;
+    try {
+      MessageProtocol.send("log", {
+        level: Object.keys(this.levels).find((name) => this.levels[name] === level) || "INFO",
+        message: String(message),
+        data: data instanceof Error ? data.message : data,
+      });
+    } catch (e) {
+      // Logging must never break detection
+    } finally {
+      this.forwarding = false;
+    }
+  },
+
   // Convenience methods
   debug: function (message, data = null) {
     this.log(this.levels.DEBUG, message, data);
@@ -96,11 +128,11 @@ const Logger = {
 
 // DOM helper utilities
 const DOMUtils = {
-  // Try multiple selectors, return the first matching element
-  querySelector: function (selectors) {
+  // Try multiple selectors, return the first matching element in root
+  querySelector: function (selectors, root = document) {
     for (const selector of selectors) {
       try {
-        const element = document.querySelector(selector);
+        const element = root.querySelector(selector);
         if (element) return element;
       } catch (e) {
         // Invalid selector, try next one
@@ -110,10 +142,10 @@ const DOMUtils = {
   },
 
   // Try multiple selectors, return all matching elements from the first selector that matches
-  querySelectorAll: function (selectors) {
+  querySelectorAll: function (selectors, root = document) {
     for (const selector of selectors) {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = root.querySelectorAll(selector);
         if (elements && elements.length > 0) return elements;
       } catch (e) {
         // Invalid selector, try next one
@@ -194,8 +226,173 @@ const DOMUtils = {
 
     return bestImage;
   },
+
+  // Resolve with the first element matching selectors (a string or list)
+  // once it is in the DOM, or with null after options.timeout ms
+  waitForSelector: function (selectors, options = {}) {
+    const list = Array.isArray(selectors) ? selectors : [selectors];
+    const timeout = options.timeout !== undefined ? options.timeout : 3000;
+
+    return new Promise((resolve) => {
+      const found = this.querySelector(list);
+      if (found) {
+        resolve(found);
+        return;
+      }
+
+      const observer = new MutationObserver(() => {
+        const element = this.querySelector(list);
+        if (element) finish(element);
+      });
+      const timer = setTimeout(() => finish(null), timeout);
+      const finish = (element) => {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(element);
+      };
+
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+      });
+    });
+  },
+
+  // Resolve once element has had no DOM changes for options.quietTime ms
+  // (default 150), e.g. a size list that renders its items one by one.
+  // Resolves false if it is still changing after options.timeout ms.
+  waitForStable: function (element, options = {}) {
+    const quietTime = options.quietTime !== undefined ? options.quietTime : 150;
+    const timeout = options.timeout !== undefined ? options.timeout : 2000;
+
+    return new Promise((resolve) => {
+      if (!element) {
+        resolve(false);
+        return;
+      }
+
+      let quietTimer = null;
+      const finish = (stable) => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(timeoutTimer);
+        resolve(stable);
+      };
+      const restartQuietTimer = () => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(() => finish(true), quietTime);
+      };
+
+      const observer = new MutationObserver(restartQuietTimer);
+      const timeoutTimer = setTimeout(() => finish(false), timeout);
+      observer.observe(element, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true,
+      });
+      restartQuietTimer();
+    });
+  },
 };
 
+// Per-CDN image URL rules. upgrade() rewrites a URL object to request the
+// largest rendition; strip() removes whatever only selects a rendition, so
+// every size of one image shares a canonical URL.
+const IMAGE_CDN_RULES = [
+  {
+    // Mango: ?imwidth=480&imdensity=1
+    name: "mango",
+    match: (url) => /(^|\.)(mngbcn|mango)\.com$/.test(url.hostname),
+    upgrade: (url) => {
+      url.searchParams.set("imwidth", "2048");
+      url.searchParams.delete("imdensity");
+    },
+    strip: (url) => {
+      url.searchParams.delete("imwidth");
+      url.searchParams.delete("imdensity");
+    },
+  },
+  {
+    // Zara: ?w=563 or a /w/563/ path segment, plus a ?ts= cache buster
+    name: "zara",
+    match: (url) => /(^|\.)zara\.net$/.test(url.hostname),
+    upgrade: (url) => {
+      if (url.searchParams.has("w")) url.searchParams.set("w", "1920");
+      url.pathname = url.pathname.replace(/\/w\/\d+\//, "/w/1920/");
+    },
+    strip: (url) => {
+      url.searchParams.delete("w");
+      url.searchParams.delete("ts");
+      url.pathname = url.pathname.replace(/\/w\/\d+\//, "/");
+    },
+  },
+  {
+    // Shopify: image_300x.jpg, image_300x300@2x.jpg, image_grande.jpg,
+    // ?width=300. Without a size the CDN serves the original upload.
+    name: "shopify",
+    match: (url) =>
+      url.hostname === "cdn.shopify.com" || url.pathname.includes("/cdn/shop/"),
+    upgrade: (url) => {
+      url.pathname = url.pathname.replace(
+        /_(?:pico|icon|thumb|small|compact|medium|large|grande|original|master|\d+x\d*|x\d+)(?:@\dx)?(?:_crop_[a-z]+)?(?=\.[a-z0-9]+$)/i,
+        ""
+      );
+      ["width", "height", "crop"].forEach((param) => url.searchParams.delete(param));
+    },
+    strip: function (url) {
+      this.upgrade(url);
+      url.searchParams.delete("v");
+    },
+  },
+  {
+    // Gucci: /style/DarkGray_Center_0_0_490x490/... and Style_Thumbnail
+    // renditions
+    name: "gucci",
+    match: (url) => /(^|\.)gucci\.com$/.test(url.hostname),
+    upgrade: (url) => {
+      url.pathname = url.pathname
+        .replace(/_\d+x\d+\//, "_2400x2400/")
+        .replace(/Style_Thumbnail/gi, "Style_Zoom");
+    },
+    strip: (url) => {
+      url.pathname = url.pathname
+        .replace(/_\d+x\d+\//, "/")
+        .replace(/Style_(?:Thumbnail|Zoom)/gi, "Style");
+    },
+  },
+  {
+    // Swarovski: /images/$size_360/... and scene7 ?wid=360&hei=360
+    name: "swarovski",
+    match: (url) =>
+      /(^|\.)swarovski\.com$/.test(url.hostname) || /(^|\.)scene7\.com$/.test(url.hostname),
+    upgrade: (url) => {
+      url.pathname = url.pathname.replace(/\$size_\d+/, "$size_2000");
+      if (url.searchParams.has("wid")) url.searchParams.set("wid", "2000");
+      url.searchParams.delete("hei");
+    },
+    strip: (url) => {
+      url.pathname = url.pathname.replace(/\/\$size_\d+/, "");
+      url.searchParams.delete("wid");
+      url.searchParams.delete("hei");
+    },
+  },
+  {
+    // Louis Vuitton: /images/is/image/lv/1/PP_VP_L/...png?wid=490&hei=490
+    name: "louisvuitton",
+    match: (url) => /(^|\.)louisvuitton\.com$/.test(url.hostname),
+    upgrade: (url) => {
+      url.searchParams.set("wid", "2048");
+      url.searchParams.set("hei", "2048");
+    },
+    strip: (url) => {
+      url.searchParams.delete("wid");
+      url.searchParams.delete("hei");
+    },
+  },
+];
+
 // String and data formatting utilities
 const FormatUtils = {
   // Convert relative URL to absolute
@@ -223,1875 +420,3412 @@ const FormatUtils = {
     return base + url;
   },
 
-  // Format price string to numeric value
-  formatPrice: function (priceStr) {
-    if (!priceStr) return null;
+  // Parse a srcset attribute into [{ url, width, density }]. URLs may contain
+  // commas (e.g. CDN transform lists), so only a comma after the URL or its
+  // descriptor separates candidates.
+  parseSrcset: function (srcset) {
+    const candidates = [];
+    let rest = (srcset || "").trim();
 
-    // Remove all non-numeric characters except . and ,
-    let price = priceStr.replace(/[^\d.,]/g, "");
+    while (rest) {
+      let url = rest.match(/^\S+/)[0];
+      rest = rest.slice(url.length);
 
-    // Handle European style numbers (1.234,56 -> 1234.56)
-    if (price.includes(",") && price.includes(".")) {
-      // Remove all periods (thousand separators in European format)
-      price = price.replace(/\./g, "");
-      // Replace comma with period (decimal separator)
-      price = price.replace(",", ".");
-    } else if (price.includes(",")) {
-      // If only comma exists, it's likely a decimal separator
-      price = price.replace(",", ".");
+      let descriptor = "";
+      if (url.endsWith(",")) {
+        url = url.replace(/,+$/, "");
+      } else {
+        const descriptorMatch = rest.match(/^\s*([^,]*)(,|$)/);
+        descriptor = descriptorMatch[1].trim();
+        rest = rest.slice(descriptorMatch[0].length);
+      }
+      rest = rest.replace(/^[\s,]+/, "");
+
+      if (!url) continue;
+      const widthMatch = descriptor.match(/^(\d+)w$/);
+      const densityMatch = descriptor.match(/^([\d.]+)x$/);
+      candidates.push({
+        url: url,
+        width: widthMatch ? parseInt(widthMatch[1], 10) : null,
+        density: densityMatch ? parseFloat(densityMatch[1]) : widthMatch ? null : 1,
+      });
     }
 
-    const numericPrice = parseFloat(price);
-    return isNaN(numericPrice) ? null : numericPrice;
+    return candidates;
   },
 
-  // Detect currency from price string
-  detectCurrency: function (priceStr) {
-    if (!priceStr) return null;
-
-    const currencies = {
-      $: "USD",
-      "€": "EUR",
-      "£": "GBP",
-      "¥": "JPY",
-      "₹": "INR",
-      "₽": "RUB",
-      "₺": "TRY",
-      kr: "SEK", // Also NOK, DKK
-      R$: "BRL",
-      C$: "CAD",
-      A$: "AUD",
-      HK$: "HKD",
-      zł: "PLN",
-      CHF: "CHF",
-      Kč: "CZK",
-      RUB: "RUB",
-      TL: "TRY",
-      USD: "USD",
-      EUR: "EUR",
-      GBP: "GBP",
-    };
+  // Largest candidate in a srcset: by w descriptor when there are any,
+  // otherwise by x descriptor. Returns { url, width, density } or null.
+  pickFromSrcset: function (srcset) {
+    const candidates = this.parseSrcset(srcset);
+    if (candidates.length === 0) return null;
 
-    for (const symbol in currencies) {
-      if (priceStr.includes(symbol)) {
-        return currencies[symbol];
-      }
+    const byWidth = candidates.filter((candidate) => candidate.width);
+    const pool = byWidth.length > 0 ? byWidth : candidates;
+    const key = byWidth.length > 0 ? "width" : "density";
+
+    return pool.reduce((best, candidate) =>
+      (candidate[key] || 0) > (best[key] || 0) ? candidate : best
+    );
+  },
+
+  // Image URL from an img/source element, preferring the largest srcset
+  // candidate over src
+  getImageSource: function (element) {
+    if (!element) return null;
+    const best = this.pickFromSrcset(
+      element.getAttribute("srcset") || element.getAttribute("data-srcset")
+    );
+    const url = best ? best.url : element.getAttribute("data-src") || element.getAttribute("src");
+    return url && !url.startsWith("data:") ? this.makeUrlAbsolute(url) : null;
+  },
+
+  // Apply the matching IMAGE_CDN_RULES entry to an absolute URL object
+  applyImageRule: function (url, step) {
+    let parsed;
+    try {
+      parsed = new URL(this.makeUrlAbsolute(url));
+    } catch (e) {
+      return null;
     }
+    const rule = IMAGE_CDN_RULES.find((entry) => entry.match(parsed));
+    if (rule) rule[step](parsed);
+    return parsed;
+  },
 
-    // Default to USD if we can't detect
-    return "USD";
+  // Rewrite a thumbnail URL to the CDN's high-resolution rendition
+  upgradeImageUrl: function (url) {
+    if (!url) return null;
+    const parsed = this.applyImageRule(url, "upgrade");
+    return parsed ? parsed.toString() : this.makeUrlAbsolute(url);
   },
 
-  // Clean and normalize text
-  cleanText: function (text) {
-    if (!text) return "";
+  // Deterministic key for deduplicating an image regardless of the
+  // rendition requested: https, lowercase host, no fragment, no size
+  // parameters, sorted query. Keep in sync with ImageCacheService.canonicalUrl
+  // (which, like this, is not a cache key for the image's bytes).
+  canonicalImageUrl: function (url) {
+    if (!url) return null;
+    const parsed = this.applyImageRule(url, "strip");
+    if (!parsed) return url;
 
-    // Remove extra whitespace
-    return text.replace(/\s+/g, " ").trim();
+    parsed.protocol = "https:";
+    parsed.hash = "";
+    parsed.searchParams.sort();
+    return parsed.toString();
   },
-};
 
-// ==================== Product Page Detection ====================
+  // Page locale from <html lang> or a locale segment in the URL path
+  // (/tr/, /tr-tr/, /en_us/), lowercased, e.g. "tr" or "de-ch"
+  getPageLocale: function () {
+    const lang = (document.documentElement.getAttribute("lang") || "").trim();
+    if (/^[a-z]{2}(?:[-_][a-z]{2})?$/i.test(lang)) {
+      return lang.toLowerCase().replace("_", "-");
+    }
 
-// Detect if current page is a product page
-const ProductPageDetector = {
-  // Check URL patterns common for product pages
-  checkURL: function () {
-    const url = window.location.href;
-    
-    // Check if it's Pandora website
-    if (url.includes("pandora.net")) {
-      // Pandora product URLs have numeric/alphanumeric product codes ending with .html
-      // Examples: 198421C01.html, A009.html, 568707C00.html
-      const pandoraProductPattern = /pandora\.net\/.*\/.*\/[A-Z0-9]+\.html/;
-      
-      // Skip homepage and category pages
-      const pandoraNonProductPattern = /pandora\.net\/[a-z-]+\/?$/;
-      
-      if (pandoraProductPattern.test(url)) {
-        Logger.info(`Pandora product URL detected: ${url}`);
-        return true;
-      } else if (pandoraNonProductPattern.test(url)) {
-        Logger.info(`Pandora non-product page detected: ${url}`);
-        return false;
-      }
-      
-      // For other Pandora pages, fall back to standard detection methods
-      return false;
+    return this.getPathLocale();
+  },
+
+  // Decimal separator the locale or currency writes prices with, or null
+  // when neither tells
+  getDecimalSeparator: function (locale, currency) {
+    const commaDecimalLanguages = [
+      "tr", "de", "fr", "es", "it", "nl", "pt", "ru", "pl", "cs", "da",
+      "sv", "nb", "no", "fi", "el", "ro", "hu", "id",
+    ];
+
+    // Swiss prices use "." with apostrophe groups: CHF 1'250.00
+    if (currency === "CHF" || (locale && locale.endsWith("-ch"))) return ".";
+    if (locale) {
+      return commaDecimalLanguages.includes(locale.split("-")[0]) ? "," : ".";
     }
-    
-    // Check if it's Guess website
-    if (url.includes("guess.eu")) {
-      // Guess product URLs have specific pattern with .html extension
-      // Example: https://www.guess.eu/en-tr/guess/women/bags/handbags/helina-pochette-handbag-pink/HWBG9640750-ORC.html
-      const guessProductPattern = /guess\.eu\/.*\/.*\.html$/;
-      
-      // Skip homepage and category pages
-      const guessNonProductPattern = /guess\.eu\/.*\/(home|men|women|new-in|sale|accessories|clothing|bags|shoes|watches|jewelry)(\?.*)?$/;
-      
-      if (guessProductPattern.test(url)) {
-        Logger.info(`Guess product URL detected: ${url}`);
-        return true;
-      } else if (guessNonProductPattern.test(url)) {
-        Logger.info(`Guess non-product page detected: ${url}`);
-        return false;
+    if (currency === "TRY" || currency === "EUR") return ",";
+    if (currency === "USD" || currency === "GBP") return ".";
+    return null;
+  },
+
+  // Read one number token given the expected decimal separator.
+  // Returns { value, confidence }.
+  parseNumberToken: function (token, decimalSeparator) {
+    const number = token.replace(/['’\s]/g, "");
+    const lastDot = number.lastIndexOf(".");
+    const lastComma = number.lastIndexOf(",");
+    let decimal = null;
+    let confidence = 1;
+
+    if (lastDot >= 0 && lastComma >= 0) {
+      // Both present: the last one is the decimal separator
+      decimal = lastDot > lastComma ? "." : ",";
+    } else if (lastDot >= 0 || lastComma >= 0) {
+      const separator = lastDot >= 0 ? "." : ",";
+      const occurrences = number.split(separator).length - 1;
+      const decimals = number.length - number.lastIndexOf(separator) - 1;
+
+      if (occurrences === 1 && decimals !== 3) {
+        // "12,99" or "1.5" can only be decimals
+        decimal = separator;
+      } else if (occurrences === 1 && decimalSeparator === separator) {
+        // "1,500" on a tr page or "1.299" on an en page: the page's decimal
+        // separator, though three-digit decimals are rare in prices
+        decimal = separator;
+        confidence = 0.6;
+      } else if (occurrences === 1) {
+        // "1.299" on a tr page or "1,500" on an en page: a thousands group,
+        // less certain when the page doesn't say
+        confidence = decimalSeparator ? 0.9 : 0.7;
       }
-      
-      // For other Guess pages, fall back to standard detection methods
-      return false;
     }
-    
-    // Check if it's Swarovski website
-    if (url.includes("swarovski.com")) {
-      // Swarovski product URLs have /p-XXXXXXX/ pattern in them
-      // Example: https://www.swarovski.com/en-TR/p-M5720860/Ariana-Grande-x-Swarovski-Tennis-bracelet-Mixed-cuts-Heart-White-Rhodium-plated/
-      const swarovskiProductPattern = /swarovski\.com\/.*\/p-[A-Za-z0-9]+\//;
-      
-      // Skip homepage and category pages
-      const swarovskiNonProductPattern = /swarovski\.com\/[a-z-]+\/?$/;
-      
-      if (swarovskiProductPattern.test(url)) {
-        Logger.info(`Swarovski product URL detected: ${url}`);
-        return true;
-      } else if (swarovskiNonProductPattern.test(url)) {
-        Logger.info(`Swarovski non-product page detected: ${url}`);
-        return false;
-      }
-      
-      // For other Swarovski pages, fall back to standard detection methods
-      return false;
+
+    const groupSeparator = decimal === "." ? "," : decimal === "," ? "." : null;
+    let normalized = groupSeparator
+      ? number.split(groupSeparator).join("")
+      : number.replace(/[.,]/g, "");
+    if (decimal) normalized = normalized.replace(decimal, ".");
+
+    const value = parseFloat(normalized);
+    return { value: isNaN(value) ? null : value, confidence: confidence };
+  },
+
+  // Parse a price string such as "1.299 TL", "₺1.299,90", "1,299.00 $",
+  // "CHF 1'250.–" or "1.299 – 1.599 TL". Options: { locale, currency }
+  // override what the page and text suggest. A lone three-digit group
+  // follows the locale: "1,500" is 1500 in en and 1.5 in tr, "1.299" is
+  // 1299 in tr and 1.299 in en.
+  // Returns { amount, currency, min, max, raw, confidence } or null.
+  parsePrice: function (priceStr, options = {}) {
+    if (priceStr === null || priceStr === undefined || priceStr === "") return null;
+    const raw = String(priceStr);
+    const currency =
+      options.currency || this.resolveCurrency(raw, { sources: ["text"] }).currency;
+
+    if (typeof priceStr === "number") {
+      return { amount: priceStr, currency: currency, min: priceStr, max: priceStr, raw: raw, confidence: 1 };
     }
-    
-    // Check if it's Cartier website
-    if (url.includes("cartier.com")) {
-      // For Cartier, only detect product pages with specific URL pattern
-      // Example: https://www.cartier.com/en-tr/jewellery/bracelets/juste-un-clou-bracelet-small-model-B6062617.html
-      // Cartier product URLs end with a product code like B6062617.html or CRWGSA0096.html
-      const cartierProductPattern = /cartier\.com\/.*\/.*\/.*-[A-Z0-9]+\.html$/;
-      
-      // Skip category pages
-      const cartierCategoryPattern = /cartier\.com\/.*\/.*\/collections\//;
-      
-      if (cartierProductPattern.test(url)) {
-        Logger.info(`Cartier product URL detected: ${url}`);
-        return true;
-      } else if (cartierCategoryPattern.test(url)) {
-        Logger.info(`Cartier category page detected: ${url}`);
-        return false;
-      }
-      
-      // For other Cartier pages, fall back to standard detection methods
-      return false;
+
+    const text = raw
+      .replace(/[\u00a0\u202f\u2009]/g, " ")
+      // "1'250.–" and "1.299,-": a trailing dash stands for zero decimals
+      .replace(/(\d)[.,]?[-–—]+(?!\d)/g, "$1");
+
+    // Digits with separators; a space only groups when three digits follow
+    const tokens = [];
+    const tokenPattern = /\d+(?:(?:[.,'’]|\s(?=\d{3}(?!\d)))\d+)*/g;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+      tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
     }
-    
-    // Check if it's Mango website
-    if (url.includes("mango.com")) {
-      // Mango product URLs have /p/ pattern in them
-      // Example: https://shop.mango.com/tr/tr/p/erkek/gomlek/slim-fit/dar-kesimli-100-pamuklu-gomlek_87067899
-      const mangoProductPattern = /mango\.com\/.*\/p\//;
-      
-      // Skip homepage and category pages
-      const mangoNonProductPattern = /mango\.com\/.*\/h\//;
-      
-      if (mangoProductPattern.test(url)) {
-        Logger.info(`Mango product URL detected: ${url}`);
-        return true;
-      } else if (mangoNonProductPattern.test(url)) {
-        Logger.info(`Mango non-product page detected: ${url}`);
-        return false;
+    if (tokens.length === 0) return null;
+
+    const locale = options.locale !== undefined ? options.locale : this.getPageLocale();
+    const decimalSeparator = this.getDecimalSeparator(locale, currency);
+    const parsed = tokens
+      .map((token) => this.parseNumberToken(token.text, decimalSeparator))
+      .filter((number) => number.value !== null);
+    if (parsed.length === 0) return null;
+
+    let min = parsed[0].value;
+    let max = parsed[0].value;
+    let confidence = parsed[0].confidence;
+
+    if (parsed.length > 1) {
+      const between = text.slice(tokens[0].end, tokens[1].start);
+      const isRange =
+        parsed.length === 2 &&
+        between.length <= 12 &&
+        /[-–—~]|\bto\b|\bbis\b/i.test(between);
+
+      if (isRange) {
+        min = Math.min(parsed[0].value, parsed[1].value);
+        max = Math.max(parsed[0].value, parsed[1].value);
+        confidence = Math.min(parsed[0].confidence, parsed[1].confidence);
+      } else {
+        // Several unrelated numbers (e.g. old and new price): take the first
+        confidence = Math.min(confidence, 0.5);
       }
-      
-      // For other Mango pages, fall back to standard detection methods
-      return false;
     }
-    
-    // Check if it's Victoria's Secret website
-    if (url.includes("victoriassecret.com.tr")) {
-      // Victoria's Secret product URLs contain "urun" (product) path
-      // Example: https://www.victoriassecret.com.tr/urun/kadin-parfumleritester-eau-so-sexy-victoriassecret-tester-edp-100-ml-1691/
-      const victoriaSecretProductPattern = /victoriassecret\.com\.tr\/.*\/urun\//;
-      
-      // Skip homepage and category pages
-      const victoriaSecretNonProductPattern = /victoriassecret\.com\.tr\/(home|kampanya|kategori)\/?$/;
-      
-      if (victoriaSecretProductPattern.test(url)) {
-        Logger.info(`Victoria's Secret product URL detected: ${url}`);
-        return true;
-      } else if (victoriaSecretNonProductPattern.test(url)) {
-        Logger.info(`Victoria's Secret non-product page detected: ${url}`);
-        return false;
-      }
-      
-      // For other Victoria's Secret pages, fall back to standard detection methods
-      return false;
+
+    return {
+      amount: min,
+      currency: currency,
+      min: min,
+      max: max,
+      raw: raw,
+      confidence: confidence,
+    };
+  },
+
+  // Format price string to numeric value
+  formatPrice: function (priceStr) {
+    const parsed = this.parsePrice(priceStr);
+    return parsed ? parsed.amount : null;
+  },
+
+  // Numeric value of a price in a locale the extractor knows, whatever the
+  // page says: formatPriceAs("1.299 TL", "tr", "TRY") is 1299 even on a
+  // page that declares lang="en" (where "1.299" would read as 1.299)
+  formatPriceAs: function (priceStr, locale, currency) {
+    const parsed = this.parsePrice(priceStr, { locale: locale, currency: currency });
+    return parsed ? parsed.amount : null;
+  },
+
+  // Currency symbols. Arrays list the currencies a symbol is shared by; the
+  // page locale picks one, otherwise the symbol is ambiguous. Matching is
+  // longest-first so "R$" or "HK$" is never read as "$".
+  currencySymbols: {
+    "US$": "USD",
+    "HK$": "HKD",
+    "NZ$": "NZD",
+    R$: "BRL",
+    C$: "CAD",
+    A$: "AUD",
+    S$: "SGD",
+    $: ["USD", "CAD", "AUD", "NZD", "HKD", "SGD", "MXN"],
+    "€": "EUR",
+    "£": "GBP",
+    "¥": ["JPY", "CNY"],
+    "₹": "INR",
+    "₽": "RUB",
+    "₺": "TRY",
+    TL: "TRY",
+    "zł": "PLN",
+    "Kč": "CZK",
+    CHF: "CHF",
+    "Fr.": "CHF",
+    kr: ["SEK", "NOK", "DKK"],
+  },
+
+  // ISO 4217 codes recognised when written out in the price text
+  currencyCodes: [
+    "TRY", "USD", "EUR", "GBP", "CHF", "SEK", "NOK", "DKK", "JPY", "CNY",
+    "CAD", "AUD", "NZD", "HKD", "SGD", "MXN", "BRL", "INR", "RUB", "PLN",
+    "CZK", "AED", "SAR", "QAR", "KWD",
+  ],
+
+  // Currency by country (locale region or top-level domain)
+  countryCurrencies: {
+    tr: "TRY", us: "USD", gb: "GBP", uk: "GBP", ch: "CHF", ca: "CAD",
+    au: "AUD", nz: "NZD", hk: "HKD", sg: "SGD", mx: "MXN", br: "BRL",
+    in: "INR", ru: "RUB", pl: "PLN", cz: "CZK", se: "SEK", no: "NOK",
+    dk: "DKK", jp: "JPY", cn: "CNY", ae: "AED", sa: "SAR", qa: "QAR",
+    kw: "KWD", de: "EUR", fr: "EUR", es: "EUR", it: "EUR", nl: "EUR",
+    at: "EUR", be: "EUR", ie: "EUR", pt: "EUR", fi: "EUR", gr: "EUR",
+  },
+
+  // Currency by language, for locales without a region. Languages spoken in
+  // several currency areas (en, de, fr, ...) are left out.
+  languageCurrencies: {
+    tr: "TRY", sv: "SEK", nb: "NOK", no: "NOK", da: "DKK", ja: "JPY",
+    pl: "PLN", cs: "CZK",
+  },
+
+  // Locale segment of the URL path (/tr/, /tr-tr/, /en_us/), lowercased
+  getPathLocale: function () {
+    const pathMatch = window.location.pathname.match(
+      /^\/([a-z]{2})(?:[-_]([a-z]{2}))?(?:\/|$)/i
+    );
+    if (!pathMatch) return null;
+    return (pathMatch[1] + (pathMatch[2] ? "-" + pathMatch[2] : "")).toLowerCase();
+  },
+
+  // Currency the page locale implies: <html lang>, the URL path locale, then
+  // the country top-level domain (.com.tr, .co.uk, .ch)
+  getLocaleCurrency: function () {
+    const lang = (document.documentElement.getAttribute("lang") || "")
+      .toLowerCase()
+      .replace("_", "-");
+    const pathLocale = this.getPathLocale();
+    const locales = [lang, pathLocale].filter(Boolean);
+
+    // Region of the locale: tr-TR, /en-us/
+    for (const locale of locales) {
+      const region = locale.split("-")[1];
+      if (region && this.countryCurrencies[region]) return this.countryCurrencies[region];
     }
-    
-    // Check if it's Nocturne website
-    if (url.includes("nocturne.com.tr")) {
-      // Nocturne product URLs have a pattern with an underscore followed by numeric ID (_XXXXXX)
-      // Also allow query parameters after the ID
-      const nocturneProductPattern = /nocturne\.com\.tr\/.*_\d+($|\?)/;
-      
-      // Skip homepage and category pages
-      const nocturneNonProductPattern = /nocturne\.com\.tr\/(ust-giyim|aksesuar|indirim|giyim|alt-giyim|dis-giyim|plaj-giyim)?$/;
-      
-      if (nocturneProductPattern.test(url)) {
-        Logger.info(`Nocturne product URL detected: ${url}`);
-        return true;
-      } else if (nocturneNonProductPattern.test(url)) {
-        Logger.info(`Nocturne non-product page detected: ${url}`);
-        return false;
-      }
-      
-      // For other Nocturne pages, fall back to standard detection methods
-      return false;
+
+    // A bare path segment like /tr/ is usually a country store
+    if (pathLocale && !pathLocale.includes("-") && this.countryCurrencies[pathLocale]) {
+      return this.countryCurrencies[pathLocale];
     }
-    
-    const productURLPatterns = [
-      /\/p\//, // Common pattern like /p/product-name
-      /\/product\//, // Common pattern like /product/product-name
-      /\/products\//, // Common Shopify pattern
-      /-p-\d+/, // Common pattern like product-name-p-12345
-      /\/pd\//, // Another common product pattern
-      /\/item\//, // Common pattern for items
-      /\/dp\/[A-Z0-9]{10}/, // Amazon-style product URLs
-      /product_id=\d+/, // URL parameter style
-      /\/prod\d+/, // product ID pattern
-      /\/pr\//, // Gucci-specific pattern
-      /_\d+($|\?)/, // Nocturne-specific pattern like product-name_12345 or product-name_12345?d=10322
-    ];
 
-    for (const pattern of productURLPatterns) {
-      if (pattern.test(url)) {
-        Logger.info(`URL matches product pattern: ${pattern}`);
-        return true;
-      }
+    // Languages tied to one currency
+    for (const locale of locales) {
+      const language = locale.split("-")[0];
+      if (this.languageCurrencies[language]) return this.languageCurrencies[language];
     }
 
-    return false;
+    const tld = window.location.hostname.split(".").pop().toLowerCase();
+    return this.countryCurrencies[tld] || null;
   },
 
-  // Check DOM elements common for product pages
-  checkDOM: function () {
-    // Elements that strongly indicate a product page
-    const strongIndicators = [
-      // Product forms
-      'form[action*="cart"], form[action*="basket"], form[action*="bag"]',
-      ".product-page, .product-detail, .product-details, .pdp, .pdp-container",
-      '[itemtype="http://schema.org/Product"], [itemscope][itemtype*="Product"]',
-      // Add to cart buttons
-      'button[name="add"], button[id*="AddToCart"], button[class*="add-to-cart"]',
-      'button[class*="addToCart"], button[class*="add_to_cart"]',
-      'button[id*="add-to-cart"], button[class*="btn-cart"]',
-      ".add-to-cart, .add_to_cart, .add-to-bag, .add-to-basket",
-      // Product variants/options (size/color)
-      'select[id*="product-select"], div[data-product-variants]',
-      ".product-variants, .product-options, .product__variants",
-      ".swatch, .color-swatch, .size-swatch",
-      // Gucci-specific indicators
-      "#product-detail-add-to-shopping-bag-form",
-      ".select2-results__options",
-      ".carousel-slide[data-slick-index]",
-    ];
+  // Currency written in the text: an ISO code, else the longest matching
+  // symbol. Returns { currency, symbol, candidates } or null; currency is
+  // null when the symbol is shared by several currencies.
+  detectCurrencySymbol: function (text) {
+    if (!text || typeof text !== "string") return null;
 
-    // Check for strong indicators
-    for (const selector of strongIndicators) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        if (elements && elements.length > 0) {
-          Logger.info(
-            `Found product indicator: ${selector} (${elements.length} elements)`
-          );
-          return true;
-        }
-      } catch (e) {
-        // Skip invalid selectors
+    const codeMatch = text.match(
+      new RegExp(`(^|[^A-Za-z])(${this.currencyCodes.join("|")})(?![A-Za-z])`)
+    );
+    if (codeMatch) {
+      return { currency: codeMatch[2], symbol: codeMatch[2], candidates: [codeMatch[2]] };
+    }
+
+    const symbols = Object.keys(this.currencySymbols).sort((a, b) => b.length - a.length);
+    for (const symbol of symbols) {
+      // Letter symbols (TL, kr, CHF) must stand alone, not inside a word
+      const isWord = /^[A-Za-z]/.test(symbol);
+      const index = text.indexOf(symbol);
+      if (index < 0) continue;
+      if (
+        isWord &&
+        (/[A-Za-z]/.test(text.charAt(index - 1)) ||
+          /[A-Za-z]/.test(text.charAt(index + symbol.length)))
+      ) {
+        continue;
       }
+
+      const mapped = this.currencySymbols[symbol];
+      const candidates = Array.isArray(mapped) ? mapped : [mapped];
+      return {
+        currency: candidates.length === 1 ? candidates[0] : null,
+        symbol: symbol,
+        candidates: candidates,
+      };
     }
+    return null;
+  },
 
-    // Check for combinations of weaker indicators
-    let score = 0;
+  // Currency declared by the page itself: the priceCurrency of the main
+  // JSON-LD Product's offers, og:price:currency / product:price:currency,
+  // or Shopify's active currency. Returns { currency, source } or null.
+  getExplicitCurrency: function () {
+    const product = this.getMainProductNode();
+    const findPriceCurrency = (offers) => {
+      if (!offers || typeof offers !== "object") return null;
+      if (Array.isArray(offers)) {
+        for (const offer of offers) {
+          const found = findPriceCurrency(offer);
+          if (found) return found;
+        }
+        return null;
+      }
+      if (typeof offers.priceCurrency === "string" && offers.priceCurrency) {
+        return offers.priceCurrency;
+      }
+      // AggregateOffer lists its offers; prices may sit in a specification
+      return findPriceCurrency(offers.offers) || findPriceCurrency(offers.priceSpecification);
+    };
+    const currency = product && findPriceCurrency(product.offers);
+    if (currency) return { currency: currency.toUpperCase(), source: "json-ld" };
 
-    // Price indicators
-    const priceSelectors = [
-      ".price, .product-price, .price-container, .product__price",
-      'span[itemprop="price"], [data-product-price]',
-      '[class*="product"][class*="price"]',
-      // Gucci-specific
-      ".product-detail-price",
-    ];
+    const meta = document.querySelector(
+      'meta[property="og:price:currency"], meta[property="product:price:currency"], meta[itemprop="priceCurrency"]'
+    );
+    if (meta && meta.getAttribute("content")) {
+      return { currency: meta.getAttribute("content").trim().toUpperCase(), source: "meta" };
+    }
 
-    for (const selector of priceSelectors) {
-      try {
-        if (document.querySelector(selector)) {
-          score += 2;
-          break;
-        }
-      } catch (e) {
-        // Skip invalid selectors
-      }
+    const shopifyCurrency =
+      window.Shopify && window.Shopify.currency && window.Shopify.currency.active;
+    if (shopifyCurrency) {
+      return { currency: shopifyCurrency.toUpperCase(), source: "shopify" };
     }
+    return null;
+  },
 
-    // Product title/name indicators
-    const titleSelectors = [
-      ".product-title, .product-name, .product__title, .product__name",
-      'h1[itemprop="name"], h1.product-title',
-      '[class*="product"][class*="title"], [class*="product"][class*="name"]',
-      // Gucci-specific
-      ".pdp__info h1",
-    ];
+  // The page's own JSON-LD Product (or ProductGroup): a top-level node,
+  // in @graph or as a WebPage's mainEntity, never one nested in a list of
+  // recommendations. With several, the one whose url is this page wins.
+  getMainProductNode: function () {
+    const products = [];
+    const isProduct = (node) =>
+      [].concat(node["@type"] || []).some((type) => type === "Product" || type === "ProductGroup");
+    const collect = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+      } else if (isProduct(node)) {
+        products.push(node);
+      } else {
+        collect(node["@graph"]);
+        collect(node.mainEntity);
+      }
+    };
 
-    for (const selector of titleSelectors) {
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
       try {
-        if (document.querySelector(selector)) {
-          score += 2;
-          break;
-        }
+        collect(JSON.parse(script.textContent));
       } catch (e) {
-        // Skip invalid selectors
+        // Skip invalid JSON
       }
-    }
+    });
 
-    // Image gallery indicators
-    const gallerySelectors = [
-      ".product-gallery, .product-images, .product__gallery",
-      '[class*="product"][class*="gallery"], [class*="product"][class*="image"]',
-      ".gallery-container, .slick-slider",
-      // Gucci-specific
-      ".slick-track",
-    ];
+    const here = window.location.href.split(/[?#]/)[0].replace(/\/$/, "");
+    return (
+      products.find(
+        (product) =>
+          typeof product.url === "string" &&
+          FormatUtils.makeUrlAbsolute(product.url).split(/[?#]/)[0].replace(/\/$/, "") === here
+      ) ||
+      products[0] ||
+      null
+    );
+  },
 
-    for (const selector of gallerySelectors) {
-      try {
-        if (document.querySelector(selector)) {
-          score += 1;
-          break;
-        }
-      } catch (e) {
-        // Skip invalid selectors
-      }
+  // Resolve the currency for a price, preferring what the page declares over
+  // what the text suggests. options.sources limits the steps tried, from
+  // "page" (JSON-LD, meta, Shopify), "text" and "locale".
+  // Returns { currency, source, reason }: currency is null when nothing
+  // decided it, with reason saying why.
+  resolveCurrency: function (text, options = {}) {
+    const sources = options.sources || ["page", "text", "locale"];
+
+    if (sources.includes("page")) {
+      const explicit = this.getExplicitCurrency();
+      if (explicit) return { currency: explicit.currency, source: explicit.source, reason: null };
     }
 
-    // Description indicators
-    const descSelectors = [
-      ".product-description, .product__description",
-      '[itemprop="description"], [class*="product"][class*="desc"]',
-      // Gucci-specific
-      ".product-detail-description",
-    ];
-
-    for (const selector of descSelectors) {
-      try {
-        if (document.querySelector(selector)) {
-          score += 1;
-          break;
+    let ambiguous = null;
+    if (sources.includes("text")) {
+      const detected = this.detectCurrencySymbol(text);
+      if (detected && detected.currency) {
+        return {
+          currency: detected.currency,
+          source: detected.symbol === detected.currency ? "iso-code" : "symbol",
+          reason: null,
+        };
+      }
+      if (detected) {
+        // Shared symbol: the locale can still say which one is meant
+        const localeCurrency = this.getLocaleCurrency();
+        if (localeCurrency && detected.candidates.includes(localeCurrency)) {
+          return { currency: localeCurrency, source: "symbol+locale", reason: null };
         }
-      } catch (e) {
-        // Skip invalid selectors
+        ambiguous = detected;
       }
     }
 
-    Logger.info(`DOM product indicator score: ${score}`);
-    return score >= 4; // Threshold for considering it a product page
-  },
-
-  // Check meta tags for product indicators
-  checkMetaTags: function () {
-    // Check for Open Graph product type
-    const ogType = document.querySelector('meta[property="og:type"]');
-    if (ogType && ogType.content === "product") {
-      Logger.info("Open Graph product type found");
-      return true;
+    if (ambiguous) {
+      return {
+        currency: null,
+        source: null,
+        reason: `ambiguous symbol "${ambiguous.symbol}" (${ambiguous.candidates.join(", ")})`,
+      };
     }
 
-    // Check for product-specific meta tags
-    const productMetaTags = [
-      'meta[property="product:price:amount"]',
-      'meta[property="og:price:amount"]',
-      'meta[property="og:availability"]',
-      'meta[name="twitter:data1"][content*="$"]',
-      'meta[name="twitter:label1"][content*="Price"]',
-    ];
-
-    for (const selector of productMetaTags) {
-      if (document.querySelector(selector)) {
-        Logger.info(`Product meta tag found: ${selector}`);
-        return true;
-      }
+    if (sources.includes("locale")) {
+      const localeCurrency = this.getLocaleCurrency();
+      if (localeCurrency) return { currency: localeCurrency, source: "locale", reason: null };
     }
 
-    return false;
+    return { currency: null, source: null, reason: "no currency found" };
   },
 
-  // Check for structured data markup related to products
-  checkStructuredData: function () {
-    const scripts = document.querySelectorAll(
-      'script[type="application/ld+json"]'
+  // Detect currency from price string, falling back to the page locale.
+  // Returns null rather than guessing when neither decides.
+  detectCurrency: function (priceStr) {
+    return this.resolveCurrency(priceStr, { sources: ["text", "locale"] }).currency;
+  },
+
+  // Whether price text says the price is given on request instead
+  isPriceOnRequest: function (text) {
+    return /price on request|price upon request|prix sur demande|preis auf anfrage|prezzo su richiesta|precio a consultar|fiyat talep üzerine|fiyat için iletişime geçin/i.test(
+      text || ""
     );
-    for (const script of scripts) {
-      try {
-        const data = JSON.parse(script.textContent);
+  },
 
-        // Function to check if the object or any nested object is a product
-        const findProduct = (obj) => {
-          if (!obj) return false;
+  // Clean and normalize text
+  cleanText: function (text) {
+    if (!text) return "";
 
-          if (typeof obj === "object") {
-            if (obj["@type"] === "Product") {
-              return true;
-            }
+    // Remove extra whitespace
+    return text.replace(/\s+/g, " ").trim();
+  },
+};
 
-            if (Array.isArray(obj)) {
-              for (const item of obj) {
-                if (findProduct(item)) return true;
-              }
-            } else {
-              for (const key in obj) {
-                if (findProduct(obj[key])) return true;
-              }
-            }
-          }
+// ==================== Message Protocol ====================
+
+// Every message to Flutter is an envelope
+//   { protocolVersion, type, sessionId, url, payload }
+// whose payload is checked against the JSON Schema for its type before it
+// is posted. Values of the wrong type are coerced when that is lossless (a
+// numeric string price) and dropped otherwise, fields a closed schema does
+// not know are dropped, and every change is listed in the envelope's
+// invalidFields so bad extractor output shows up on the Flutter side.
+//
+// assets/protocol/*.schema.json hold the same schemas for the Dart side;
+// change both together and bump version on incompatible changes. Scripts
+// that Flutter injects itself still post the unversioned
+// enhanced_variants message.
+const MessageProtocol = {
+  version: 1,
+
+  // Shared parts, referenced as { $ref: "#/definitions/<name>" }
+  definitions: {
+    pageType: {
+      enum: ["product", "listing", "search", "cart", "checkout", "account", "home", "other"],
+    },
+    variantOption: {
+      type: "object",
+      required: ["text"],
+      properties: {
+        text: { type: "string" },
+        selected: { type: "boolean" },
+        value: { type: ["string", "null"] },
+        inStock: { type: "boolean" },
+        lowStock: { type: "boolean" },
+        backInStockSoon: { type: "boolean" },
+        deliveryEstimate: { type: ["string", "null"] },
+        notifyAvailable: { type: "boolean" },
+      },
+      // Sites add their own fields (stock counts, swatch images, ...)
+      additionalProperties: true,
+    },
+    variantList: {
+      type: "array",
+      items: { $ref: "#/definitions/variantOption" },
+    },
+    personalizationField: {
+      type: "object",
+      required: ["name", "type"],
+      properties: {
+        name: { type: "string" },
+        label: { type: "string" },
+        type: { type: "string" },
+        required: { type: "boolean" },
+        maxLength: { type: ["integer", "null"] },
+        options: { type: "array", items: { type: "string" } },
+      },
+      additionalProperties: false,
+    },
+    productImage: {
+      type: "object",
+      required: ["url"],
+      properties: {
+        url: { type: "string" },
+        // The page's own URL when url asks the CDN for a larger rendition
+        fallbackUrl: { type: ["string", "null"] },
+        width: { type: ["integer", "null"] },
+        alt: { type: ["string", "null"] },
+        colorRef: { type: ["string", "null"] },
+        isPrimary: { type: "boolean" },
+      },
+      additionalProperties: false,
+    },
+  },
 
-          return false;
-        };
+  // Payload schema per message type
+  schemas: {
+    product: {
+      type: "object",
+      required: ["isProductPage", "success", "url"],
+      properties: {
+        isProductPage: { type: "boolean" },
+        success: { type: "boolean" },
+        url: { type: "string" },
+        title: { type: ["string", "null"] },
+        price: { type: ["number", "null"] },
+        originalPrice: { type: ["number", "null"] },
+        currency: { type: ["string", "null"] },
+        currencySource: { type: ["string", "null"] },
+        currencyReason: { type: ["string", "null"] },
+        imageUrl: { type: ["string", "null"] },
+        description: { type: ["string", "null"] },
+        sku: { type: ["string", "null"] },
+        availability: { type: ["string", "null"] },
+        // No price is shown; the site gives it on request
+        priceOnRequest: { type: "boolean" },
+        // Product facts by name, e.g. { composition: "100% cotton" }
+        attributes: { type: "object", additionalProperties: { type: "string" } },
+        // Merchandising labels such as "Made to order" or "Online exclusive"
+        labels: { type: "array", items: { type: "string" } },
+        // Fields the shopper fills in, such as an engraving
+        personalization: { type: "array", items: { $ref: "#/definitions/personalizationField" } },
+        brand: { type: ["string", "null"] },
+        extractionMethod: { type: ["string", "null"] },
+        variants: {
+          type: "object",
+          properties: {
+            colors: { $ref: "#/definitions/variantList" },
+            sizes: { $ref: "#/definitions/variantList" },
+            otherOptions: { $ref: "#/definitions/variantList" },
+          },
+          additionalProperties: { $ref: "#/definitions/variantList" },
+        },
+        variantsStatus: { enum: ["pending", "complete", "unavailable"] },
+        variantMatrix: { type: ["object", "null"] },
+        images: { type: "array", items: { $ref: "#/definitions/productImage" } },
+        pageType: { $ref: "#/definitions/pageType" },
+        pageTypeConfidence: { type: "number" },
+        error: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+
+    listing: {
+      type: "object",
+      required: ["pageType", "batch", "cards"],
+      properties: {
+        pageType: { $ref: "#/definitions/pageType" },
+        pageTypeConfidence: { type: "number" },
+        batch: { type: "integer" },
+        cards: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["title", "productUrl"],
+            properties: {
+              title: { type: "string" },
+              price: { type: ["number", "null"] },
+              originalPrice: { type: ["number", "null"] },
+              currency: { type: ["string", "null"] },
+              image: { type: ["string", "null"] },
+              productUrl: { type: "string" },
+              badge: { type: ["string", "null"] },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+
+    // Sent instead of a product for pages that are not product pages
+    pageType: {
+      type: "object",
+      required: ["pageType"],
+      properties: {
+        pageType: { $ref: "#/definitions/pageType" },
+        pageTypeConfidence: { type: "number" },
+        reason: { type: ["string", "null"] },
+      },
+      additionalProperties: false,
+    },
+
+    // Client-side navigation seen by NavigationWatcher
+    navigation: {
+      type: "object",
+      required: ["url"],
+      properties: {
+        oldUrl: { type: ["string", "null"] },
+        url: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+
+    error: {
+      type: "object",
+      required: ["message"],
+      properties: {
+        message: { type: "string" },
+        stage: { type: ["string", "null"] },
+      },
+      additionalProperties: false,
+    },
+
+    log: {
+      type: "object",
+      required: ["level", "message"],
+      properties: {
+        level: { enum: ["DEBUG", "INFO", "WARN", "ERROR"] },
+        message: { type: "string" },
+        data: {},
+      },
+      additionalProperties: false,
+    },
+
+    // Answer to a FoozBridge command
+    response: {
+      type: "object",
+      required: ["requestId", "cmd", "ok"],
+      properties: {
+        requestId: { type: ["string", "integer", "null"] },
+        cmd: { type: ["string", "null"] },
+        ok: { type: "boolean" },
+        result: {},
+        error: { type: ["string", "null"] },
+      },
+      additionalProperties: false,
+    },
+
+    metrics: {
+      type: "object",
+      required: ["name", "durationMs"],
+      properties: {
+        name: { type: "string" },
+        durationMs: { type: "number" },
+        runs: { type: "integer" },
+        retries: { type: "integer" },
+      },
+      additionalProperties: false,
+    },
+  },
+
+  // JSON Schema type name of a value
+  typeOf: function (value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  },
+
+  // Lossless conversion of value to one of types, or undefined
+  coerce: function (value, types) {
+    if (typeof value === "string" && value.trim() !== "") {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        if (types.includes("number")) return number;
+        if (types.includes("integer") && Number.isInteger(number)) return number;
+      }
+    }
+    if (typeof value === "number" && types.includes("string")) return String(value);
+    return undefined;
+  },
+
+  // Copy of value that conforms to schema, or undefined when none of it
+  // does. Every change is described in problems.
+  clean: function (schema, value, path, problems) {
+    if (schema.$ref) {
+      schema = this.definitions[schema.$ref.split("/").pop()];
+    }
 
-        if (findProduct(data)) {
-          Logger.info("Product structured data found");
-          return true;
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const actual = this.typeOf(value);
+      if (!types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+        const coerced = this.coerce(value, types);
+        if (coerced === undefined) {
+          problems.push(`${path}: expected ${types.join("|")}, got ${actual} (dropped)`);
+          return undefined;
         }
-      } catch (e) {
-        // Skip invalid JSON
+        problems.push(`${path}: coerced ${actual} to ${types.join("|")}`);
+        value = coerced;
       }
     }
 
-    return false;
-  },
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")} (dropped)`);
+      return undefined;
+    }
 
-  // Master method to check if the current page is a product page
-  isProductPage: function () {
-    Logger.info("Checking if page is a product page...");
+    if (Array.isArray(value) && schema.items) {
+      return value
+        .map((item, index) => this.clean(schema.items, item, `${path}[${index}]`, problems))
+        .filter((item) => item !== undefined);
+    }
 
-    // Run all checks
-    const urlCheck = this.checkURL();
-    const domCheck = this.checkDOM();
-    const metaCheck = this.checkMetaTags();
-    const structuredDataCheck = this.checkStructuredData();
+    if (this.typeOf(value) === "object" && (schema.properties || schema.additionalProperties !== undefined)) {
+      const properties = schema.properties || {};
+      const cleaned = {};
 
-    Logger.info(
-      `Product page checks - URL: ${urlCheck}, DOM: ${domCheck}, Meta: ${metaCheck}, StructuredData: ${structuredDataCheck}`
-    );
+      Object.keys(value).forEach((key) => {
+        if (value[key] === undefined) return;
+        const fieldSchema = properties[key] || schema.additionalProperties;
 
-    // Page is considered a product page if any of the checks succeed
-    return urlCheck || domCheck || metaCheck || structuredDataCheck;
-  },
-};
+        if (fieldSchema === false) {
+          problems.push(`${path}.${key}: unexpected field (dropped)`);
+        } else if (fieldSchema === undefined || fieldSchema === true) {
+          cleaned[key] = value[key];
+        } else {
+          const field = this.clean(fieldSchema, value[key], `${path}.${key}`, problems);
+          if (field !== undefined) cleaned[key] = field;
+        }
+      });
 
-// ==================== Data Extraction ====================
+      (schema.required || []).forEach((key) => {
+        if (cleaned[key] === undefined) problems.push(`${path}.${key}: required field missing`);
+      });
+      return cleaned;
+    }
 
-// Base extractor with common functionality
-const BaseExtractor = {
-  // Initialize the result object
-  createResultObject: function () {
-    return {
-      isProductPage: true,
-      url: window.location.href,
-      success: false,
-      extractionMethod: "generic",
-      variants: {
-        colors: [],
-        sizes: [],
-        otherOptions: [],
-      },
-    };
+    return value;
   },
 
-  // Extract structured data (JSON-LD)
-  extractStructuredData: function () {
-    Logger.info("Extracting from structured data (JSON-LD)");
+  // Check payload against the schema of a message type. Returns
+  // { payload, problems } with the conforming copy of payload.
+  validate: function (type, payload) {
+    const problems = [];
+    const schema = this.schemas[type];
+    let cleaned = payload;
 
-    try {
-      const scripts = document.querySelectorAll(
-        'script[type="application/ld+json"]'
-      );
-      if (!scripts.length) return null;
+    if (schema) {
+      cleaned = this.clean(schema, payload, type, problems);
+    } else {
+      problems.push(`${type}: unknown message type`);
+    }
+    return { payload: cleaned === undefined ? {} : cleaned, problems: problems };
+  },
 
-      let productData = null;
+  // Build the envelope for a message, validating its payload
+  envelope: function (type, payload, session) {
+    const { payload: cleaned, problems } = this.validate(type, payload);
 
-      // Search through JSON-LD scripts for product data
-      for (const script of scripts) {
-        try {
-          if (!script.textContent) continue;
+    const message = {
+      protocolVersion: this.version,
+      type: type,
+      sessionId: session ? session.id : null,
+      url: session ? session.url : window.location.href,
+      payload: cleaned,
+    };
 
-          const data = JSON.parse(script.textContent);
+    if (problems.length) {
+      message.invalidFields = problems;
+      // Not logged for log messages, which may be forwarded logs themselves
+      if (type !== "log") {
+        Logger.warn(`Invalid ${type} message fields: ${problems.join("; ")}`);
+      }
+    }
+    return message;
+  },
 
-          // Find product in the JSON structure
-          const findProduct = (obj) => {
-            if (!obj) return null;
+  // Post a message to Flutter. Returns false when there is no channel.
+  send: function (type, payload, session) {
+    if (!window.FlutterChannel) return false;
+    window.FlutterChannel.postMessage(JSON.stringify(this.envelope(type, payload, session)));
+    return true;
+  },
+};
 
-            if (obj["@type"] === "Product") {
-              return obj;
-            }
+// ==================== Extractor Registry ====================
+
+// Registry of site and platform extractors. Each entry declares the hostnames
+// it handles, a priority (higher runs first) and an extract() entry point, so
+// the orchestrator never has to know about individual brands. extract() may
+// return a Promise when it has to wait for the page (see
+// DOMUtils.waitForSelector); it gets timeBudget ms before it is skipped.
+const ExtractorRegistry = {
+  // Entries keyed by registrable hostname suffix (e.g. "zara.com")
+  byHost: new Map(),
+
+  // Entries without hosts that decide via match() (e.g. Shopify, WooCommerce)
+  platform: [],
+
+  // Monotonic counter so equal priorities keep registration order
+  sequence: 0,
+
+  // Register an extractor definition:
+  // { name, hosts: [..], priority, match: fn(hostname) (optional), extract: fn,
+  //   timeBudget: ms (optional, default CONFIG.extractorTimeBudget),
+  //   selectVariant: async fn({ color, size }) (optional, see VariantSelector) }
+  register: function (definition) {
+    if (!definition || !definition.name || typeof definition.extract !== "function") {
+      Logger.warn("Ignoring invalid extractor registration", definition);
+      return null;
+    }
 
-            if (Array.isArray(obj)) {
-              for (const item of obj) {
-                const result = findProduct(item);
-                if (result) return result;
-              }
-            } else if (typeof obj === "object") {
-              for (const key in obj) {
-                const result = findProduct(obj[key]);
-                if (result) return result;
-              }
-            }
+    // Re-registering a name replaces the previous entry
+    this.unregister(definition.name);
+
+    const entry = {
+      name: definition.name,
+      hosts: (definition.hosts || []).map((host) => host.toLowerCase()),
+      priority: typeof definition.priority === "number" ? definition.priority : 0,
+      match: typeof definition.match === "function" ? definition.match : null,
+      extract: definition.extract,
+      selectVariant:
+        typeof definition.selectVariant === "function" ? definition.selectVariant : null,
+      timeBudget:
+        typeof definition.timeBudget === "number"
+          ? definition.timeBudget
+          : CONFIG.extractorTimeBudget,
+      order: this.sequence++,
+    };
 
-            return null;
-          };
+    if (entry.hosts.length === 0) {
+      this.platform.push(entry);
+    } else {
+      entry.hosts.forEach((host) => {
+        if (!this.byHost.has(host)) this.byHost.set(host, []);
+        this.byHost.get(host).push(entry);
+      });
+    }
 
-          const product = findProduct(data);
-          if (product) {
-            productData = product;
-            Logger.debug("Found product in JSON-LD", productData);
-            break;
-          }
-        } catch (e) {
-          Logger.warn("Error parsing JSON-LD script", e);
-        }
+    Logger.debug(`Registered extractor ${entry.name}`, entry.hosts);
+    return entry;
+  },
+
+  // Remove an extractor by name
+  unregister: function (name) {
+    this.platform = this.platform.filter((entry) => entry.name !== name);
+    this.byHost.forEach((entries, host) => {
+      const remaining = entries.filter((entry) => entry.name !== name);
+      if (remaining.length) {
+        this.byHost.set(host, remaining);
+      } else {
+        this.byHost.delete(host);
       }
+    });
+  },
 
-      if (!productData) return null;
+  // Get the extractors that apply to a hostname, in priority order.
+  // Host entries are found by walking the hostname's suffixes
+  // ("www.shop.zara.com" -> "shop.zara.com" -> "zara.com" -> "com").
+  getCandidates: function (hostname) {
+    hostname = (hostname || window.location.hostname || "").toLowerCase();
 
-      // Extract the product information
-      const result = this.createResultObject();
-      result.extractionMethod = "structured_data";
+    const seen = new Set();
+    const candidates = [];
+    const labels = hostname.split(".");
 
-      // Basic properties
-      result.title = productData.name || null;
-      result.description = productData.description || null;
-      result.sku =
-        productData.sku || productData.mpn || productData.productID || null;
-      result.brand = productData.brand?.name || productData.brand || null;
+    for (let i = 0; i < labels.length; i++) {
+      const entries = this.byHost.get(labels.slice(i).join("."));
+      if (!entries) continue;
 
-      // Image URL
-      if (productData.image) {
-        if (typeof productData.image === "string") {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(productData.image);
-        } else if (
-          Array.isArray(productData.image) &&
-          productData.image.length > 0
-        ) {
-          const imgUrl = productData.image[0].url || productData.image[0];
-          result.imageUrl = FormatUtils.makeUrlAbsolute(imgUrl);
-        } else if (productData.image.url) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(productData.image.url);
+      entries.forEach((entry) => {
+        if (!seen.has(entry)) {
+          seen.add(entry);
+          candidates.push(entry);
         }
-      }
+      });
+    }
 
-      // Price and availability
-      if (productData.offers) {
-        let offer = productData.offers;
+    this.platform.forEach((entry) => candidates.push(entry));
 
-        if (Array.isArray(offer)) {
-          offer = offer[0]; // Use first offer
+    return candidates
+      .filter((entry) => {
+        if (!entry.match) return true;
+        try {
+          return entry.match(hostname);
+        } catch (e) {
+          Logger.warn(`Matcher for ${entry.name} failed`, e);
+          return false;
         }
+      })
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+  },
 
-        if (offer) {
-          result.price = FormatUtils.formatPrice(offer.price?.toString());
-          result.currency =
-            offer.priceCurrency ||
-            FormatUtils.detectCurrency(offer.price?.toString());
+  // Abort signal of the latest run. It fires when that extractor runs out
+  // of time; InteractionSandbox and VariantPageFetcher check it so a
+  // skipped extractor stops clicking and fetching. It is cleared once that
+  // extractor settles.
+  signal: null,
+
+  // Run an entry's extract(), awaiting it if it returns a Promise, but no
+  // longer than its time budget. Resolves with the result, or null if the
+  // extractor threw or ran out of time.
+  run: function (entry) {
+    const controller = typeof AbortController === "function" ? new AbortController() : null;
+    this.signal = controller ? controller.signal : null;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        Logger.warn(`${entry.name} extractor exceeded its ${entry.timeBudget}ms budget`);
+        if (controller) controller.abort();
+        resolve(null);
+      }, entry.timeBudget);
+
+      const finish = (result) => {
+        clearTimeout(timer);
+        if (controller && this.signal === controller.signal) this.signal = null;
+        resolve(result);
+      };
 
-          // Check for original price (sale)
-          if (
-            offer.highPrice &&
-            offer.lowPrice &&
-            offer.highPrice > offer.lowPrice
-          ) {
-            result.originalPrice = FormatUtils.formatPrice(
-              offer.highPrice.toString()
-            );
-          }
+      Promise.resolve()
+        .then(() => entry.extract())
+        .then(finish, (e) => {
+          Logger.error(`${entry.name} extractor failed`, e);
+          finish(null);
+        });
+    });
+  },
+};
 
-          // Availability
-          if (offer.availability) {
-            result.availability = offer.availability;
+// ==================== Interaction Sandbox ====================
+
+// Lets extractors click through a page to reveal options that are only
+// rendered on demand (size sheets, modals) without leaving a trace: sheets
+// opened along the way are closed again and scroll position and focus are
+// restored. Clicks on add-to-cart or checkout controls are refused unless
+// the site's profile whitelists that control.
+const InteractionSandbox = {
+  // Purchase-looking controls a site needs clicked anyway, each
+  // { selector, text }, and allowWhen(element) for when clicking them is
+  // safe. Mango's "Ekle" button (matched by its text, its classes are
+  // hashed per deploy) only opens the size sheet while no size is selected;
+  // with one selected, or remembered from an earlier visit, it adds the item
+  // to the bag.
+  siteProfiles: [
+    {
+      hosts: ["mango.com"],
+      allowedClicks: [{ selector: "button", text: /^\s*(ekle|add|añadir)\s*$/i }],
+      selectedSizeSelectors: [
+        '[class*="size" i] [aria-pressed="true"]',
+        '[class*="size" i] [aria-checked="true"]',
+        '[class*="size" i] [aria-selected="true"]',
+        '[class*="size" i] input:checked',
+        '[class*="size" i][class*="selected" i]',
+        '[class*="size" i] [class*="selected" i]',
+        '[data-testid*="size" i] [aria-pressed="true"]',
+        '[data-testid*="size" i] [aria-checked="true"]',
+      ],
+      allowWhen: function () {
+        return !DOMUtils.querySelector(this.selectedSizeSelectors);
+      },
+    },
+  ],
+
+  // Button text and attributes that mark a purchase action
+  purchaseText: /add to (cart|bag|basket)|sepete ekle|\bekle\b|buy now|hemen al|satın al|checkout|ödeme|siparişi tamamla|in den warenkorb|ajouter au panier|añadir a la cesta/i,
+  purchaseAttributes: /add[-_]?to[-_]?(cart|bag|basket)|addto(cart|bag)|cart\/add|checkout|buy[-_]?now/i,
+
+  // Elements that count as an open sheet, modal or drawer
+  overlaySelectors: [
+    "dialog[open]",
+    '[role="dialog"]',
+    '[aria-modal="true"]',
+    "[class*='modal' i]",
+    "[class*='sheet' i]",
+    "[class*='drawer' i]",
+    "[class*='dialog' i]",
+  ],
+
+  // Close controls looked for inside an overlay we opened
+  closeSelectors: [
+    '[aria-label*="close" i]',
+    '[aria-label*="kapat" i]',
+    '[data-qa-anchor*="close" i]',
+    "button[class*='close' i]",
+  ],
+
+  // Number of runs in progress; the DOM observer ignores their mutations
+  active: 0,
+
+  // Run steps in order, each { click, waitFor, timeout }: click is a
+  // selector list or element, waitFor the selectors it should reveal. Then
+  // capture(element) is called with the element the last step waited for.
+  // Resolves with capture's result, or null if a step could not be done or
+  // signal (default: the running extractor's) fired; the page is restored
+  // either way. Runs never overlap.
+  run: async function (steps, capture, signal = ExtractorRegistry.signal) {
+    if (this.active > 0) {
+      Logger.debug("Interaction sandbox: another run is in progress");
+      return null;
+    }
+    if (signal && signal.aborted) return null;
+
+    const state = this.snapshot();
+    let revealed = null;
+    this.active++;
+
+    try {
+      for (const step of steps) {
+        if (signal && signal.aborted) {
+          Logger.debug("Interaction sandbox: extractor out of time, stopping");
+          return null;
+        }
+        const target =
+          typeof step.click === "string" || Array.isArray(step.click)
+            ? DOMUtils.querySelector([].concat(step.click))
+            : step.click;
+        if (!target) {
+          Logger.debug("Interaction sandbox: nothing to click", step.click);
+          return null;
+        }
+        if (!this.click(target)) return null;
+
+        if (step.waitFor) {
+          revealed = await DOMUtils.waitForSelector(step.waitFor, {
+            timeout: step.timeout !== undefined ? step.timeout : 1500,
+          });
+          if (!revealed) {
+            Logger.debug("Interaction sandbox: click revealed nothing", step.waitFor);
+            return null;
           }
+          await DOMUtils.waitForStable(revealed, { timeout: 800 });
         }
       }
 
-      // Extract color variants
-      if (productData.color) {
-        // Handle different formats of the color property
-        if (typeof productData.color === "string") {
-          result.variants.colors.push({
-            text: productData.color,
-            selected: true, // If it's in the main product, it's likely selected
-            value: productData.color,
-          });
-        } else if (Array.isArray(productData.color)) {
-          for (const color of productData.color) {
-            if (typeof color === "string") {
-              result.variants.colors.push({
-                text: color,
-                selected: false,
-                value: color,
-              });
-            }
-          }
-        }
-      }
-
-      // Extract size variants
-      if (productData.size) {
-        // Handle different formats of the size property
-        if (typeof productData.size === "string") {
-          result.variants.sizes.push({
-            text: productData.size,
-            selected: true, // If it's in the main product, it's likely selected
-            value: productData.size,
-          });
-        } else if (Array.isArray(productData.size)) {
-          for (const size of productData.size) {
-            if (typeof size === "string") {
-              result.variants.sizes.push({
-                text: size,
-                selected: false,
-                value: size,
-              });
-            }
-          }
-        }
-      }
-
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
-
-      return result;
+      if (signal && signal.aborted) return null;
+      return await capture(revealed);
     } catch (e) {
-      Logger.error("Error extracting from structured data", e);
+      Logger.error("Interaction sandbox step failed", e);
       return null;
+    } finally {
+      await this.restore(state);
+      this.active--;
     }
   },
 
-  // Extract from meta tags
-  extractMetaTags: function () {
-    Logger.info("Extracting from meta tags");
+  // Click element unless it is a purchase control the site profile does not
+  // allow. Returns whether it was clicked.
+  click: function (element) {
+    const purchase = this.isPurchaseAction(element);
+    if (purchase && !this.isAllowed(element)) {
+      Logger.warn(`Refusing to click purchase control "${DOMUtils.getTextContent(element)}"`);
+      return false;
+    }
 
+    // Whitelisted purchase controls keep their page handlers but lose their
+    // default action (form submit, link)
+    const preventDefault = (e) => e.preventDefault();
+    if (purchase) element.addEventListener("click", preventDefault);
     try {
-      const result = this.createResultObject();
-      result.extractionMethod = "meta_tags";
+      element.click();
+    } finally {
+      if (purchase) element.removeEventListener("click", preventDefault);
+    }
+    return true;
+  },
 
-      // Extract title
-      const titleTag = document.querySelector(
-        'meta[property="og:title"], meta[name="twitter:title"]'
-      );
-      if (titleTag) {
-        result.title = titleTag.getAttribute("content");
+  isPurchaseAction: function (element) {
+    const form = element.closest("form");
+    const attributes = [
+      element.id,
+      element.getAttribute("class"),
+      element.getAttribute("name"),
+      element.getAttribute("href"),
+      element.getAttribute("data-testid"),
+      element.getAttribute("data-qa-anchor"),
+      form && form.getAttribute("action"),
+    ]
+      .filter(Boolean)
+      .join(" ");
+    const text = [DOMUtils.getTextContent(element), element.getAttribute("aria-label") || "", element.value || ""].join(" ");
+
+    return this.purchaseAttributes.test(attributes) || this.purchaseText.test(text);
+  },
+
+  isAllowed: function (element) {
+    const hostname = window.location.hostname.toLowerCase();
+    return this.siteProfiles.some(
+      (profile) =>
+        profile.hosts.some((host) => hostname === host || hostname.endsWith("." + host)) &&
+        profile.allowedClicks.some((allowed) => {
+          try {
+            return (
+              element.matches(allowed.selector) &&
+              (!allowed.text || allowed.text.test(DOMUtils.getTextContent(element)))
+            );
+          } catch (e) {
+            return false;
+          }
+        }) &&
+        (!profile.allowWhen || profile.allowWhen(element))
+    );
+  },
+
+  // First element matching selector that the site profile allows clicking
+  // although it looks like a purchase control, or null
+  findAllowed: function (selector) {
+    return Array.from(document.querySelectorAll(selector)).find((element) => this.isAllowed(element)) || null;
+  },
+
+  // Overlays currently shown, outermost only
+  findOpenOverlays: function () {
+    const overlays = [];
+    for (const selector of this.overlaySelectors) {
+      try {
+        document.querySelectorAll(selector).forEach((element) => {
+          if (!overlays.includes(element) && this.isOpen(element)) overlays.push(element);
+        });
+      } catch (e) {
+        // Selector not supported, try next one
       }
+    }
+    return overlays.filter((element) => !overlays.some((other) => other !== element && other.contains(element)));
+  },
 
-      // Extract description
-      const descTag = document.querySelector(
-        'meta[property="og:description"], meta[name="twitter:description"], meta[name="description"]'
-      );
-      if (descTag) {
-        result.description = descTag.getAttribute("content");
+  isOpen: function (element) {
+    if (!element.isConnected || element.hidden || element.getAttribute("aria-hidden") === "true") return false;
+    const style = window.getComputedStyle(element);
+    return style.display !== "none" && style.visibility !== "hidden";
+  },
+
+  snapshot: function () {
+    return {
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      activeElement: document.activeElement,
+      overlays: new Set(this.findOpenOverlays()),
+      // Sheets often lock scrolling through classes or styles on these
+      roots: [document.documentElement, document.body].map((element) => ({
+        element: element,
+        className: element.getAttribute("class"),
+        style: element.getAttribute("style"),
+      })),
+    };
+  },
+
+  // Close overlays opened since state was taken, then put scroll position
+  // and focus back
+  restore: async function (state) {
+    const opened = () => this.findOpenOverlays().filter((element) => !state.overlays.has(element));
+
+    if (opened().length) {
+      for (const overlay of opened()) {
+        let closeButton = null;
+        for (const selector of this.closeSelectors) {
+          try {
+            closeButton = overlay.querySelector(selector);
+          } catch (e) {
+            // Selector not supported, try next one
+          }
+          if (closeButton) break;
+        }
+
+        if (closeButton && !this.isPurchaseAction(closeButton)) {
+          closeButton.click();
+        } else if (typeof overlay.close === "function") {
+          overlay.close();
+        }
       }
 
-      // Extract image
-      const imageTag = document.querySelector(
-        'meta[property="og:image"], meta[property="og:image:secure_url"], meta[name="twitter:image"]'
-      );
-      if (imageTag) {
-        result.imageUrl = FormatUtils.makeUrlAbsolute(
-          imageTag.getAttribute("content")
-        );
+      // Most sheets also close on Escape
+      if (opened().length) {
+        const target = document.activeElement || document.body;
+        target.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", code: "Escape", keyCode: 27, bubbles: true }));
       }
 
-      // Extract price
-      const priceTag = document.querySelector(
-        'meta[property="product:price:amount"], meta[property="og:price:amount"], meta[name="twitter:data1"][content*="$"]'
-      );
-      if (priceTag) {
-        result.price = FormatUtils.formatPrice(
-          priceTag.getAttribute("content")
-        );
+      // Give closing animations a moment
+      await DOMUtils.waitForStable(document.body, { quietTime: 100, timeout: 600 });
 
-        // Get currency if available
-        const currencyTag = document.querySelector(
-          'meta[property="product:price:currency"], meta[property="og:price:currency"]'
-        );
-        result.currency = currencyTag
-          ? currencyTag.getAttribute("content")
-          : FormatUtils.detectCurrency(priceTag.getAttribute("content"));
+      const remaining = opened();
+      if (remaining.length) {
+        Logger.warn(`Interaction sandbox could not close ${remaining.length} overlay(s)`);
+      } else {
+        state.roots.forEach((root) => {
+          this.setAttribute(root.element, "class", root.className);
+          this.setAttribute(root.element, "style", root.style);
+        });
       }
+    }
 
-      // Extract brand
-      const brandTag = document.querySelector(
-        'meta[property="product:brand"], meta[property="og:brand"]'
-      );
-      if (brandTag) {
-        result.brand = brandTag.getAttribute("content");
-      }
+    if (window.scrollX !== state.scrollX || window.scrollY !== state.scrollY) {
+      window.scrollTo(state.scrollX, state.scrollY);
+    }
 
-      // Extract availability
-      const availabilityTag = document.querySelector(
-        'meta[property="product:availability"], meta[property="og:availability"]'
-      );
-      if (availabilityTag) {
-        result.availability = availabilityTag.getAttribute("content");
+    if (document.activeElement !== state.activeElement) {
+      if (state.activeElement && state.activeElement.isConnected && typeof state.activeElement.focus === "function") {
+        state.activeElement.focus({ preventScroll: true });
+      } else if (document.activeElement && typeof document.activeElement.blur === "function") {
+        document.activeElement.blur();
       }
+    }
+  },
 
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
+  setAttribute: function (element, name, value) {
+    if (value === null) {
+      element.removeAttribute(name);
+    } else if (element.getAttribute(name) !== value) {
+      element.setAttribute(name, value);
+    }
+  },
+};
 
-      if (result.success) {
-        return result;
+// ==================== Variant Selection ====================
+
+// Picks a color or size on the page the way a shopper would (clicking the
+// swatch, or setting the <select> and firing input/change) and re-extracts,
+// so the app learns the price, SKU and stock of that choice. Extractors
+// describe their options as groups, tried in order:
+//   "css selector"                           generic option labels
+//   { selector, label: fn(el), target: fn(el) }  site-specific swatches
+// label() returns the option's name; target() the element to click when it
+// isn't the matched element itself.
+const VariantSelector = {
+  // Option attributes that may carry the name, as read by extractColorVariants
+  // and extractSizeVariants
+  labelAttributes: ["title", "data-color-name", "data-size-name", "data-value", "value", "aria-label"],
+
+  // Select args.color and then args.size (sizes often depend on the color)
+  // and resolve with the re-extracted product for that choice.
+  //
+  // An option that links to another page is not clicked. With
+  // extractPage(root, url) that page is fetched (same origin only) and
+  // extracted instead; otherwise the link is followed and the result is only
+  // { selected, navigated: true, url }, the new page being detected from
+  // scratch. A click that turns out to change the URL resolves the same way.
+  select: async function (args, groups, extractPage) {
+    args = args || {};
+    const chosen = {};
+    // Product read from a fetched page, once a choice needed one
+    let fetched = null;
+
+    for (const dimension of ["color", "size"]) {
+      const wanted = args[dimension];
+      if (wanted === undefined || wanted === null || wanted === "") continue;
+
+      if (!groups[dimension] || groups[dimension].length === 0) {
+        throw new Error(`Selecting a ${dimension} is not supported on this site`);
+      }
+
+      if (fetched) {
+        chosen[dimension] = this.selectFetched(fetched, dimension, wanted);
+        continue;
+      }
+
+      const option = this.findOption(groups[dimension], wanted);
+      if (!option) throw new Error(`No ${dimension} option matching "${wanted}"`);
+      if (option.disabled) throw new Error(`${dimension} "${option.label}" is not selectable`);
+
+      const pageUrl = this.pageUrlOf(option.element);
+      if (pageUrl && extractPage && VariantPageFetcher.resolveUrl(pageUrl)) {
+        Logger.info(`Reading ${dimension} "${option.label}" from ${pageUrl}`);
+        const root = await VariantPageFetcher.fetchDocument(pageUrl, null);
+        fetched = root ? await extractPage(root, pageUrl) : null;
+        if (!fetched || !fetched.success) {
+          throw new Error(`Could not read the page of ${dimension} "${option.label}"`);
+        }
+        BaseExtractor.normalizeVariants(fetched);
+        chosen[dimension] = option.label;
+        continue;
+      }
+
+      Logger.info(`Selecting ${dimension} "${option.label}"`);
+      const navigationId = NavigationWatcher.navigationId;
+      const href = window.location.href;
+      if (!this.choose(option.element)) {
+        throw new Error(`Could not select ${dimension} "${option.label}"`);
+      }
+      chosen[dimension] = option.label;
+
+      // A full page load ends this script; report where it is going
+      if (pageUrl) return { selected: chosen, navigated: true, url: pageUrl };
+
+      await DOMUtils.waitForStable(document.body, {
+        quietTime: 300,
+        timeout: CONFIG.variantUpdateTimeout,
+      });
+      if (NavigationWatcher.navigationId !== navigationId || window.location.href !== href) {
+        Logger.info(`Selecting ${dimension} "${option.label}" navigated to ${window.location.href}`);
+        return { selected: chosen, navigated: true, url: window.location.href };
       }
+    }
 
-      return null;
+    const productInfo = fetched || BaseExtractor.normalizeVariants(await ProductExtractor.extract());
+    return this.summarize(productInfo, chosen);
+  },
+
+  // Mark the option of dimension matching `wanted` as selected in a product
+  // read from a fetched page, whose controls can't be clicked. Returns the
+  // option's name.
+  selectFetched: function (productInfo, dimension, wanted) {
+    const values = (productInfo.variants && productInfo.variants[`${dimension}s`]) || [];
+    const option = this.match(
+      values.map((value) => ({ value: value, label: value.text, names: [this.normalize(value.text)] })),
+      wanted
+    );
+    if (!option) throw new Error(`No ${dimension} option matching "${wanted}"`);
+
+    values.forEach((value) => {
+      value.selected = value === option.value;
+    });
+    const matrix = productInfo.variantMatrix;
+    if (matrix && matrix.dimensions.includes(dimension)) {
+      matrix.selectedOptions[dimension] = option.label;
+      matrix.selected = VariantMatrix.findCombination(matrix.combinations, matrix.selectedOptions);
+    }
+    return option.label;
+  },
+
+  // URL of the page a link option leads to, or null when it stays on this
+  // page
+  pageUrlOf: function (element) {
+    const link = element.closest("a[href]");
+    const href = link ? link.getAttribute("href") : "";
+    if (!href || href.charAt(0) === "#" || /^javascript:/i.test(href)) return null;
+
+    try {
+      const url = new URL(href, window.location.href);
+      const current = new URL(window.location.href);
+      url.hash = "";
+      current.hash = "";
+      return url.href === current.href ? null : url.href;
     } catch (e) {
-      Logger.error("Error extracting from meta tags", e);
       return null;
     }
   },
 
-  // Generic DOM-based extraction
-  extractFromDOM: function () {
-    Logger.info("Extracting from DOM elements (generic)");
+  // Find the option whose name matches `wanted` (see match())
+  findOption: function (groups, wanted) {
+    const options = [];
 
-    try {
-      const result = this.createResultObject();
+    for (const group of groups) {
+      const selector = typeof group === "string" ? group : group.selector;
+      let elements = [];
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch (e) {
+        Logger.warn(`Invalid variant selector ${selector}`, e);
+      }
+
+      elements.forEach((element) => {
+        const labels =
+          typeof group === "string"
+            ? this.labelsOf(element)
+            : [group.label(element)].filter(Boolean);
+        const clickable = typeof group === "string" || !group.target ? element : group.target(element);
+        if (labels.length === 0 || !clickable) return;
+
+        options.push({
+          element: clickable,
+          label: labels[0].trim(),
+          names: labels.map((label) => this.normalize(label)),
+          disabled: this.isDisabled(clickable),
+        });
+      });
 
-      // Extract product title
-      const titleSelectors = [
-        "h1.product-title, h1.product-name, h1.product__title, h1.product__name",
-        'h1[itemprop="name"]',
-        ".product-title, .product-name, .product__title, .product__name",
-        ".product-detail__title, .product-detail__name",
-        ".pdp-title, .pdp-name",
-      ];
+      // Like the extractors, the first group that yields options is the one
+      // the page uses
+      if (options.length > 0) break;
+    }
 
-      const titleElement = DOMUtils.querySelector(titleSelectors);
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found title: ${result.title}`);
-      } else {
-        // Fallback: use the page title
-        const pageTitle = document.title;
-        if (pageTitle) {
-          // Often page titles follow pattern: "Product Name | Brand Name"
-          const titleParts = pageTitle.split("|");
-          if (titleParts.length > 1) {
-            result.title = titleParts[0].trim();
-          } else {
-            result.title = pageTitle;
-          }
-          Logger.debug(`Using page title: ${result.title}`);
-        }
-      }
+    return this.match(options, wanted);
+  },
 
-      // Extract product price
-      const priceSelectors = [
-        ".product-price, .product__price, .price-item--regular",
-        ".price-current, .current-price, .now-price",
-        '[itemprop="price"], [data-product-price]',
-        ".price:not(.price--old):not(.price--original)",
-        ".product-detail-price, .product-info__price",
-      ];
+  // The option named `wanted` (case- and space-insensitive), else the one
+  // option whose name holds it as whole words: "red" finds "Dark Red" but
+  // "L" never finds "XL". Null when nothing, or more than one option, does.
+  match: function (options, wanted) {
+    const target = this.normalize(wanted);
+    const exact = options.find((option) => option.names.includes(target));
+    if (exact) return exact;
+
+    const words = this.words(target);
+    if (words.length === 0) return null;
+    const partial = options.filter((option) =>
+      option.names.some((name) => {
+        const nameWords = this.words(name);
+        return words.every((word) => nameWords.includes(word));
+      })
+    );
 
-      const priceElement = DOMUtils.querySelector(priceSelectors);
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found price: ${result.price} ${result.currency}`);
-      } else {
-        // Try to find any text that looks like a price
-        const regex = /([0-9.,]+)\s*(?:€|\$|£|TL|₺)/;
-        const allTextElements = document.querySelectorAll("p, span, div");
+    // The same option may be rendered more than once
+    const labels = new Set(partial.map((option) => this.normalize(option.label)));
+    if (labels.size > 1) {
+      Logger.warn(`"${wanted}" matches several options: ${Array.from(labels).join(", ")}`);
+      return null;
+    }
+    return partial[0] || null;
+  },
 
-        for (const element of allTextElements) {
-          const text = DOMUtils.getTextContent(element);
-          const match = text.match(regex);
+  words: function (text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  },
 
-          if (match) {
-            result.price = FormatUtils.formatPrice(match[0]);
-            result.currency = FormatUtils.detectCurrency(match[0]);
-            Logger.debug(
-              `Found price by regex: ${result.price} ${result.currency}`
-            );
-            break;
-          }
-        }
-      }
+  labelsOf: function (element) {
+    const labels = this.labelAttributes.map((attribute) => DOMUtils.getAttribute(element, attribute));
+    labels.push(DOMUtils.getTextContent(element));
+    return labels.filter((label) => label && label.trim());
+  },
 
-      // Extract original price (for sales)
-      const originalPriceSelectors = [
-        ".original-price, .regular-price, .old-price",
-        ".price--old, .price--original, .price-item--regular.price--on-sale",
-        ".was-price, .compare-at-price",
-        "[data-original-price], [data-compare-price]",
-      ];
+  normalize: function (text) {
+    return String(text).toLowerCase().replace(/\s+/g, " ").trim();
+  },
 
-      const originalPriceElement = DOMUtils.querySelector(
-        originalPriceSelectors
-      );
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found original price: ${result.originalPrice}`);
-      }
+  isDisabled: function (element) {
+    const select = element.tagName === "OPTION" ? element.closest("select") : null;
+    return (
+      element.disabled === true ||
+      (select !== null && select.disabled) ||
+      element.getAttribute("aria-disabled") === "true"
+    );
+  },
 
-      // Extract product image
-      const bestImage = DOMUtils.findLargestImage();
-      if (bestImage) {
-        result.imageUrl = FormatUtils.makeUrlAbsolute(
-          bestImage.src || bestImage.getAttribute("data-src")
-        );
-        Logger.debug(`Found image: ${result.imageUrl}`);
-      }
+  // Make the page select `element`. Options are set on their <select>; other
+  // controls are clicked. Swatches often sit inside the add-to-cart form, so
+  // only the control itself is checked for purchase actions here. A button
+  // without a type reports "submit" even outside a form; only one that
+  // would submit a form is refused.
+  choose: function (element) {
+    if (element.tagName === "OPTION") {
+      const select = element.closest("select");
+      if (!select) return false;
+      select.value = element.value;
+      element.selected = true;
+      select.dispatchEvent(new Event("input", { bubbles: true }));
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+      return true;
+    }
 
-      // Extract product description
-      const descriptionSelectors = [
-        ".product-description, .product__description",
-        '[itemprop="description"]',
-        ".description, .desc, .product-desc",
-        ".product-detail-description, .product-details__description",
-      ];
-
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
-      if (descriptionElement) {
-        result.description = FormatUtils.cleanText(
-          DOMUtils.getTextContent(descriptionElement)
-        );
-        Logger.debug("Found product description");
-      }
-
-      // Extract product brand
-      const brandSelectors = [
-        ".product-brand, .product__brand",
-        '[itemprop="brand"]',
-        ".brand, .brand-name",
-      ];
-
-      const brandElement = DOMUtils.querySelector(brandSelectors);
-      if (brandElement) {
-        result.brand = DOMUtils.getTextContent(brandElement);
-        Logger.debug(`Found brand: ${result.brand}`);
-      }
+    const text = [DOMUtils.getTextContent(element), element.getAttribute("aria-label") || ""].join(" ");
+    if ((element.type === "submit" && element.form) || InteractionSandbox.purchaseText.test(text)) {
+      Logger.warn(`Refusing to click purchase control "${DOMUtils.getTextContent(element)}"`);
+      return false;
+    }
 
-      // Extract SKU
-      const skuSelectors = [
-        ".product-sku, .product__sku",
-        '[itemprop="sku"]',
-        ".sku, .sku-number",
-        "[data-product-sku]",
-      ];
+    element.click();
+    return true;
+  },
 
-      const skuElement = DOMUtils.querySelector(skuSelectors);
-      if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement);
-        Logger.debug(`Found SKU: ${result.sku}`);
-      }
+  // Price, SKU and stock of the product as it now reads
+  summarize: function (productInfo, chosen) {
+    const matrix = productInfo.variantMatrix;
+    const sizes = (productInfo.variants && productInfo.variants.sizes) || [];
+    const selectedSize = sizes.find((size) => size.selected) || null;
+    const stock = this.stockOf(productInfo, selectedSize);
 
-      // Extract availability
-      const availabilitySelectors = [
-        ".product-availability, .product__availability",
-        '[itemprop="availability"]',
-        ".availability, .stock-status",
-        "[data-product-available]",
-      ];
+    return {
+      selected: chosen,
+      price: productInfo.price !== undefined ? productInfo.price : null,
+      originalPrice: productInfo.originalPrice !== undefined ? productInfo.originalPrice : null,
+      currency: productInfo.currency || null,
+      sku: productInfo.sku || (matrix && matrix.selected && matrix.selected.sku) || null,
+      inStock: stock.inStock,
+      stockLevel: stock.stockLevel,
+      availability: productInfo.availability || null,
+      product: productInfo,
+    };
+  },
 
-      const availabilityElement = DOMUtils.querySelector(availabilitySelectors);
-      if (availabilityElement) {
-        result.availability = DOMUtils.getTextContent(availabilityElement);
-        Logger.debug(`Found availability: ${result.availability}`);
-      }
+  // Stock of the selected combination, the selected size or the page's
+  // availability text, in that order; null fields when none says
+  stockOf: function (productInfo, selectedSize) {
+    const matrix = productInfo.variantMatrix;
+    if (matrix && matrix.selected) {
+      return { inStock: matrix.selected.inStock, stockLevel: matrix.selected.stockLevel };
+    }
 
-      // Extract color variants
-      this.extractColorVariants(result);
+    if (selectedSize) {
+      return {
+        inStock: selectedSize.inStock,
+        stockLevel: !selectedSize.inStock
+          ? selectedSize.backInStockSoon
+            ? "back_soon"
+            : "out_of_stock"
+          : selectedSize.lowStock
+            ? "low_stock"
+            : "in_stock",
+      };
+    }
 
-      // Extract size variants
-      this.extractSizeVariants(result);
+    const availability = productInfo.availability || "";
+    if (/out ?of ?stock|sold ?out|tükendi|stokta yok/i.test(availability)) {
+      return { inStock: false, stockLevel: "out_of_stock" };
+    }
+    if (/in ?stock|stokta/i.test(availability)) {
+      return { inStock: true, stockLevel: "in_stock" };
+    }
+    return { inStock: null, stockLevel: null };
+  },
+};
 
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
+// ==================== Variant Page Fetcher ====================
+
+// Sites that give every color its own URL (Pandora, Guess, Cartier,
+// Swarovski) only render that color's price and sizes. VariantPageFetcher
+// reads the sibling pages linked from the swatches without navigating: each
+// is fetched (same origin only), parsed off-DOM with DOMParser and handed to
+// the site's extractor as its root document. Pages are cached for the life of
+// the script and fetched CONFIG.variantFetchConcurrency at a time.
+const VariantPageFetcher = {
+  // Parsed documents by URL. Holds the pending promise so repeated detection
+  // runs share one request.
+  cache: new Map(),
+
+  // Fetches in flight and tasks waiting for a slot
+  active: 0,
+  queue: [],
+
+  // Swatch links in root: [{ text, url }] for every element matching
+  // selector, named by label(element). The page URL is the element's href,
+  // data-href or enclosing link, unless urlOf(element) says otherwise.
+  linksFrom: function (root, selector, label, urlOf) {
+    const links = [];
+    root.querySelectorAll(selector).forEach((element) => {
+      const text = (label(element) || "").trim();
+      const anchor = element.closest("a[href]");
+      const url = urlOf
+        ? urlOf(element)
+        : element.getAttribute("href") ||
+          element.getAttribute("data-href") ||
+          (anchor ? anchor.getAttribute("href") : null);
+      if (text && url && !links.some((link) => link.text === text)) {
+        links.push({ text: text, url: url });
+      }
+    });
+    return links;
+  },
 
-      return result;
+  // Absolute URL without fragment, or null for other origins and
+  // non-page links
+  resolveUrl: function (href) {
+    if (!href || /^(javascript|mailto|tel):/i.test(href)) return null;
+    try {
+      const url = new URL(href, window.location.href);
+      url.hash = "";
+      return url.origin === window.location.origin ? url.href : null;
     } catch (e) {
-      Logger.error("Error extracting from DOM", e);
       return null;
     }
   },
 
-  // Helper method to extract color variants
-  extractColorVariants: function (result) {
-    try {
-      const colorSelectors = [
-        // Color swatches
-        ".color-swatch, .color-selector, .color-option",
-        // Color dropdowns/selects
-        'select[data-option="color"] option, select[name*="color"] option',
-        // Color labels/buttons
-        ".color-label, .color-name, .color-title",
-        '[data-option-name="color"] [data-value], [data-option="Color"] [data-value]',
-      ];
+  // Fetch and parse a same-origin page. Resolves with its Document, or null
+  // when it can't be read or signal (default: the running extractor's)
+  // fires first; failures are not cached.
+  fetchDocument: function (href, signal = ExtractorRegistry.signal) {
+    const url = this.resolveUrl(href);
+    if (!url) {
+      Logger.debug(`Not fetching variant page ${href}`);
+      return Promise.resolve(null);
+    }
+    if (this.cache.has(url)) return this.cache.get(url);
+    if (signal && signal.aborted) return Promise.resolve(null);
+
+    const pending = this.schedule(() => {
+      if (signal && signal.aborted) throw new Error("Extractor out of time");
+
+      const controller = typeof AbortController === "function" ? new AbortController() : null;
+      const timer = controller
+        ? setTimeout(() => controller.abort(), CONFIG.variantFetchTimeout)
+        : null;
+      if (controller && signal) {
+        signal.addEventListener("abort", () => controller.abort(), { once: true });
+      }
+
+      return fetch(url, {
+        credentials: "same-origin",
+        signal: controller ? controller.signal : undefined,
+      })
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then((html) => new DOMParser().parseFromString(html, "text/html"))
+        .finally(() => clearTimeout(timer));
+    }).catch((e) => {
+      Logger.warn(`Could not fetch variant page ${url}`, e);
+      this.cache.delete(url);
+      return null;
+    });
 
-      // Try each selector group
-      for (const selectorGroup of colorSelectors) {
-        const colorElements = document.querySelectorAll(selectorGroup);
-        if (colorElements && colorElements.length > 0) {
-          Logger.debug(
-            `Found ${colorElements.length} color options with selector: ${selectorGroup}`
-          );
+    this.cache.set(url, pending);
+    return pending;
+  },
 
-          for (const element of colorElements) {
-            // Get color name/text
-            let colorText =
-              DOMUtils.getAttribute(element, "title") ||
-              DOMUtils.getAttribute(element, "data-color-name") ||
-              DOMUtils.getAttribute(element, "data-value") ||
-              DOMUtils.getAttribute(element, "value") ||
-              DOMUtils.getTextContent(element);
+  // Run task() once fewer than CONFIG.variantFetchConcurrency tasks are
+  // running
+  schedule: function (task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push(() =>
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            this.active--;
+            this.next();
+          })
+      );
+      this.next();
+    });
+  },
 
-            if (!colorText || colorText.toLowerCase() === "select color")
-              continue;
+  next: function () {
+    while (this.active < CONFIG.variantFetchConcurrency && this.queue.length > 0) {
+      this.active++;
+      this.queue.shift()();
+    }
+  },
 
-            // Determine if this color is selected
-            const isSelected =
-              element.selected ||
-              element.hasAttribute("aria-selected") ||
-              element.classList.contains("selected") ||
-              element.classList.contains("active") ||
-              element.classList.contains("current");
+  // Run extract(root, url) on every linked page and resolve with
+  // [{ text, url, result }] for the pages that gave a product. Pages still
+  // loading after CONFIG.variantPagesTimeout, or when the running
+  // extractor's time is up, are left out.
+  extractAll: function (links, extract) {
+    const pages = [];
+    const signal = ExtractorRegistry.signal;
+
+    const all = Promise.all(
+      links.map(async (link) => {
+        const root = await this.fetchDocument(link.url, signal);
+        if (signal && signal.aborted) return;
+        if (!root) return;
+        try {
+          const result = await extract(root, this.resolveUrl(link.url));
+          if (result && result.success) {
+            pages.push({ text: link.text, url: link.url, result: result });
+          }
+        } catch (e) {
+          Logger.warn(`Extractor failed on variant page ${link.url}`, e);
+        }
+      })
+    );
 
-            // Try to get color value (could be color code or image)
-            let colorValue =
-              DOMUtils.getAttribute(element, "data-color") ||
-              DOMUtils.getAttribute(element, "data-color-value") ||
-              DOMUtils.getAttribute(element, "data-value");
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        Logger.warn(`Variant pages incomplete after ${CONFIG.variantPagesTimeout}ms`);
+        resolve(pages.slice());
+      }, CONFIG.variantPagesTimeout);
+
+      if (signal) {
+        signal.addEventListener(
+          "abort",
+          () => {
+            clearTimeout(timer);
+            resolve(pages.slice());
+          },
+          { once: true }
+        );
+      }
 
-            // If no explicit value, try background color or image
-            if (!colorValue) {
-              const img = element.querySelector("img");
-              if (img && img.src) {
-                colorValue = FormatUtils.makeUrlAbsolute(img.src);
-              } else {
-                try {
-                  const style = window.getComputedStyle(element);
-                  if (
-                    style.backgroundColor &&
-                    style.backgroundColor !== "rgba(0, 0, 0, 0)"
-                  ) {
-                    colorValue = style.backgroundColor;
-                  }
-                } catch (e) {
-                  // Ignore style errors
-                }
-              }
-            }
+      all.then(() => {
+        clearTimeout(timer);
+        resolve(pages);
+      });
+    });
+  },
 
-            // Add color to variants if not already present
-            if (!result.variants.colors.some((c) => c.text === colorText)) {
-              result.variants.colors.push({
-                text: colorText,
-                selected: isSelected,
-                value: colorValue || colorText,
-              });
+  // Read the pages of the colors other than the selected one and attach
+  // every color's sizes, price and SKU to result as its variant matrix.
+  // extract(root, url) is the site's extractor run against a fetched page.
+  aggregate: async function (result, links, extract) {
+    const colors = (result.variants && result.variants.colors) || [];
+    const selectedColor = colors.find((color) => color.selected);
+    if (!selectedColor) return result;
+
+    const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    const current = this.resolveUrl(window.location.href);
+    const siblings = links.filter(
+      (link) => !sameText(link.text, selectedColor.text) && this.resolveUrl(link.url) !== current
+    );
+    if (siblings.length === 0) return result;
 
-              Logger.debug(
-                `Added color: ${colorText}, selected: ${isSelected}`
-              );
-            }
-          }
+    const pages = await this.extractAll(siblings, extract);
+    Logger.debug(`Read ${pages.length} of ${siblings.length} variant pages`);
 
-          // If we found colors, stop searching
-          if (result.variants.colors.length > 0) break;
-        }
-      }
+    const combinations = this.combinationsFor(selectedColor.text, result);
+    pages.forEach((page) => {
+      combinations.push(...this.combinationsFor(page.text, page.result));
+    });
 
-      // Special case: look for color in tooltips (often used in carousels)
-      if (result.variants.colors.length === 0) {
-        const tooltipElements = document.querySelectorAll(
-          "[data-tooltip], [title], [aria-label]"
-        );
-        for (const element of tooltipElements) {
-          const tooltipText =
-            DOMUtils.getAttribute(element, "data-tooltip") ||
-            DOMUtils.getAttribute(element, "title") ||
-            DOMUtils.getAttribute(element, "aria-label");
+    if (pages.length > 0) {
+      VariantMatrix.apply(
+        result,
+        VariantMatrix.create(combinations, { color: selectedColor.text })
+      );
+    }
+    return result;
+  },
 
-          if (tooltipText && tooltipText.length < 30) {
-            const img = element.querySelector("img");
-            const isImage = img || element.tagName === "IMG";
+  // Combinations for one color page: one per size, or the color alone when
+  // the page has no sizes
+  combinationsFor: function (colorText, pageResult) {
+    const data = {
+      sku: pageResult.sku || null,
+      price: pageResult.price !== undefined ? pageResult.price : null,
+      originalPrice: pageResult.originalPrice !== undefined ? pageResult.originalPrice : null,
+    };
+    const sizes = (pageResult.variants && pageResult.variants.sizes) || [];
 
-            if (isImage) {
-              result.variants.colors.push({
-                text: tooltipText,
-                selected:
-                  element.classList.contains("selected") ||
-                  element.classList.contains("active"),
-                value: img ? FormatUtils.makeUrlAbsolute(img.src) : tooltipText,
-              });
+    if (sizes.length === 0) {
+      const soldOut = /out ?of ?stock|sold ?out/i.test(pageResult.availability || "");
+      return [VariantMatrix.createCombination({ color: colorText }, Object.assign({ inStock: !soldOut }, data))];
+    }
 
-              Logger.debug(`Added color from tooltip: ${tooltipText}`);
-            }
-          }
-        }
-      }
+    return sizes.map((size) => {
+      const stock = BaseExtractor.normalizeSizeOption(size);
+      let stockLevel = null;
+      if (!stock.inStock) {
+        stockLevel = stock.backInStockSoon ? "back_soon" : "out_of_stock";
+      } else if (stock.lowStock) {
+        stockLevel = "low_stock";
+      }
+      return VariantMatrix.createCombination(
+        { color: colorText, size: stock.text },
+        Object.assign({ inStock: stock.inStock, stockLevel: stockLevel }, data)
+      );
+    });
+  },
+};
+
+// ==================== URL Classification ====================
+
+// Per-site URL rules. This is the only place brand URL patterns should live;
+// product detection, URL watching and the DOM observer all go through
+// UrlClassifier.classify().
+//
+// strict: URLs matching none of the site's patterns are treated as confident
+//   non-product pages. Non-strict sites leave those URLs to the other
+//   detection signals.
+// productDomSelector: elements that prove a product page even when the URL
+//   does not. A current page matching none of the site's patterns is a
+//   product with them and a confident non-product without.
+const URL_RULES = [
+  {
+    site: "pandora",
+    hosts: ["pandora.net"],
+    // Product codes end with .html, e.g. 198421C01.html, A009.html
+    product: [/pandora\.net\/.*\/.*\/[A-Z0-9]+\.html/],
+    home: [/pandora\.net\/[a-z-]+\/?$/],
+    strict: false,
+  },
+  {
+    site: "guess",
+    hosts: ["guess.eu"],
+    // e.g. /en-tr/guess/women/bags/handbags/helina-pochette-handbag-pink/HWBG9640750-ORC.html
+    product: [/guess\.eu\/.*\/.*\.html$/],
+    listing: [
+      /guess\.eu\/.*\/(men|women|new-in|sale|accessories|clothing|bags|shoes|watches|jewelry)(\?.*)?$/,
+    ],
+    home: [/guess\.eu\/?$/, /guess\.eu\/.*\/home(\?.*)?$/],
+    strict: true,
+  },
+  {
+    site: "swarovski",
+    hosts: ["swarovski.com"],
+    // e.g. /en-TR/p-M5720860/Ariana-Grande-x-Swarovski-Tennis-bracelet/
+    product: [/swarovski\.com\/.*\/p-[A-Za-z0-9]+\//],
+    home: [/swarovski\.com\/[a-z-]*\/?$/i],
+    strict: true,
+  },
+  {
+    site: "cartier",
+    hosts: ["cartier.com"],
+    // Product codes like B6062617.html or CRWGSA0096.html
+    product: [/cartier\.com\/.*\/.*\/.*-[A-Z0-9]+\.html$/],
+    listing: [/cartier\.com\/.*\/.*\/collections\//, /cartier\.com\/.+\/$/],
+    home: [/cartier\.com\/?$/, /cartier\.com\/home/, /cartier\.com\/[a-z-]+\/home/],
+    strict: false,
+  },
+  {
+    site: "mango",
+    hosts: ["mango.com"],
+    // e.g. /tr/tr/p/erkek/gomlek/slim-fit/dar-kesimli-100-pamuklu-gomlek_87067899
+    product: [/mango\.com\/.*\/p\//],
+    listing: [/mango\.com\/.*\/h\//],
+    strict: false,
+  },
+  {
+    site: "victoriassecret",
+    hosts: ["victoriassecret.com.tr"],
+    // e.g. /urun/kadin-parfumleritester-eau-so-sexy-victoriassecret-tester-edp-100-ml-1691/
+    product: [/victoriassecret\.com\.tr\/(.*\/)?urun\//],
+    listing: [/victoriassecret\.com\.tr\/(kampanya|kategori)(\/|$)/],
+    home: [/victoriassecret\.com\.tr\/?$/, /victoriassecret\.com\.tr\/home\/?$/],
+    strict: true,
+  },
+  {
+    site: "nocturne",
+    hosts: ["nocturne.com.tr"],
+    // An underscore followed by a numeric ID, optionally with query parameters
+    product: [/nocturne\.com\.tr\/.*_\d+($|\?)/],
+    listing: [
+      /nocturne\.com\.tr\/(ust-giyim|aksesuar|indirim|giyim|alt-giyim|dis-giyim|plaj-giyim)$/,
+    ],
+    home: [/nocturne\.com\.tr\/?$/],
+    strict: true,
+  },
+  {
+    site: "bershka",
+    hosts: ["bershka.com"],
+    // c0p followed by numbers and .html
+    product: [/bershka\.com\/.*c0p\d+\.html/],
+    home: [/bershka\.com\/?$/],
+    strict: true,
+    productDomSelector:
+      '[data-qa-anchor="productDetailSize"], [data-qa-anchor="productDetailColors"], [data-qa-anchor="productName"]',
+  },
+  {
+    site: "massimodutti",
+    hosts: ["massimodutti.com"],
+    // e.g. /tr/yumusak-bantl%C4%B1-makosen-l12502550?pelement=45484097
+    product: [
+      /massimodutti\.com\/.*\/[^\/]+\-l\d{8}\?pelement=\d+/,
+      /massimodutti\.com\/.*\/.*l\d{8}/,
+    ],
+    home: [/massimodutti\.com\/?$/],
+    strict: true,
+  },
+  {
+    site: "beymen",
+    hosts: ["beymen.com"],
+    product: [/beymen\.com\/.*(\-p\-|\/product\/)/],
+    listing: [/beymen\.com\/.*\/(kadin|erkek|cocuk|aksesuar)/],
+    home: [/beymen\.com\/?$/, /beymen\.com\/.*\/home/],
+    strict: true,
+  },
+  {
+    site: "louisvuitton",
+    hosts: ["louisvuitton.com"],
+    // e.g. /eng-us/products/neverfull-mm-monogram-nvprod440003v/M40995
+    product: [/louisvuitton\.com\/[a-z]{3}-[a-z]{2}\/products\//],
+    // Category pages end in an /_/N-... facet segment
+    listing: [/louisvuitton\.com\/[a-z]{3}-[a-z]{2}\/.*\/_\/N-/, /louisvuitton\.com\/[a-z]{3}-[a-z]{2}\/search\//],
+    home: [/louisvuitton\.com\/?$/, /louisvuitton\.com\/[a-z]{3}-[a-z]{2}\/homepage/],
+    strict: true,
+  },
+  {
+    site: "miumiu",
+    hosts: ["miumiu.com"],
+    // e.g. /tr/tr/p/poplin-shirt/MK1398_11GY_F0009_S_OOO
+    product: [/miumiu\.com\/[a-z]{2}\/[a-z]{2}\/p\/[^/]+\/[A-Z0-9_]+/],
+    // Categories end in /c/<id>, e.g. /tr/tr/women/bags/c/10155TR
+    listing: [/miumiu\.com\/[a-z]{2}\/[a-z]{2}\/.*\/c\/[A-Za-z0-9]+/, /miumiu\.com\/[a-z]{2}\/[a-z]{2}\/search/],
+    home: [/miumiu\.com\/?$/, /miumiu\.com\/[a-z]{2}\/[a-z]{2}(\.html)?\/?$/],
+    strict: true,
+  },
+  {
+    site: "lacoste",
+    hosts: ["lacoste.com.tr"],
+    // Slugs ending in the model and color code, e.g. /erkek-slim-fit-polo-ph4012-031/
+    product: [/lacoste\.com\.tr\/[^?#]*-[a-z]{1,3}\d{3,4}-[a-z0-9]{3}\/?($|[?#])/i],
+    listing: [/lacoste\.com\.tr\/(erkek|kadin|cocuk|indirim|yeni-sezon)(\/[^?#]*)?($|[?#])/, /lacoste\.com\.tr\/(arama|search)/],
+    home: [/lacoste\.com\.tr\/?$/],
+    // Other slugs are products only when the page has the product DOM
+    strict: false,
+    productDomSelector: ".product-detail__sizes, .product-detail__code",
+  },
+  {
+    site: "ipekyol",
+    hosts: ["ipekyol.com.tr"],
+    // Product slugs end in the product code, e.g. /kruvaze-ceket-IW6240011061001
+    product: [/ipekyol\.com\.tr\/[^?#]*-[A-Z]{2}\d{10,}\/?($|[?#])/i],
+    listing: [/ipekyol\.com\.tr\/(kadin|erkek|yeni-gelenler|indirim|koleksiyon)(\/|$|\?)/, /ipekyol\.com\.tr\/(arama|search)/],
+    home: [/ipekyol\.com\.tr\/?$/],
+    strict: false,
+    productDomSelector: ".product-detail__sizes, .product-detail__code",
+  },
+  {
+    site: "manc",
+    hosts: ["mancofficial.com"],
+    // Shopify store: /products/<handle>, also under /collections/<handle>/
+    product: [/mancofficial\.com\/([a-z]{2}\/)?(collections\/[^/]+\/)?products\//],
+    listing: [/mancofficial\.com\/([a-z]{2}\/)?collections(\/|$)/, /mancofficial\.com\/([a-z]{2}\/)?search/],
+    home: [/mancofficial\.com\/?$/, /mancofficial\.com\/[a-z]{2}\/?$/],
+    strict: true,
+  },
+  {
+    site: "sandro",
+    hosts: ["sandro.com.tr"],
+    // References such as SFPCA00484, e.g. /kadin/elbise/SFPRO03123.html
+    product: [/sandro\.com\.tr\/.*S[FH][A-Z]{3}\d{5}/i],
+    listing: [/sandro\.com\.tr\/(kadin|erkek|indirim|yeni-gelenler)\/?($|\?)/, /sandro\.com\.tr\/(arama|search)/],
+    home: [/sandro\.com\.tr\/?$/],
+    strict: false,
+    productDomSelector: ".swatches.size, .product-ref",
+  },
+  {
+    site: "deepatelier",
+    hosts: ["deepatelier.co"],
+    // Shopify store: /products/<handle>, also under /collections/<handle>/
+    product: [/deepatelier\.co\/([a-z]{2}\/)?(collections\/[^/]+\/)?products\//],
+    listing: [/deepatelier\.co\/([a-z]{2}\/)?collections(\/|$)/, /deepatelier\.co\/([a-z]{2}\/)?search/],
+    home: [/deepatelier\.co\/?$/, /deepatelier\.co\/[a-z]{2}\/?$/],
+    strict: true,
+  },
+];
+
+// URL patterns common to product pages on sites without their own rules
+const GENERIC_PRODUCT_URL_PATTERNS = [
+  /\/p\//, // Common pattern like /p/product-name
+  /\/product\//, // Common pattern like /product/product-name
+  /\/products\//, // Common Shopify pattern
+  /-p-\d+/, // Common pattern like product-name-p-12345
+  /\/pd\//, // Another common product pattern
+  /\/item\//, // Common pattern for items
+  /\/dp\/[A-Z0-9]{10}/, // Amazon-style product URLs
+  /product_id=\d+/, // URL parameter style
+  /\/prod\d+/, // product ID pattern
+  /\/pr\//, // Gucci-specific pattern
+  /_\d+($|\?)/, // Pattern like product-name_12345 or product-name_12345?d=10322
+];
+
+// Classify any URL as { site, pageType, confidence }
+const UrlClassifier = {
+  // Minimum confidence for a non-product classification to skip detection
+  skipThreshold: 0.7,
+
+  // Find the rule set for a URL by hostname suffix
+  getSiteRules: function (url) {
+    let hostname = "";
+    try {
+      hostname = new URL(url, window.location.href).hostname.toLowerCase();
     } catch (e) {
-      Logger.warn("Error extracting color variants", e);
+      return null;
     }
+
+    return (
+      URL_RULES.find((rules) =>
+        rules.hosts.some(
+          (host) => hostname === host || hostname.endsWith("." + host)
+        )
+      ) || null
+    );
   },
 
-  // Helper method to extract size variants
-  extractSizeVariants: function (result) {
-    try {
-      const sizeSelectors = [
-        // Size swatches/options
-        ".size-swatch, .size-selector, .size-option",
-        ".size-selector li, .size-list li, .size-options li",
-        // Size dropdowns/selects
-        'select[data-option="size"] option, select[name*="size"] option',
-        // Size labels/buttons
-        ".size-label, .size-name, .size-title",
-        '[data-option-name="size"] [data-value], [data-option="Size"] [data-value]',
-      ];
+  classify: function (url) {
+    url = url || window.location.href;
 
-      // Try each selector group
-      for (const selectorGroup of sizeSelectors) {
-        const sizeElements = document.querySelectorAll(selectorGroup);
-        if (sizeElements && sizeElements.length > 0) {
-          Logger.debug(
-            `Found ${sizeElements.length} size options with selector: ${selectorGroup}`
-          );
+    const matches = (patterns) =>
+      (patterns || []).some((pattern) => pattern.test(url));
 
-          for (const element of sizeElements) {
-            // Get size text
-            let sizeText =
-              DOMUtils.getAttribute(element, "title") ||
-              DOMUtils.getAttribute(element, "data-size-name") ||
-              DOMUtils.getAttribute(element, "data-value") ||
-              DOMUtils.getAttribute(element, "value") ||
-              DOMUtils.getTextContent(element);
+    const rules = this.getSiteRules(url);
+    if (!rules) {
+      if (matches(GENERIC_PRODUCT_URL_PATTERNS)) {
+        return { site: null, pageType: "product", confidence: 0.6 };
+      }
+      return { site: null, pageType: "other", confidence: 0.2 };
+    }
 
-            if (!sizeText || sizeText.toLowerCase() === "select size") continue;
+    if (matches(rules.product)) {
+      return { site: rules.site, pageType: "product", confidence: 0.9 };
+    }
+    if (matches(rules.home)) {
+      return { site: rules.site, pageType: "home", confidence: 0.9 };
+    }
+    if (matches(rules.listing)) {
+      return { site: rules.site, pageType: "listing", confidence: 0.8 };
+    }
 
-            // Determine if this size is selected
-            const isSelected =
-              element.selected ||
-              element.hasAttribute("aria-selected") ||
-              element.classList.contains("selected") ||
-              element.classList.contains("active") ||
-              element.classList.contains("current");
+    if (rules.productDomSelector && this.isCurrentPage(url)) {
+      return document.querySelector(rules.productDomSelector)
+        ? { site: rules.site, pageType: "product", confidence: 0.8 }
+        : { site: rules.site, pageType: "other", confidence: 0.8 };
+    }
 
-            // Add size to variants if not already present
-            if (!result.variants.sizes.some((s) => s.text === sizeText)) {
-              result.variants.sizes.push({
-                text: sizeText,
-                selected: isSelected,
-                value: sizeText,
-              });
-
-              Logger.debug(`Added size: ${sizeText}, selected: ${isSelected}`);
-            }
-          }
+    return {
+      site: rules.site,
+      pageType: "other",
+      confidence: rules.strict ? 0.8 : 0.4,
+    };
+  },
 
-          // If we found sizes, stop searching
-          if (result.variants.sizes.length > 0) break;
-        }
-      }
+  // Whether url is the page being shown, whose DOM can be consulted
+  isCurrentPage: function (url) {
+    try {
+      const here = new URL(window.location.href);
+      const there = new URL(url, here.href);
+      here.hash = "";
+      there.hash = "";
+      return here.href === there.href;
     } catch (e) {
-      Logger.warn("Error extracting size variants", e);
+      return false;
     }
   },
-};
-
-// Shopify-specific extractor
-const ShopifyExtractor = {
-  // Check if the current page is a Shopify store
-  isShopify: function () {
-    // Check for Shopify-specific meta tag
-    const shopifyTag = document.querySelector(
-      'meta[name="shopify-digital-wallet"]'
-    );
-    if (shopifyTag) return true;
 
-    // Check for Shopify-specific scripts
-    const shopifyScripts = document.querySelector(
-      'script[src*="shopify"], script[src*="cdn.shop"]'
-    );
-    if (shopifyScripts) return true;
+  // Whether product detection should be skipped for a URL. Only confident
+  // non-product classifications of known sites are skipped; a matching
+  // product DOM overrides the URL.
+  shouldSkipDetection: function (url) {
+    const classification = this.classify(url);
+    if (!classification.site || classification.pageType === "product") {
+      return false;
+    }
+    if (classification.confidence < this.skipThreshold) {
+      return false;
+    }
 
-    // Check for Shopify object in window
-    if (window.Shopify) return true;
+    const rules = this.getSiteRules(url || window.location.href);
+    if (
+      rules.productDomSelector &&
+      document.querySelector(rules.productDomSelector)
+    ) {
+      return false;
+    }
 
-    return false;
+    return true;
   },
+};
 
-  // Extract product info from Shopify store
-  extract: function () {
-    Logger.info("Extracting product info from Shopify store");
+// ==================== Product Page Detection ====================
 
-    try {
-      const result = BaseExtractor.createResultObject();
-      result.extractionMethod = "shopify";
+// Detect if current page is a product page
+const ProductPageDetector = {
+  // Score returned by getDOMScore when a strong product indicator is present
+  strongIndicatorScore: 6,
 
-      // Shopify stores typically expose product JSON
-      let productJson = null;
+  // Score DOM elements common for product pages
+  getDOMScore: function () {
+    // Elements that strongly indicate a product page
+    const strongIndicators = [
+      // Product forms
+      'form[action*="cart"], form[action*="basket"], form[action*="bag"]',
+      ".product-page, .product-detail, .product-details, .pdp, .pdp-container",
+      '[itemtype="http://schema.org/Product"], [itemscope][itemtype*="Product"]',
+      // Add to cart buttons
+      'button[name="add"], button[id*="AddToCart"], button[class*="add-to-cart"]',
+      'button[class*="addToCart"], button[class*="add_to_cart"]',
+      'button[id*="add-to-cart"], button[class*="btn-cart"]',
+      ".add-to-cart, .add_to_cart, .add-to-bag, .add-to-basket",
+      // Product variants/options (size/color)
+      'select[id*="product-select"], div[data-product-variants]',
+      ".product-variants, .product-options, .product__variants",
+      ".swatch, .color-swatch, .size-swatch",
+      // Gucci-specific indicators
+      "#product-detail-add-to-shopping-bag-form",
+      ".select2-results__options",
+      ".carousel-slide[data-slick-index]",
+    ];
 
-      // Try to find product JSON from meta tag
-      const productMetaTag = document.querySelector(
-        'meta[property="product:retailer_item_id"]'
-      );
-      if (productMetaTag) {
-        const productId = productMetaTag.getAttribute("content");
-        const scriptTag = document.querySelector(
-          `script[id="ProductJson-${productId}"], script[data-product-json]`
-        );
-        if (scriptTag) {
-          try {
-            productJson = JSON.parse(scriptTag.textContent);
-          } catch (e) {
-            Logger.warn("Failed to parse product JSON from script tag", e);
-          }
+    // Check for strong indicators
+    for (const selector of strongIndicators) {
+      try {
+        const elements = document.querySelectorAll(selector);
+        if (elements && elements.length > 0) {
+          Logger.info(
+            `Found product indicator: ${selector} (${elements.length} elements)`
+          );
+          return this.strongIndicatorScore;
         }
+      } catch (e) {
+        // Skip invalid selectors
       }
+    }
 
-      // Try to find product JSON from window object
-      if (
-        !productJson &&
-        window.ShopifyAnalytics &&
-        window.ShopifyAnalytics.meta
-      ) {
-        productJson = window.ShopifyAnalytics.meta.product;
-      }
+    // Check for combinations of weaker indicators
+    let score = 0;
 
-      // Try to find product JSON from variable
-      if (!productJson) {
-        const scripts = document.querySelectorAll("script:not([src])");
-        for (const script of scripts) {
-          const content = script.textContent;
-          if (
-            content.includes("var product =") ||
-            content.includes("window.product =")
-          ) {
-            try {
-              // Extract the JSON object using regex
-              const match =
-                content.match(/var\s+product\s*=\s*({.+?});/s) ||
-                content.match(/window\.product\s*=\s*({.+?});/s);
-              if (match && match[1]) {
-                productJson = JSON.parse(match[1]);
-              }
-            } catch (e) {
-              // Skip invalid JSON
-            }
-          }
+    // Price indicators
+    const priceSelectors = [
+      ".price, .product-price, .price-container, .product__price",
+      'span[itemprop="price"], [data-product-price]',
+      '[class*="product"][class*="price"]',
+      // Gucci-specific
+      ".product-detail-price",
+    ];
+
+    for (const selector of priceSelectors) {
+      try {
+        if (document.querySelector(selector)) {
+          score += 2;
+          break;
         }
+      } catch (e) {
+        // Skip invalid selectors
       }
+    }
 
-      // Extract from product JSON if found
-      if (productJson) {
-        Logger.debug("Found Shopify product JSON", productJson);
-
-        result.title = productJson.title;
-        result.description = productJson.description;
-        result.sku = productJson.sku || productJson.id;
-        result.brand = productJson.vendor;
+    // Product title/name indicators
+    const titleSelectors = [
+      ".product-title, .product-name, .product__title, .product__name",
+      'h1[itemprop="name"], h1.product-title',
+      '[class*="product"][class*="title"], [class*="product"][class*="name"]',
+      // Gucci-specific
+      ".pdp__info h1",
+    ];
 
-        // Extract image
-        if (
-          productJson.featured_image ||
-          (productJson.images && productJson.images.length > 0)
-        ) {
-          const imageUrl = productJson.featured_image || productJson.images[0];
-          result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
+    for (const selector of titleSelectors) {
+      try {
+        if (document.querySelector(selector)) {
+          score += 2;
+          break;
         }
+      } catch (e) {
+        // Skip invalid selectors
+      }
+    }
 
-        // Extract variants
-        if (productJson.variants && productJson.variants.length > 0) {
-          const variant = productJson.variants[0]; // Use first variant for price
-          result.price = variant.price / 100; // Shopify prices are in cents
-
-          // Find currency
-          if (variant.currency) {
-            result.currency = variant.currency;
-          } else {
-            // Try to find currency from meta tag
-            const currencyMeta = document.querySelector(
-              'meta[property="og:price:currency"]'
-            );
-            result.currency = currencyMeta
-              ? currencyMeta.getAttribute("content")
-              : "USD";
-          }
-
-          // Extract compare_at_price if available
-          if (
-            variant.compare_at_price &&
-            variant.compare_at_price > variant.price
-          ) {
-            result.originalPrice = variant.compare_at_price / 100;
-          }
-        }
+    // Image gallery indicators
+    const gallerySelectors = [
+      ".product-gallery, .product-images, .product__gallery",
+      '[class*="product"][class*="gallery"], [class*="product"][class*="image"]',
+      ".gallery-container, .slick-slider",
+      // Gucci-specific
+      ".slick-track",
+    ];
 
-        // Extract options (colors, sizes, etc.)
-        if (productJson.options) {
-          for (const option of productJson.options) {
-            const optionName = option.name.toLowerCase();
-            const values = option.values;
-
-            if (optionName.includes("color") || optionName.includes("colour")) {
-              for (const value of values) {
-                result.variants.colors.push({
-                  text: value,
-                  selected: false, // Can't determine from JSON
-                  value: value,
-                });
-              }
-            } else if (optionName.includes("size")) {
-              for (const value of values) {
-                result.variants.sizes.push({
-                  text: value,
-                  selected: false, // Can't determine from JSON
-                  value: value,
-                });
-              }
-            } else {
-              for (const value of values) {
-                result.variants.otherOptions.push({
-                  text: value,
-                  selected: false,
-                  value: value,
-                });
-              }
-            }
-          }
+    for (const selector of gallerySelectors) {
+      try {
+        if (document.querySelector(selector)) {
+          score += 1;
+          break;
         }
-
-        // If we have product JSON, mark as success
-        result.success = true;
-        return result;
+      } catch (e) {
+        // Skip invalid selectors
       }
-
-      // Fallback to DOM extraction if no product JSON found
-      Logger.info(
-        "No Shopify product JSON found, falling back to DOM extraction"
-      );
-
-      // Attempt to extract from DOM
-      return BaseExtractor.extractFromDOM();
-    } catch (e) {
-      Logger.error("Error extracting from Shopify store", e);
-      return null;
     }
-  },
-};
 
-// WooCommerce-specific extractor
-const WooCommerceExtractor = {
-  // Check if the current page is a WooCommerce store
-  isWooCommerce: function () {
-    // Check for WooCommerce-specific classes
-    const wooElements = document.querySelector(
-      ".woocommerce, .woocommerce-page"
-    );
-    if (wooElements) return true;
-
-    // Check for WooCommerce-specific scripts
-    const wooScripts = document.querySelector('script[src*="woocommerce"]');
-    if (wooScripts) return true;
+    // Description indicators
+    const descSelectors = [
+      ".product-description, .product__description",
+      '[itemprop="description"], [class*="product"][class*="desc"]',
+      // Gucci-specific
+      ".product-detail-description",
+    ];
 
-    // Check for WooCommerce object in window
-    if (window.wc_add_to_cart_params || window.woocommerce_params) return true;
+    for (const selector of descSelectors) {
+      try {
+        if (document.querySelector(selector)) {
+          score += 1;
+          break;
+        }
+      } catch (e) {
+        // Skip invalid selectors
+      }
+    }
 
-    return false;
+    Logger.info(`DOM product indicator score: ${score}`);
+    return score;
   },
 
-  // Extract product info from WooCommerce store
-  extract: function () {
-    Logger.info("Extracting product info from WooCommerce store");
+  // Check meta tags for product indicators
+  checkMetaTags: function () {
+    // Check for Open Graph product type
+    const ogType = document.querySelector('meta[property="og:type"]');
+    if (ogType && ogType.content === "product") {
+      Logger.info("Open Graph product type found");
+      return true;
+    }
 
-    try {
-      const result = BaseExtractor.createResultObject();
-      result.extractionMethod = "woocommerce";
+    // Check for product-specific meta tags
+    const productMetaTags = [
+      'meta[property="product:price:amount"]',
+      'meta[property="og:price:amount"]',
+      'meta[property="og:availability"]',
+      'meta[name="twitter:data1"][content*="$"]',
+      'meta[name="twitter:label1"][content*="Price"]',
+    ];
 
-      // Extract product title
-      const titleElement = document.querySelector(".product_title");
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
+    for (const selector of productMetaTags) {
+      if (document.querySelector(selector)) {
+        Logger.info(`Product meta tag found: ${selector}`);
+        return true;
       }
+    }
 
-      // Extract product price
-      const priceElement = document.querySelector(
-        ".price .woocommerce-Price-amount"
-      );
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText);
-      }
+    return false;
+  },
 
-      // Extract sale price if available
-      const originalPriceElement = document.querySelector(
-        ".price del .woocommerce-Price-amount"
-      );
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-      }
+  // Collect every schema.org @type declared in JSON-LD blocks
+  getStructuredDataTypes: function () {
+    const types = [];
+    const scripts = document.querySelectorAll(
+      'script[type="application/ld+json"]'
+    );
 
-      // Extract product image
-      const imageElement = document.querySelector(
-        ".woocommerce-product-gallery__image img"
-      );
-      if (imageElement) {
-        result.imageUrl = FormatUtils.makeUrlAbsolute(
-          imageElement.src || imageElement.getAttribute("data-src")
-        );
-      }
+    const collect = (obj) => {
+      if (!obj || typeof obj !== "object") return;
 
-      // Extract product description
-      const descriptionElement = document.querySelector(
-        ".woocommerce-product-details__short-description"
-      );
-      if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
+      if (Array.isArray(obj)) {
+        obj.forEach(collect);
+        return;
       }
 
-      // Extract product SKU
-      const skuElement = document.querySelector(".sku");
-      if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement);
+      if (obj["@type"]) {
+        [].concat(obj["@type"]).forEach((type) => types.push(String(type)));
+      }
+      for (const key in obj) {
+        collect(obj[key]);
       }
+    };
 
-      // Extract product availability
-      const availabilityElement = document.querySelector(".stock");
-      if (availabilityElement) {
-        result.availability = DOMUtils.getTextContent(availabilityElement);
+    for (const script of scripts) {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch (e) {
+        // Skip invalid JSON
       }
+    }
 
-      // Extract color variations
-      const colorElements = document.querySelectorAll(
-        'select[name^="attribute_pa_color"] option, .color-variable-item'
-      );
-      for (const element of colorElements) {
-        const colorText = DOMUtils.getTextContent(element);
-        if (colorText && colorText.toLowerCase() !== "choose an option") {
-          result.variants.colors.push({
-            text: colorText,
-            selected:
-              element.selected || element.classList.contains("selected"),
-            value: colorText,
-          });
-        }
+    return types;
+  },
+
+  // Count elements matching any of the selectors, ignoring invalid ones
+  countElements: function (selectors) {
+    let count = 0;
+    for (const selector of selectors) {
+      try {
+        count += document.querySelectorAll(selector).length;
+      } catch (e) {
+        // Skip invalid selectors
       }
+    }
+    return count;
+  },
 
-      // Extract size variations
-      const sizeElements = document.querySelectorAll(
-        'select[name^="attribute_pa_size"] option, .size-variable-item'
-      );
-      for (const element of sizeElements) {
-        const sizeText = DOMUtils.getTextContent(element);
-        if (sizeText && sizeText.toLowerCase() !== "choose an option") {
-          result.variants.sizes.push({
-            text: sizeText,
-            selected:
-              element.selected || element.classList.contains("selected"),
-            value: sizeText,
-          });
-        }
+  // URL path patterns for non-product page types on any site
+  pageTypeUrlPatterns: {
+    cart: [/\/(cart|basket|bag|sepet|sepetim|shopping-bag)(\/|\?|$)/i],
+    checkout: [/\/(checkout|odeme|payment|siparis)(\/|\?|$)/i],
+    account: [
+      /\/(account|my-account|hesabim|profile|login|signin|sign-in|register|giris|uye-ol|wishlist|favoriler)(\/|\?|$)/i,
+    ],
+    search: [/\/(search|arama|ara)(\/|\?|$)/i, /[?&](q|query|search|searchTerm|text)=/i],
+    listing: [/\/(category|categories|collections?|kategori|c)\/[^/]+\/?(\?|$)/i],
+  },
+
+  // Score every page type from URL, DOM, meta tag and structured data signals
+  scorePageTypes: function () {
+    const url = window.location.href;
+    const scores = {
+      product: 0,
+      listing: 0,
+      search: 0,
+      cart: 0,
+      checkout: 0,
+      account: 0,
+      home: 0,
+    };
+
+    // URL signals: site-specific rules first, then generic path patterns
+    const urlClass = UrlClassifier.classify(url);
+    if (scores.hasOwnProperty(urlClass.pageType)) {
+      scores[urlClass.pageType] += 4 * urlClass.confidence;
+    }
+
+    for (const type in this.pageTypeUrlPatterns) {
+      if (this.pageTypeUrlPatterns[type].some((pattern) => pattern.test(url))) {
+        scores[type] += 3;
       }
+    }
 
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
+    const path = window.location.pathname.replace(/\/+$/, "");
+    if (path === "" || /^\/[a-z]{2}([-_][a-z]{2})?$/i.test(path)) {
+      scores.home += 3;
+    }
 
-      return result;
-    } catch (e) {
-      Logger.error("Error extracting from WooCommerce store", e);
-      return null;
+    // DOM signals
+    scores.product += this.getDOMScore() / 2;
+
+    const productCards = this.countElements(LISTING_TILE_SELECTORS);
+    if (productCards >= 4) {
+      scores.listing += Math.min(4, productCards / 4);
+    }
+
+    if (this.countElements([
+      ".cart-item, .cart__item, .basket-item, .bag-item",
+      "[class*='cart-summary'], [class*='order-summary'], [class*='basket-summary']",
+    ]) > 0) {
+      scores.cart += 3;
+    }
+
+    if (this.countElements([
+      'form[action*="checkout"], input[autocomplete="cc-number"]',
+      'input[autocomplete="shipping street-address"], [name*="shipping_address"]',
+    ]) > 0) {
+      scores.checkout += 4;
+    }
+
+    if (this.countElements(['input[type="password"]']) > 0) {
+      scores.account += 2;
     }
+
+    const searchInput = document.querySelector(
+      'input[type="search"], input[name="q"], input[name="search"]'
+    );
+    if (searchInput && searchInput.value && productCards > 0) {
+      scores.search += 2;
+    }
+
+    // Meta tag signals
+    if (this.checkMetaTags()) {
+      scores.product += 3;
+    }
+
+    // Structured data signals
+    const types = this.getStructuredDataTypes();
+    const productTypes = types.filter((type) => type === "Product").length;
+    if (types.includes("SearchResultsPage")) scores.search += 4;
+    if (types.includes("CollectionPage") || types.includes("ItemList")) {
+      scores.listing += 3;
+    }
+    if (productTypes === 1) {
+      scores.product += 4;
+    } else if (productTypes > 1) {
+      // Several Product entries usually describe a listing grid
+      scores.listing += 2;
+      scores.product += 1;
+    }
+
+    // Search results are listings too; don't let the listing grid outvote them
+    if (scores.search > 0) {
+      scores.search += scores.listing / 2;
+    }
+
+    return scores;
+  },
+
+  // Classify the current page as product, listing, search, cart, checkout,
+  // account, home or other, with a 0-1 confidence
+  classifyPage: function () {
+    const scores = this.scorePageTypes();
+    const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const best = ranked[0];
+    const top = scores[best];
+    const runnerUp = scores[ranked[1]];
+
+    if (top < 2) {
+      Logger.info("Page type: other (no strong signals)", scores);
+      return { pageType: "other", confidence: 0.5, scores };
+    }
+
+    // Confidence grows with the margin over the runner-up and with the
+    // absolute strength of the winning signals
+    const margin = (top - runnerUp) / top;
+    const strength = Math.min(1, top / 10);
+    const confidence =
+      Math.round((0.5 * margin + 0.5 * strength) * 100) / 100;
+
+    Logger.info(`Page type: ${best} (confidence ${confidence})`, scores);
+    return { pageType: best, confidence, scores };
+  },
+
+  // Master method to check if the current page is a product page
+  isProductPage: function () {
+    Logger.info("Checking if page is a product page...");
+    return this.classifyPage().pageType === "product";
   },
 };
 
-// Gucci-specific extractor
-const GucciExtractor = {
-  // Check if the current page is Gucci
-  isGucci: function () {
-    return window.location.hostname.includes("gucci.com");
+// ==================== Variant Matrix ====================
+
+// Full variant model: every purchasable combination of options with its own
+// stock and price. Extractors that know per-combination data build a matrix
+// and let apply() derive the legacy flat colors/sizes/otherOptions lists.
+//
+// result.variantMatrix = {
+//   dimensions: ["color", "size"],
+//   combinations: [{ options: { color, size }, sku, price, originalPrice,
+//                    inStock, stockLevel }],
+//   selectedOptions: { color: "Black", size: null },
+//   selected: <combination matching selectedOptions, or null>,
+// }
+//
+// stockLevel is one of "in_stock", "low_stock", "out_of_stock", "back_soon"
+// or null when the site doesn't say.
+const VariantMatrix = {
+  // Map site option names onto the dimensions the app understands
+  normalizeDimension: function (name) {
+    const lower = (name || "").toLowerCase().trim();
+    if (/(colou?r|renk|color_name)/.test(lower)) return "color";
+    if (/(size|beden|boyut|ölçü)/.test(lower)) return "size";
+    // Jewelry options
+    if (/(metal|maden)/.test(lower)) return "metal";
+    if (/(stone|gem|taş)/.test(lower)) return "stone";
+    return lower || "option";
   },
 
-  // Extract product info from Gucci site
-  extract: function () {
-    Logger.info("Extracting product info from Gucci store");
+  // Create a combination with defaults for the fields a site doesn't expose
+  createCombination: function (options, data = {}) {
+    const inStock = data.inStock !== undefined ? !!data.inStock : true;
+    return {
+      options: options,
+      sku: data.sku || null,
+      price: data.price !== undefined ? data.price : null,
+      originalPrice: data.originalPrice !== undefined ? data.originalPrice : null,
+      inStock: inStock,
+      stockLevel: data.stockLevel || (inStock ? "in_stock" : "out_of_stock"),
+    };
+  },
 
-    try {
-      const result = BaseExtractor.createResultObject();
-      result.extractionMethod = "gucci";
-      result.brand = "Gucci"; // Set brand directly
+  // Build a matrix from combinations and the currently selected options
+  create: function (combinations, selectedOptions = {}) {
+    const dimensions = [];
+    combinations.forEach((combination) => {
+      Object.keys(combination.options).forEach((dimension) => {
+        if (!dimensions.includes(dimension)) dimensions.push(dimension);
+      });
+    });
 
-      // Extract product title
-      const titleSelectors = [
-        'h1[itemprop="name"]',
-        "h1.product__name",
-        ".product-info h1",
-        ".pdp__info h1",
-      ];
+    const selected = {};
+    dimensions.forEach((dimension) => {
+      selected[dimension] =
+        selectedOptions[dimension] !== undefined ? selectedOptions[dimension] : null;
+    });
 
-      const titleElement = DOMUtils.querySelector(titleSelectors);
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Gucci title: ${result.title}`);
-      } else {
-        // Fallback to page title
-        const pageTitle = document.title;
-        if (pageTitle) {
-          // Often follows pattern: "Product Name | Gucci® TR"
-          const titleParts = pageTitle.split("|");
-          if (titleParts.length > 1) {
-            result.title = titleParts[0].trim();
-          } else {
-            result.title = pageTitle;
-          }
-          Logger.debug(`Using page title: ${result.title}`);
+    return {
+      dimensions: dimensions,
+      combinations: combinations,
+      selectedOptions: selected,
+      selected: this.findCombination(combinations, selected),
+    };
+  },
+
+  // Find the combination matching every non-null option, if fully selected
+  findCombination: function (combinations, options) {
+    const keys = Object.keys(options);
+    if (keys.length === 0 || keys.some((key) => options[key] === null)) {
+      return null;
+    }
+    return (
+      combinations.find((combination) =>
+        keys.every((key) => combination.options[key] === options[key])
+      ) || null
+    );
+  },
+
+  // Whether a value is purchasable given the other selected options, e.g.
+  // size M in the selected color
+  isAvailable: function (matrix, dimension, value) {
+    return matrix.combinations.some(
+      (combination) =>
+        combination.options[dimension] === value &&
+        combination.inStock &&
+        matrix.dimensions.every(
+          (other) =>
+            other === dimension ||
+            matrix.selectedOptions[other] === null ||
+            combination.options[other] === matrix.selectedOptions[other]
+        )
+    );
+  },
+
+  // Stock levels of the combinations with a value, given the other selected
+  // options
+  stockLevelsFor: function (matrix, dimension, value) {
+    return matrix.combinations
+      .filter(
+        (combination) =>
+          combination.options[dimension] === value &&
+          matrix.dimensions.every(
+            (other) =>
+              other === dimension ||
+              matrix.selectedOptions[other] === null ||
+              combination.options[other] === matrix.selectedOptions[other]
+          )
+      )
+      .map((combination) => combination.stockLevel);
+  },
+
+  // Derive the legacy flat lists, keeping extra fields (swatch images, RGB
+  // values, ...) from any existing entry with the same text and keeping
+  // existing entries the matrix has no combinations for
+  deriveFlatLists: function (matrix, existing = {}) {
+    const lists = { colors: [], sizes: [], otherOptions: [] };
+    const sameText = (a, b) =>
+      String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    const listFor = (dimension) =>
+      dimension === "color" ? "colors" : dimension === "size" ? "sizes" : "otherOptions";
+    // Size fields rebuilt from the matrix; anything else is a site extra
+    const sizeFields = [
+      "text", "selected", "value", "inStock", "lowStock", "backInStockSoon",
+      "deliveryEstimate", "notifyAvailable",
+    ];
+
+    matrix.dimensions.forEach((dimension) => {
+      const listName = listFor(dimension);
+      const previous = existing[listName] || [];
+      const values = [];
+
+      matrix.combinations.forEach((combination) => {
+        const value = combination.options[dimension];
+        if (value !== undefined && value !== null && !values.includes(value)) {
+          values.push(value);
         }
-      }
+      });
 
-      // Extract product price
-      const priceSelectors = [
-        '[itemprop="price"]',
-        ".product-detail-price",
-        ".price-value",
-        ".product__price",
-        ".pdp__info .price",
-      ];
+      values.forEach((value) => {
+        const old = previous.find((option) => sameText(option.text, value)) || {};
+        const selected = matrix.selectedOptions[dimension] === value;
+
+        if (dimension === "size") {
+          // Stock comes from the matrix; delivery details and site extras
+          // from the DOM entry
+          const levels = this.stockLevelsFor(matrix, dimension, value);
+          const oldSize = old.text ? BaseExtractor.normalizeSizeOption(old) : {};
+          const extra = {};
+          Object.keys(oldSize).forEach((key) => {
+            if (!sizeFields.includes(key)) extra[key] = oldSize[key];
+          });
+          lists.sizes.push(
+            BaseExtractor.createSizeOption(
+              value,
+              selected,
+              {
+                inStock: this.isAvailable(matrix, dimension, value),
+                lowStock: levels.includes("low_stock"),
+                backInStockSoon: levels.includes("back_soon"),
+                deliveryEstimate: oldSize.deliveryEstimate,
+                notifyAvailable: oldSize.notifyAvailable,
+              },
+              extra
+            )
+          );
+        } else {
+          const option = Object.assign({}, old, { text: value, selected: selected });
+          if (option.value === undefined) option.value = value;
+          // otherOptions mixes dimensions (metal, stone, ...); say which
+          if (listName === "otherOptions") option.dimension = dimension;
+          lists[listName].push(option);
+        }
+      });
 
-      const priceElement = DOMUtils.querySelector(priceSelectors);
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found Gucci price: ${result.price} ${result.currency}`);
-      }
+      // Keep options the matrix doesn't cover (e.g. other colors of a
+      // partial matrix built from the selected color only)
+      previous
+        .filter((option) => !values.some((value) => sameText(option.text, value)))
+        .forEach((option) => lists[listName].push(option));
+    });
 
-      // Extract original price (for sales)
-      const originalPriceSelectors = [
-        ".product-detail-original-price",
-        ".original-price",
-        ".price-original",
-      ];
+    return lists;
+  },
 
-      const originalPriceElement = DOMUtils.querySelector(
-        originalPriceSelectors
-      );
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Gucci original price: ${result.originalPrice}`);
-      }
+  // Attach a matrix to a result and rebuild its flat lists from it. Lists the
+  // matrix has no dimension for are left untouched.
+  apply: function (result, matrix) {
+    if (!result || !matrix || matrix.combinations.length === 0) return result;
 
-      // Extract product description
-      const descriptionSelectors = [
-        ".product-detail-description",
-        ".product-description",
-        ".description",
-        '[itemprop="description"]',
-      ];
+    result.variantMatrix = matrix;
+    result.variants = result.variants || { colors: [], sizes: [], otherOptions: [] };
 
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
-      if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug("Found Gucci description");
+    const derived = this.deriveFlatLists(matrix, result.variants);
+    ["colors", "sizes", "otherOptions"].forEach((listName) => {
+      if (derived[listName].length > 0) {
+        result.variants[listName] = derived[listName];
       }
+    });
 
-      // Extract product SKU
-      const skuSelectors = [".product-detail-sku", ".sku", '[itemprop="sku"]'];
-
-      const skuElement = DOMUtils.querySelector(skuSelectors);
-      if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement);
-        Logger.debug(`Found Gucci SKU: ${result.sku}`);
-      } else {
-        // Extract SKU from URL
-        const skuMatch = window.location.pathname.match(/\/(\w+)$/);
-        if (skuMatch) {
-          result.sku = skuMatch[1];
-          Logger.debug(`Extracted Gucci SKU from URL: ${result.sku}`);
-        }
+    // Price and stock follow the selected combination when there is one
+    if (matrix.selected) {
+      if (matrix.selected.price !== null) result.price = matrix.selected.price;
+      if (matrix.selected.originalPrice !== null) {
+        result.originalPrice = matrix.selected.originalPrice;
       }
+      if (matrix.selected.sku) result.sku = result.sku || matrix.selected.sku;
+    }
 
-      // Find best image first - used for main product image
-      // Get the image from the currently selected color/variant
-      const currentSlide = document.querySelector(
-        ".carousel-slide.slick-current, .carousel-slide.slick-active"
-      );
-      if (currentSlide) {
-        const img = currentSlide.querySelector("img");
-        if (img) {
-          // Try to get the high-res version first by getting the real source or srcset
-          const sources = currentSlide.querySelectorAll("source");
-          let bestSource = null;
-          let bestWidth = 0;
+    return result;
+  },
 
-          for (const source of sources) {
-            // Check if it's a high-res image source
-            const srcset = source.getAttribute("srcset");
-            if (srcset) {
-              const mediaQuery = source.getAttribute("media");
-              if (mediaQuery && mediaQuery.includes("retina")) {
-                // This is a retina/high-res image, prefer it
-                result.imageUrl = FormatUtils.makeUrlAbsolute(srcset);
-                Logger.debug(`Found Gucci retina image: ${result.imageUrl}`);
-                break;
-              }
+  // Build a partial matrix from DOM-extracted flat lists: the selected color
+  // crossed with the sizes shown for it. Sites that only render the sizes of
+  // the current color can't tell us more without switching colors.
+  fromSelectedColor: function (result) {
+    const variants = (result && result.variants) || {};
+    const sizes = variants.sizes || [];
+    if (sizes.length === 0) return null;
 
-              // Check if this source has a width attribute or data-image-size
-              const sizeAttr = source.getAttribute("data-image-size");
-              let width = 0;
+    const selectedColor = (variants.colors || []).find((color) => color.selected);
+    const selectedSize = sizes.find((size) => size.selected);
 
-              if (sizeAttr) {
-                // Try to extract the width from something like "standard-retina" or "730x490"
-                const sizeMatch = sizeAttr.match(/(\d+)x\d+/);
-                if (sizeMatch) {
-                  width = parseInt(sizeMatch[1], 10);
-                } else if (sizeAttr.includes("standard")) {
-                  width = 500; // Assume standard is decent size
-                } else if (sizeAttr.includes("large")) {
-                  width = 800; // Assume large is bigger
-                }
-              }
+    const combinations = sizes.map((size) => {
+      const stock = BaseExtractor.normalizeSizeOption(size);
 
-              if (width > bestWidth) {
-                bestWidth = width;
-                bestSource = srcset;
-              }
-            }
-          }
+      const options = {};
+      if (selectedColor) options.color = selectedColor.text;
+      options.size = size.text;
 
-          // Use the best source found, or fallback to img src
-          if (bestSource) {
-            result.imageUrl = FormatUtils.makeUrlAbsolute(bestSource);
-            Logger.debug(`Found Gucci best source image: ${result.imageUrl}`);
-          } else {
-            result.imageUrl = FormatUtils.makeUrlAbsolute(
-              img.src || img.getAttribute("data-src")
-            );
-            Logger.debug(`Found Gucci image: ${result.imageUrl}`);
-          }
-        }
-      } else {
-        // Fallback to any large image on the page
-        const bestImage = DOMUtils.findLargestImage();
-        if (bestImage) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(
-            bestImage.src || bestImage.getAttribute("data-src")
-          );
-          Logger.debug(`Found Gucci fallback image: ${result.imageUrl}`);
-        }
+      let stockLevel = null;
+      if (!stock.inStock) {
+        stockLevel = stock.backInStockSoon ? "back_soon" : "out_of_stock";
+      } else if (stock.lowStock) {
+        stockLevel = "low_stock";
       }
 
-      // Extract sizes - specifically for Gucci's Select2 implementation
-      this.extractGucciSizes(result);
-
-      // Extract colors - specifically for Gucci's carousel implementation
-      this.extractGucciColors(result);
+      return this.createCombination(options, {
+        inStock: stock.inStock,
+        stockLevel: stockLevel,
+        price: result.price !== undefined ? result.price : null,
+        originalPrice: result.originalPrice !== undefined ? result.originalPrice : null,
+      });
+    });
 
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
+    const selectedOptions = {};
+    if (selectedColor) selectedOptions.color = selectedColor.text;
+    selectedOptions.size = selectedSize ? selectedSize.text : null;
 
-      return result;
-    } catch (e) {
-      Logger.error("Error extracting from Gucci site", e);
-      return null;
-    }
+    return this.create(combinations, selectedOptions);
   },
+};
 
-  // Helper method to extract Gucci sizes - completely rewritten to handle their specific Select2 structure
-  extractGucciSizes: function (result) {
-    try {
-      Logger.info("Extracting Gucci sizes");
+// ==================== Image Gallery ====================
+
+// Collects every product image into result.images:
+// [{ url, width, alt, colorRef, isPrimary }]
+// Images are deduplicated by FormatUtils.canonicalImageUrl and upgraded to
+// the CDN's high-resolution rendition, so each photo is listed once.
+const ImageGallery = {
+  // Carousel containers per site. perColor marks sites that swap the gallery
+  // when another color is selected, so on-page images belong to that color.
+  siteCarousels: [
+    {
+      hosts: ["gucci.com"],
+      selectors: [".carousel-slide[data-slick-index] img", ".carousel-slide[data-slick-index] source"],
+      perColor: true,
+    },
+    {
+      hosts: ["mango.com"],
+      selectors: ["[class*='SlideshowWrapper'] img", "[class*='ImageGrid'] img"],
+      perColor: true,
+    },
+    {
+      hosts: ["zara.com"],
+      selectors: [".product-detail-images img", ".product-detail-view__main-image img", ".media-image__image"],
+      perColor: true,
+    },
+    {
+      hosts: ["stradivarius.com", "bershka.com", "massimodutti.com"],
+      selectors: [".multimedia-list-container img", ".product-gallery__image img", ".image-container img", ".product-images img"],
+      perColor: true,
+    },
+    {
+      hosts: ["pandora.net"],
+      selectors: [".primary-images img", ".product-images img"],
+      perColor: true,
+    },
+    {
+      hosts: ["swarovski.com"],
+      selectors: [".swa-product-gallery img", ".swa-pdp-gallery img"],
+      perColor: true,
+    },
+    {
+      hosts: ["guess.eu"],
+      selectors: [".primary-images img", ".product-carousel img"],
+      perColor: true,
+    },
+    {
+      hosts: ["ipekyol.com.tr"],
+      selectors: [".product-detail__gallery img", ".product-gallery img"],
+      perColor: true,
+    },
+    {
+      hosts: ["mancofficial.com"],
+      selectors: [".product__media-list img", ".product__media img"],
+      perColor: false,
+    },
+    {
+      hosts: ["sandro.com.tr"],
+      selectors: [".product-images img", ".product-gallery img"],
+      perColor: true,
+    },
+    {
+      hosts: ["lacoste.com.tr"],
+      selectors: [".product-detail__gallery img", ".product-gallery img"],
+      perColor: true,
+    },
+    {
+      hosts: ["miumiu.com"],
+      selectors: [".product-gallery img", ".pdp-gallery img"],
+      perColor: true,
+    },
+    {
+      hosts: ["louisvuitton.com"],
+      selectors: [".lv-product-page-header__media img", ".lv-product-visual img", ".lv-product__media img"],
+      perColor: false,
+    },
+    {
+      hosts: ["cartier.com", "nocturne.com.tr", "beymen.com", "victoriassecret.com.tr"],
+      selectors: [".product-gallery img", ".swiper-zoom-container img", ".product-images img"],
+      perColor: false,
+    },
+  ],
+
+  // Carousels common to many shops
+  genericSelectors: [
+    ".product-gallery img",
+    ".product-images img",
+    ".product__media img",
+    ".product-single__photos img",
+    "[class*='product'][class*='gallery'] img",
+  ],
+
+  // Get the best URL and width from an img/source element
+  fromElement: function (element) {
+    const url = FormatUtils.getImageSource(element);
+    if (!url) return null;
 
-      // Try direct approach with Select2 dropdown - this is the active dropdown
-      const select2Results = document.querySelector(
-        ".select2-results__options"
-      );
+    const best = FormatUtils.pickFromSrcset(
+      element.getAttribute("srcset") || element.getAttribute("data-srcset")
+    );
+    return {
+      url: url,
+      width:
+        (best && best.width) ||
+        element.naturalWidth ||
+        parseInt(element.getAttribute("width"), 10) ||
+        null,
+      alt: element.getAttribute("alt") || null,
+    };
+  },
 
-      if (select2Results) {
-        const sizeOptions = select2Results.querySelectorAll(
-          ".select2-results__option"
-        );
-        Logger.debug(
-          `Found ${sizeOptions.length} Gucci size options in Select2 dropdown`
-        );
+  // Images from JSON-LD Product.image (string, array or ImageObject). A
+  // Product with a color, such as a ProductGroup's hasVariant entry, tags
+  // its images with that color.
+  fromStructuredData: function () {
+    const images = [];
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+    const collect = (image, colorRef) => {
+      if (!image) return;
+      if (Array.isArray(image)) {
+        image.forEach((item) => collect(item, colorRef));
+      } else if (typeof image === "string") {
+        images.push({ url: FormatUtils.makeUrlAbsolute(image), colorRef: colorRef });
+      } else if (image.url || image.contentUrl) {
+        images.push({
+          url: FormatUtils.makeUrlAbsolute(image.url || image.contentUrl),
+          width: parseInt(image.width, 10) || null,
+          alt: image.caption || image.name || null,
+          colorRef: colorRef,
+        });
+      }
+    };
 
-        for (const option of sizeOptions) {
-          // Skip the placeholder "Select size" option
-          if (option.id.endsWith("-1")) continue;
+    const findProducts = (obj) => {
+      if (!obj || typeof obj !== "object") return;
+      if (Array.isArray(obj)) {
+        obj.forEach(findProducts);
+        return;
+      }
+      const types = [].concat(obj["@type"]);
+      if (types.includes("Product")) {
+        collect(obj.image, typeof obj.color === "string" ? obj.color : null);
+      }
+      if (types.includes("ProductGroup")) {
+        collect(obj.image, null);
+        findProducts(obj.hasVariant);
+      }
+      if (obj["@graph"]) findProducts(obj["@graph"]);
+    };
 
-          // Get the size text from the content span
-          const sizeContentSpan = option.querySelector(
-            ".custom-select-content-size"
-          );
-          if (!sizeContentSpan) continue;
+    for (const script of scripts) {
+      try {
+        findProducts(JSON.parse(script.textContent));
+      } catch (e) {
+        // Skip invalid JSON
+      }
+    }
+    return images;
+  },
 
-          const sizeText = DOMUtils.getTextContent(sizeContentSpan);
-          if (!sizeText) continue;
+  // Images from every og:image meta tag (sites may declare several)
+  fromMetaTags: function () {
+    return Array.from(
+      document.querySelectorAll('meta[property="og:image"], meta[property="og:image:secure_url"]')
+    )
+      .map((meta) => meta.getAttribute("content"))
+      .filter(Boolean)
+      .map((url) => ({ url: FormatUtils.makeUrlAbsolute(url) }));
+  },
 
-          // Check if this option is selected
-          const isSelected = option.getAttribute("aria-selected") === "true";
+  // Images from the site's carousel, tagged with the selected color where
+  // the site swaps galleries per color
+  fromCarousel: function (selectedColor) {
+    const hostname = window.location.hostname.toLowerCase();
+    const site = this.siteCarousels.find((entry) =>
+      entry.hosts.some((host) => hostname === host || hostname.endsWith("." + host))
+    );
+    const selectors = site ? site.selectors : this.genericSelectors;
+    const colorRef = site && site.perColor ? selectedColor || null : null;
 
-          result.variants.sizes.push({
-            text: sizeText,
-            selected: isSelected,
-            value: sizeText,
-          });
+    const images = [];
+    for (const selector of selectors) {
+      try {
+        document.querySelectorAll(selector).forEach((element) => {
+          const image = this.fromElement(element);
+          if (image) {
+            image.colorRef = colorRef;
+            images.push(image);
+          }
+        });
+      } catch (e) {
+        // Skip invalid selectors
+      }
+      if (images.length > 0) break;
+    }
+    return images;
+  },
 
-          Logger.debug(
-            `Added Gucci size from Select2: ${sizeText}, selected: ${isSelected}`
-          );
+  // Merge image lists in priority order, deduplicating by canonical URL. Later
+  // duplicates only fill in missing width/alt/colorRef.
+  merge: function (...lists) {
+    const merged = [];
+    const byBase = new Map();
+
+    lists.forEach((list) => {
+      (list || []).forEach((image) => {
+        if (!image || !image.url) return;
+        const key = FormatUtils.canonicalImageUrl(image.url);
+        const existing = byBase.get(key);
+
+        if (existing) {
+          if (!existing.width && image.width && existing.url === image.url) {
+            existing.width = image.width;
+          }
+          if (!existing.alt && image.alt) existing.alt = image.alt;
+          if (!existing.colorRef && image.colorRef) existing.colorRef = image.colorRef;
+          return;
         }
 
-        if (result.variants.sizes.length > 0) {
-          return; // Successfully found sizes in Select2 dropdown
-        }
-      }
+        // The width no longer applies once the URL asks for another
+        // rendition. The CDN may not have that rendition, so the URL the
+        // page used stays along as the fallback.
+        const url = FormatUtils.upgradeImageUrl(image.url);
+        const entry = {
+          url: url,
+          fallbackUrl: url === image.url ? null : image.url,
+          width: url === image.url ? image.width || null : null,
+          alt: image.alt || null,
+          colorRef: image.colorRef || null,
+          isPrimary: false,
+        };
+        byBase.set(key, entry);
+        merged.push(entry);
+      });
+    });
 
-      // If Select2 dropdown not found, try to find the sizes in the page content
-      // This could be a hidden select element that Select2 is attached to
-      const sizeSelectOptions = document.querySelectorAll(
-        ".size-dropdown select option, #pdp-size-selector option"
-      );
+    return merged;
+  },
 
-      if (sizeSelectOptions && sizeSelectOptions.length > 0) {
-        Logger.debug(
-          `Found ${sizeSelectOptions.length} Gucci size options using selector: .size-dropdown select option`
-        );
+  // Build result.images from what the extractor found plus page-wide
+  // sources. imageUrl keeps the URL the page itself uses (or the primary
+  // image's), never an upgraded rendition that may not exist.
+  attach: function (result) {
+    if (!result) return result;
+
+    const colors = (result.variants && result.variants.colors) || [];
+    const selectedColor = colors.find((color) => color.selected);
+
+    // Swatch images (often fabric crops) stay on their color option; a
+    // color's gallery only holds its carousel and JSON-LD photos
+    const images = this.merge(
+      result.imageUrl ? [{ url: FormatUtils.makeUrlAbsolute(result.imageUrl), colorRef: selectedColor ? selectedColor.text : null }] : [],
+      result.images,
+      this.fromCarousel(selectedColor ? selectedColor.text : null),
+      this.fromStructuredData(),
+      this.fromMetaTags()
+    );
 
-        for (const option of sizeSelectOptions) {
-          // Skip placeholder option
-          if (option.value === "-1" || option.disabled) continue;
+    if (images.length > 0) {
+      // Primary is the first image of the selected color, or the first image
+      const primary =
+        (selectedColor && images.find((image) => image.colorRef === selectedColor.text)) ||
+        images[0];
+      primary.isPrimary = true;
+      result.imageUrl = result.imageUrl
+        ? FormatUtils.makeUrlAbsolute(result.imageUrl)
+        : primary.fallbackUrl || primary.url;
+    }
 
-          const sizeText = DOMUtils.getTextContent(option);
-          if (!sizeText) continue;
+    result.images = images;
+    return result;
+  },
+};
 
-          const isSelected = option.selected;
+// ==================== Data Extraction ====================
 
-          result.variants.sizes.push({
-            text: sizeText,
-            selected: isSelected,
-            value: sizeText,
-          });
+// Base extractor with common functionality
+const BaseExtractor = {
+  // Generic option selectors, shared by the variant extraction below and
+  // selectVariant()
+  colorOptionSelectors: [
+    // Color swatches
+    ".color-swatch, .color-selector, .color-option",
+    // Color dropdowns/selects
+    'select[data-option="color"] option, select[name*="color"] option',
+    // Color labels/buttons
+    ".color-label, .color-name, .color-title",
+    '[data-option-name="color"] [data-value], [data-option="Color"] [data-value]',
+  ],
+
+  sizeOptionSelectors: [
+    // Size swatches/options
+    ".size-swatch, .size-selector, .size-option",
+    ".size-selector li, .size-list li, .size-options li",
+    // Size dropdowns/selects
+    'select[data-option="size"] option, select[name*="size"] option',
+    // Size labels/buttons
+    ".size-label, .size-name, .size-title",
+    '[data-option-name="size"] [data-value], [data-option="Size"] [data-value]',
+  ],
+
+  // Select { color, size } through the generic option selectors
+  selectVariant: function (args) {
+    return VariantSelector.select(args, {
+      color: this.colorOptionSelectors,
+      size: this.sizeOptionSelectors,
+    });
+  },
 
-          Logger.debug(
-            `Added Gucci size: ${sizeText}, selected: ${isSelected}`
-          );
-        }
+  // Initialize the result object for the page at url
+  createResultObject: function (url = window.location.href) {
+    return {
+      isProductPage: true,
+      url: url,
+      success: false,
+      extractionMethod: "generic",
+      variants: {
+        colors: [],
+        sizes: [],
+        otherOptions: [],
+      },
+    };
+  },
 
-        return; // Successfully found sizes in select element
-      }
+  // Create a size option with first-class stock fields:
+  // { text, selected, value, inStock, lowStock, backInStockSoon,
+  //   deliveryEstimate, notifyAvailable }
+  // Site-specific extras (stock counts, band/cup sizes, ...) are copied onto
+  // the option. With CONFIG.legacySizeValues, `value` also carries all of it
+  // as the JSON string older app versions parse.
+  createSizeOption: function (text, selected, stock = {}, extra = {}) {
+    const option = Object.assign({}, extra, {
+      text: text,
+      selected: !!selected,
+      inStock: stock.inStock !== false,
+      lowStock: !!stock.lowStock,
+      backInStockSoon: !!stock.backInStockSoon,
+      deliveryEstimate: stock.deliveryEstimate || null,
+      notifyAvailable: !!stock.notifyAvailable,
+    });
+
+    if (CONFIG.legacySizeValues) {
+      const legacy = Object.assign({ size: text }, extra, {
+        inStock: option.inStock,
+        lowStock: option.lowStock,
+        backInStockSoon: option.backInStockSoon,
+        deliveryEstimate: option.deliveryEstimate,
+        notifyAvailable: option.notifyAvailable,
+      });
+      option.value = JSON.stringify(legacy);
+    } else {
+      option.value = text;
+    }
 
-      // If still no sizes found, try to find any elements with specific Gucci classes
-      const sizeElements = document.querySelectorAll(
-        ".custom-select-content-size"
-      );
+    return option;
+  },
 
-      if (sizeElements && sizeElements.length > 0) {
-        Logger.debug(
-          `Found ${sizeElements.length} Gucci size elements using .custom-select-content-size`
-        );
+  // Convert a size option in the legacy shape (stock JSON stuffed into
+  // `value`) to the structured shape. Structured options pass through.
+  normalizeSizeOption: function (option) {
+    if (!option || typeof option.inStock === "boolean") return option;
 
-        for (const element of sizeElements) {
-          const sizeText = DOMUtils.getTextContent(element);
-          if (!sizeText) continue;
+    let legacy = {};
+    try {
+      const parsed = JSON.parse(option.value);
+      if (parsed && typeof parsed === "object") legacy = parsed;
+    } catch (e) {
+      // Plain string value, no stock info
+    }
 
-          // Can't determine selected state in this case
+    const known = [
+      "size", "inStock", "lowStock", "limitedStock", "backInStockSoon",
+      "backSoon", "deliveryEstimate", "delayedDelivery", "deliveryInfo",
+      "notifyAvailable",
+    ];
+    const extra = {};
+    Object.keys(legacy).forEach((key) => {
+      if (!known.includes(key)) extra[key] = legacy[key];
+    });
+
+    return this.createSizeOption(
+      option.text,
+      option.selected,
+      {
+        inStock: legacy.inStock,
+        lowStock: legacy.lowStock || legacy.limitedStock,
+        backInStockSoon: legacy.backInStockSoon || legacy.backSoon,
+        deliveryEstimate:
+          legacy.deliveryEstimate ||
+          (legacy.delayedDelivery ? legacy.deliveryInfo : null),
+        notifyAvailable: legacy.notifyAvailable,
+      },
+      extra
+    );
+  },
 
-          result.variants.sizes.push({
-            text: sizeText,
-            selected: false,
-            value: sizeText,
-          });
+  // Settle result.currency and record which source decided it in
+  // result.currencySource, or why nothing did in result.currencyReason.
+  // The extractor's own currency stands; what the page declares only fills
+  // in a missing one.
+  resolveCurrency: function (result) {
+    const explicit = result.currency ? null : FormatUtils.getExplicitCurrency();
+
+    if (result.currency) {
+      result.currencySource = result.currencySource || "extractor";
+    } else if (explicit) {
+      result.currency = explicit.currency;
+      result.currencySource = explicit.source;
+    } else {
+      const resolved = FormatUtils.resolveCurrency(null, { sources: ["locale"] });
+      result.currency = resolved.currency;
+      result.currencySource = resolved.source;
+      if (!resolved.currency) result.currencyReason = resolved.reason;
+    }
+    return result;
+  },
 
-          Logger.debug(`Added Gucci size: ${sizeText}, selected: false`);
-        }
-      }
-    } catch (e) {
-      Logger.warn("Error extracting Gucci sizes", e);
+  // Make sure every size in a result uses the structured shape
+  normalizeVariants: function (result) {
+    if (result && result.variants && Array.isArray(result.variants.sizes)) {
+      result.variants.sizes = result.variants.sizes.map((size) =>
+        this.normalizeSizeOption(size)
+      );
     }
+    return result;
   },
 
-  // Helper method to extract Gucci colors - completely rewritten to handle their carousel structure
-  extractGucciColors: function (result) {
+  // Extract structured data (JSON-LD)
+  extractStructuredData: function (root = document, url = window.location.href) {
+    Logger.info("Extracting from structured data (JSON-LD)");
+
     try {
-      Logger.info("Extracting Gucci colors");
+      const scripts = root.querySelectorAll(
+        'script[type="application/ld+json"]'
+      );
+      if (!scripts.length) return null;
 
-      // Find all carousel slides from the Slick carousel
-      const colorSlides = document.querySelectorAll(".carousel-slide");
-
-      if (colorSlides && colorSlides.length > 0) {
-        Logger.debug(
-          `Found ${colorSlides.length} potential color slides in carousel`
-        );
-
-        const uniqueColors = new Set(); // To prevent duplicates
-
-        for (const slide of colorSlides) {
-          // Get the color name from tooltip data attribute
-          const tooltipContent = slide.querySelector(
-            "[data-gg-tooltip--content]"
-          );
-          if (!tooltipContent) continue;
-
-          const colorText = DOMUtils.getTextContent(tooltipContent);
-          if (!colorText || uniqueColors.has(colorText)) continue;
-
-          uniqueColors.add(colorText); // Add to set to prevent duplicates
-
-          // Check if this is the selected/current color slide
-          const isSelected =
-            slide.classList.contains("slick-current") ||
-            (slide.classList.contains("slick-active") &&
-              slide.getAttribute("data-slick-index") === "0");
-
-          // Get the image for this color (important for color variants)
-          const img = slide.querySelector("img");
-          let imageUrl = null;
+      let productData = null;
 
-          if (img) {
-            // First try to get high-res image from source elements
-            const sources = slide.querySelectorAll("source");
-            let bestSource = null;
-            let bestWidth = 0;
+      // Search through JSON-LD scripts for product data
+      for (const script of scripts) {
+        try {
+          if (!script.textContent) continue;
 
-            for (const source of sources) {
-              // Check if it's a high-res image source
-              const srcset = source.getAttribute("srcset");
-              if (srcset) {
-                const mediaQuery = source.getAttribute("media");
-                if (mediaQuery && mediaQuery.includes("retina")) {
-                  // This is a retina/high-res image, prefer it
-                  bestSource = srcset;
-                  break;
-                }
+          const data = JSON.parse(script.textContent);
 
-                // Check if this source has a width attribute or data-image-size
-                const sizeAttr = source.getAttribute("data-image-size");
-                let width = 0;
+          // Find product in the JSON structure
+          const findProduct = (obj) => {
+            if (!obj) return null;
 
-                if (sizeAttr) {
-                  // Try to extract the width from something like "standard-retina" or "730x490"
-                  const sizeMatch = sizeAttr.match(/(\d+)x\d+/);
-                  if (sizeMatch) {
-                    width = parseInt(sizeMatch[1], 10);
-                  } else if (sizeAttr.includes("standard")) {
-                    width = 500; // Assume standard is decent size
-                  } else if (sizeAttr.includes("large")) {
-                    width = 800; // Assume large is bigger
-                  }
-                }
+            if (obj["@type"] === "Product") {
+              return obj;
+            }
 
-                if (width > bestWidth) {
-                  bestWidth = width;
-                  bestSource = srcset;
-                }
+            if (Array.isArray(obj)) {
+              for (const item of obj) {
+                const result = findProduct(item);
+                if (result) return result;
+              }
+            } else if (typeof obj === "object") {
+              for (const key in obj) {
+                const result = findProduct(obj[key]);
+                if (result) return result;
               }
             }
 
-            // Use the best source found, or fallback to img src
-            if (bestSource) {
-              imageUrl = FormatUtils.makeUrlAbsolute(bestSource);
-            } else {
-              imageUrl = FormatUtils.makeUrlAbsolute(
-                img.src || img.getAttribute("data-src")
-              );
-            }
+            return null;
+          };
+
+          const product = findProduct(data);
+          if (product) {
+            productData = product;
+            Logger.debug("Found product in JSON-LD", productData);
+            break;
           }
+        } catch (e) {
+          Logger.warn("Error parsing JSON-LD script", e);
+        }
+      }
 
-          // Add color to variants
-          result.variants.colors.push({
-            text: colorText,
-            selected: isSelected,
-            value: imageUrl || colorText, // Also store the image URL separately
-          });
+      if (!productData) return null;
 
-          Logger.debug(
-            `Added Gucci color from carousel: ${colorText}, selected: ${isSelected}`
-          );
-        }
+      // Extract the product information
+      const result = this.createResultObject(url);
+      result.extractionMethod = "structured_data";
 
-        return; // Successfully found colors in carousel
-      }
+      // Basic properties
+      result.title = productData.name || null;
+      result.description = productData.description || null;
+      result.sku =
+        productData.sku || productData.mpn || productData.productID || null;
+      result.brand = productData.brand?.name || productData.brand || null;
 
-      // If carousel not found, try other possible sources of color info
-      const colorElements = document.querySelectorAll(
-        "[data-gg-tooltip--content]"
-      );
+      // Image URL
+      if (productData.image) {
+        if (typeof productData.image === "string") {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(productData.image);
+        } else if (
+          Array.isArray(productData.image) &&
+          productData.image.length > 0
+        ) {
+          const imgUrl = productData.image[0].url || productData.image[0];
+          result.imageUrl = FormatUtils.makeUrlAbsolute(imgUrl);
+        } else if (productData.image.url) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(productData.image.url);
+        }
+      }
 
-      if (colorElements && colorElements.length > 0) {
-        Logger.debug(
-          `Found ${colorElements.length} tooltip elements with color info`
-        );
+      // Price and availability
+      if (productData.offers) {
+        let offer = productData.offers;
 
-        const uniqueColors = new Set(); // To prevent duplicates
+        if (Array.isArray(offer)) {
+          offer = offer[0]; // Use first offer
+        }
 
-        for (const element of colorElements) {
-          const colorText = DOMUtils.getTextContent(element);
-          if (!colorText || uniqueColors.has(colorText)) continue;
+        if (offer) {
+          result.price = FormatUtils.formatPrice(offer.price?.toString());
+          result.currency =
+            offer.priceCurrency ||
+            FormatUtils.detectCurrency(offer.price?.toString());
 
-          uniqueColors.add(colorText); // Add to set to prevent duplicates
+          // Check for original price (sale)
+          if (
+            offer.highPrice &&
+            offer.lowPrice &&
+            offer.highPrice > offer.lowPrice
+          ) {
+            result.originalPrice = FormatUtils.formatPrice(
+              offer.highPrice.toString()
+            );
+          }
 
-          // Can't determine selected state in this case
+          // Availability
+          if (offer.availability) {
+            result.availability = offer.availability;
+          }
+        }
+      }
 
+      // Extract color variants
+      if (productData.color) {
+        // Handle different formats of the color property
+        if (typeof productData.color === "string") {
           result.variants.colors.push({
-            text: colorText,
-            selected: false,
-            value: colorText,
+            text: productData.color,
+            selected: true, // If it's in the main product, it's likely selected
+            value: productData.color,
           });
+        } else if (Array.isArray(productData.color)) {
+          for (const color of productData.color) {
+            if (typeof color === "string") {
+              result.variants.colors.push({
+                text: color,
+                selected: false,
+                value: color,
+              });
+            }
+          }
+        }
+      }
 
-          Logger.debug(`Added Gucci color from tooltip: ${colorText}`);
+      // Extract size variants
+      if (productData.size) {
+        // Handle different formats of the size property
+        if (typeof productData.size === "string") {
+          result.variants.sizes.push({
+            text: productData.size,
+            selected: true, // If it's in the main product, it's likely selected
+            value: productData.size,
+          });
+        } else if (Array.isArray(productData.size)) {
+          for (const size of productData.size) {
+            if (typeof size === "string") {
+              result.variants.sizes.push({
+                text: size,
+                selected: false,
+                value: size,
+              });
+            }
+          }
         }
       }
+
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+
+      return result;
     } catch (e) {
-      Logger.warn("Error extracting Gucci colors", e);
+      Logger.error("Error extracting from structured data", e);
+      return null;
     }
   },
-};
-
-const ZaraExtractor = {
-  // Check if the current page is Zara
-  isZara: function () {
-    return window.location.hostname.includes("zara.com");
-  },
 
-  // Extract product info from Zara site
-  extract: function () {
-    Logger.info("Extracting product info from Zara store");
+  // Extract from meta tags
+  extractMetaTags: function () {
+    Logger.info("Extracting from meta tags");
 
     try {
-      const result = BaseExtractor.createResultObject();
-      result.extractionMethod = "zara";
-      result.brand = "Zara"; // Set brand directly
-
-      // Extract product title
-      const titleSelectors = [
-        ".product-detail-info h1",
-        ".product-detail-info__header h1",
-        '[data-qa-qualifier="product-name"]',
-        ".product-detail-card-info__title h1",
-      ];
+      const result = this.createResultObject();
+      result.extractionMethod = "meta_tags";
 
-      const titleElement = DOMUtils.querySelector(titleSelectors);
+      // Extract title
+      const titleTag = document.querySelector(
+        'meta[property="og:title"], meta[name="twitter:title"]'
+      );
+      if (titleTag) {
+        result.title = titleTag.getAttribute("content");
+      }
+
+      // Extract description
+      const descTag = document.querySelector(
+        'meta[property="og:description"], meta[name="twitter:description"], meta[name="description"]'
+      );
+      if (descTag) {
+        result.description = descTag.getAttribute("content");
+      }
+
+      // Extract image
+      const imageTag = document.querySelector(
+        'meta[property="og:image"], meta[property="og:image:secure_url"], meta[name="twitter:image"]'
+      );
+      if (imageTag) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(
+          imageTag.getAttribute("content")
+        );
+      }
+
+      // Extract price
+      const priceTag = document.querySelector(
+        'meta[property="product:price:amount"], meta[property="og:price:amount"], meta[name="twitter:data1"][content*="$"]'
+      );
+      if (priceTag) {
+        result.price = FormatUtils.formatPrice(
+          priceTag.getAttribute("content")
+        );
+
+        // Get currency if available
+        const currencyTag = document.querySelector(
+          'meta[property="product:price:currency"], meta[property="og:price:currency"]'
+        );
+        result.currency = currencyTag
+          ? currencyTag.getAttribute("content")
+          : FormatUtils.detectCurrency(priceTag.getAttribute("content"));
+      }
+
+      // Extract brand
+      const brandTag = document.querySelector(
+        'meta[property="product:brand"], meta[property="og:brand"]'
+      );
+      if (brandTag) {
+        result.brand = brandTag.getAttribute("content");
+      }
+
+      // Extract availability
+      const availabilityTag = document.querySelector(
+        'meta[property="product:availability"], meta[property="og:availability"]'
+      );
+      if (availabilityTag) {
+        result.availability = availabilityTag.getAttribute("content");
+      }
+
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+
+      if (result.success) {
+        return result;
+      }
+
+      return null;
+    } catch (e) {
+      Logger.error("Error extracting from meta tags", e);
+      return null;
+    }
+  },
+
+  // Generic DOM-based extraction
+  extractFromDOM: function () {
+    Logger.info("Extracting from DOM elements (generic)");
+
+    try {
+      const result = this.createResultObject();
+
+      // Extract product title
+      const titleSelectors = [
+        "h1.product-title, h1.product-name, h1.product__title, h1.product__name",
+        'h1[itemprop="name"]',
+        ".product-title, .product-name, .product__title, .product__name",
+        ".product-detail__title, .product-detail__name",
+        ".pdp-title, .pdp-name",
+      ];
+
+      const titleElement = DOMUtils.querySelector(titleSelectors);
       if (titleElement) {
         result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Zara title: ${result.title}`);
+        Logger.debug(`Found title: ${result.title}`);
+      } else {
+        // Fallback: use the page title
+        const pageTitle = document.title;
+        if (pageTitle) {
+          // Often page titles follow pattern: "Product Name | Brand Name"
+          const titleParts = pageTitle.split("|");
+          if (titleParts.length > 1) {
+            result.title = titleParts[0].trim();
+          } else {
+            result.title = pageTitle;
+          }
+          Logger.debug(`Using page title: ${result.title}`);
+        }
       }
 
       // Extract product price
       const priceSelectors = [
-        ".price__amount",
-        '[data-qa-qualifier="product-price"]',
-        ".product-detail-info__price span",
-        ".product-detail-card-info__prices .money-amount__main",
+        ".product-price, .product__price, .price-item--regular",
+        ".price-current, .current-price, .now-price",
+        '[itemprop="price"], [data-product-price]',
+        ".price:not(.price--old):not(.price--original)",
+        ".product-detail-price, .product-info__price",
       ];
 
       const priceElement = DOMUtils.querySelector(priceSelectors);
@@ -2099,14 +3833,33 @@ const ZaraExtractor = {
         const priceText = DOMUtils.getTextContent(priceElement);
         result.price = FormatUtils.formatPrice(priceText);
         result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found Zara price: ${result.price} ${result.currency}`);
+        Logger.debug(`Found price: ${result.price} ${result.currency}`);
+      } else {
+        // Try to find any text that looks like a price
+        const regex = /([0-9.,]+)\s*(?:€|\$|£|TL|₺)/;
+        const allTextElements = document.querySelectorAll("p, span, div");
+
+        for (const element of allTextElements) {
+          const text = DOMUtils.getTextContent(element);
+          const match = text.match(regex);
+
+          if (match) {
+            result.price = FormatUtils.formatPrice(match[0]);
+            result.currency = FormatUtils.detectCurrency(match[0]);
+            Logger.debug(
+              `Found price by regex: ${result.price} ${result.currency}`
+            );
+            break;
+          }
+        }
       }
 
       // Extract original price (for sales)
       const originalPriceSelectors = [
-        ".price__amount--old",
-        ".product-detail-info__price .line-through",
-        ".product-detail-card-info__prices .money-amount__main--crossed-out",
+        ".original-price, .regular-price, .old-price",
+        ".price--old, .price--original, .price-item--regular.price--on-sale",
+        ".was-price, .compare-at-price",
+        "[data-original-price], [data-compare-price]",
       ];
 
       const originalPriceElement = DOMUtils.querySelector(
@@ -2115,4690 +3868,7592 @@ const ZaraExtractor = {
       if (originalPriceElement) {
         const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
         result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Zara original price: ${result.originalPrice}`);
+        Logger.debug(`Found original price: ${result.originalPrice}`);
+      }
+
+      // Extract product image
+      const bestImage = DOMUtils.findLargestImage();
+      if (bestImage) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(
+          bestImage.src || bestImage.getAttribute("data-src")
+        );
+        Logger.debug(`Found image: ${result.imageUrl}`);
       }
 
       // Extract product description
       const descriptionSelectors = [
-        ".product-detail-description",
-        ".product-detail-info__description",
-        '[data-qa-qualifier="product-description"]',
+        ".product-description, .product__description",
+        '[itemprop="description"]',
+        ".description, .desc, .product-desc",
+        ".product-detail-description, .product-details__description",
       ];
 
       const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
       if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug("Found Zara description");
+        result.description = FormatUtils.cleanText(
+          DOMUtils.getTextContent(descriptionElement)
+        );
+        Logger.debug("Found product description");
       }
 
-      // Extract product SKU/reference
+      // Extract product brand
+      const brandSelectors = [
+        ".product-brand, .product__brand",
+        '[itemprop="brand"]',
+        ".brand, .brand-name",
+      ];
+
+      const brandElement = DOMUtils.querySelector(brandSelectors);
+      if (brandElement) {
+        result.brand = DOMUtils.getTextContent(brandElement);
+        Logger.debug(`Found brand: ${result.brand}`);
+      }
+
+      // Extract SKU
       const skuSelectors = [
-        ".product-detail-info__reference",
-        '[data-qa-qualifier="product-reference"]',
-        ".product-reference span",
+        ".product-sku, .product__sku",
+        '[itemprop="sku"]',
+        ".sku, .sku-number",
+        "[data-product-sku]",
       ];
 
       const skuElement = DOMUtils.querySelector(skuSelectors);
       if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement).replace(/\D/g, "");
-        Logger.debug(`Found Zara SKU: ${result.sku}`);
+        result.sku = DOMUtils.getTextContent(skuElement);
+        Logger.debug(`Found SKU: ${result.sku}`);
       }
 
-      // Extract product image
-      this.extractZaraProductImage(result);
-
-      // Extract Zara-specific color variants - completely customized for their HTML structure
-      const colorOptions = this.extractZaraColors();
-
-      // Extract Zara-specific size variants - handles their unique approach to size display
-      const sizeOptions = this.extractZaraSizes();
+      // Extract availability
+      const availabilitySelectors = [
+        ".product-availability, .product__availability",
+        '[itemprop="availability"]',
+        ".availability, .stock-status",
+        "[data-product-available]",
+      ];
 
-      // CRITICAL FIX: Properly assign ALL colors and sizes to the result object
-      if (colorOptions && colorOptions.length > 0) {
-        result.variants.colors = colorOptions;
-        Logger.debug(`Added ${colorOptions.length} colors to result`);
+      const availabilityElement = DOMUtils.querySelector(availabilitySelectors);
+      if (availabilityElement) {
+        result.availability = DOMUtils.getTextContent(availabilityElement);
+        Logger.debug(`Found availability: ${result.availability}`);
       }
 
-      if (sizeOptions && sizeOptions.length > 0) {
-        result.variants.sizes = sizeOptions;
-        Logger.debug(`Added ${sizeOptions.length} sizes to result`);
-      }
+      // Extract color variants
+      this.extractColorVariants(result);
+
+      // Extract size variants
+      this.extractSizeVariants(result);
 
       // Check if we have the minimum needed information for success
       result.success = !!(result.title && result.price);
 
       return result;
     } catch (e) {
-      Logger.error("Error extracting from Zara site", e);
+      Logger.error("Error extracting from DOM", e);
       return null;
     }
   },
 
-  // Helper method to extract Zara product image
-  extractZaraProductImage: function (result) {
+  // Helper method to extract color variants
+  extractColorVariants: function (result) {
     try {
-      // First try to get the main product image
-      const mainImageSelectors = [
-        ".product-detail-images img",
-        ".media-image img",
-        ".product-detail-card-images img",
-      ];
+      // Try each selector group
+      for (const selectorGroup of this.colorOptionSelectors) {
+        const colorElements = document.querySelectorAll(selectorGroup);
+        if (colorElements && colorElements.length > 0) {
+          Logger.debug(
+            `Found ${colorElements.length} color options with selector: ${selectorGroup}`
+          );
 
-      let imageElement = null;
+          for (const element of colorElements) {
+            // Get color name/text
+            let colorText =
+              DOMUtils.getAttribute(element, "title") ||
+              DOMUtils.getAttribute(element, "data-color-name") ||
+              DOMUtils.getAttribute(element, "data-value") ||
+              DOMUtils.getAttribute(element, "value") ||
+              DOMUtils.getTextContent(element);
 
-      // Try each selector
-      for (const selector of mainImageSelectors) {
-        const images = document.querySelectorAll(selector);
-        if (images && images.length > 0) {
-          // Try to find the largest or most visible image
-          for (const img of images) {
-            if (DOMUtils.isVisible(img) && img.naturalWidth > 200) {
-              imageElement = img;
-              break;
-            }
-          }
+            if (!colorText || colorText.toLowerCase() === "select color")
+              continue;
 
-          // If we didn't find a good visible image, just use the first one
-          if (!imageElement && images.length > 0) {
-            imageElement = images[0];
-          }
+            // Determine if this color is selected
+            const isSelected =
+              element.selected ||
+              element.hasAttribute("aria-selected") ||
+              element.classList.contains("selected") ||
+              element.classList.contains("active") ||
+              element.classList.contains("current");
 
-          if (imageElement) break;
-        }
-      }
+            // Try to get color value (could be color code or image)
+            let colorValue =
+              DOMUtils.getAttribute(element, "data-color") ||
+              DOMUtils.getAttribute(element, "data-color-value") ||
+              DOMUtils.getAttribute(element, "data-value");
 
-      // If we found an image, extract its URL
-      if (imageElement) {
-        // Try to get high resolution version first
-        const srcset = imageElement.getAttribute("srcset");
-        if (srcset) {
-          // Parse srcset to get the highest resolution image
-          const srcsetParts = srcset.split(",");
-          let largestImage = "";
-          let largestWidth = 0;
-
-          for (const part of srcsetParts) {
-            const [url, width] = part.trim().split(" ");
-            if (width) {
-              const numWidth = parseInt(width.replace("w", ""));
-              if (numWidth > largestWidth) {
-                largestWidth = numWidth;
-                largestImage = url;
+            // If no explicit value, try background color or image
+            if (!colorValue) {
+              const img = element.querySelector("img");
+              if (img && img.src) {
+                colorValue = FormatUtils.makeUrlAbsolute(img.src);
+              } else {
+                try {
+                  const style = window.getComputedStyle(element);
+                  if (
+                    style.backgroundColor &&
+                    style.backgroundColor !== "rgba(0, 0, 0, 0)"
+                  ) {
+                    colorValue = style.backgroundColor;
+                  }
+                } catch (e) {
+                  // Ignore style errors
+                }
               }
             }
-          }
 
-          if (largestImage) {
-            result.imageUrl = FormatUtils.makeUrlAbsolute(largestImage);
-            Logger.debug(`Found Zara image from srcset: ${result.imageUrl}`);
-            return;
-          }
-        }
+            // Add color to variants if not already present
+            if (!result.variants.colors.some((c) => c.text === colorText)) {
+              result.variants.colors.push({
+                text: colorText,
+                selected: isSelected,
+                value: colorValue || colorText,
+              });
 
-        // Fallback to regular src attribute
-        const src = imageElement.getAttribute("src");
-        if (src) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(src);
-          Logger.debug(`Found Zara image: ${result.imageUrl}`);
-          return;
-        }
+              Logger.debug(
+                `Added color: ${colorText}, selected: ${isSelected}`
+              );
+            }
+          }
 
-        // Last resort - try data-src for lazy-loaded images
-        const dataSrc = imageElement.getAttribute("data-src");
-        if (dataSrc) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(dataSrc);
-          Logger.debug(`Found Zara image from data-src: ${result.imageUrl}`);
-          return;
+          // If we found colors, stop searching
+          if (result.variants.colors.length > 0) break;
         }
       }
 
-      // If we still don't have an image, try to find any large image
-      const bestImage = DOMUtils.findLargestImage();
-      if (bestImage) {
-        result.imageUrl = FormatUtils.makeUrlAbsolute(
-          bestImage.getAttribute("src") || bestImage.getAttribute("data-src")
-        );
-        Logger.debug(
-          `Found Zara image using findLargestImage: ${result.imageUrl}`
+      // Special case: look for color in tooltips (often used in carousels)
+      if (result.variants.colors.length === 0) {
+        const tooltipElements = document.querySelectorAll(
+          "[data-tooltip], [title], [aria-label]"
         );
+        for (const element of tooltipElements) {
+          const tooltipText =
+            DOMUtils.getAttribute(element, "data-tooltip") ||
+            DOMUtils.getAttribute(element, "title") ||
+            DOMUtils.getAttribute(element, "aria-label");
+
+          if (tooltipText && tooltipText.length < 30) {
+            const img = element.querySelector("img");
+            const isImage = img || element.tagName === "IMG";
+
+            if (isImage) {
+              result.variants.colors.push({
+                text: tooltipText,
+                selected:
+                  element.classList.contains("selected") ||
+                  element.classList.contains("active"),
+                value: img ? FormatUtils.makeUrlAbsolute(img.src) : tooltipText,
+              });
+
+              Logger.debug(`Added color from tooltip: ${tooltipText}`);
+            }
+          }
+        }
       }
     } catch (e) {
-      Logger.warn("Error extracting Zara product image", e);
+      Logger.warn("Error extracting color variants", e);
     }
   },
 
-  // Helper method to extract Zara-specific colors - based on the provided HTML structure
-  extractZaraColors: function () {
+  // Helper method to extract size variants
+  extractSizeVariants: function (result) {
     try {
-      Logger.info("Extracting Zara-specific colors");
-      const colorResults = [];
-
-      // First try the color selector from the provided HTML
-      const colorSelector = ".product-detail-color-selector__colors";
-      const colorContainer = document.querySelector(colorSelector);
-
-      if (colorContainer) {
-        const colorItems = colorContainer.querySelectorAll(
-          ".product-detail-color-selector__color"
-        );
-        Logger.debug(`Found ${colorItems.length} Zara color options`);
-
-        for (const colorItem of colorItems) {
-          // Check if this color is selected
-          const isSelected = !!colorItem.querySelector(
-            ".product-detail-color-selector__color-button--is-selected"
+      // Try each selector group
+      for (const selectorGroup of this.sizeOptionSelectors) {
+        const sizeElements = document.querySelectorAll(selectorGroup);
+        if (sizeElements && sizeElements.length > 0) {
+          Logger.debug(
+            `Found ${sizeElements.length} size options with selector: ${selectorGroup}`
           );
 
-          // Get color area to extract the RGB value
-          const colorArea = colorItem.querySelector(
-            ".product-detail-color-selector__color-area"
-          );
-          if (!colorArea) continue;
+          for (const element of sizeElements) {
+            // Get size text
+            let sizeText =
+              DOMUtils.getAttribute(element, "title") ||
+              DOMUtils.getAttribute(element, "data-size-name") ||
+              DOMUtils.getAttribute(element, "data-value") ||
+              DOMUtils.getAttribute(element, "value") ||
+              DOMUtils.getTextContent(element);
 
-          // Try to get color name from screen reader text
-          const screenReaderText = colorItem.querySelector(
-            ".screen-reader-text"
-          );
-          let colorName = screenReaderText
-            ? DOMUtils.getTextContent(screenReaderText)
-            : "";
+            if (!sizeText || sizeText.toLowerCase() === "select size") continue;
 
-          // If no name found, try to get it from other potential sources
-          if (!colorName) {
-            // Check for aria label on the button
-            const colorButton = colorItem.querySelector("button");
-            if (colorButton) {
-              colorName = colorButton.getAttribute("aria-label") || "";
-            }
-          }
+            // Determine if this size is selected
+            const isSelected =
+              element.selected ||
+              element.hasAttribute("aria-selected") ||
+              element.classList.contains("selected") ||
+              element.classList.contains("active") ||
+              element.classList.contains("current");
 
-          // Extract RGB color from the style attribute
-          let colorValue = "";
-          const styleAttr = colorArea.getAttribute("style");
-          if (styleAttr) {
-            const rgbMatch = styleAttr.match(/background-color:\s*([^;]+)/);
-            if (rgbMatch && rgbMatch[1]) {
-              colorValue = rgbMatch[1].trim();
-            }
-          }
+            // Add size to variants if not already present
+            if (!result.variants.sizes.some((s) => s.text === sizeText)) {
+              result.variants.sizes.push({
+                text: sizeText,
+                selected: isSelected,
+                value: sizeText,
+              });
 
-          // If we have either a name or color value, add to variants
-          if (colorName || colorValue) {
-            // If we have no name but have a color value, create a generic name
-            if (!colorName && colorValue) {
-              colorName = this.generateColorNameFromRgb(colorValue);
+              Logger.debug(`Added size: ${sizeText}, selected: ${isSelected}`);
             }
-
-            colorResults.push({
-              text: colorName || "Color Option",
-              selected: isSelected,
-              value: colorValue || colorName,
-            });
-
-            Logger.debug(
-              `Added Zara color: ${colorName}, RGB: ${colorValue}, selected: ${isSelected}`
-            );
           }
-        }
 
-        // Successfully extracted colors
-        if (colorResults.length > 0) {
-          return colorResults;
+          // If we found sizes, stop searching
+          if (result.variants.sizes.length > 0) break;
         }
       }
+    } catch (e) {
+      Logger.warn("Error extracting size variants", e);
+    }
+  },
+};
 
-      // If the first method failed, try alternative selectors
-      const alternativeColorSelectors = [
-        ".product-colors .product-color-selector__colors", // Another potential structure
-        ".color-selector-options", // Older Zara sites
-      ];
+// Shopify-specific extractor
+const ShopifyExtractor = {
+  // Check if the current page is a Shopify store
+  isShopify: function () {
+    // Check for Shopify-specific meta tag
+    const shopifyTag = document.querySelector(
+      'meta[name="shopify-digital-wallet"]'
+    );
+    if (shopifyTag) return true;
 
-      for (const selector of alternativeColorSelectors) {
-        const colorItems = document.querySelectorAll(`${selector} > li`);
-        if (colorItems && colorItems.length > 0) {
-          Logger.debug(
-            `Found ${colorItems.length} color options with alternative selector: ${selector}`
-          );
+    // Check for Shopify-specific scripts
+    const shopifyScripts = document.querySelector(
+      'script[src*="shopify"], script[src*="cdn.shop"]'
+    );
+    if (shopifyScripts) return true;
 
-          for (const colorItem of colorItems) {
-            // Check if this color is selected
-            const isSelected =
-              colorItem.classList.contains("is-selected") ||
-              colorItem.classList.contains("selected") ||
-              !!colorItem.querySelector(".selected") ||
-              !!colorItem.querySelector('[aria-selected="true"]');
+    // Check for Shopify object in window
+    if (window.Shopify) return true;
 
-            // Try different methods to get the color name
-            let colorName = "";
+    return false;
+  },
 
-            // Try aria-label first
-            const button = colorItem.querySelector("button");
-            if (button) {
-              colorName = button.getAttribute("aria-label") || "";
-            }
+  // Extract product info from Shopify store. productJson defaults to the
+  // one embedded in the page (see findProductJson)
+  extract: function (productJson = this.findProductJson()) {
+    Logger.info("Extracting product info from Shopify store");
 
-            // Try any element with a title attribute
-            if (!colorName) {
-              const titleElement = colorItem.querySelector("[title]");
-              if (titleElement) {
-                colorName = titleElement.getAttribute("title") || "";
-              }
-            }
+    try {
+      const result = BaseExtractor.createResultObject();
+      result.extractionMethod = "shopify";
 
-            // Try any inner text
-            if (!colorName) {
-              colorName = DOMUtils.getTextContent(colorItem);
-            }
+      // Extract from product JSON if found
+      if (productJson) {
+        Logger.debug("Found Shopify product JSON", productJson);
 
-            // Try to extract color from background style
-            let colorValue = "";
-            const colorBlock = colorItem.querySelector('[style*="background"]');
-            if (colorBlock) {
-              const styleAttr = colorBlock.getAttribute("style");
-              if (styleAttr) {
-                const bgMatch = styleAttr.match(
-                  /background(?:-color)?:\s*([^;]+)/
-                );
-                if (bgMatch && bgMatch[1]) {
-                  colorValue = bgMatch[1].trim();
-                }
-              }
-            }
+        result.title = productJson.title;
+        result.description = productJson.description;
+        result.sku = productJson.sku || productJson.id;
+        result.brand = productJson.vendor;
 
-            // Add to color variants if we have enough info
-            if (colorName || colorValue) {
-              // Generate name from color value if needed
-              if (!colorName && colorValue) {
-                colorName = this.generateColorNameFromRgb(colorValue);
-              }
+        // Extract image
+        if (
+          productJson.featured_image ||
+          (productJson.images && productJson.images.length > 0)
+        ) {
+          const imageUrl = productJson.featured_image || productJson.images[0];
+          result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
+        }
+        result.images = this.extractImages(productJson);
 
-              colorResults.push({
-                text: colorName || "Color Option",
-                selected: isSelected,
-                value: colorValue || colorName,
-              });
+        // Extract variants
+        if (productJson.variants && productJson.variants.length > 0) {
+          const matrix = this.buildVariantMatrix(productJson);
 
-              Logger.debug(
-                `Added Zara color (alternative): ${colorName}, value: ${colorValue}`
-              );
-            }
+          // Price comes from the selected variant
+          const variant = this.getSelectedVariant(productJson);
+          if (variant.sku) result.sku = variant.sku;
+          result.price = variant.price / 100; // Shopify prices are in cents
+
+          // Without a variant currency, BaseExtractor.resolveCurrency takes
+          // the page's (meta tags or Shopify's active currency)
+          if (variant.currency) result.currency = variant.currency;
+
+          // Extract compare_at_price if available
+          if (
+            variant.compare_at_price &&
+            variant.compare_at_price > variant.price
+          ) {
+            result.originalPrice = variant.compare_at_price / 100;
           }
 
-          // If we found colors, stop searching
-          if (colorResults.length > 0) {
-            break;
+          // Colors, sizes and other options are derived from the matrix
+          if (matrix) {
+            VariantMatrix.apply(result, matrix);
+          }
+        }
+
+        // Without per-variant data, fall back to the option value lists
+        if (!result.variantMatrix && productJson.options) {
+          for (const option of productJson.options) {
+            if (!option || !option.values) continue;
+            const dimension = VariantMatrix.normalizeDimension(option.name);
+            const listName =
+              dimension === "color" ? "colors" : dimension === "size" ? "sizes" : "otherOptions";
+
+            for (const value of option.values) {
+              result.variants[listName].push({
+                text: value,
+                selected: false, // Can't determine from JSON
+                value: value,
+              });
+            }
           }
         }
+
+        // Engraving and other personalization inputs
+        const personalization = this.extractPersonalization();
+        if (personalization.length > 0) result.personalization = personalization;
+
+        // If we have product JSON, mark as success
+        result.success = true;
+        return result;
       }
 
-      return colorResults;
+      // Fallback to DOM extraction if no product JSON found
+      Logger.info(
+        "No Shopify product JSON found, falling back to DOM extraction"
+      );
+
+      // Attempt to extract from DOM
+      return BaseExtractor.extractFromDOM();
     } catch (e) {
-      Logger.warn("Error extracting Zara colors", e);
-      return [];
+      Logger.error("Error extracting from Shopify store", e);
+      return null;
     }
   },
 
-  // Helper to generate a color name from RGB value
-  generateColorNameFromRgb: function (rgbValue) {
-    // Parse RGB values
-    const rgbMatch = rgbValue.match(
-      /rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/
-    );
-    if (!rgbMatch) return "Color";
+  // Shopify stores typically expose product JSON: a product JSON script,
+  // ShopifyAnalytics or a product variable in an inline script
+  findProductJson: function () {
+    let productJson = null;
 
-    const r = parseInt(rgbMatch[1], 10);
-    const g = parseInt(rgbMatch[2], 10);
-    const b = parseInt(rgbMatch[3], 10);
+    // Try to find product JSON from meta tag
+    const productMetaTag = document.querySelector(
+      'meta[property="product:retailer_item_id"]'
+    );
+    if (productMetaTag) {
+      const productId = productMetaTag.getAttribute("content");
+      const scriptTag = document.querySelector(
+        `script[id="ProductJson-${productId}"], script[data-product-json]`
+      );
+      if (scriptTag) {
+        try {
+          productJson = JSON.parse(scriptTag.textContent);
+        } catch (e) {
+          Logger.warn("Failed to parse product JSON from script tag", e);
+        }
+      }
+    }
 
-    // Simple algorithm to identify basic colors
-    if (r > 200 && g > 200 && b > 200) return "White";
-    if (r < 50 && g < 50 && b < 50) return "Black";
+    // Try to find product JSON from window object
+    if (
+      !productJson &&
+      window.ShopifyAnalytics &&
+      window.ShopifyAnalytics.meta
+    ) {
+      productJson = window.ShopifyAnalytics.meta.product;
+    }
 
-    if (r > 180 && g < 100 && b < 100) return "Red";
-    if (r < 100 && g > 180 && b < 100) return "Green";
-    if (r < 100 && g < 100 && b > 180) return "Blue";
+    // Try to find product JSON from variable
+    if (!productJson) {
+      const scripts = document.querySelectorAll("script:not([src])");
+      for (const script of scripts) {
+        const content = script.textContent;
+        if (
+          content.includes("var product =") ||
+          content.includes("window.product =")
+        ) {
+          try {
+            // Extract the JSON object using regex
+            const match =
+              content.match(/var\s+product\s*=\s*({.+?});/s) ||
+              content.match(/window\.product\s*=\s*({.+?});/s);
+            if (match && match[1]) {
+              productJson = JSON.parse(match[1]);
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+      }
+    }
 
-    if (r > 180 && g > 180 && b < 100) return "Yellow";
-    if (r > 180 && g < 100 && b > 180) return "Purple";
-    if (r < 100 && g > 180 && b > 180) return "Cyan";
+    return productJson;
+  },
 
-    if (r > 180 && g > 100 && b < 100) return "Orange";
-    if (r > 100 && g < 100 && b > 100) return "Purple";
-    if (r > 100 && g > 100 && b < 100) return "Brown";
+  // Product JSON from the store's /products/<handle>.js endpoint, for pages
+  // that embed none or only the analytics summary (no options)
+  fetchProductJson: async function () {
+    const match = window.location.pathname.match(/^(.*\/products\/[^/?#]+)/);
+    if (!match || typeof window.fetch !== "function") return null;
+    const signal = ExtractorRegistry.signal;
+    if (signal && signal.aborted) return null;
+
+    const controller = typeof AbortController === "function" ? new AbortController() : null;
+    const timer = controller
+      ? setTimeout(() => controller.abort(), CONFIG.variantFetchTimeout)
+      : null;
+    if (controller && signal) {
+      signal.addEventListener("abort", () => controller.abort(), { once: true });
+    }
+    try {
+      const response = await window.fetch(`${match[1]}.js`, {
+        credentials: "same-origin",
+        signal: controller ? controller.signal : undefined,
+      });
+      return response.ok ? await response.json() : null;
+    } catch (e) {
+      Logger.warn("Failed to fetch Shopify product JSON", e);
+      return null;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  },
 
-    // Default for gray tones
-    if (Math.abs(r - g) < 30 && Math.abs(g - b) < 30 && Math.abs(r - b) < 30) {
-      return r < 150 ? "Dark Gray" : "Light Gray";
+  // Gallery from the product JSON. Variant featured images tell which color
+  // an image belongs to.
+  extractImages: function (productJson) {
+    const colorIndex = (productJson.options || []).findIndex(
+      (option) => VariantMatrix.normalizeDimension(option && (option.name || option)) === "color"
+    );
+    const colorBySrc = new Map();
+    if (colorIndex >= 0) {
+      (productJson.variants || []).forEach((variant) => {
+        const image = variant.featured_image;
+        const color = variant["option" + (colorIndex + 1)];
+        if (image && image.src && color) {
+          colorBySrc.set(FormatUtils.canonicalImageUrl(FormatUtils.makeUrlAbsolute(image.src)), color);
+        }
+      });
     }
 
-    return "Color";
-  },
+    // media carries widths and alt text; images is a plain URL list
+    const sources =
+      productJson.media && productJson.media.length > 0
+        ? productJson.media.filter((media) => !media.media_type || media.media_type === "image")
+        : productJson.images || [];
 
-  // Helper method to extract Zara-specific sizes - based on the provided HTML structure
-  extractZaraSizes: function () {
-    try {
-      Logger.info("Extracting Zara-specific sizes");
-      const sizeResults = [];
+    return sources.map((image) => {
+      const url = FormatUtils.makeUrlAbsolute(typeof image === "string" ? image : image.src);
+      return {
+        url: url,
+        width: (image && image.width) || null,
+        alt: (image && image.alt) || null,
+        colorRef: colorBySrc.get(FormatUtils.canonicalImageUrl(url)) || null,
+      };
+    });
+  },
 
-      // First try the size selector from the provided HTML structure
-      const sizeSelector = ".size-selector-sizes";
-      const sizeContainer = document.querySelector(sizeSelector);
+  // Id of the variant the shopper has selected: the ?variant= URL parameter
+  // or the add-to-cart form's id input
+  getSelectedVariantId: function () {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("variant")) return params.get("variant");
 
-      if (sizeContainer) {
-        // Get all size elements
-        const sizeItems = sizeContainer.querySelectorAll(
-          ".size-selector-sizes__size"
-        );
-        Logger.debug(`Found ${sizeItems.length} Zara size options`);
+    const idInput = document.querySelector(
+      'form[action*="/cart/add"] [name="id"]'
+    );
+    return idInput && idInput.value ? idInput.value : null;
+  },
 
-        for (const sizeItem of sizeItems) {
-          // Check if this size is enabled (in stock)
-          // Updated to check for the unavailable and disabled classes
-          const isUnavailable = sizeItem.classList.contains("size-selector-sizes-size--unavailable") || 
-                               sizeItem.classList.contains("size-selector-sizes__size--disabled");
-          
-          // Get size label
-          const sizeLabel = sizeItem.querySelector(
-            ".size-selector-sizes-size__label"
-          );
-          if (!sizeLabel) continue;
+  // The selected variant, else the first available one as Shopify themes
+  // preselect it, else the first
+  getSelectedVariant: function (productJson) {
+    const variants = productJson.variants || [];
+    const selectedId = this.getSelectedVariantId();
+    return (
+      (selectedId && variants.find((v) => String(v.id) === String(selectedId))) ||
+      variants.find((v) => v.available !== false) ||
+      variants[0] ||
+      null
+    );
+  },
 
-          const sizeText = DOMUtils.getTextContent(sizeLabel);
-          if (!sizeText) continue;
+  // Line item properties the shopper fills in (engraving, initials, ...):
+  // inputs named properties[...] in the add-to-cart form. Names starting
+  // with "_" are the theme's own hidden properties.
+  extractPersonalization: function () {
+    const fields = [];
+    const inputs = document.querySelectorAll(
+      'form[action*="/cart/add"] [name^="properties"], [form][name^="properties"]'
+    );
 
-          // Check if this size is selected
-          const isSelected =
-            sizeItem.classList.contains("selected") ||
-            sizeItem.classList.contains("size-selector-sizes-size--selected") ||
-            !!sizeItem.querySelector('[aria-selected="true"]');
+    for (const input of inputs) {
+      const match = input.name.match(/^properties\[(.+)\]$/);
+      if (!match || match[1].startsWith("_") || input.type === "hidden") continue;
+      if (fields.some((field) => field.name === match[1])) continue;
+
+      const label = input.labels && input.labels.length > 0 ? input.labels[0] : null;
+      const maxLength = parseInt(input.getAttribute("maxlength"), 10);
+
+      fields.push({
+        name: match[1],
+        label: label ? DOMUtils.getTextContent(label) : input.placeholder || match[1],
+        type: input.tagName === "SELECT" ? "select" : input.tagName === "TEXTAREA" ? "textarea" : input.type || "text",
+        required: input.required,
+        maxLength: isNaN(maxLength) ? null : maxLength,
+        options:
+          input.tagName === "SELECT"
+            ? Array.from(input.options).map((option) => option.value).filter(Boolean)
+            : [],
+      });
+    }
+    return fields;
+  },
 
-          // Create a JSON string value that includes the inStock information
-          // This is the key change - we're formatting the value as a JSON string that can be parsed by Dart
-          const valueObj = {
-            size: sizeText,
-            inStock: !isUnavailable,
-          };
-          const valueJson = JSON.stringify(valueObj);
+  // Build the variant matrix from Shopify's product JSON. Variants carry
+  // their option values either as an options array or as option1..option3.
+  buildVariantMatrix: function (productJson) {
+    const optionNames = (productJson.options || []).map((option) =>
+      typeof option === "string" ? option : option && option.name
+    );
+    if (optionNames.length === 0) return null;
 
-          // Only add sizes that are in stock, or add all and let the Flutter code handle it
-          sizeResults.push({
-            text: sizeText,
-            selected: isSelected,
-            value: valueJson, // Store as JSON string so Dart can parse it
-          });
+    const dimensions = optionNames.map((name) =>
+      VariantMatrix.normalizeDimension(name)
+    );
+    const selected = this.getSelectedVariant(productJson);
+    let selectedVariant = null;
 
-          Logger.debug(
-            `Added Zara size: ${sizeText}, in stock: ${!isUnavailable}, selected: ${isSelected}`
-          );
+    const combinations = productJson.variants.map((variant) => {
+      const values =
+        variant.options || [variant.option1, variant.option2, variant.option3];
+      const options = {};
+      dimensions.forEach((dimension, index) => {
+        if (values[index] !== undefined && values[index] !== null) {
+          options[dimension] = values[index];
         }
+      });
 
-        // Successfully extracted sizes
-        if (sizeResults.length > 0) {
-          return sizeResults;
-        }
+      // Only trust quantities when Shopify is tracking inventory
+      const tracked =
+        variant.inventory_management && typeof variant.inventory_quantity === "number";
+      const inStock = variant.available !== undefined ? variant.available : true;
+      let stockLevel = null;
+      if (!inStock) {
+        stockLevel = "out_of_stock";
+      } else if (tracked && variant.inventory_quantity > 0 && variant.inventory_quantity <= 3) {
+        stockLevel = "low_stock";
+      }
+
+      const combination = VariantMatrix.createCombination(options, {
+        sku: variant.sku,
+        price: typeof variant.price === "number" ? variant.price / 100 : null,
+        originalPrice:
+          variant.compare_at_price && variant.compare_at_price > variant.price
+            ? variant.compare_at_price / 100
+            : null,
+        inStock: inStock,
+        stockLevel: stockLevel,
+      });
+
+      if (variant === selected) {
+        selectedVariant = combination;
       }
+      return combination;
+    });
 
-      // Try the new size selector structure - specific for the HTML provided
-      const newSizeSelector = ".new-size-selector";
-      const newSizeContainer = document.querySelector(newSizeSelector);
-      
-      if (newSizeContainer) {
-        // Get all size elements
-        const sizeItems = newSizeContainer.querySelectorAll(
-          ".size-selector-sizes__size"
-        );
-        Logger.debug(`Found ${sizeItems.length} Zara sizes in new selector`);
+    return VariantMatrix.create(
+      combinations,
+      selectedVariant ? selectedVariant.options : {}
+    );
+  },
+};
 
-        for (const sizeItem of sizeItems) {
-          // Check if this size is available (not disabled or unavailable)
-          const isUnavailable = sizeItem.classList.contains("size-selector-sizes__size--disabled") || 
-                               sizeItem.classList.contains("size-selector-sizes-size--unavailable");
-          
-          // Also check the data-qa-action attribute on the button
-          const sizeButton = sizeItem.querySelector("button.size-selector-sizes-size__button");
-          const dataQaAction = sizeButton ? sizeButton.getAttribute("data-qa-action") : null;
-          const isOutOfStock = dataQaAction === "size-out-of-stock";
-          
-          // Get size label
-          const sizeLabel = sizeItem.querySelector(
-            ".size-selector-sizes-size__label"
-          );
-          if (!sizeLabel) continue;
-
-          const sizeText = DOMUtils.getTextContent(sizeLabel);
-          if (!sizeText) continue;
+// WooCommerce-specific extractor
+const WooCommerceExtractor = {
+  // Check if the current page is a WooCommerce store
+  isWooCommerce: function () {
+    // Check for WooCommerce-specific classes
+    const wooElements = document.querySelector(
+      ".woocommerce, .woocommerce-page"
+    );
+    if (wooElements) return true;
 
-          // Check if this size is selected
-          const isSelected =
-            sizeItem.classList.contains("selected") ||
-            sizeItem.classList.contains("size-selector-sizes-size--selected") ||
-            !!sizeItem.querySelector('[aria-selected="true"]');
+    // Check for WooCommerce-specific scripts
+    const wooScripts = document.querySelector('script[src*="woocommerce"]');
+    if (wooScripts) return true;
 
-          // Get availability status based on multiple checks
-          const isInStock = !isUnavailable && !isOutOfStock;
+    // Check for WooCommerce object in window
+    if (window.wc_add_to_cart_params || window.woocommerce_params) return true;
 
-          // Create a value object with size and stock information
-          const valueObj = {
-            size: sizeText,
-            inStock: isInStock,
-          };
-          const valueJson = JSON.stringify(valueObj);
+    return false;
+  },
 
-          // Add to size variants
-          sizeResults.push({
-            text: sizeText,
-            selected: isSelected,
-            value: valueJson,
-          });
+  // Extract product info from WooCommerce store
+  extract: function () {
+    Logger.info("Extracting product info from WooCommerce store");
 
-          Logger.debug(
-            `Added Zara size (new selector): ${sizeText}, in stock: ${isInStock}, selected: ${isSelected}`
-          );
-        }
+    try {
+      const result = BaseExtractor.createResultObject();
+      result.extractionMethod = "woocommerce";
 
-        // Successfully extracted sizes
-        if (sizeResults.length > 0) {
-          return sizeResults;
-        }
+      // Extract product title
+      const titleElement = document.querySelector(".product_title");
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
       }
 
-      // Try alternative size selectors if the first method failed
-      const alternativeSizeSelectors = [
-        ".product-size-selector .product-size-info-name",
-        ".size-selector-option",
-        ".product-sizes [data-qa-option]",
-      ];
-
-      for (const selector of alternativeSizeSelectors) {
-        const sizeItems = document.querySelectorAll(selector);
-        if (sizeItems && sizeItems.length > 0) {
-          Logger.debug(
-            `Found ${sizeItems.length} size options with alternative selector: ${selector}`
-          );
-
-          for (const sizeItem of sizeItems) {
-            // Check attributes to determine if this size is in stock
-            const isEnabled =
-              !sizeItem.hasAttribute("disabled") &&
-              !sizeItem.classList.contains("disabled") &&
-              !sizeItem.classList.contains("product-size--out-of-stock");
-
-            // Get size text - try multiple approaches
-            let sizeText = DOMUtils.getTextContent(sizeItem);
+      // Extract product price
+      const priceElement = document.querySelector(
+        ".price .woocommerce-Price-amount"
+      );
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText);
+      }
 
-            // If the element itself doesn't have text, look for a child element
-            if (!sizeText) {
-              const sizeLabel = sizeItem.querySelector(
-                ".size-name, .size-label, [data-qa-size]"
-              );
-              if (sizeLabel) {
-                sizeText = DOMUtils.getTextContent(sizeLabel);
-              }
-            }
+      // Extract sale price if available
+      const originalPriceElement = document.querySelector(
+        ".price del .woocommerce-Price-amount"
+      );
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+      }
 
-            if (!sizeText) continue;
+      // Extract product image
+      const imageElement = document.querySelector(
+        ".woocommerce-product-gallery__image img"
+      );
+      if (imageElement) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(
+          imageElement.src || imageElement.getAttribute("data-src")
+        );
+      }
 
-            // Check if this size is selected
-            const isSelected =
-              sizeItem.classList.contains("selected") ||
-              sizeItem.classList.contains("product-size--is-selected") ||
-              (sizeItem.hasAttribute("aria-selected") &&
-                sizeItem.getAttribute("aria-selected") === "true");
+      // Extract product description
+      const descriptionElement = document.querySelector(
+        ".woocommerce-product-details__short-description"
+      );
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      }
 
-            // Create a JSON string value that includes the inStock information
-            const valueObj = {
-              size: sizeText,
-              inStock: isEnabled,
-            };
-            const valueJson = JSON.stringify(valueObj);
+      // Extract product SKU
+      const skuElement = document.querySelector(".sku");
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement);
+      }
 
-            // Add to size variants
-            sizeResults.push({
-              text: sizeText,
-              selected: isSelected,
-              value: valueJson,
-            });
+      // Extract product availability
+      const availabilityElement = document.querySelector(".stock");
+      if (availabilityElement) {
+        result.availability = DOMUtils.getTextContent(availabilityElement);
+      }
 
-            Logger.debug(
-              `Added Zara size (alternative): ${sizeText}, in stock: ${isEnabled}`
-            );
-          }
+      // Extract color variations
+      const colorElements = document.querySelectorAll(
+        'select[name^="attribute_pa_color"] option, .color-variable-item'
+      );
+      for (const element of colorElements) {
+        const colorText = DOMUtils.getTextContent(element);
+        if (colorText && colorText.toLowerCase() !== "choose an option") {
+          result.variants.colors.push({
+            text: colorText,
+            selected:
+              element.selected || element.classList.contains("selected"),
+            value: colorText,
+          });
+        }
+      }
 
-          // If we found sizes, stop searching
-          if (sizeResults.length > 0) {
-            break;
-          }
+      // Extract size variations
+      const sizeElements = document.querySelectorAll(
+        'select[name^="attribute_pa_size"] option, .size-variable-item'
+      );
+      for (const element of sizeElements) {
+        const sizeText = DOMUtils.getTextContent(element);
+        if (sizeText && sizeText.toLowerCase() !== "choose an option") {
+          result.variants.sizes.push({
+            text: sizeText,
+            selected:
+              element.selected || element.classList.contains("selected"),
+            value: sizeText,
+          });
         }
       }
 
-      // If we still didn't find sizes, try one more approach - look for a hidden size selector
-      if (sizeResults.length === 0) {
-        // Try to find the size button which might open the size selector
-        const sizeButton = document.querySelector(
-          'button[data-qa-action="open-size-selector"]'
-        );
-        if (sizeButton) {
-          Logger.debug(
-            'Found "Add" button for size selection, but sizes may be hidden'
-          );
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
 
-          // Even though the size selector might be hidden, the elements could still be in the DOM
-          const hiddenSizes = document.querySelectorAll(
-            '.size-selector-sizes-size__label, [data-qa-qualifier="size-selector-sizes-size-label"]'
-          );
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting from WooCommerce store", e);
+      return null;
+    }
+  },
+};
 
-          if (hiddenSizes && hiddenSizes.length > 0) {
-            Logger.debug(
-              `Found ${hiddenSizes.length} potentially hidden size elements`
-            );
+// Gucci-specific extractor
+const GucciExtractor = {
+  // Check if the current page is Gucci
+  isGucci: function () {
+    return window.location.hostname.includes("gucci.com");
+  },
 
-            for (const sizeElem of hiddenSizes) {
-              const sizeText = DOMUtils.getTextContent(sizeElem);
-              if (!sizeText) continue;
+  // Select { color, size }: colors are the carousel slides read by
+  // extractGucciColors, sizes the native <select> behind the Select2 dropdown.
+  // Slides that link to another color's page navigate away (the result says
+  // navigated), and the new page is detected from scratch.
+  selectVariant: function (args) {
+    return VariantSelector.select(args, {
+      color: [
+        {
+          selector: ".carousel-slide",
+          label: (slide) =>
+            DOMUtils.getTextContent(slide.querySelector("[data-gg-tooltip--content]")),
+          target: (slide) => slide.querySelector("a, button") || slide,
+        },
+      ],
+      size: [".size-dropdown select option, #pdp-size-selector option"],
+    });
+  },
 
-              // For hidden sizes, we can't determine if they're selected
-              // We assume they're in stock unless otherwise indicated
-              const sizeContainer = sizeElem.closest(
-                "li, .size-selector-sizes-size"
-              );
-              const isEnabled = sizeContainer
-                ? !sizeContainer.classList.contains("disabled") &&
-                  !sizeContainer.classList.contains("out-of-stock") &&
-                  !sizeContainer.classList.contains("size-selector-sizes__size--disabled") &&
-                  !sizeContainer.classList.contains("size-selector-sizes-size--unavailable")
-                : true;
+  // Extract product info from Gucci site
+  extract: function () {
+    Logger.info("Extracting product info from Gucci store");
 
-              // Check if there's a data-qa-action attribute on a parent button
-              const parentButton = sizeElem.closest("button[data-qa-action]");
-              const isOutOfStock = parentButton && parentButton.getAttribute("data-qa-action") === "size-out-of-stock";
+    try {
+      const result = BaseExtractor.createResultObject();
+      result.extractionMethod = "gucci";
+      result.brand = "Gucci"; // Set brand directly
 
-              // Create a JSON string value that includes the inStock information
-              const valueObj = {
-                size: sizeText,
-                inStock: isEnabled && !isOutOfStock,
-              };
-              const valueJson = JSON.stringify(valueObj);
-
-              sizeResults.push({
-                text: sizeText,
-                selected: false, // Can't determine for hidden sizes
-                value: valueJson,
-              });
+      // Extract product title
+      const titleSelectors = [
+        'h1[itemprop="name"]',
+        "h1.product__name",
+        ".product-info h1",
+        ".pdp__info h1",
+      ];
 
-              Logger.debug(`Added Zara hidden size: ${sizeText}, in stock: ${isEnabled && !isOutOfStock}`);
-            }
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Gucci title: ${result.title}`);
+      } else {
+        // Fallback to page title
+        const pageTitle = document.title;
+        if (pageTitle) {
+          // Often follows pattern: "Product Name | Gucci® TR"
+          const titleParts = pageTitle.split("|");
+          if (titleParts.length > 1) {
+            result.title = titleParts[0].trim();
+          } else {
+            result.title = pageTitle;
           }
+          Logger.debug(`Using page title: ${result.title}`);
         }
       }
 
-      return sizeResults;
-    } catch (e) {
-      Logger.warn("Error extracting Zara sizes", e);
-      return [];
-    }
-  },
-};
-
-// Stradivarius Extractor - Add this after other site-specific extractors
-const StradivariusExtractor = {
-  // Check if current site is Stradivarius
-  isStradivarius: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("stradivarius.com");
-  },
-  
-  // Extract product information from Stradivarius pages
-  extract: function() {
-    try {
-      Logger.info("Extracting product data for Stradivarius");
-      
-      // Basic product information
-      const productInfo = {
-        isProductPage: true,
-        success: false,
-        brand: "Stradivarius",
-        url: window.location.href,
-        currency: "TRY", // Default to TRY, will try to extract actual currency
-        extractionMethod: "stradivarius-specific",
-      };
-      
-      // Extract title - Stradivarius usually has a h1 for product title
-      const titleElement = document.querySelector("h1");
-      if (titleElement) {
-        productInfo.title = titleElement.textContent.trim();
-      }
-      
-      // Extract price
-      // Look for price with various selectors specific to Stradivarius
+      // Extract product price
       const priceSelectors = [
-        '.product-price', 
-        '[data-testid="price"]',
-        '[data-qa-id="current-price"]',
-        '.price-current-amount',
-        '.actual-price'
+        '[itemprop="price"]',
+        ".product-detail-price",
+        ".price-value",
+        ".product__price",
+        ".pdp__info .price",
       ];
-      
-      for (const selector of priceSelectors) {
-        const priceElement = document.querySelector(selector);
-        if (priceElement && priceElement.textContent) {
-          // Process the price text to extract the number and currency
-          const priceText = priceElement.textContent.trim();
-          Logger.debug(`Found price: ${priceText}`);
-          
-          // Extract currency and numeric value
-          const currencyMatch = priceText.match(/(TRY|\$|€|£|₺)/);
-          if (currencyMatch) {
-            const currencyMap = {
-              "TRY": "TRY",
-              "₺": "TRY",
-              "$": "USD",
-              "€": "EUR",
-              "£": "GBP"
-            };
-            productInfo.currency = currencyMap[currencyMatch[1]] || "TRY";
-          }
-          
-          // Extract numeric price
-          const priceMatch = priceText.match(/[\d,.]+/);
-          if (priceMatch) {
-            // Handle different price formats (1.234,56 or 1,234.56)
-            let priceValue = priceMatch[0];
-            // If price contains both comma and period, handle Turkish format
-            if (priceValue.includes(',') && priceValue.includes('.')) {
-              // Remove periods (thousand separators) and replace comma with period
-              priceValue = priceValue.replace(/\./g, '').replace(',', '.');
-            } else if (priceValue.includes(',')) {
-              // If only comma exists, treat it as decimal separator
-              priceValue = priceValue.replace(',', '.');
-            }
-            productInfo.price = parseFloat(priceValue);
-            
-            // Mark as successful if we have both title and price
-            if (productInfo.title) {
-              productInfo.success = true;
-            }
-          }
-          break; // Stop after finding first valid price
-        }
+
+      const priceElement = DOMUtils.querySelector(priceSelectors);
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText);
+        Logger.debug(`Found Gucci price: ${result.price} ${result.currency}`);
       }
-      
-      // Extract product image
-      // Stradivarius uses different image selectors, try them all
-      const imageSelectors = [
-        'img.multimedia-item-fade-in', // From the HTML you provided
-        '.multimedia-list-container img',
-        '.product-detail-image img',
-        '.multimedia-item.image img',
-        '[data-cy^="horizontal-image"] img',
-        '.product-images-container img'
+
+      // Extract original price (for sales)
+      const originalPriceSelectors = [
+        ".product-detail-original-price",
+        ".original-price",
+        ".price-original",
       ];
-      
-      for (const selector of imageSelectors) {
-        const images = document.querySelectorAll(selector);
-        if (images && images.length > 0) {
-          // Get the first image, which is usually the main product image
-          const mainImage = images[0];
-          if (mainImage.src) {
-            Logger.debug(`Found image: ${mainImage.src}`);
-            productInfo.imageUrl = mainImage.src;
-            break;
-          }
-        }
+
+      const originalPriceElement = DOMUtils.querySelector(
+        originalPriceSelectors
+      );
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+        Logger.debug(`Found Gucci original price: ${result.originalPrice}`);
       }
-      
-      // Extract color variants
-      const colorVariants = [];
-      // Updated selectors for Stradivarius colors - focusing on images in color lists
-      const colorSelectors = [
-        '.color-selector-container .color-item img',
-        '.colors-list .color-item img',
-        '.color-lists img',
-        '.product-colors .color-button img'
+
+      // Extract product description
+      const descriptionSelectors = [
+        ".product-detail-description",
+        ".product-description",
+        ".description",
+        '[itemprop="description"]',
       ];
-      
-      for (const selector of colorSelectors) {
-        const colorElements = document.querySelectorAll(selector);
-        if (colorElements && colorElements.length > 0) {
-          // Process each color variant
-          colorElements.forEach(colorElement => {
-            // Get color name from alt attribute
-            let colorName = colorElement.getAttribute('alt');
-            
-            // Skip if no alt text or it's a social media icon
-            const socialMediaTerms = ['facebook', 'instagram', 'twitter', 'youtube', 'pinterest', 'tiktok', 'linkedin', 'preference', 'privacy', 'company logo', 'ios', 'android'];
-            const isSocialMedia = !colorName || socialMediaTerms.some(term => 
-              colorName.toLowerCase().includes(term));
-              
-            if (colorName && !isSocialMedia) {
-              // Check if this color's parent element is selected
-              const colorItem = colorElement.closest('.color-item');
-              const isSelected = colorItem && (
-                colorItem.classList.contains('selected') || 
-                colorItem.hasAttribute('aria-selected') || 
-                colorItem.classList.contains('active') ||
-                colorItem.querySelector('.color-selected') !== null
-              );
-              
-              // Use the image source URL as the value
-              const imageUrl = colorElement.getAttribute('src');
-              
-              // Add to color variants
-              colorVariants.push({
-                text: colorName,
-                selected: isSelected,
-                value: imageUrl // Use the image URL so we can display the color swatch
-              });
-              Logger.debug(`Added color variant: ${colorName}`);
-            }
-          });
-          
-          if (colorVariants.length > 0) {
-            break; // Stop after finding color variants with one selector
-          }
+
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+        Logger.debug("Found Gucci description");
+      }
+
+      // Extract product SKU
+      const skuSelectors = [".product-detail-sku", ".sku", '[itemprop="sku"]'];
+
+      const skuElement = DOMUtils.querySelector(skuSelectors);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement);
+        Logger.debug(`Found Gucci SKU: ${result.sku}`);
+      } else {
+        // Extract SKU from URL
+        const skuMatch = window.location.pathname.match(/\/(\w+)$/);
+        if (skuMatch) {
+          result.sku = skuMatch[1];
+          Logger.debug(`Extracted Gucci SKU from URL: ${result.sku}`);
         }
       }
-      
-      // Extract size variants
-      const sizeVariants = [];
-      // Stradivarius uses various selectors for size options
-      const sizeSelectors = [
-        '.size-selector-container .size-item',
-        '.size-selector .size-option',
-        '.product-sizes .size-button',
-        '[data-qa-id="sizes"] button',
-        '.size-selector-sizes__size'
-      ];
-      
-      for (const selector of sizeSelectors) {
-        const sizeElements = document.querySelectorAll(selector);
-        if (sizeElements && sizeElements.length > 0) {
-          // Process each size variant
-          sizeElements.forEach(sizeElement => {
-            // Try to get size name from various sources
-            let sizeText = '';
-            
-            // Try to find the text in a label element
-            const sizeLabel = sizeElement.querySelector('.size-label, .size-text, .size-selector-sizes-size__label');
-            if (sizeLabel && sizeLabel.textContent.trim()) {
-              sizeText = sizeLabel.textContent.trim();
-            }
-            // Try aria-label
-            else if (sizeElement.getAttribute('aria-label')) {
-              sizeText = sizeElement.getAttribute('aria-label');
-            }
-            // Try inner text as fallback
-            else if (sizeElement.textContent.trim()) {
-              sizeText = sizeElement.textContent.trim();
-            }
-            
-            if (sizeText) {
-              // Check if size is in stock
-              const isDisabled = sizeElement.classList.contains('disabled') || 
-                              sizeElement.classList.contains('out-of-stock') ||
-                              sizeElement.classList.contains('size-selector-sizes-size--disabled') ||
-                              sizeElement.hasAttribute('disabled');
-                              
-              const isSelected = sizeElement.classList.contains('selected') || 
-                               sizeElement.hasAttribute('aria-selected') ||
-                               sizeElement.classList.contains('size-selector-sizes-size--selected') ||
-                               !!sizeElement.querySelector('[aria-selected="true"]');
-              
-              // Create value object with stock info
-              const valueObj = {
-                size: sizeText,
-                inStock: isEnabled,
-              };
-              
-              // Add to size variants
-              sizeVariants.push({
-                text: sizeText,
-                selected: isSelected,
-                value: JSON.stringify(valueObj)
-              });
-              Logger.debug(`Added size variant: ${sizeText} (in stock: ${isEnabled})`);
+
+      // Find best image first - used for main product image
+      // Get the image from the currently selected color/variant
+      const currentSlide = document.querySelector(
+        ".carousel-slide.slick-current, .carousel-slide.slick-active"
+      );
+      if (currentSlide) {
+        const img = currentSlide.querySelector("img");
+        if (img) {
+          // Try to get the high-res version first by getting the real source or srcset
+          const sources = currentSlide.querySelectorAll("source");
+          let bestSource = null;
+          let bestWidth = 0;
+
+          for (const source of sources) {
+            // Check if it's a high-res image source
+            const srcset = source.getAttribute("srcset");
+            if (srcset) {
+              const mediaQuery = source.getAttribute("media");
+              if (mediaQuery && mediaQuery.includes("retina")) {
+                // This is a retina/high-res image, prefer it
+                result.imageUrl = FormatUtils.makeUrlAbsolute(
+                  FormatUtils.pickFromSrcset(srcset).url
+                );
+                Logger.debug(`Found Gucci retina image: ${result.imageUrl}`);
+                break;
+              }
+
+              // Check if this source has a width attribute or data-image-size
+              const sizeAttr = source.getAttribute("data-image-size");
+              let width = 0;
+
+              if (sizeAttr) {
+                // Try to extract the width from something like "standard-retina" or "730x490"
+                const sizeMatch = sizeAttr.match(/(\d+)x\d+/);
+                if (sizeMatch) {
+                  width = parseInt(sizeMatch[1], 10);
+                } else if (sizeAttr.includes("standard")) {
+                  width = 500; // Assume standard is decent size
+                } else if (sizeAttr.includes("large")) {
+                  width = 800; // Assume large is bigger
+                }
+              }
+
+              if (width > bestWidth) {
+                bestWidth = width;
+                bestSource = srcset;
+              }
             }
-          });
-          
-          if (sizeVariants.length > 0) {
-            break; // Stop after finding size variants with one selector
+          }
+
+          // Use the best source found, or fallback to img src
+          if (bestSource) {
+            result.imageUrl = FormatUtils.makeUrlAbsolute(
+              FormatUtils.pickFromSrcset(bestSource).url
+            );
+            Logger.debug(`Found Gucci best source image: ${result.imageUrl}`);
+          } else {
+            result.imageUrl = FormatUtils.makeUrlAbsolute(
+              img.src || img.getAttribute("data-src")
+            );
+            Logger.debug(`Found Gucci image: ${result.imageUrl}`);
           }
         }
-      }
-      
-      // Add variants to product info if found
-      if (colorVariants.length > 0 || sizeVariants.length > 0) {
-        productInfo.variants = {};
-        if (colorVariants.length > 0) {
-          productInfo.variants.colors = colorVariants;
-        }
-        if (sizeVariants.length > 0) {
-          productInfo.variants.sizes = sizeVariants;
-        }
-      }
-      
-      // Extract description
-      const descriptionSelectors = [
-        '.product-description pre',
-        '.product-description',
-        '.description-content',
-        '[data-qa-id="description"]'
-      ];
-      
-      for (const selector of descriptionSelectors) {
-        const descriptionElement = document.querySelector(selector);
-        if (descriptionElement && descriptionElement.textContent.trim()) {
-          productInfo.description = descriptionElement.textContent.trim();
-          break;
+      } else {
+        // Fallback to any large image on the page
+        const bestImage = DOMUtils.findLargestImage();
+        if (bestImage) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(
+            bestImage.src || bestImage.getAttribute("data-src")
+          );
+          Logger.debug(`Found Gucci fallback image: ${result.imageUrl}`);
         }
       }
-      
-      return productInfo;
+
+      // Extract sizes - specifically for Gucci's Select2 implementation
+      this.extractGucciSizes(result);
+
+      // Extract colors - specifically for Gucci's carousel implementation
+      this.extractGucciColors(result);
+
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+
+      return result;
     } catch (e) {
-      Logger.error("Error extracting Stradivarius product data", e);
-      return {
-        isProductPage: true,
-        success: false,
-        brand: "Stradivarius",
-        url: window.location.href,
-        extractionMethod: "stradivarius-specific-failed",
-        error: e.message
-      };
+      Logger.error("Error extracting from Gucci site", e);
+      return null;
     }
-  }
-};
-
-// Cartier Extractor - For extracting Cartier product information
-const CartierExtractor = {
-  // Check if current site is Cartier
-  isCartier: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("cartier.com");
   },
-  
-  // Extract product information from Cartier pages
-  extract: function() {
+
+  // Helper method to extract Gucci sizes - completely rewritten to handle their specific Select2 structure
+  extractGucciSizes: function (result) {
     try {
-      Logger.info("Extracting product data for Cartier");
-      
-      // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Cartier";
-      result.extractionMethod = "cartier-specific";
-      
-      // Extract title
-      const titleSelectors = [
-        '.ProductInfo-title', // Primary selector
-        'h1.ProductTitle',
-        '.product-title h1',
-        'h1.title'
-      ];
-      
-      const titleElement = DOMUtils.querySelector(titleSelectors);
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Cartier title: ${result.title}`);
-      }
-      
-      // Extract price
-      const priceSelectors = [
-        '.ProductInfo-price', // Primary selector
-        '.product-price',
-        '.price .value',
-        '[data-element="price"]',
-        '[itemprop="price"]'
-      ];
-      
-      const priceElement = DOMUtils.querySelector(priceSelectors);
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found Cartier price: ${result.price} ${result.currency}`);
+      Logger.info("Extracting Gucci sizes");
+
+      // Try direct approach with Select2 dropdown - this is the active dropdown
+      const select2Results = document.querySelector(
+        ".select2-results__options"
+      );
+
+      if (select2Results) {
+        const sizeOptions = select2Results.querySelectorAll(
+          ".select2-results__option"
+        );
+        Logger.debug(
+          `Found ${sizeOptions.length} Gucci size options in Select2 dropdown`
+        );
+
+        for (const option of sizeOptions) {
+          // Skip the placeholder "Select size" option
+          if (option.id.endsWith("-1")) continue;
+
+          // Get the size text from the content span
+          const sizeContentSpan = option.querySelector(
+            ".custom-select-content-size"
+          );
+          if (!sizeContentSpan) continue;
+
+          const sizeText = DOMUtils.getTextContent(sizeContentSpan);
+          if (!sizeText) continue;
+
+          // Check if this option is selected
+          const isSelected = option.getAttribute("aria-selected") === "true";
+
+          result.variants.sizes.push({
+            text: sizeText,
+            selected: isSelected,
+            value: sizeText,
+          });
+
+          Logger.debug(
+            `Added Gucci size from Select2: ${sizeText}, selected: ${isSelected}`
+          );
+        }
+
+        if (result.variants.sizes.length > 0) {
+          return; // Successfully found sizes in Select2 dropdown
+        }
       }
-      
-      // Extract product image
-      const imageSelectors = [
-        '.ProductGallery img',
-        '.product-image img',
-        '[data-element="product-image"] img',
-        '[itemprop="image"]'
-      ];
-      
-      const imageElement = DOMUtils.querySelector(imageSelectors);
-      if (imageElement && imageElement.getAttribute('src')) {
-        result.imageUrl = FormatUtils.makeUrlAbsolute(imageElement.getAttribute('src'));
-        Logger.debug(`Found Cartier image: ${result.imageUrl}`);
-      }
-      
-      // Extract product description
-      const descriptionSelectors = [
-        '.ProductInfo-description',
-        '.product-description',
-        '[itemprop="description"]',
-        '[data-element="description"]'
-      ];
-      
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
-      if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug("Found Cartier description");
-      }
-      
-      // Extract product SKU/Reference
-      // For Cartier, extract the product code from the URL (e.g., CRH4414200)
-      const skuMatch = window.location.pathname.match(/[A-Z0-9]{5,}(?=\.html)/);
-      if (skuMatch) {
-        result.sku = skuMatch[0];
-        Logger.debug(`Extracted Cartier SKU from URL: ${result.sku}`);
-      }
-      
-      // Try to find a reference code in the DOM as a backup
-      const skuSelectors = [
-        '.product-reference',
-        '.reference-number',
-        '[data-element="reference"]'
-      ];
-      
-      const skuElement = DOMUtils.querySelector(skuSelectors);
-      if (skuElement && !result.sku) {
-        result.sku = DOMUtils.getTextContent(skuElement).replace(/Ref.:|Reference:|Ref:/i, '').trim();
-        Logger.debug(`Found Cartier SKU in DOM: ${result.sku}`);
-      }
-      
-      // Mark as success if we have the essential product information
-      if (result.title && result.price) {
-        result.success = true;
-        Logger.info("Successfully extracted Cartier product data");
-      }
-      
-      return result;
-    } catch (e) {
-      Logger.error("Error extracting Cartier product data", e);
-      return {
-        isProductPage: true,
-        success: false,
-        brand: "Cartier",
-        url: window.location.href,
-        extractionMethod: "cartier-specific",
-        error: e.message
-      };
-    }
-  }
-};
 
-// Swarovski Extractor - For extracting Swarovski product information
-const SwarovskiExtractor = {
-  // Check if current site is Swarovski
-  isSwarovski: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("swarovski.com");
-  },
-  
-  // Extract product information from Swarovski pages
-  extract: function() {
-    try {
-      Logger.info("Extracting product data for Swarovski");
-      
-      // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Swarovski";
-      result.extractionMethod = "swarovski-specific";
-      
-      // Extract title
-      const titleSelectors = [
-        '.product-name h1', 
-        '.swa-product-basic-info__title',
-        '.swa-product-overview-title',
-        '.product-detail-title'
-      ];
-      
-      const titleElement = DOMUtils.querySelector(titleSelectors);
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Swarovski title: ${result.title}`);
-      }
-      
-      // Extract price
-      const priceSelectors = [
-        '.swa-product-summary__price', 
-        '.price-sales',
-        '.product-price .value',
-        '[data-test-id="product-sales-price"]'
-      ];
-      
-      const priceElement = DOMUtils.querySelector(priceSelectors);
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found Swarovski price: ${result.price} ${result.currency}`);
-      }
+      // If Select2 dropdown not found, try to find the sizes in the page content
+      // This could be a hidden select element that Select2 is attached to
+      const sizeSelectOptions = document.querySelectorAll(
+        ".size-dropdown select option, #pdp-size-selector option"
+      );
 
-      // Extract original price if available (for sale items)
-      const originalPriceSelectors = [
-        '.price-standard',
-        '.swa-product-summary__price--original',
-        '[data-test-id="product-standard-price"]'
-      ];
+      if (sizeSelectOptions && sizeSelectOptions.length > 0) {
+        Logger.debug(
+          `Found ${sizeSelectOptions.length} Gucci size options using selector: .size-dropdown select option`
+        );
 
-      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Swarovski original price: ${result.originalPrice}`);
-      }
-      
-      // Extract product image
-      const imageSelectors = [
-        '.carousel-item.active img',
-        '.swa-product-gallery-carousel__main-image img',
-        '.swa-product-gallery img',
-        '[data-test-id="product-image"] img'
-      ];
-      
-      const imageElement = DOMUtils.querySelector(imageSelectors);
-      if (imageElement) {
-        let imageUrl = imageElement.getAttribute('src');
-        // Try to get larger image from data attributes if available
-        if (!imageUrl || imageUrl.includes('transparent.gif')) {
-          imageUrl = imageElement.getAttribute('data-src') || 
-                     imageElement.getAttribute('data-zoom-image') || 
-                     imageElement.getAttribute('data-large-img');
-        }
-        if (imageUrl) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
-          Logger.debug(`Found Swarovski image: ${result.imageUrl}`);
+        for (const option of sizeSelectOptions) {
+          // Skip placeholder option
+          if (option.value === "-1" || option.disabled) continue;
+
+          const sizeText = DOMUtils.getTextContent(option);
+          if (!sizeText) continue;
+
+          const isSelected = option.selected;
+
+          result.variants.sizes.push({
+            text: sizeText,
+            selected: isSelected,
+            value: sizeText,
+          });
+
+          Logger.debug(
+            `Added Gucci size: ${sizeText}, selected: ${isSelected}`
+          );
         }
+
+        return; // Successfully found sizes in select element
       }
-      
-      // Extract product description
-      const descriptionSelectors = [
-        '.product-details-description',
-        '.swa-product-content-details__description',
-        '.swa-product-details__description',
-        '[data-test-id="product-description"]'
-      ];
-      
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
-      if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug("Found Swarovski description");
-      }
-      
-      // Extract product SKU/ID
-      // For Swarovski, we can extract the product code from the URL (e.g., 5642595)
-      const skuMatch = window.location.pathname.match(/\/p-[A-Za-z](\d+)\//);
-      if (skuMatch && skuMatch[1]) {
-        result.sku = skuMatch[1];
-        Logger.debug(`Extracted Swarovski SKU from URL: ${result.sku}`);
-      } else {
-        // Try to find SKU in the DOM
-        const skuSelectors = [
-          '.product-id',
-          '.swa-product-number',
-          '[data-test-id="product-id"]'
-        ];
-        
-        const skuElement = DOMUtils.querySelector(skuSelectors);
-        if (skuElement) {
-          result.sku = DOMUtils.getTextContent(skuElement).replace(/Item No.:|Art. Nr.:|Ref:/i, '').trim();
-          Logger.debug(`Found Swarovski SKU in DOM: ${result.sku}`);
+
+      // If still no sizes found, try to find any elements with specific Gucci classes
+      const sizeElements = document.querySelectorAll(
+        ".custom-select-content-size"
+      );
+
+      if (sizeElements && sizeElements.length > 0) {
+        Logger.debug(
+          `Found ${sizeElements.length} Gucci size elements using .custom-select-content-size`
+        );
+
+        for (const element of sizeElements) {
+          const sizeText = DOMUtils.getTextContent(element);
+          if (!sizeText) continue;
+
+          // Can't determine selected state in this case
+
+          result.variants.sizes.push({
+            text: sizeText,
+            selected: false,
+            value: sizeText,
+          });
+
+          Logger.debug(`Added Gucci size: ${sizeText}, selected: false`);
         }
       }
-      
-      // Extract colors - Swarovski specific
-      this.extractSwarovskiColors(result);
-      
-      // Mark as success if we have the essential product information
-      if (result.title && result.price) {
-        result.success = true;
-        Logger.info("Successfully extracted Swarovski product data");
-      }
-      
-      return result;
     } catch (e) {
-      Logger.error("Error extracting Swarovski product data", e);
-      return {
-        isProductPage: true,
-        success: false,
-        brand: "Swarovski",
-        url: window.location.href,
-        extractionMethod: "swarovski-specific",
-        error: e.message
-      };
+      Logger.warn("Error extracting Gucci sizes", e);
     }
   },
-  
-  // Extract color variants specifically for Swarovski
-  extractSwarovskiColors: function(result) {
+
+  // Helper method to extract Gucci colors - completely rewritten to handle their carousel structure
+  extractGucciColors: function (result) {
     try {
-      Logger.info("Extracting Swarovski color variants");
-      
-      // Swarovski color variants are in a specific container
-      const colorContainer = document.querySelector('.swa-product-color-selector-horizontal__tiles');
-      
-      if (colorContainer) {
-        const colorItems = colorContainer.querySelectorAll('.swa-product-color-variant-thumbnail');
-        Logger.debug(`Found ${colorItems.length} Swarovski color options`);
-        
-        if (colorItems && colorItems.length > 0) {
-          for (const colorItem of colorItems) {
-            // Check if this color is selected
-            const isSelected = colorItem.classList.contains('swa-product-color-variant-thumbnail--selected');
-            
-            // Get color link and name
-            const colorLink = colorItem.querySelector('a');
-            if (!colorLink) continue;
-            
-            // Get color name from name attribute
-            let colorName = colorLink.getAttribute('name');
-            if (!colorName) {
-              colorName = colorLink.getAttribute('aria-label');
-              if (colorName && colorName.startsWith('Product: ')) {
-                colorName = colorName.substring('Product: '.length);
+      Logger.info("Extracting Gucci colors");
+
+      // Find all carousel slides from the Slick carousel
+      const colorSlides = document.querySelectorAll(".carousel-slide");
+
+      if (colorSlides && colorSlides.length > 0) {
+        Logger.debug(
+          `Found ${colorSlides.length} potential color slides in carousel`
+        );
+
+        const uniqueColors = new Set(); // To prevent duplicates
+
+        for (const slide of colorSlides) {
+          // Get the color name from tooltip data attribute
+          const tooltipContent = slide.querySelector(
+            "[data-gg-tooltip--content]"
+          );
+          if (!tooltipContent) continue;
+
+          const colorText = DOMUtils.getTextContent(tooltipContent);
+          if (!colorText || uniqueColors.has(colorText)) continue;
+
+          uniqueColors.add(colorText); // Add to set to prevent duplicates
+
+          // Check if this is the selected/current color slide
+          const isSelected =
+            slide.classList.contains("slick-current") ||
+            (slide.classList.contains("slick-active") &&
+              slide.getAttribute("data-slick-index") === "0");
+
+          // Get the image for this color (important for color variants)
+          const img = slide.querySelector("img");
+          let imageUrl = null;
+
+          if (img) {
+            // First try to get high-res image from source elements
+            const sources = slide.querySelectorAll("source");
+            let bestSource = null;
+            let bestWidth = 0;
+
+            for (const source of sources) {
+              // Check if it's a high-res image source
+              const srcset = source.getAttribute("srcset");
+              if (srcset) {
+                const mediaQuery = source.getAttribute("media");
+                if (mediaQuery && mediaQuery.includes("retina")) {
+                  // This is a retina/high-res image, prefer it
+                  bestSource = srcset;
+                  break;
+                }
+
+                // Check if this source has a width attribute or data-image-size
+                const sizeAttr = source.getAttribute("data-image-size");
+                let width = 0;
+
+                if (sizeAttr) {
+                  // Try to extract the width from something like "standard-retina" or "730x490"
+                  const sizeMatch = sizeAttr.match(/(\d+)x\d+/);
+                  if (sizeMatch) {
+                    width = parseInt(sizeMatch[1], 10);
+                  } else if (sizeAttr.includes("standard")) {
+                    width = 500; // Assume standard is decent size
+                  } else if (sizeAttr.includes("large")) {
+                    width = 800; // Assume large is bigger
+                  }
+                }
+
+                if (width > bestWidth) {
+                  bestWidth = width;
+                  bestSource = srcset;
+                }
               }
             }
-            
-            if (!colorName) continue;
-            
-            // Get the image URL for the color
-            const img = colorItem.querySelector('img');
-            let imageUrl = null;
-            
-            if (img) {
-              // Get image URL
-              imageUrl = FormatUtils.makeUrlAbsolute(img.getAttribute('src'));
+
+            // Use the best source found, or fallback to img src
+            if (bestSource) {
+              imageUrl = FormatUtils.makeUrlAbsolute(
+                FormatUtils.pickFromSrcset(bestSource).url
+              );
+            } else {
+              imageUrl = FormatUtils.makeUrlAbsolute(
+                img.src || img.getAttribute("data-src")
+              );
             }
-            
-            // Add to color variants
-            result.variants.colors.push({
-              text: colorName,
-              selected: isSelected,
-              value: imageUrl || colorName // Use image URL as value if available
-            });
-            
-            Logger.debug(`Added Swarovski color: ${colorName}, selected: ${isSelected}`);
           }
+
+          // Add color to variants
+          result.variants.colors.push({
+            text: colorText,
+            selected: isSelected,
+            value: imageUrl || colorText, // Also store the image URL separately
+          });
+
+          Logger.debug(
+            `Added Gucci color from carousel: ${colorText}, selected: ${isSelected}`
+          );
         }
+
+        return; // Successfully found colors in carousel
       }
-      
-      // If no colors found from main selector, try alternative selectors
-      if (result.variants.colors.length === 0) {
-        const alternativeSelectors = [
-          '.swa-swatches-container .swa-swatch',
-          '.swa-product-variants .swa-variant-selector',
-          '.swa-product-color-selector .swa-color-selector-item'
-        ];
-        
-        for (const selector of alternativeSelectors) {
-          const colorElements = document.querySelectorAll(selector);
-          
-          if (colorElements && colorElements.length > 0) {
-            Logger.debug(`Found ${colorElements.length} color options with alternative selector: ${selector}`);
-            
-            for (const element of colorElements) {
-              // Check if selected
-              const isSelected = element.classList.contains('selected') || 
-                               element.classList.contains('active') ||
-                               element.getAttribute('aria-selected') === 'true';
-              
-              // Get color name from various possible sources
-              let colorName = element.getAttribute('title') || 
-                            element.getAttribute('data-color-name') || 
-                            element.getAttribute('aria-label');
-              
-              if (!colorName) {
-                const nameEl = element.querySelector('.color-name, .swatch-name');
-                if (nameEl) {
-                  colorName = DOMUtils.getTextContent(nameEl);
-                }
-              }
-              
-              if (!colorName) continue;
-              
-              // Get image if available
-              const img = element.querySelector('img');
-              let imageUrl = null;
-              
-              if (img && img.src) {
-                imageUrl = FormatUtils.makeUrlAbsolute(img.src);
-              }
-              
-              // Add to color variants
-              result.variants.colors.push({
-                text: colorName,
-                selected: isSelected,
-                value: imageUrl || colorName
-              });
-              
-              Logger.debug(`Added Swarovski color (alternative): ${colorName}`);
-            }
-            
-            if (result.variants.colors.length > 0) {
-              break; // Stop after finding colors with one selector
-            }
-          }
+
+      // If carousel not found, try other possible sources of color info
+      const colorElements = document.querySelectorAll(
+        "[data-gg-tooltip--content]"
+      );
+
+      if (colorElements && colorElements.length > 0) {
+        Logger.debug(
+          `Found ${colorElements.length} tooltip elements with color info`
+        );
+
+        const uniqueColors = new Set(); // To prevent duplicates
+
+        for (const element of colorElements) {
+          const colorText = DOMUtils.getTextContent(element);
+          if (!colorText || uniqueColors.has(colorText)) continue;
+
+          uniqueColors.add(colorText); // Add to set to prevent duplicates
+
+          // Can't determine selected state in this case
+
+          result.variants.colors.push({
+            text: colorText,
+            selected: false,
+            value: colorText,
+          });
+
+          Logger.debug(`Added Gucci color from tooltip: ${colorText}`);
         }
       }
     } catch (e) {
-      Logger.warn("Error extracting Swarovski colors", e);
+      Logger.warn("Error extracting Gucci colors", e);
     }
-  }
+  },
 };
 
-// Guess Extractor - For extracting Guess product information
-const GuessExtractor = {
-  // Check if current site is Guess
-  isGuess: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("guess.eu");
+const ZaraExtractor = {
+  // Check if the current page is Zara
+  isZara: function () {
+    return window.location.hostname.includes("zara.com");
   },
-  
-  // Extract product information from Guess pages
-  extract: function() {
+
+  // Select a color through the swatches read by extractZaraColors. Picking a
+  // size on Zara adds it to the bag, so sizes are not selectable.
+  selectVariant: function (args) {
+    return VariantSelector.select(args, {
+      color: [
+        {
+          selector: ".product-detail-color-selector__color",
+          label: (item) => {
+            const button = item.querySelector("button");
+            return (
+              DOMUtils.getTextContent(item.querySelector(".screen-reader-text")) ||
+              (button ? button.getAttribute("aria-label") : "")
+            );
+          },
+          target: (item) => item.querySelector("button"),
+        },
+      ],
+    });
+  },
+
+  // Extract product info from Zara site
+  extract: function () {
+    Logger.info("Extracting product info from Zara store");
+
     try {
-      Logger.info("Extracting product data for Guess");
-      
-      // Basic product information
       const result = BaseExtractor.createResultObject();
-      result.brand = "Guess";
-      result.extractionMethod = "guess-specific";
-      
-      // Extract title
+      result.extractionMethod = "zara";
+      result.brand = "Zara"; // Set brand directly
+
+      // Extract product title
       const titleSelectors = [
-        '.product-name h1',
-        '.pdp-details__name h1',
-        '.product-detail-name'
+        ".product-detail-info h1",
+        ".product-detail-info__header h1",
+        '[data-qa-qualifier="product-name"]',
+        ".product-detail-card-info__title h1",
       ];
-      
+
       const titleElement = DOMUtils.querySelector(titleSelectors);
       if (titleElement) {
         result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Guess title: ${result.title}`);
-      } else {
-        // Fallback to page title
-        const pageTitle = document.title;
-        if (pageTitle) {
-          // Often follows pattern: "Product Name | Guess"
-          const titleParts = pageTitle.split("|");
-          if (titleParts.length > 1) {
-            result.title = titleParts[0].trim();
-          } else {
-            result.title = pageTitle;
-          }
-          Logger.debug(`Using page title: ${result.title}`);
-        }
+        Logger.debug(`Found Zara title: ${result.title}`);
       }
-      
-      // Extract price
+
+      // Extract product price
       const priceSelectors = [
-        '.product-price .price-sales',
-        '.price-sales',
-        '.product-price .value',
-        '[data-sales-price]'
+        ".price__amount",
+        '[data-qa-qualifier="product-price"]',
+        ".product-detail-info__price span",
+        ".product-detail-card-info__prices .money-amount__main",
       ];
-      
+
       const priceElement = DOMUtils.querySelector(priceSelectors);
       if (priceElement) {
         const priceText = DOMUtils.getTextContent(priceElement);
         result.price = FormatUtils.formatPrice(priceText);
         result.currency = FormatUtils.detectCurrency(priceText);
-        Logger.debug(`Found Guess price: ${result.price} ${result.currency}`);
+        Logger.debug(`Found Zara price: ${result.price} ${result.currency}`);
       }
-      
+
       // Extract original price (for sales)
       const originalPriceSelectors = [
-        '.product-price .price-standard',
-        '.price-standard',
-        '.product-price .strike-through'
+        ".price__amount--old",
+        ".product-detail-info__price .line-through",
+        ".product-detail-card-info__prices .money-amount__main--crossed-out",
       ];
-      
-      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
+
+      const originalPriceElement = DOMUtils.querySelector(
+        originalPriceSelectors
+      );
       if (originalPriceElement) {
         const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
         result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Guess original price: ${result.originalPrice}`);
-      }
-      
-      // Extract product image
-      const imageSelectors = [
-        '.pdp-primary-image img',
-        '.product-image img',
-        '.primary-image img'
-      ];
-      
-      const imageElement = DOMUtils.querySelector(imageSelectors);
-      if (imageElement) {
-        const imageSrc = imageElement.src || imageElement.getAttribute('data-src');
-        if (imageSrc) {
-          result.imageUrl = FormatUtils.makeUrlAbsolute(imageSrc);
-          Logger.debug(`Found Guess image: ${result.imageUrl}`);
-        }
+        Logger.debug(`Found Zara original price: ${result.originalPrice}`);
       }
-      
+
       // Extract product description
       const descriptionSelectors = [
-        '.product-description',
-        '.product-detail-description',
-        '.pdp-details__description'
+        ".product-detail-description",
+        ".product-detail-info__description",
+        '[data-qa-qualifier="product-description"]',
       ];
-      
+
       const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
       if (descriptionElement) {
         result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug(`Found Guess description`);
+        Logger.debug("Found Zara description");
       }
-      
-      // Extract product SKU
+
+      // Extract product SKU/reference
       const skuSelectors = [
-        '.product-id',
-        '.product-detail-sku',
-        '[data-target="#product-sku"]'
+        ".product-detail-info__reference",
+        '[data-qa-qualifier="product-reference"]',
+        ".product-reference span",
       ];
-      
+
       const skuElement = DOMUtils.querySelector(skuSelectors);
       if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement).replace(/SKU:|Ref:|\s+/gi, '');
-        Logger.debug(`Found Guess SKU: ${result.sku}`);
+        result.sku = DOMUtils.getTextContent(skuElement).replace(/\D/g, "");
+        Logger.debug(`Found Zara SKU: ${result.sku}`);
       }
-      
-      // Extract color variants 
-      this.extractGuessColors(result);
-      
-      // Extract size variants
-      this.extractGuessSizes(result);
-      
+
+      // Extract product image
+      this.extractZaraProductImage(result);
+
+      // Extract Zara-specific color variants - completely customized for their HTML structure
+      const colorOptions = this.extractZaraColors();
+
+      // Extract Zara-specific size variants - handles their unique approach to size display
+      const sizeOptions = this.extractZaraSizes();
+
+      // CRITICAL FIX: Properly assign ALL colors and sizes to the result object
+      if (colorOptions && colorOptions.length > 0) {
+        result.variants.colors = colorOptions;
+        Logger.debug(`Added ${colorOptions.length} colors to result`);
+      }
+
+      if (sizeOptions && sizeOptions.length > 0) {
+        result.variants.sizes = sizeOptions;
+        Logger.debug(`Added ${sizeOptions.length} sizes to result`);
+      }
+
+      // Every color's gallery from the page payload
+      result.images = this.extractColorGalleries();
+
+      // Per-color size availability from the page payload, or just the
+      // selected color when the payload isn't there
+      VariantMatrix.apply(
+        result,
+        this.buildVariantMatrix(result) || VariantMatrix.fromSelectedColor(result)
+      );
+
       // Check if we have the minimum needed information for success
       result.success = !!(result.title && result.price);
-      
-      // Execute additional script to enhance variants after returning the basic data
-      setTimeout(() => {
-        try {
-          if (window.FlutterChannel) {
-            const enhancedScript = this.getEnhancedVariantsScript();
-            eval(enhancedScript);
-          }
-        } catch (e) {
-          Logger.error("Error executing enhanced variants script", e);
-        }
-      }, 500);
-      
+
       return result;
     } catch (e) {
-      Logger.error("Error extracting Guess product data", e);
-      return {
-        isProductPage: true,
-        success: false,
-        brand: "Guess",
-        url: window.location.href,
-        extractionMethod: "guess-specific",
-        error: e.message
-      };
+      Logger.error("Error extracting from Zara site", e);
+      return null;
     }
   },
-  
-  // Extract color information specific to Guess
-  extractGuessColors: function(result) {
+
+  // Build the variant matrix from the product payload Zara embeds in the
+  // page (window.zara.viewPayload), which lists sizes for every color
+  buildVariantMatrix: function (result) {
     try {
-      Logger.info("Extracting Guess color options");
-      
-      // Find the color swatches container
-      const colorSwatchContainer = document.querySelector('.swatches-wrapper, .color-swatches');
-      
-      if (colorSwatchContainer) {
-        const colorButtons = colorSwatchContainer.querySelectorAll('button.color-attribute');
-        
-        Logger.debug(`Found ${colorButtons.length} color options for Guess`);
-        
-        for (const button of colorButtons) {
-          const colorSwatch = button.querySelector('.color-value');
-          
-          if (colorSwatch) {
-            // Extract color code (identifier)
-            const colorCode = colorSwatch.getAttribute('data-attr-value');
-            
-            // Extract color name
-            const colorName = colorSwatch.getAttribute('data-attr-name');
-            
-            // Extract image URL if available
-            let colorImage = '';
-            const style = colorSwatch.getAttribute('style');
-            if (style && style.includes('background-image')) {
-              const bgImgMatch = style.match(/background-image\s*:\s*url\(['"]?(.*?)['"]?\)/i);
-              if (bgImgMatch && bgImgMatch[1]) {
-                colorImage = bgImgMatch[1];
+      const payload = window.zara && window.zara.viewPayload;
+      const detail = payload && payload.product && payload.product.detail;
+      if (!detail || !Array.isArray(detail.colors)) return null;
+
+      // Zara payload prices are in cents
+      const toPrice = (cents) => (typeof cents === "number" ? cents / 100 : null);
+      const stockLevels = {
+        in_stock: "in_stock",
+        low_on_stock: "low_stock",
+        out_of_stock: "out_of_stock",
+        coming_soon: "back_soon",
+        back_soon: "back_soon",
+      };
+
+      const combinations = [];
+      detail.colors.forEach((color) => {
+        (color.sizes || []).forEach((size) => {
+          const stockLevel = stockLevels[size.availability] || null;
+          combinations.push(
+            VariantMatrix.createCombination(
+              { color: color.name, size: size.name },
+              {
+                sku: size.sku ? String(size.sku) : size.reference || null,
+                price: toPrice(size.price !== undefined ? size.price : color.price),
+                originalPrice: toPrice(size.oldPrice !== undefined ? size.oldPrice : color.oldPrice),
+                inStock: stockLevel === "in_stock" || stockLevel === "low_stock",
+                stockLevel: stockLevel,
               }
-            }
-            
-            // Check if selected
-            const isSelected = button.classList.contains('attribute__value-wrapper--selected');
-            
-            // Check for selected indicator text
-            const selectedText = button.querySelector('.selected-assistive-text');
-            const hasSelectedText = selectedText && selectedText.textContent.trim() === 'selected';
-            
-            // Add to result
-            if (colorName) {
-              result.variants.colors.push({
-                text: colorName,
-                selected: isSelected || hasSelectedText || colorSwatch.classList.contains('selected'),
-                value: colorImage || colorCode
-              });
-              
-              Logger.debug(`Added Guess color: ${colorName}, selected: ${isSelected || hasSelectedText}`);
-            }
-          }
-        }
-      }
+            )
+          );
+        });
+      });
+      if (combinations.length === 0) return null;
+
+      // The v1 URL parameter identifies the selected color's product id
+      const v1 = new URLSearchParams(window.location.search).get("v1");
+      const urlColor = v1
+        ? detail.colors.find((color) => String(color.productId) === v1)
+        : null;
+      const domColor = (result.variants.colors || []).find((color) => color.selected);
+      const domSize = (result.variants.sizes || []).find((size) => size.selected);
+      const selectedColor =
+        urlColor ||
+        (domColor &&
+          detail.colors.find(
+            (color) => color.name.toLowerCase() === domColor.text.toLowerCase()
+          )) ||
+        detail.colors[0];
+
+      return VariantMatrix.create(combinations, {
+        color: selectedColor.name,
+        size: domSize ? domSize.text : null,
+      });
     } catch (e) {
-      Logger.warn("Error extracting Guess color variants", e);
+      Logger.warn("Could not build Zara variant matrix", e);
+      return null;
     }
   },
-  
-  // Extract size information specific to Guess
-  extractGuessSizes: function(result) {
+
+  // Per-color galleries from the page payload's xmedia lists
+  extractColorGalleries: function () {
     try {
-      Logger.info("Extracting Guess size options");
-      
-      // Find the size options container
-      const sizeContainer = document.querySelector('.variation.single-size, .size-container');
-      
-      if (sizeContainer) {
-        // Get size option wrappers first
-        const sizeWrappers = sizeContainer.querySelectorAll('.attribute__value-wrapper');
-        
-        if (sizeWrappers && sizeWrappers.length > 0) {
-          Logger.debug(`Found ${sizeWrappers.length} size wrappers for Guess`);
-          
-          for (const wrapper of sizeWrappers) {
-            // Check if wrapper is hidden (out of stock or unavailable)
-            const isHidden = wrapper.classList.contains('d-none');
-            
-            // Get the size button inside the wrapper
-            const sizeButton = wrapper.querySelector('.attribute__btn');
-            if (!sizeButton) continue;
-            
-            // Get size value
-            const sizeValue = sizeButton.getAttribute('data-attr-value') || sizeButton.textContent.trim();
-            if (!sizeValue) continue;
-            
-            // Check if the size is available
-            const isAvailable = !isHidden && sizeButton.classList.contains('selectable') && 
-                              !sizeButton.classList.contains('unselectable');
-                             
-            // Check if the size is selected
-            const isSelected = sizeButton.classList.contains('selected') || 
-                              sizeButton.getAttribute('aria-selected') === 'true';
-            
-            // Add size to result
-            result.variants.sizes.push({
-              text: sizeValue,
-              selected: isSelected,
-              value: JSON.stringify({ inStock: isAvailable })
-            });
-            
-            Logger.debug(`Added Guess size: ${sizeValue}, available: ${isAvailable}, selected: ${isSelected}`);
-          }
-        } else {
-          // Fallback to find direct size buttons
-          const sizeButtons = sizeContainer.querySelectorAll('.attribute__btn');
-          
-          Logger.debug(`Found ${sizeButtons.length} size buttons for Guess`);
-          
-          for (const button of sizeButtons) {
-            // Get size value
-            const sizeValue = button.getAttribute('data-attr-value') || button.textContent.trim();
-            if (!sizeValue) continue;
-            
-            // Check if the size is available
-            const isAvailable = button.classList.contains('selectable') && 
-                               !button.classList.contains('unselectable');
-                               
-            // Check if the size is selected
-            const isSelected = button.classList.contains('selected') || 
-                              button.getAttribute('aria-selected') === 'true';
-            
-            // Add size to result
-            result.variants.sizes.push({
-              text: sizeValue,
-              selected: isSelected,
-              value: JSON.stringify({ inStock: isAvailable })
-            });
-            
-            Logger.debug(`Added Guess size: ${sizeValue}, available: ${isAvailable}, selected: ${isSelected}`);
-          }
-        }
-      }
+      const payload = window.zara && window.zara.viewPayload;
+      const detail = payload && payload.product && payload.product.detail;
+      if (!detail || !Array.isArray(detail.colors)) return [];
+
+      const images = [];
+      detail.colors.forEach((color) => {
+        (color.xmedia || []).forEach((media) => {
+          if (!media.path || !media.name || media.type === "video") return;
+          images.push({
+            url: `https://static.zara.net/photos///${media.path}/w/1920/${media.name}.jpg?ts=${media.timestamp || ""}`,
+            width: 1920,
+            alt: payload.product.name || null,
+            colorRef: color.name,
+          });
+        });
+      });
+      return images;
     } catch (e) {
-      Logger.warn("Error extracting Guess size variants", e);
+      Logger.warn("Could not read Zara color galleries", e);
+      return [];
     }
   },
-  
-  // Get enhanced variants extraction script - this will be injected to get more accurate colors and sizes
-  getEnhancedVariantsScript: function() {
-    return `
-      try {
-        // Function to fetch Guess variants with more accuracy
-        function fetchGuessVariants() {
-          const results = { colors: [], sizes: [] };
-          
-          // Extract colors
-          try {
-            const colorContainer = document.querySelector(".swatches-wrapper, .color-swatches");
-            if (colorContainer) {
-              const colorButtons = colorContainer.querySelectorAll("button.color-attribute");
-              
-              for (let i = 0; i < colorButtons.length; i++) {
-                const button = colorButtons[i];
-                const colorSwatch = button.querySelector(".color-value");
-                
-                if (colorSwatch) {
-                  // Get color code
-                  const colorCode = colorSwatch.getAttribute("data-attr-value");
-                  
-                  // Get color name
-                  const colorName = colorSwatch.getAttribute("data-attr-name");
-                  
-                  // Get image URL if available
-                  let imageUrl = "";
-                  const style = colorSwatch.getAttribute("style");
-                  if (style && style.includes("background-image")) {
-                    const match = style.match(/background-image\\s*:\\s*url\\(['"]?(.*?)['"]?\\)/i);
-                    if (match && match[1]) {
-                      imageUrl = match[1];
-                    }
-                  }
-                  
-                  // Check if selected
-                  const isSelected = button.classList.contains("attribute__value-wrapper--selected");
-                  
-                  // Check for selected text
-                  const selectedText = button.querySelector(".selected-assistive-text");
-                  const hasSelectedText = selectedText && selectedText.textContent.trim() === "selected";
-                  
-                  if (colorName) {
-                    results.colors.push({
-                      text: colorName,
-                      selected: isSelected || hasSelectedText || colorSwatch.classList.contains("selected"),
-                      value: imageUrl || colorCode
-                    });
-                    
-                    console.log("Added Guess color: " + colorName);
-                  }
-                }
-              }
+
+  // Helper method to extract Zara product image
+  extractZaraProductImage: function (result) {
+    try {
+      // First try to get the main product image
+      const mainImageSelectors = [
+        ".product-detail-images img",
+        ".media-image img",
+        ".product-detail-card-images img",
+      ];
+
+      let imageElement = null;
+
+      // Try each selector
+      for (const selector of mainImageSelectors) {
+        const images = document.querySelectorAll(selector);
+        if (images && images.length > 0) {
+          // Try to find the largest or most visible image
+          for (const img of images) {
+            if (DOMUtils.isVisible(img) && img.naturalWidth > 200) {
+              imageElement = img;
+              break;
             }
-          } catch(e) {
-            console.error("Error getting Guess colors:", e);
           }
-          
-          // Extract sizes
-          try {
-            const sizeContainer = document.querySelector(".variation.single-size, .size-container");
-            if (sizeContainer) {
-              // First try wrappers
-              const sizeWrappers = sizeContainer.querySelectorAll(".attribute__value-wrapper");
-              
-              if (sizeWrappers && sizeWrappers.length > 0) {
-                console.log("Found " + sizeWrappers.length + " size wrappers");
-                
-                for (let i = 0; i < sizeWrappers.length; i++) {
-                  const wrapper = sizeWrappers[i];
-                  
-                  // Check if wrapper is hidden (out of stock or unavailable)
-                  const isHidden = wrapper.classList.contains("d-none");
-                  
-                  // Get the size button inside the wrapper
-                  const sizeButton = wrapper.querySelector(".attribute__btn");
-                  if (!sizeButton) continue;
-                  
-                  // Get size value
-                  const sizeValue = sizeButton.getAttribute("data-attr-value") || sizeButton.textContent.trim();
-                  if (!sizeValue) continue;
-                  
-                  // Check if available
-                  const isAvailable = !isHidden && sizeButton.classList.contains("selectable") && 
-                                     !sizeButton.classList.contains("unselectable");
-                  
-                  // Check if selected
-                  const isSelected = sizeButton.classList.contains("selected") || 
-                                    sizeButton.getAttribute("aria-selected") === "true";
-                  
-                  // Create JSON value with inStock info
-                  const valueObj = { 
-                    size: sizeValue, 
-                    inStock: isAvailable 
-                  };
-                  
-                  results.sizes.push({
-                    text: sizeValue,
-                    selected: isSelected,
-                    value: JSON.stringify(valueObj)
-                  });
-                  
-                  console.log("Added Guess size: " + sizeValue + (isSelected ? " (selected)" : "") + 
-                             (isAvailable ? "" : " (out of stock)"));
-                }
-              } else {
-                // Fallback to direct buttons
-                const sizeButtons = sizeContainer.querySelectorAll(".attribute__btn");
-                
-                console.log("Found " + sizeButtons.length + " size buttons");
-                
-                for (let i = 0; i < sizeButtons.length; i++) {
-                  const button = sizeButtons[i];
-                  
-                  // Get size value
-                  const sizeValue = button.getAttribute("data-attr-value") || button.textContent.trim();
-                  if (!sizeValue) continue;
-                  
-                  // Check if available
-                  const isAvailable = button.classList.contains("selectable") && 
-                                    !button.classList.contains("unselectable");
-                  
-                  // Check if selected
-                  const isSelected = button.classList.contains("selected") || 
-                                    button.getAttribute("aria-selected") === "true";
-                  
-                  // Create JSON value with inStock info
-                  const valueObj = { 
-                    size: sizeValue, 
-                    inStock: isAvailable 
-                  };
-                  
-                  results.sizes.push({
-                    text: sizeValue,
-                    selected: isSelected,
-                    value: JSON.stringify(valueObj)
-                  });
-                  
-                  console.log("Added Guess size: " + sizeValue + (isSelected ? " (selected)" : "") + 
-                             (isAvailable ? "" : " (out of stock)"));
-                }
-              }
-            }
-          } catch(e) {
-            console.error("Error getting Guess sizes:", e);
+
+          // If we didn't find a good visible image, just use the first one
+          if (!imageElement && images.length > 0) {
+            imageElement = images[0];
           }
-          
-          return results;
+
+          if (imageElement) break;
         }
-              
-        // Get Guess-specific variants
-        const guessVariants = fetchGuessVariants();
-        
-        // Log what we found
-        console.log("Guess variants retrieved: " + 
-                   guessVariants.colors.length + " colors, " + 
-                   guessVariants.sizes.length + " sizes");
-        
-        // If we found any variants, send them to Flutter
-        if (guessVariants.colors.length > 0 || guessVariants.sizes.length > 0) {
-          // Create message with enhanced variants
-          const enhancedMessage = {
-            type: "enhanced_variants",
-            variants: guessVariants
-          };
-          
-          // Send to Flutter
-          FlutterChannel.postMessage(JSON.stringify(enhancedMessage));
+      }
+
+      // If we found an image, extract its URL
+      if (imageElement) {
+        // Try to get high resolution version first
+        const srcset = imageElement.getAttribute("srcset");
+        if (srcset) {
+          // Parse srcset to get the highest resolution image
+          const largestImage = FormatUtils.pickFromSrcset(srcset);
+
+          if (largestImage) {
+            result.imageUrl = FormatUtils.makeUrlAbsolute(largestImage.url);
+            Logger.debug(`Found Zara image from srcset: ${result.imageUrl}`);
+            return;
+          }
+        }
+
+        // Fallback to regular src attribute
+        const src = imageElement.getAttribute("src");
+        if (src) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(src);
+          Logger.debug(`Found Zara image: ${result.imageUrl}`);
+          return;
+        }
+
+        // Last resort - try data-src for lazy-loaded images
+        const dataSrc = imageElement.getAttribute("data-src");
+        if (dataSrc) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(dataSrc);
+          Logger.debug(`Found Zara image from data-src: ${result.imageUrl}`);
+          return;
         }
-      } catch(e) {
-        console.error("Error getting enhanced Guess variants:", e);
       }
-    `;
-  }
-};
 
-// Mango Extractor - For extracting Mango product information
-const MangoExtractor = {
-  // Check if current site is Mango
-  isMango: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("mango.com");
+      // If we still don't have an image, try to find any large image
+      const bestImage = DOMUtils.findLargestImage();
+      if (bestImage) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(
+          bestImage.getAttribute("src") || bestImage.getAttribute("data-src")
+        );
+        Logger.debug(
+          `Found Zara image using findLargestImage: ${result.imageUrl}`
+        );
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Zara product image", e);
+    }
   },
-  
-  // Extract product information from Mango pages
-  extract: function() {
+
+  // Helper method to extract Zara-specific colors - based on the provided HTML structure
+  extractZaraColors: function () {
     try {
-      Logger.info("Extracting product data for Mango");
-      
-      // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Mango";
-      result.extractionMethod = "mango-specific";
-      
-      // Extract title
-      const titleSelectors = [
-        '.ProductDetail_title___WrC_',
-        'h1.texts_titleL__HgQ5x',
-        '.product-name h1',
-        '.product-title h1'
-      ];
-      
-      const titleElement = DOMUtils.querySelector(titleSelectors);
-      if (titleElement) {
-        result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Mango title: ${result.title}`);
-      }
-      
-      // Extract price
-      const priceSelectors = [
-        '.SinglePrice_center__mfcM3.texts_bodyM__lR_K7',
-        '.Price_wrapper__qlieq span[itemprop="price"]',
-        '.price__current',
-        '.product-price'
-      ];
-      
-      const priceElement = DOMUtils.querySelector(priceSelectors);
-      if (priceElement) {
-        const priceText = DOMUtils.getTextContent(priceElement);
-        result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
-        Logger.debug(`Found Mango price: ${result.price} ${result.currency}`);
-      }
-      
-      // Extract original price (for sales)
-      const originalPriceSelectors = [
-        '.price__amount--crossed',
-        '.was-price',
-        '.original-price',
-        '.old-price'
-      ];
-      
-      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Mango original price: ${result.originalPrice}`);
-      }
-      
-      // Extract product image
-      const imageSelectors = [
-        'img.SlideshowWrapper_image__J48xz',
-        '.product-images img',
-        '.product-photo img',
-        '.image-gallery img'
-      ];
-      
-      const imageElement = DOMUtils.querySelector(imageSelectors);
-      if (imageElement) {
-        // Mango uses srcset for responsive images, so we need to get the largest image URL
-        const srcset = imageElement.getAttribute('srcset');
-        if (srcset) {
-          // Find the largest image from srcset
-          const srcsetParts = srcset.split(',');
-          if (srcsetParts.length > 0) {
-            // Get the last (usually largest) image URL
-            const lastPart = srcsetParts[srcsetParts.length - 1].trim();
-            const imageUrl = lastPart.split(' ')[0]; // Get URL part
-            result.imageUrl = imageUrl;
-            Logger.debug(`Found Mango image URL (from srcset): ${result.imageUrl}`);
+      Logger.info("Extracting Zara-specific colors");
+      const colorResults = [];
+
+      // First try the color selector from the provided HTML
+      const colorSelector = ".product-detail-color-selector__colors";
+      const colorContainer = document.querySelector(colorSelector);
+
+      if (colorContainer) {
+        const colorItems = colorContainer.querySelectorAll(
+          ".product-detail-color-selector__color"
+        );
+        Logger.debug(`Found ${colorItems.length} Zara color options`);
+
+        for (const colorItem of colorItems) {
+          // Check if this color is selected
+          const isSelected = !!colorItem.querySelector(
+            ".product-detail-color-selector__color-button--is-selected"
+          );
+
+          // Get color area to extract the RGB value
+          const colorArea = colorItem.querySelector(
+            ".product-detail-color-selector__color-area"
+          );
+          if (!colorArea) continue;
+
+          // Try to get color name from screen reader text
+          const screenReaderText = colorItem.querySelector(
+            ".screen-reader-text"
+          );
+          let colorName = screenReaderText
+            ? DOMUtils.getTextContent(screenReaderText)
+            : "";
+
+          // If no name found, try to get it from other potential sources
+          if (!colorName) {
+            // Check for aria label on the button
+            const colorButton = colorItem.querySelector("button");
+            if (colorButton) {
+              colorName = colorButton.getAttribute("aria-label") || "";
+            }
           }
-        } else {
-          // If no srcset, use src attribute
-          result.imageUrl = imageElement.getAttribute('src');
-          Logger.debug(`Found Mango image URL (from src): ${result.imageUrl}`);
+
+          // Extract RGB color from the style attribute
+          let colorValue = "";
+          const styleAttr = colorArea.getAttribute("style");
+          if (styleAttr) {
+            const rgbMatch = styleAttr.match(/background-color:\s*([^;]+)/);
+            if (rgbMatch && rgbMatch[1]) {
+              colorValue = rgbMatch[1].trim();
+            }
+          }
+
+          // If we have either a name or color value, add to variants
+          if (colorName || colorValue) {
+            // If we have no name but have a color value, create a generic name
+            if (!colorName && colorValue) {
+              colorName = this.generateColorNameFromRgb(colorValue);
+            }
+
+            colorResults.push({
+              text: colorName || "Color Option",
+              selected: isSelected,
+              value: colorValue || colorName,
+            });
+
+            Logger.debug(
+              `Added Zara color: ${colorName}, RGB: ${colorValue}, selected: ${isSelected}`
+            );
+          }
+        }
+
+        // Successfully extracted colors
+        if (colorResults.length > 0) {
+          return colorResults;
         }
       }
-      
-      // Extract product description
-      const descriptionSelectors = [
-        '.description',
-        '.product-description',
-        '.description-content'
+
+      // If the first method failed, try alternative selectors
+      const alternativeColorSelectors = [
+        ".product-colors .product-color-selector__colors", // Another potential structure
+        ".color-selector-options", // Older Zara sites
       ];
-      
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
-      if (descriptionElement) {
-        result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug(`Found Mango description: ${result.description}`);
-      }
-      
-      // Extract colors
-      try {
-        Logger.info("Extracting Mango-specific colors");
-        const colorVariants = [];
-        
-        // Main color selectors based on provided HTML
-        const colorSelectorContainer = document.querySelector(".ColorsSelector_colorsSelector__roWxg");
-        
-        if (colorSelectorContainer) {
-          // Get the current selected color name from the label
-          const colorLabel = colorSelectorContainer.querySelector(".ColorsSelector_label__52wJk");
-          let selectedColorName = '';
-          if (colorLabel) {
-            selectedColorName = DOMUtils.getTextContent(colorLabel);
-            Logger.debug(`Found current selected color: ${selectedColorName}`);
-          }
-          
-          // Get all color items
-          const colorItems = document.querySelectorAll(".ColorList_color__n635i");
-          Logger.debug(`Found ${colorItems.length} Mango color options`);
-          
-          if (colorItems && colorItems.length > 0) {
-            for (const colorItem of colorItems) {
-              // Check if this color is selected
-              const isSelected = !!colorItem.querySelector(".ColorSelectorPicker_selected__n16Ry");
-              
-              // Get the color image
-              const colorImg = colorItem.querySelector("img");
-              let colorValue = '';
-              let colorName = '';
-              
-              if (colorImg) {
-                // Get color name from alt text that follows pattern "Selected color NAME" or just from img alt
-                const altText = colorImg.getAttribute('alt') || '';
-                if (altText.includes('color')) {
-                  colorName = altText.split('color')[1].trim();
-                }
-                
-                // Get image URL for the color
-                colorValue = colorImg.getAttribute('src') || colorImg.getAttribute('srcset');
+
+      for (const selector of alternativeColorSelectors) {
+        const colorItems = document.querySelectorAll(`${selector} > li`);
+        if (colorItems && colorItems.length > 0) {
+          Logger.debug(
+            `Found ${colorItems.length} color options with alternative selector: ${selector}`
+          );
+
+          for (const colorItem of colorItems) {
+            // Check if this color is selected
+            const isSelected =
+              colorItem.classList.contains("is-selected") ||
+              colorItem.classList.contains("selected") ||
+              !!colorItem.querySelector(".selected") ||
+              !!colorItem.querySelector('[aria-selected="true"]');
+
+            // Try different methods to get the color name
+            let colorName = "";
+
+            // Try aria-label first
+            const button = colorItem.querySelector("button");
+            if (button) {
+              colorName = button.getAttribute("aria-label") || "";
+            }
+
+            // Try any element with a title attribute
+            if (!colorName) {
+              const titleElement = colorItem.querySelector("[title]");
+              if (titleElement) {
+                colorName = titleElement.getAttribute("title") || "";
               }
-              
-              // If we couldn't get color name from alt text, use the selected color label
-              if (!colorName && isSelected && selectedColorName) {
-                colorName = selectedColorName;
+            }
+
+            // Try any inner text
+            if (!colorName) {
+              colorName = DOMUtils.getTextContent(colorItem);
+            }
+
+            // Try to extract color from background style
+            let colorValue = "";
+            const colorBlock = colorItem.querySelector('[style*="background"]');
+            if (colorBlock) {
+              const styleAttr = colorBlock.getAttribute("style");
+              if (styleAttr) {
+                const bgMatch = styleAttr.match(
+                  /background(?:-color)?:\s*([^;]+)/
+                );
+                if (bgMatch && bgMatch[1]) {
+                  colorValue = bgMatch[1].trim();
+                }
               }
-              
-              // Fallback if we still don't have a color name
-              if (!colorName) {
-                colorName = 'Color Option';
+            }
+
+            // Add to color variants if we have enough info
+            if (colorName || colorValue) {
+              // Generate name from color value if needed
+              if (!colorName && colorValue) {
+                colorName = this.generateColorNameFromRgb(colorValue);
               }
-              
-              // Add the color to our variants
-              colorVariants.push({
-                text: colorName,
+
+              colorResults.push({
+                text: colorName || "Color Option",
                 selected: isSelected,
-                value: colorValue || colorName
+                value: colorValue || colorName,
               });
-              
-              Logger.debug(`Added Mango color: ${colorName}, Selected: ${isSelected}`);
+
+              Logger.debug(
+                `Added Zara color (alternative): ${colorName}, value: ${colorValue}`
+              );
             }
           }
-          
-          // If we found colors, add them to the result
-          if (colorVariants.length > 0) {
-            result.variants.colors = colorVariants;
+
+          // If we found colors, stop searching
+          if (colorResults.length > 0) {
+            break;
           }
-        } else {
-          // Try alternative color selectors if the main one isn't found
-          Logger.debug("Using alternative color selectors for Mango");
+        }
+      }
+
+      return colorResults;
+    } catch (e) {
+      Logger.warn("Error extracting Zara colors", e);
+      return [];
+    }
+  },
+
+  // Helper to generate a color name from RGB value
+  generateColorNameFromRgb: function (rgbValue) {
+    // Parse RGB values
+    const rgbMatch = rgbValue.match(
+      /rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/
+    );
+    if (!rgbMatch) return "Color";
+
+    const r = parseInt(rgbMatch[1], 10);
+    const g = parseInt(rgbMatch[2], 10);
+    const b = parseInt(rgbMatch[3], 10);
+
+    // Simple algorithm to identify basic colors
+    if (r > 200 && g > 200 && b > 200) return "White";
+    if (r < 50 && g < 50 && b < 50) return "Black";
+
+    if (r > 180 && g < 100 && b < 100) return "Red";
+    if (r < 100 && g > 180 && b < 100) return "Green";
+    if (r < 100 && g < 100 && b > 180) return "Blue";
+
+    if (r > 180 && g > 180 && b < 100) return "Yellow";
+    if (r > 180 && g < 100 && b > 180) return "Purple";
+    if (r < 100 && g > 180 && b > 180) return "Cyan";
+
+    if (r > 180 && g > 100 && b < 100) return "Orange";
+    if (r > 100 && g < 100 && b > 100) return "Purple";
+    if (r > 100 && g > 100 && b < 100) return "Brown";
+
+    // Default for gray tones
+    if (Math.abs(r - g) < 30 && Math.abs(g - b) < 30 && Math.abs(r - b) < 30) {
+      return r < 150 ? "Dark Gray" : "Light Gray";
+    }
+
+    return "Color";
+  },
+
+  // Helper method to extract Zara-specific sizes - based on the provided HTML structure
+  extractZaraSizes: function () {
+    try {
+      Logger.info("Extracting Zara-specific sizes");
+      const sizeResults = [];
+
+      // First try the size selector from the provided HTML structure
+      const sizeSelector = ".size-selector-sizes";
+      const sizeContainer = document.querySelector(sizeSelector);
+
+      if (sizeContainer) {
+        // Get all size elements
+        const sizeItems = sizeContainer.querySelectorAll(
+          ".size-selector-sizes__size"
+        );
+        Logger.debug(`Found ${sizeItems.length} Zara size options`);
+
+        for (const sizeItem of sizeItems) {
+          // Check if this size is enabled (in stock)
+          // Updated to check for the unavailable and disabled classes
+          const isUnavailable = sizeItem.classList.contains("size-selector-sizes-size--unavailable") || 
+                               sizeItem.classList.contains("size-selector-sizes__size--disabled");
           
-          // Alternative method for extracting colors - try other common selectors
-          const colorButtons = document.querySelectorAll('button[aria-label*="color"], div[role="radiogroup"] button');
-          if (colorButtons && colorButtons.length > 0) {
-            for (const button of colorButtons) {
-              const colorName = button.getAttribute('aria-label') || DOMUtils.getTextContent(button);
-              const isSelected = button.getAttribute('aria-pressed') === 'true' || 
-                                button.hasAttribute('aria-current') ||
-                                button.classList.contains('selected');
-              
-              // Try to get the color image or swatch
-              let colorValue = '';
-              const colorImg = button.querySelector('img');
-              if (colorImg) {
-                colorValue = colorImg.getAttribute('src');
-              } else {
-                const colorStyle = DOMUtils.getStyle(button, 'background-color');
-                if (colorStyle && colorStyle !== 'transparent') {
-                  colorValue = colorStyle;
-                }
-              }
-              
-              if (colorName) {
-                colorVariants.push({
-                  text: colorName,
-                  selected: isSelected,
-                  value: colorValue || colorName
-                });
-                
-                Logger.debug(`Added Mango color (alternative method): ${colorName}, Selected: ${isSelected}`);
-              }
-            }
-            
-            if (colorVariants.length > 0) {
-              result.variants.colors = colorVariants;
-            }
-          }
+          // Get size label
+          const sizeLabel = sizeItem.querySelector(
+            ".size-selector-sizes-size__label"
+          );
+          if (!sizeLabel) continue;
+
+          const sizeText = DOMUtils.getTextContent(sizeLabel);
+          if (!sizeText) continue;
+
+          // Check if this size is selected
+          const isSelected =
+            sizeItem.classList.contains("selected") ||
+            sizeItem.classList.contains("size-selector-sizes-size--selected") ||
+            !!sizeItem.querySelector('[aria-selected="true"]');
+
+          // Create a JSON string value that includes the inStock information
+          // This is the key change - we're formatting the value as a JSON string that can be parsed by Dart
+          const valueObj = {
+            size: sizeText,
+            inStock: !isUnavailable,
+          };
+          const valueJson = JSON.stringify(valueObj);
+
+          // Only add sizes that are in stock, or add all and let the Flutter code handle it
+          sizeResults.push({
+            text: sizeText,
+            selected: isSelected,
+            value: valueJson, // Store as JSON string so Dart can parse it
+          });
+
+          Logger.debug(
+            `Added Zara size: ${sizeText}, in stock: ${!isUnavailable}, selected: ${isSelected}`
+          );
+        }
+
+        // Successfully extracted sizes
+        if (sizeResults.length > 0) {
+          return sizeResults;
         }
-      } catch (e) {
-        Logger.error("Error extracting Mango colors:", e);
       }
+
+      // Try the new size selector structure - specific for the HTML provided
+      const newSizeSelector = ".new-size-selector";
+      const newSizeContainer = document.querySelector(newSizeSelector);
       
-      // Extract sizes
-      try {
-        Logger.info("Extracting Mango-specific sizes");
-        const sizeVariants = [];
-        
-        // First check if sizes are already visible
-        const sizeSelectors = [
-          ".SizesList_sizesList__SFVLW",
-          ".SizeSelector_sizes__bN_5W",
-          ".size-selector"
-        ];
-        
-        // Check if we have sizes directly available
-        let sizeContainer = DOMUtils.querySelector(sizeSelectors);
-        let foundSizes = false;
-        
-        // If sizes are not visible, try to click the Ekle button to show them
-        if (!sizeContainer) {
-          Logger.debug("Sizes not immediately visible, looking for Ekle button");
-          
-          // Try to find the "Ekle" (Add) button - look for various potential selectors
-          const ekleButtonSelectors = [
-            "button:contains('Ekle')", // Literal text match
-            ".add-to-cart", 
-            "[data-testid='add-to-cart']",
-            "button.add-button",
-            ".PrimaryActions_addToBag__59Qzv" // Added for Mango's specific button class
-          ];
+      if (newSizeContainer) {
+        // Get all size elements
+        const sizeItems = newSizeContainer.querySelectorAll(
+          ".size-selector-sizes__size"
+        );
+        Logger.debug(`Found ${sizeItems.length} Zara sizes in new selector`);
+
+        for (const sizeItem of sizeItems) {
+          // Check if this size is available (not disabled or unavailable)
+          const isUnavailable = sizeItem.classList.contains("size-selector-sizes__size--disabled") || 
+                               sizeItem.classList.contains("size-selector-sizes-size--unavailable");
           
-          // Find the button
-          const ekleButton = DOMUtils.querySelector(ekleButtonSelectors);
+          // Also check the data-qa-action attribute on the button
+          const sizeButton = sizeItem.querySelector("button.size-selector-sizes-size__button");
+          const dataQaAction = sizeButton ? sizeButton.getAttribute("data-qa-action") : null;
+          const isOutOfStock = dataQaAction === "size-out-of-stock";
           
-          if (ekleButton) {
-            Logger.debug("Found Ekle button, clicking to reveal sizes");
-            
-            try {
-              // Save original onclick to restore later if needed
-              const originalOnClick = ekleButton.onclick;
-              
-              // Disable any click handlers temporarily to avoid actual adding to cart
-              ekleButton.onclick = function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                return false;
-              };
-              
-              // Click the button to reveal sizes
-              ekleButton.click();
-              
-              // Wait a tiny bit for sizes to appear in DOM
-              setTimeout(function() {
-                try {
-                  // Now try to find the sizes again
-                  sizeContainer = DOMUtils.querySelector(sizeSelectors);
-                  
-                  if (sizeContainer) {
-                    Logger.debug("Sizes revealed after clicking Ekle button");
-                    extractSizesFromContainer(sizeContainer);
-                    foundSizes = true;
-                  }
-                  
-                  // Restore original click handler
-                  if (originalOnClick) {
-                    ekleButton.onclick = originalOnClick;
-                  }
-                } catch (innerError) {
-                  Logger.error("Error processing sizes after clicking Ekle:", innerError);
-                }
-              }, 100);
-              
-              // Also try for any modal that appears with sizes
-              setTimeout(function() {
-                try {
-                  // Check for sizes in a modal
-                  const modalSizeSelectors = [
-                    ".modal .SizesList_sizesList__SFVLW",
-                    ".size-selector-modal .sizes",
-                    ".size-modal",
-                    ".SheetContent_content__sJjkI" // Added for Mango's sheet content class
-                  ];
-                  
-                  const modalSizes = DOMUtils.querySelector(modalSizeSelectors);
-                  if (modalSizes && !foundSizes) {
-                    Logger.debug("Found sizes in modal after clicking Ekle");
-                    extractSizesFromContainer(modalSizes);
-                    foundSizes = true;
-                  }
-                } catch (modalError) {
-                  Logger.error("Error processing modal sizes:", modalError);
-                }
-              }, 200);
-            } catch (clickError) {
-              Logger.error("Error clicking Ekle button:", clickError);
-            }
-          } else {
-            Logger.debug("Could not find Ekle button");
-          }
-        } else {
-          // If sizes are directly visible, extract them
-          Logger.debug("Sizes are directly visible in the DOM");
-          extractSizesFromContainer(sizeContainer);
-          foundSizes = true;
+          // Get size label
+          const sizeLabel = sizeItem.querySelector(
+            ".size-selector-sizes-size__label"
+          );
+          if (!sizeLabel) continue;
+
+          const sizeText = DOMUtils.getTextContent(sizeLabel);
+          if (!sizeText) continue;
+
+          // Check if this size is selected
+          const isSelected =
+            sizeItem.classList.contains("selected") ||
+            sizeItem.classList.contains("size-selector-sizes-size--selected") ||
+            !!sizeItem.querySelector('[aria-selected="true"]');
+
+          // Get availability status based on multiple checks
+          const isInStock = !isUnavailable && !isOutOfStock;
+
+          // Create a value object with size and stock information
+          const valueObj = {
+            size: sizeText,
+            inStock: isInStock,
+          };
+          const valueJson = JSON.stringify(valueObj);
+
+          // Add to size variants
+          sizeResults.push({
+            text: sizeText,
+            selected: isSelected,
+            value: valueJson,
+          });
+
+          Logger.debug(
+            `Added Zara size (new selector): ${sizeText}, in stock: ${isInStock}, selected: ${isSelected}`
+          );
         }
-        
-        // Helper function to extract sizes from a container
-        function extractSizesFromContainer(container) {
-          if (!container) return;
-          
-          // For tracking already processed sizes to avoid duplicates
-          const processedSizes = new Map();
-          
-          // Get all size items/buttons
-          const sizeItems = container.querySelectorAll("li button, li, button.SizeItem_sizeItem__v0Bm2");
-          Logger.debug(`Found ${sizeItems.length} size items`);
-          
+
+        // Successfully extracted sizes
+        if (sizeResults.length > 0) {
+          return sizeResults;
+        }
+      }
+
+      // Try alternative size selectors if the first method failed
+      const alternativeSizeSelectors = [
+        ".product-size-selector .product-size-info-name",
+        ".size-selector-option",
+        ".product-sizes [data-qa-option]",
+      ];
+
+      for (const selector of alternativeSizeSelectors) {
+        const sizeItems = document.querySelectorAll(selector);
+        if (sizeItems && sizeItems.length > 0) {
+          Logger.debug(
+            `Found ${sizeItems.length} size options with alternative selector: ${selector}`
+          );
+
           for (const sizeItem of sizeItems) {
-            // Skip non-relevant items
-            if (!sizeItem || DOMUtils.getTextContent(sizeItem).trim() === '') {
-              continue;
-            }
-            
-            // Extract size text - could be in a child span
-            let sizeText = '';
-            const sizeSpan = sizeItem.querySelector(".texts_bodyMRegular__j0yfK, .size-text");
-            
-            if (sizeSpan) {
-              sizeText = DOMUtils.getTextContent(sizeSpan);
-            } else {
-              sizeText = DOMUtils.getTextContent(sizeItem);
-            }
-            
-            // Skip if size text is empty or not a valid size
-            if (!sizeText || sizeText.trim() === '' || 
-                sizeText.toLowerCase().includes('select') ||
-                sizeText.toLowerCase().includes('seçin')) {
-              continue;
-            }
-            
-            // Clean up size text - remove any non-size text that might be in the same element
-            sizeText = sizeText.trim();
-            
-            // Check if this size is selected
-            const isSelected = sizeItem.classList.contains('selected') || 
-                              sizeItem.classList.contains('SizeItem_selected__tH_5C') ||
-                              sizeItem.getAttribute('aria-pressed') === 'true' ||
-                              sizeItem.getAttribute('aria-selected') === 'true' ||
-                              sizeItem.classList.contains('active');
-            
-            // Check if this size is available or out of stock
-            const isDisabled = sizeItem.hasAttribute('disabled') || 
-                              sizeItem.classList.contains('disabled') ||
-                              sizeItem.classList.contains('unavailable') ||
-                              !sizeItem.classList.contains('SizeItem_selectable__ETiIg'); // Not selectable = not in stock
-            
-            // For Mango specifically, we need a different approach for checking availability
-            const isMango = window.location.href.toLowerCase().includes("mango.com");
-            let isInStock = !isDisabled;
-            
-            // Check for delayed delivery information (specific to Mango)
-            let hasDelayedDelivery = false;
-            let deliveryInfo = null;
-            
-            // Special handling for Mango sizes
-            if (isMango) {
-              // Check for marker classes that indicate unavailability
-              const isUnavailable = sizeItem.innerHTML.includes('SizeItemContent_notAvailable__') || 
-                                   sizeItem.innerHTML.includes('SizeItemContent_notifyMe__');
-              
-              // Look for delayed delivery labels within the size item
-              const delayedLabel = sizeItem.querySelector(".SizeDelayedLabel_sizeDelayedLabel__lLZqd");
-              if (delayedLabel) {
-                hasDelayedDelivery = true;
-                deliveryInfo = DOMUtils.getTextContent(delayedLabel).trim();
-                Logger.debug(`Found delayed delivery info: ${deliveryInfo}`);
+            // Check attributes to determine if this size is in stock
+            const isEnabled =
+              !sizeItem.hasAttribute("disabled") &&
+              !sizeItem.classList.contains("disabled") &&
+              !sizeItem.classList.contains("product-size--out-of-stock");
+
+            // Get size text - try multiple approaches
+            let sizeText = DOMUtils.getTextContent(sizeItem);
+
+            // If the element itself doesn't have text, look for a child element
+            if (!sizeText) {
+              const sizeLabel = sizeItem.querySelector(
+                ".size-name, .size-label, [data-qa-size]"
+              );
+              if (sizeLabel) {
+                sizeText = DOMUtils.getTextContent(sizeLabel);
               }
-              
-              // Log comprehensive details about the element structure
-              Logger.debug(`Mango size ${sizeText} HTML structure: ${sizeItem.innerHTML.substring(0, 100)}...`);
-              Logger.debug(`Mango size ${sizeText}: isUnavailable = ${isUnavailable}, hasDelayedDelivery = ${hasDelayedDelivery}`);
-              
-              // A size is in stock if it doesn't have unavailability markers
-              isInStock = !isUnavailable;
-              
-              // Log all classes on this element for debugging
-              const allClasses = Array.from(sizeItem.classList).join(', ');
-              Logger.debug(`Mango size ${sizeText} classes: ${allClasses}, availability: ${isInStock}`);
             }
-            
-            // Create a value object with stock information
+
+            if (!sizeText) continue;
+
+            // Check if this size is selected
+            const isSelected =
+              sizeItem.classList.contains("selected") ||
+              sizeItem.classList.contains("product-size--is-selected") ||
+              (sizeItem.hasAttribute("aria-selected") &&
+                sizeItem.getAttribute("aria-selected") === "true");
+
+            // Create a JSON string value that includes the inStock information
             const valueObj = {
               size: sizeText,
-              inStock: isInStock,
-              delayedDelivery: hasDelayedDelivery,
-              deliveryInfo: deliveryInfo
+              inStock: isEnabled,
             };
             const valueJson = JSON.stringify(valueObj);
-            
-            // Check if we've already processed this size
-            if (processedSizes.has(sizeText)) {
-              // Only update if this entry has more information
-              const existingValue = processedSizes.get(sizeText);
-              
-              // If the current entry is selected and the existing one isn't, replace it
-              if (isSelected && !existingValue.selected) {
-                processedSizes.set(sizeText, {
-                  text: sizeText,
-                  selected: isSelected,
-                  value: valueJson
-                });
-                Logger.debug(`Updated Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
-              }
-              
-              // If the current entry has delivery info and the existing one doesn't, replace it
-              else if (hasDelayedDelivery && !existingValue.value.includes('delayedDelivery')) {
-                processedSizes.set(sizeText, {
-                  text: sizeText,
-                  selected: isSelected || existingValue.selected, // Preserve selection state
-                  value: valueJson
-                });
-                Logger.debug(`Updated Mango size with delivery info: ${sizeText}, InStock: ${isInStock}`);
-              }
-            } else {
-              // First time seeing this size, add it to the map
-              processedSizes.set(sizeText, {
-                text: sizeText,
-                selected: isSelected,
-                value: valueJson
-              });
-              
-              Logger.debug(`Added Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
-            }
+
+            // Add to size variants
+            sizeResults.push({
+              text: sizeText,
+              selected: isSelected,
+              value: valueJson,
+            });
+
+            Logger.debug(
+              `Added Zara size (alternative): ${sizeText}, in stock: ${isEnabled}`
+            );
           }
-          
-          // Convert the map values to an array and add to sizeVariants
-          for (const sizeOption of processedSizes.values()) {
-            sizeVariants.push(sizeOption);
+
+          // If we found sizes, stop searching
+          if (sizeResults.length > 0) {
+            break;
           }
-          
-          Logger.debug(`After deduplication: ${sizeVariants.length} unique Mango sizes`);
         }
-        
-        // If we found sizes through any method, add them to the result
-        if (sizeVariants.length > 0) {
-          result.variants.sizes = sizeVariants;
-          Logger.info(`Extracted ${sizeVariants.length} sizes from Mango product`);
-        } else {
-          // Fallback - try to find any hidden size data in the page
-          Logger.debug("No sizes found through DOM, checking for hidden size data");
-          
-          // Check for size data in script tags
-          const scriptTags = document.querySelectorAll('script:not([src])');
-          for (const script of scriptTags) {
-            const scriptContent = script.textContent || '';
-            
-            if (scriptContent.includes('"sizes"') || scriptContent.includes('"size"')) {
-              try {
-                // Look for JSON objects in the script text
-                const jsonMatches = scriptContent.match(/\{[\s\S]*?"size[s]?"[\s\S]*?\}/g);
-                
-                if (jsonMatches && jsonMatches.length > 0) {
-                  for (const jsonMatch of jsonMatches) {
-                    try {
-                      const sizeData = JSON.parse(jsonMatch);
-                      
-                      // Check if this has size information
-                      if (sizeData.sizes || sizeData.size) {
-                        const sizes = sizeData.sizes || sizeData.size;
-                        
-                        if (Array.isArray(sizes)) {
-                          // Process size array
-                          for (const size of sizes) {
-                            if (typeof size === 'string') {
-                              sizeVariants.push({
-                                text: size,
-                                selected: false,
-                                value: JSON.stringify({ size: size, inStock: true })
-                              });
-                            } else if (typeof size === 'object') {
-                              const sizeText = size.name || size.value || size.text || '';
-                              const isInStock = size.inStock !== false; // Assume in stock unless explicitly false
-                              
-                              if (sizeText) {
-                                sizeVariants.push({
-                                  text: sizeText,
-                                  selected: !!size.selected,
-                                  value: JSON.stringify({ size: sizeText, inStock: isInStock })
-                                });
-                              }
-                            }
-                          }
-                        }
-                      }
-                    } catch (jsonError) {
-                      // Skip invalid JSON
-                    }
-                  }
-                }
-              } catch (parseError) {
-                // Skip errors in script parsing
-              }
+      }
+
+      // If we still didn't find sizes, try one more approach - look for a hidden size selector
+      if (sizeResults.length === 0) {
+        // Try to find the size button which might open the size selector
+        const sizeButton = document.querySelector(
+          'button[data-qa-action="open-size-selector"]'
+        );
+        if (sizeButton) {
+          Logger.debug(
+            'Found "Add" button for size selection, but sizes may be hidden'
+          );
+
+          // Even though the size selector might be hidden, the elements could still be in the DOM
+          const hiddenSizes = document.querySelectorAll(
+            '.size-selector-sizes-size__label, [data-qa-qualifier="size-selector-sizes-size-label"]'
+          );
+
+          if (hiddenSizes && hiddenSizes.length > 0) {
+            Logger.debug(
+              `Found ${hiddenSizes.length} potentially hidden size elements`
+            );
+
+            for (const sizeElem of hiddenSizes) {
+              const sizeText = DOMUtils.getTextContent(sizeElem);
+              if (!sizeText) continue;
+
+              // For hidden sizes, we can't determine if they're selected
+              // We assume they're in stock unless otherwise indicated
+              const sizeContainer = sizeElem.closest(
+                "li, .size-selector-sizes-size"
+              );
+              const isEnabled = sizeContainer
+                ? !sizeContainer.classList.contains("disabled") &&
+                  !sizeContainer.classList.contains("out-of-stock") &&
+                  !sizeContainer.classList.contains("size-selector-sizes__size--disabled") &&
+                  !sizeContainer.classList.contains("size-selector-sizes-size--unavailable")
+                : true;
+
+              // Check if there's a data-qa-action attribute on a parent button
+              const parentButton = sizeElem.closest("button[data-qa-action]");
+              const isOutOfStock = parentButton && parentButton.getAttribute("data-qa-action") === "size-out-of-stock";
+
+              // Create a JSON string value that includes the inStock information
+              const valueObj = {
+                size: sizeText,
+                inStock: isEnabled && !isOutOfStock,
+              };
+              const valueJson = JSON.stringify(valueObj);
+
+              sizeResults.push({
+                text: sizeText,
+                selected: false, // Can't determine for hidden sizes
+                value: valueJson,
+              });
+
+              Logger.debug(`Added Zara hidden size: ${sizeText}, in stock: ${isEnabled && !isOutOfStock}`);
             }
           }
-          
-          // If we found sizes in scripts, add them
-          if (sizeVariants.length > 0) {
-            result.variants.sizes = sizeVariants;
-            Logger.info(`Extracted ${sizeVariants.length} sizes from script tags`);
-          } else {
-            Logger.warn("Could not extract size information from Mango product");
-          }
         }
-      } catch (e) {
-        Logger.error("Error extracting Mango sizes:", e);
       }
-      
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
-      Logger.info(`Mango extraction success: ${result.success}`);
-      
-      return result;
+
+      return sizeResults;
     } catch (e) {
-      Logger.error("Error extracting Mango product data", e);
-      return {
-        isProductPage: true,
-        success: false,
-        brand: "Mango",
-        url: window.location.href,
-        extractionMethod: "mango-specific-failed",
-        error: e.message
-      };
+      Logger.warn("Error extracting Zara sizes", e);
+      return [];
     }
-  }
+  },
 };
 
-// Bershka size extraction
-function extractBershkaSizes() {
-  const results = { sizes: [] };
+// Stradivarius Extractor - Add this after other site-specific extractors
+const StradivariusExtractor = {
+  // Check if current site is Stradivarius
+  isStradivarius: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("stradivarius.com");
+  },
   
-  try {
-    Logger.info("🔍 Attempting to extract Bershka sizes");
-    
-    // Log the current URL for debugging
-    Logger.debug(`Current URL: ${window.location.href}`);
-    
-    // Log entire page structure for button finding
-    Logger.debug("Looking for size button in DOM");
-    
-    // Dump all buttons on the page with their text content for debugging
-    const allButtons = document.querySelectorAll('button');
-    Logger.debug(`Found ${allButtons.length} total buttons on page`);
-    for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
-      const btn = allButtons[i];
-      Logger.debug(`Button ${i}: class="${btn.className}" text="${btn.textContent.trim()}" data-attrs="${btn.dataset ? Object.keys(btn.dataset).join(',') : 'none'}"`);
-    }
-    
-    // First try to identify all potential containers for size data
-    Logger.debug("Looking for size containers in the DOM");
-    const possibleContainers = [
-      document.querySelector('.sizes-list-dialog .ui--size-list'),
-      document.querySelector('[data-qa-anchor="productDetailSize"] .ui--size-list'),
-      document.querySelector('.ui--size-list'),
-      document.querySelector('[data-qa-anchor="wishlistSizes"]'),
-      document.querySelector('.single-length-list__content ul')
-    ];
-    
-    const sizesContainer = possibleContainers.find(container => container !== null);
-    
-    // Check if size container is already visible
-    if (sizesContainer) {
-      Logger.info("✅ Found sizes container already visible");
-    } else {
-      // If container not found, look specifically for the size button using various selectors
-      Logger.info("No size container found, looking for size button to click");
-      
-      // Try more specific selectors for Bershka's layout
-      const sizeButtonSelectors = [
-        '.product-page-actions button.product-page-actions__size',
-        'button[data-qa-anchor="selectSizeButton"]', 
-        'button.product-page-actions__size',
-        'button.size-selector',
-        'button.size-selector-button',
-        '.product-page-actions__size',
-        'button[type="button"].product-detail-size-selector', 
-        'button.product-detail-size-selector',
-        // Try to find by text content
-        'button:not([disabled]):not([hidden]):not([aria-hidden="true"]).product-page-actions__size',
-        'button:not([disabled]):not([hidden]):not([aria-hidden="true"]):nth-child(1)',
-        // Try by content text
-        'button.product-page-actions__info-title',
-        // Last resort - find any button that looks like a size selector
-        'button:not([disabled]):not([hidden]):not([aria-hidden="true"])',
+  // Extract product information from Stradivarius pages
+  extract: function() {
+    try {
+      Logger.info("Extracting product data for Stradivarius");
+      
+      // Basic product information
+      const productInfo = {
+        isProductPage: true,
+        success: false,
+        brand: "Stradivarius",
+        url: window.location.href,
+        currency: "TRY", // Default to TRY, will try to extract actual currency
+        extractionMethod: "stradivarius-specific",
+      };
+      
+      // Extract title - Stradivarius usually has a h1 for product title
+      const titleElement = document.querySelector("h1");
+      if (titleElement) {
+        productInfo.title = titleElement.textContent.trim();
+      }
+      
+      // Extract price
+      // Look for price with various selectors specific to Stradivarius
+      const priceSelectors = [
+        '.product-price', 
+        '[data-testid="price"]',
+        '[data-qa-id="current-price"]',
+        '.price-current-amount',
+        '.actual-price'
       ];
       
-      // Try to find the button
-      let sizeButton = null;
-      for (const selector of sizeButtonSelectors) {
-        const buttons = document.querySelectorAll(selector);
-        if (buttons && buttons.length > 0) {
-          // Look for a button with size-related text
-          for (const btn of buttons) {
-            const text = btn.textContent.trim().toLowerCase();
-            if (text.includes('size') || text.includes('select size') || text.includes('choose size') || 
-                text.includes('select a size') || text.includes('boyut') || text.includes('beden')) {
-              sizeButton = btn;
-              Logger.debug(`Found size button with text: "${text}"`);
-              break;
-            }
-          }
+      for (const selector of priceSelectors) {
+        const priceElement = document.querySelector(selector);
+        if (priceElement && priceElement.textContent) {
+          // Process the price text to extract the number and currency
+          const priceText = priceElement.textContent.trim();
+          Logger.debug(`Found price: ${priceText}`);
           
-          // If we didn't find by text but found buttons, take the first one
-          if (!sizeButton && buttons.length > 0) {
-            sizeButton = buttons[0];
-            Logger.debug(`Found potential size button with selector: ${selector}`);
+          // Extract currency and numeric value
+          const currencyMatch = priceText.match(/(TRY|\$|€|£|₺)/);
+          if (currencyMatch) {
+            const currencyMap = {
+              "TRY": "TRY",
+              "₺": "TRY",
+              "$": "USD",
+              "€": "EUR",
+              "£": "GBP"
+            };
+            productInfo.currency = currencyMap[currencyMatch[1]] || "TRY";
           }
           
-          if (sizeButton) break;
+          // Extract numeric price
+          const priceMatch = priceText.match(/[\d,.]+/);
+          if (priceMatch) {
+            // Handle different price formats (1.234,56 or 1,234.56)
+            productInfo.price = FormatUtils.formatPrice(priceMatch[0]);
+            
+            // Mark as successful if we have both title and price
+            if (productInfo.title) {
+              productInfo.success = true;
+            }
+          }
+          break; // Stop after finding first valid price
         }
       }
       
-      // If still not found, try to find by iterating buttons with size-related text
-      if (!sizeButton) {
-        Logger.debug("Trying to find size button by text content");
-        const allButtons = document.querySelectorAll('button:not([disabled]):not([hidden]):not([aria-hidden="true"])');
-        for (const btn of allButtons) {
-          const text = btn.textContent.trim().toLowerCase();
-          if (text.includes('size') || text.includes('select size') || text.includes('choose size') || 
-              text.includes('select a size') || text.includes('boyut') || text.includes('beden')) {
-            sizeButton = btn;
-            Logger.debug(`Found size button by text: "${text}"`);
+      // Extract product image
+      // Stradivarius uses different image selectors, try them all
+      const imageSelectors = [
+        'img.multimedia-item-fade-in', // From the HTML you provided
+        '.multimedia-list-container img',
+        '.product-detail-image img',
+        '.multimedia-item.image img',
+        '[data-cy^="horizontal-image"] img',
+        '.product-images-container img'
+      ];
+      
+      for (const selector of imageSelectors) {
+        const images = document.querySelectorAll(selector);
+        if (images && images.length > 0) {
+          // Get the first image, which is usually the main product image
+          const mainImage = images[0];
+          if (mainImage.src) {
+            Logger.debug(`Found image: ${mainImage.src}`);
+            productInfo.imageUrl = mainImage.src;
             break;
           }
         }
       }
       
-      if (sizeButton) {
-        Logger.info("📱 Found size button, clicking to show options");
-        // Add extra logging about the button
-        Logger.debug(`Size button text: ${sizeButton.textContent.trim()}`);
-        Logger.debug(`Size button class: ${sizeButton.className}`);
-        Logger.debug(`Size button HTML: ${sizeButton.outerHTML}`);
-        
-        // Click the button
-        sizeButton.click();
-        
-        // Listen for DOM changes after clicking - this might help detect when the dialog appears
-        const observer = new MutationObserver((mutations) => {
-          Logger.debug("DOM changed after size button click, checking for size dialog");
-          
-          // Check if size dialog appeared
-          const dialog = document.querySelector('.sizes-list-dialog, [data-qa-anchor="productDetailSize"]');
-          if (dialog) {
-            Logger.debug("Size dialog appeared after button click");
-            observer.disconnect();
-            
-            // Try to extract sizes now that dialog is visible
-            setTimeout(() => {
-              const results = extractBershkaSizes();
-              Logger.debug(`Size extraction after dialog appeared: ${results.sizes.length} sizes`);
-            }, 300);
-          }
-        });
-        
-        // Start observing the document with the configured mutation observer
-        observer.observe(document.body, { childList: true, subtree: true });
-        
-        // Wait longer for the dialog to appear (1200ms instead of 800ms)
-        Logger.info("Waiting for size dialog to appear...");
-        setTimeout(() => {
-          observer.disconnect();
-          const results = extractBershkaSizes();
-          Logger.debug(`Size extraction after click returned ${results.sizes.length} sizes`);
-        }, 1200);
-        
-        return results;
-      } else {
-        Logger.warn("❌ No size button found to click");
-        
-        // Last resort - dump HTML structure of product page areas for debugging
-        const productActions = document.querySelector('.product-page-actions, .product-detail-actions');
-        if (productActions) {
-          Logger.debug(`Product actions HTML: ${productActions.outerHTML.substring(0, 1000)}...`);
-        }
-      }
-    }
-    
-    // Once the dialog is open, extract sizes
-    if (sizesContainer) {
-      Logger.info("✅ Found sizes container");
-      Logger.debug(`Container class: ${sizesContainer.className}`);
-      Logger.debug(`Container HTML: ${sizesContainer.outerHTML.substring(0, 500)}...`);
+      // Extract color variants
+      const colorVariants = [];
+      // Updated selectors for Stradivarius colors - focusing on images in color lists
+      const colorSelectors = [
+        '.color-selector-container .color-item img',
+        '.colors-list .color-item img',
+        '.color-lists img',
+        '.product-colors .color-button img'
+      ];
       
-      // Try multiple selector patterns for size items
-      const sizeItemsSelectors = [
-        'li.list-item button.ui--list-item',
-        'button[data-qa-anchor="sizeListItem"]',
-        'li button',
-        'button.ui--list-item',
-        '.name', // Direct size name elements
-      ];
-      
-      let sizeItems = [];
-      for (const selector of sizeItemsSelectors) {
-        const items = sizesContainer.querySelectorAll(selector);
-        if (items && items.length > 0) {
-          sizeItems = items;
-          Logger.debug(`Found ${items.length} size items using selector: ${selector}`);
-          break;
-        }
-      }
-      
-      Logger.debug(`Found ${sizeItems.length} size items`);
-      
-      // Capture raw HTML for debugging if no items found
-      if (sizeItems.length === 0) {
-        Logger.debug(`Container HTML: ${sizesContainer.outerHTML.substring(0, 1000)}...`);
-        
-        // Try direct text extraction if no items found with selectors
-        const sizeText = sizesContainer.textContent.trim();
-        Logger.debug(`Container text content: ${sizeText}`);
-        
-        // Try to extract size names from text content
-        const sizeMatches = sizeText.match(/XS|S|M|L|XL|XXL|\d+\.\d+|\d+/g);
-        if (sizeMatches && sizeMatches.length > 0) {
-          Logger.debug(`Found ${sizeMatches.length} size matches in text: ${sizeMatches.join(', ')}`);
-          
-          // Create size items from text matches
-          for (const size of sizeMatches) {
-            results.sizes.push({
-              text: size,
-              selected: false,
-              value: JSON.stringify({ 
-                size: size, 
-                inStock: true, 
-                limitedStock: false 
-              }),
-            });
-          }
-          
-          // Log the results
-          Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes from text matching`);
-        }
-      } else {
-        for (let i = 0; i < sizeItems.length; i++) {
-          const sizeItem = sizeItems[i];
-          
-          // Log the raw HTML of the first item for debugging
-          if (i === 0) {
-            Logger.debug(`First size item HTML: ${sizeItem.outerHTML}`);
-          }
-          
-          // Check if selected (has aria-checked="true")
-          const isSelected = sizeItem.getAttribute('aria-checked') === 'true' || 
-                            sizeItem.classList.contains('is-active');
-          
-          // Check if in stock (doesn't have "sold out" text and no disabled class)
-          const hasLimitedStock = sizeItem.classList.contains('is-last-units');
-          
-          // Try multiple selectors for the extra-info element
-          const extraInfoElement = sizeItem.querySelector('.extra-info') || 
-                                  sizeItem.querySelector('.list-item__action-buttons') || 
-                                  sizeItem.querySelector('.availability');
-          
-          const extraInfoText = extraInfoElement ? extraInfoElement.textContent.trim() : '';
-          
-          // Check if out of stock or disabled
-          const isOutOfStock = sizeItem.classList.contains('is-disabled') || 
-                            extraInfoText.includes('Sold out') || 
-                            extraInfoText.includes('out of stock');
-          
-          const isInStock = !isOutOfStock;
-          
-          // Extract size name from the button text
-          let sizeName = '';
-          const nameElement = sizeItem.querySelector('.name') || 
-                            sizeItem.querySelector('.text span.name');
-          
-          if (nameElement) {
-            sizeName = nameElement.textContent.trim();
-          } else {
-            // Fallback: try to get text directly from the button
-            const buttonText = sizeItem.textContent.trim();
-            if (buttonText) {
-              // Try to extract size from button text, removing any "sold out" or similar phrases
-              sizeName = buttonText.replace(/sold out|out of stock|only a few left/i, '').trim();
+      for (const selector of colorSelectors) {
+        const colorElements = document.querySelectorAll(selector);
+        if (colorElements && colorElements.length > 0) {
+          // Process each color variant
+          colorElements.forEach(colorElement => {
+            // Get color name from alt attribute
+            let colorName = colorElement.getAttribute('alt');
+            
+            // Skip if no alt text or it's a social media icon
+            const socialMediaTerms = ['facebook', 'instagram', 'twitter', 'youtube', 'pinterest', 'tiktok', 'linkedin', 'preference', 'privacy', 'company logo', 'ios', 'android'];
+            const isSocialMedia = !colorName || socialMediaTerms.some(term => 
+              colorName.toLowerCase().includes(term));
+              
+            if (colorName && !isSocialMedia) {
+              // Check if this color's parent element is selected
+              const colorItem = colorElement.closest('.color-item');
+              const isSelected = colorItem && (
+                colorItem.classList.contains('selected') || 
+                colorItem.hasAttribute('aria-selected') || 
+                colorItem.classList.contains('active') ||
+                colorItem.querySelector('.color-selected') !== null
+              );
+              
+              // Use the image source URL as the value
+              const imageUrl = colorElement.getAttribute('src');
+              
+              // Add to color variants
+              colorVariants.push({
+                text: colorName,
+                selected: isSelected,
+                value: imageUrl // Use the image URL so we can display the color swatch
+              });
+              Logger.debug(`Added color variant: ${colorName}`);
             }
-          }
+          });
           
-          if (sizeName) {
-            Logger.debug(`Adding size: ${sizeName}, Selected: ${isSelected}, In stock: ${isInStock}, Limited: ${hasLimitedStock}`);
-            results.sizes.push({
-              text: sizeName,
-              selected: isSelected,
-              value: JSON.stringify({ 
-                size: sizeName, 
-                inStock: isInStock, 
-                limitedStock: hasLimitedStock 
-              }),
-            });
+          if (colorVariants.length > 0) {
+            break; // Stop after finding color variants with one selector
           }
         }
-        
-        // Log the results
-        Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes`);
-        
-        // Log the actual size data for debugging
-        if (results.sizes.length > 0) {
-          Logger.debug(`Size data sample: ${JSON.stringify(results.sizes[0])}`);
-        }
       }
-    } else {
-      Logger.warn("❌ Couldn't find Bershka sizes container");
-      
-      // Last resort - try to directly find size elements scattered in the DOM
-      Logger.debug("Trying direct DOM search for size elements");
       
-      // Check for common size patterns anywhere in the document
-      const sizePatterns = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
-      const sizeElements = [];
+      // Extract size variants
+      const sizeVariants = [];
+      // Stradivarius uses various selectors for size options
+      const sizeSelectors = [
+        '.size-selector-container .size-item',
+        '.size-selector .size-option',
+        '.product-sizes .size-button',
+        '[data-qa-id="sizes"] button',
+        '.size-selector-sizes__size'
+      ];
       
-      // Loop through size patterns and try to find them in the document
-      for (const pattern of sizePatterns) {
-        const elements = document.querySelectorAll(`*:not(script):not(style):contains("${pattern}")`);
-        if (elements && elements.length > 0) {
-          for (const element of elements) {
-            // Only consider elements that are likely to be size indicators
-            if (element.tagName.toLowerCase() === 'button' || 
-                element.tagName.toLowerCase() === 'span' || 
-                element.tagName.toLowerCase() === 'div' || 
-                element.tagName.toLowerCase() === 'li') {
-              const text = element.textContent.trim();
-              // Only add if the text is exactly the size pattern (or very close)
-              if (text === pattern || text.startsWith(pattern + ' ') || text.endsWith(' ' + pattern)) {
-                sizeElements.push({ element, size: pattern });
-              }
+      for (const selector of sizeSelectors) {
+        const sizeElements = document.querySelectorAll(selector);
+        if (sizeElements && sizeElements.length > 0) {
+          // Process each size variant
+          sizeElements.forEach(sizeElement => {
+            // Try to get size name from various sources
+            let sizeText = '';
+            
+            // Try to find the text in a label element
+            const sizeLabel = sizeElement.querySelector('.size-label, .size-text, .size-selector-sizes-size__label');
+            if (sizeLabel && sizeLabel.textContent.trim()) {
+              sizeText = sizeLabel.textContent.trim();
+            }
+            // Try aria-label
+            else if (sizeElement.getAttribute('aria-label')) {
+              sizeText = sizeElement.getAttribute('aria-label');
+            }
+            // Try inner text as fallback
+            else if (sizeElement.textContent.trim()) {
+              sizeText = sizeElement.textContent.trim();
+            }
+            
+            if (sizeText) {
+              // Check if size is in stock
+              const isDisabled = sizeElement.classList.contains('disabled') || 
+                              sizeElement.classList.contains('out-of-stock') ||
+                              sizeElement.classList.contains('size-selector-sizes-size--disabled') ||
+                              sizeElement.hasAttribute('disabled');
+                              
+              const isSelected = sizeElement.classList.contains('selected') || 
+                               sizeElement.hasAttribute('aria-selected') ||
+                               sizeElement.classList.contains('size-selector-sizes-size--selected') ||
+                               !!sizeElement.querySelector('[aria-selected="true"]');
+              
+              // Create value object with stock info
+              const valueObj = {
+                size: sizeText,
+                inStock: !isDisabled,
+              };
+              
+              // Add to size variants
+              sizeVariants.push({
+                text: sizeText,
+                selected: isSelected,
+                value: JSON.stringify(valueObj)
+              });
+              Logger.debug(`Added size variant: ${sizeText} (in stock: ${!isDisabled})`);
             }
+          });
+          
+          if (sizeVariants.length > 0) {
+            break; // Stop after finding size variants with one selector
           }
         }
       }
       
-      if (sizeElements.length > 0) {
-        Logger.debug(`Found ${sizeElements.length} potential size elements directly in DOM`);
-        
-        // Add sizes from found elements
-        const addedSizes = new Set();
-        for (const {element, size} of sizeElements) {
-          if (!addedSizes.has(size)) {
-            addedSizes.add(size);
-            results.sizes.push({
-              text: size,
-              selected: false,
-              value: JSON.stringify({ 
-                size: size, 
-                inStock: true,
-                limitedStock: false 
-              }),
-            });
-          }
+      // Add variants to product info if found
+      if (colorVariants.length > 0 || sizeVariants.length > 0) {
+        productInfo.variants = {};
+        if (colorVariants.length > 0) {
+          productInfo.variants.colors = colorVariants;
+        }
+        if (sizeVariants.length > 0) {
+          productInfo.variants.sizes = sizeVariants;
         }
-        
-        Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes from direct DOM search`);
       }
       
-      // If still no sizes, create default sizes
-      if (results.sizes.length === 0) {
-        // Create default sizes as a last resort
-        const defaultSizes = ['XS', 'S', 'M', 'L', 'XL'];
-        for (const size of defaultSizes) {
-          results.sizes.push({
-            text: size,
-            selected: size === 'M', // Select medium as default
-            value: JSON.stringify({ 
-              size: size, 
-              inStock: true,
-              limitedStock: false 
-            }),
-          });
+      // Extract description
+      const descriptionSelectors = [
+        '.product-description pre',
+        '.product-description',
+        '.description-content',
+        '[data-qa-id="description"]'
+      ];
+      
+      for (const selector of descriptionSelectors) {
+        const descriptionElement = document.querySelector(selector);
+        if (descriptionElement && descriptionElement.textContent.trim()) {
+          productInfo.description = descriptionElement.textContent.trim();
+          break;
         }
-        
-        Logger.info(`✅ Created ${results.sizes.length} default Bershka sizes`);
       }
-    }
-  } catch(e) {
-    Logger.error("❌ Error getting Bershka sizes:", e);
-  }
-  
-  return results;
-}
-
-// Bershka Extractor - For extracting Bershka product information
-const BershkaExtractor = {
-  // Check if current site is Bershka
-  isBershka: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("bershka.com");
-  },
-  
-  // Check if this is a product page (more specific than just domain check)
-  isProductPage: function() {
+      
+      // Sizes are only rendered for the selected color
+      VariantMatrix.apply(productInfo, VariantMatrix.fromSelectedColor(productInfo));
+      
+      return productInfo;
+    } catch (e) {
+      Logger.error("Error extracting Stradivarius product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Stradivarius",
+        url: window.location.href,
+        extractionMethod: "stradivarius-specific-failed",
+        error: e.message
+      };
+    }
+  }
+};
+
+// Cartier Extractor - For extracting Cartier product information
+const CartierExtractor = {
+  // Check if current site is Cartier
+  isCartier: function() {
     const url = window.location.href.toLowerCase();
-    // Product URLs contain c0p followed by numbers and .html
-    const urlMatch = /bershka\.com\/.*c0p\d+\.html/.test(url);
-    
-    // Also check DOM for product page indicators
-    const domMatch = document.querySelector('[data-qa-anchor="productDetailSize"], [data-qa-anchor="productDetailColors"], [data-qa-anchor="productName"]') !== null;
-    
-    return urlMatch || domMatch;
+    return url.includes("cartier.com");
   },
   
-  // Extract product information from Bershka pages
-  extract: function() {
+  // Extract product information from a Cartier page: the live document, or
+  // a variation page fetched by VariantPageFetcher
+  extract: async function(root = document, url = window.location.href) {
     try {
-      Logger.info("Extracting product data for Bershka");
-      
-      // First verify this is a product page
-      if (!this.isProductPage()) {
-        Logger.info("Not a Bershka product page, skipping extraction");
-        return {
-          isProductPage: false,
-          success: false,
-          url: window.location.href,
-          message: "Not a Bershka product page"
-        };
-      }
+      Logger.info("Extracting product data for Cartier");
       
       // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Bershka";
-      result.extractionMethod = "bershka-specific";
+      const result = BaseExtractor.createResultObject(url);
+      result.brand = "Cartier";
+      result.extractionMethod = "cartier-specific";
       
       // Extract title
       const titleSelectors = [
-        'h1.product-info__name',
+        '.ProductInfo-title', // Primary selector
+        'h1.ProductTitle',
         '.product-title h1',
-        'h1.product-name',
-        '[data-qa-anchor="productName"]'
+        'h1.title'
       ];
       
-      const titleElement = DOMUtils.querySelector(titleSelectors);
+      const titleElement = DOMUtils.querySelector(titleSelectors, root);
       if (titleElement) {
         result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Bershka title: ${result.title}`);
+        Logger.debug(`Found Cartier title: ${result.title}`);
       }
       
       // Extract price
       const priceSelectors = [
-        '.product-info__price span[data-qa-anchor="productPrice"]',
-        'span[data-qa-anchor="productPrice"]',
-        '.product-price .current',
-        '[data-qa-anchor="currentPrice"]'
+        '.ProductInfo-price', // Primary selector
+        '.product-price',
+        '.price .value',
+        '[data-element="price"]',
+        '[itemprop="price"]'
       ];
       
-      const priceElement = DOMUtils.querySelector(priceSelectors);
+      const priceElement = DOMUtils.querySelector(priceSelectors, root);
       if (priceElement) {
         const priceText = DOMUtils.getTextContent(priceElement);
         result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
-        Logger.debug(`Found Bershka price: ${result.price} ${result.currency}`);
-      }
-      
-      // Extract original price (for sales)
-      const originalPriceSelectors = [
-        'span[data-qa-anchor="productPreviousPrice"]',
-        '.product-info__price .previous',
-        '.product-price .previous',
-        '[data-qa-anchor="oldPrice"]'
-      ];
-      
-      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
-      if (originalPriceElement) {
-        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Bershka original price: ${result.originalPrice}`);
+        result.currency = FormatUtils.detectCurrency(priceText);
+        Logger.debug(`Found Cartier price: ${result.price} ${result.currency}`);
       }
       
       // Extract product image
       const imageSelectors = [
-        '.product-gallery__image img',
-        '.media-viewer img.main-image',
-        '.image-container img',
-        '[data-qa-anchor="imageProductPage"] img',
-        '.product-images img'
+        '.ProductGallery img',
+        '.product-image img',
+        '[data-element="product-image"] img',
+        '[itemprop="image"]'
       ];
       
-      const imageElement = DOMUtils.querySelector(imageSelectors);
-      if (imageElement) {
-        // Get the source or data attribute that contains the image URL
-        result.imageUrl = imageElement.getAttribute('src') || 
-                         imageElement.getAttribute('data-src') ||
-                         imageElement.getAttribute('srcset') ||
-                         imageElement.getAttribute('data-srcset');
-        
-        Logger.debug(`Found Bershka image URL: ${result.imageUrl}`);
+      const imageElement = DOMUtils.querySelector(imageSelectors, root);
+      if (imageElement && imageElement.getAttribute('src')) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(imageElement.getAttribute('src'));
+        Logger.debug(`Found Cartier image: ${result.imageUrl}`);
       }
       
       // Extract product description
       const descriptionSelectors = [
-        '.product-info__description',
-        '.description-container',
+        '.ProductInfo-description',
         '.product-description',
-        '[data-qa-anchor="productDetailDescription"]'
+        '[itemprop="description"]',
+        '[data-element="description"]'
       ];
       
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors, root);
       if (descriptionElement) {
         result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug(`Found Bershka description: ${result.description}`);
+        Logger.debug("Found Cartier description");
       }
       
-      // Extract colors
-      try {
-        Logger.info("Extracting Bershka-specific colors");
-        const colorVariants = [];
-        
-        // Color selector container
-        const colorSelectorContainer = document.querySelector('[data-qa-anchor="productDetailColors"]');
-        
-        if (colorSelectorContainer) {
-          // Get all color swatches
-          const colorItems = colorSelectorContainer.querySelectorAll('button[data-qa-anchor="colorSwatch"]');
-          Logger.debug(`Found ${colorItems.length} Bershka color options`);
-          
-          if (colorItems && colorItems.length > 0) {
-            for (const colorItem of colorItems) {
-              // Check if this color is selected
-              const isSelected = colorItem.getAttribute('aria-pressed') === 'true' || 
-                               colorItem.classList.contains('is-active');
-              
-              // Get the color name and image
-              const colorImg = colorItem.querySelector('img');
-              let colorValue = '';
-              let colorName = '';
-              
-              // Try to get the color name from aria-label or title
-              colorName = colorItem.getAttribute('aria-label') || colorItem.getAttribute('title');
-              
-              // If we have an image, use its alt text or src as a fallback for the name
-              if (colorImg) {
-                if (!colorName) {
-                  colorName = colorImg.getAttribute('alt');
-                }
-                colorValue = colorImg.getAttribute('src');
-              }
-              
-              // Fallback if we still don't have a color name
-              if (!colorName) {
-                colorName = 'Color Option';
-              }
-              
-              // Add the color to our variants
-              colorVariants.push({
-                text: colorName,
-                selected: isSelected,
-                value: colorValue || colorName
-              });
-              
-              Logger.debug(`Added Bershka color: ${colorName}, Selected: ${isSelected}`);
-            }
-          }
-          
-          // If we found colors, add them to the result
-          if (colorVariants.length > 0) {
-            result.variants = result.variants || {};
-            result.variants.colors = colorVariants;
-          }
-        }
-      } catch(e) {
-        Logger.error("Error extracting Bershka colors:", e);
+      // Extract product SKU/Reference
+      // For Cartier, extract the product code from the URL (e.g., CRH4414200)
+      const skuMatch = new URL(url).pathname.match(/[A-Z0-9]{5,}(?=\.html)/);
+      if (skuMatch) {
+        result.sku = skuMatch[0];
+        Logger.debug(`Extracted Cartier SKU from URL: ${result.sku}`);
       }
       
-      // Extract sizes using the specialized function
-      try {
-        const sizeResults = extractBershkaSizes();
-        if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
-          result.variants = result.variants || {};
-          result.variants.sizes = sizeResults.sizes;
-        }
-      } catch(e) {
-        Logger.error("Error extracting Bershka sizes:", e);
+      // Try to find a reference code in the DOM as a backup
+      const skuSelectors = [
+        '.product-reference',
+        '.reference-number',
+        '[data-element="reference"]'
+      ];
+      
+      const skuElement = DOMUtils.querySelector(skuSelectors, root);
+      if (skuElement && !result.sku) {
+        result.sku = DOMUtils.getTextContent(skuElement).replace(/Ref.:|Reference:|Ref:/i, '').trim();
+        Logger.debug(`Found Cartier SKU in DOM: ${result.sku}`);
       }
       
-      // Check if we have enough information to consider this successful
-      result.success = !!(result.title && result.price);
+      // Extract material/color variations
+      this.extractCartierVariations(result, root, url);
+      
+      // Mark as success if we have the essential product information
+      if (result.title && result.price) {
+        result.success = true;
+        Logger.info("Successfully extracted Cartier product data");
+      }
+      
+      // Price and SKU of the other variations come from their own pages
+      if (root === document) {
+        await VariantPageFetcher.aggregate(result, this.variantLinks(root), (page, pageUrl) =>
+          this.extract(page, pageUrl)
+        );
+      }
       
       return result;
-    } catch(e) {
-      Logger.error("Error in Bershka extractor:", e);
+    } catch (e) {
+      Logger.error("Error extracting Cartier product data", e);
       return {
         isProductPage: true,
         success: false,
-        url: window.location.href,
-        error: e.message,
-        extractionMethod: "bershka-failed"
+        brand: "Cartier",
+        url: url,
+        extractionMethod: "cartier-specific",
+        error: e.message
       };
     }
+  },
+  
+  // Variation swatches (metal, color) linking to each variation's page
+  variationSelectors: [
+    '.ProductVariations a',
+    '[data-element="variation"] a',
+    '.product-variations a'
+  ],
+  
+  variationName: function(link) {
+    return link.getAttribute('title') ||
+           link.getAttribute('aria-label') ||
+           DOMUtils.getTextContent(link);
+  },
+  
+  // Each variation becomes a color option; the one linking to this page is
+  // the selected one
+  extractCartierVariations: function(result, root = document, url = window.location.href) {
+    try {
+      const links = DOMUtils.querySelectorAll(this.variationSelectors, root);
+      const pageUrl = VariantPageFetcher.resolveUrl(url);
+      
+      for (const link of links) {
+        const name = this.variationName(link);
+        if (!name || result.variants.colors.some((color) => color.text === name)) continue;
+        
+        const isSelected = link.getAttribute('aria-current') === 'true' ||
+                           link.getAttribute('aria-selected') === 'true' ||
+                           link.classList.contains('selected') ||
+                           VariantPageFetcher.resolveUrl(link.getAttribute('href')) === pageUrl;
+        
+        result.variants.colors.push({
+          text: name,
+          selected: isSelected,
+          value: name
+        });
+        
+        Logger.debug(`Added Cartier variation: ${name}, selected: ${isSelected}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Cartier variations", e);
+    }
+  },
+  
+  // Variation links: [{ text, url }]
+  variantLinks: function(root) {
+    return VariantPageFetcher.linksFrom(root, this.variationSelectors.join(', '), (link) =>
+      this.variationName(link)
+    );
   }
 };
 
-// Extract sizes for Massimo Dutti products
-function extractMassimoDuttiSizes() {
-  const results = { sizes: [] };
+// Swarovski Extractor - For extracting Swarovski product information
+const SwarovskiExtractor = {
+  // Check if current site is Swarovski
+  isSwarovski: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("swarovski.com");
+  },
   
-  try {
-    Logger.info("🔍 Attempting to extract Massimo Dutti sizes");
-    
-    // Log the current URL for debugging
-    Logger.debug(`Current URL: ${window.location.href}`);
-    
-    // Find the main size selector container
-    const sizeContainer = document.querySelector('product-size-selector-layout, .product-size-selector, .tabs.product-size-selector');
-    
-    if (!sizeContainer) {
-      Logger.warn("❌ No size container found for Massimo Dutti");
-      return results;
-    }
-    
-    Logger.debug(`Found Massimo Dutti size container: ${sizeContainer.className}`);
-    
-    // Find all size buttons
-    const sizeButtons = sizeContainer.querySelectorAll('button[role="option"], .product-size-selector__li button');
-    
-    if (!sizeButtons || sizeButtons.length === 0) {
-      Logger.warn("❌ No size buttons found in container");
-      return results;
-    }
-    
-    Logger.info(`✅ Found ${sizeButtons.length} size options`);
-    
-    // Process each size button
-    for (const button of sizeButtons) {
-      // Extract size text
-      const sizeTextElement = button.querySelector('.tab-inner-size');
-      if (!sizeTextElement) continue;
-      
-      const sizeText = sizeTextElement.textContent.trim();
-      if (!sizeText) continue;
-      
-      // Determine if this size is selected
-      const isSelected = button.getAttribute('aria-selected') === 'true';
-      
-      // Determine stock status
-      let isInStock = true; // Default to in stock
-      let isBackSoon = false;
-      
-      // Check for unavailable status
-      if (button.classList.contains('c-middle-grey')) {
-        // This indicates either "Back Soon" or "Sold Out"
-        
-        // Check for specific icons/labels
-        const icon = button.querySelector('.icon-sizes');
-        if (icon) {
-          const statusText = icon.getAttribute('data-title');
-          if (statusText) {
-            Logger.debug(`Size ${sizeText} has status: ${statusText}`);
-            
-            if (statusText.includes('ÇOK YAKINDA') || statusText.toLowerCase().includes('back soon')) {
-              isInStock = false;
-              isBackSoon = true;
-            } else if (statusText.includes('dev.product.soldOut') || statusText.toLowerCase().includes('sold out')) {
-              isInStock = false;
-              isBackSoon = false;
-            }
-          }
-        }
-      }
-      
-      // Create the value object with stock information
-      const valueObj = {
-        size: sizeText,
-        inStock: isInStock,
-        backSoon: isBackSoon
-      };
-      
-      // Add to results
-      results.sizes.push({
-        text: sizeText,
-        selected: isSelected,
-        value: JSON.stringify(valueObj)
-      });
-      
-      Logger.debug(`Added Massimo Dutti size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, BackSoon: ${isBackSoon}`);
-    }
-    
-    Logger.info(`✅ Extracted ${results.sizes.length} sizes from Massimo Dutti product`);
-  } catch (error) {
-    Logger.error(`Error extracting Massimo Dutti sizes: ${error}`);
-  }
-  
-  return results;
-}
-
-// Massimo Dutti size extraction
-function extractMassimoDuttiSizes() {
-  // ... existing code ...
-}
-
-// Pandora Extractor - For extracting Pandora product information
-const PandoraExtractor = {
-  // Check if current site is Pandora
-  isPandora: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("pandora.net");
-  },
-  
-  // Extract product information from Pandora pages
-  extract: function() {
+  // Extract product information from a Swarovski page: the live document,
+  // or a color page fetched by VariantPageFetcher
+  extract: async function(root = document, url = window.location.href) {
     try {
-      Logger.info("Extracting product data for Pandora");
+      Logger.info("Extracting product data for Swarovski");
       
       // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Pandora";
-      result.extractionMethod = "pandora-specific";
-      
-      // Only initialize variants that exist
-      if (!result.variants) {
-        result.variants = {};
-      }
-      
-      // Check for color options
-      const hasColorOptions = !!document.querySelector('.variation-attribute[data-attr="color-group"]');
-      if (hasColorOptions) {
-        result.variants.colors = [];
-        Logger.debug("Found color options container");
-      }
-      
-      // Check for size options
-      const hasSizeOptions = !!document.querySelector('.size-attribute-container, select[name="ring-size"], .pdp-size-section');
-      if (hasSizeOptions) {
-        result.variants.sizes = [];
-        Logger.debug("Found size options container");
-      }
-      
-      Logger.debug("Initialized variants object for Pandora");
+      const result = BaseExtractor.createResultObject(url);
+      result.brand = "Swarovski";
+      result.extractionMethod = "swarovski-specific";
       
       // Extract title
       const titleSelectors = [
-        '.product-name', 
-        '.pdp-title',
-        'h1.page-title',
-        '.ProductDetailMainInfo h1'
+        '.product-name h1', 
+        '.swa-product-basic-info__title',
+        '.swa-product-overview-title',
+        '.product-detail-title'
       ];
       
-      const titleElement = DOMUtils.querySelector(titleSelectors);
+      const titleElement = DOMUtils.querySelector(titleSelectors, root);
       if (titleElement) {
         result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Pandora title: ${result.title}`);
+        Logger.debug(`Found Swarovski title: ${result.title}`);
       }
       
       // Extract price
       const priceSelectors = [
-        '.product-price .price',
-        '.price-container .price',
-        '.ProductDetailMainInfo .price',
-        '.product-info-main .price',
-        '[data-price-type="finalPrice"]',
-        '.sales.sales-origin .value'
+        '.swa-product-summary__price', 
+        '.price-sales',
+        '.product-price .value',
+        '[data-test-id="product-sales-price"]'
       ];
       
-      const priceElement = DOMUtils.querySelector(priceSelectors);
+      const priceElement = DOMUtils.querySelector(priceSelectors, root);
       if (priceElement) {
         const priceText = DOMUtils.getTextContent(priceElement);
         result.price = FormatUtils.formatPrice(priceText);
-        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
-        Logger.debug(`Found Pandora price: ${result.price} ${result.currency}`);
+        result.currency = FormatUtils.detectCurrency(priceText);
+        Logger.debug(`Found Swarovski price: ${result.price} ${result.currency}`);
       }
-      
-      // Extract original price (for sales)
+
+      // Extract original price if available (for sale items)
       const originalPriceSelectors = [
-        '.old-price .price',
-        '.price-container .old-price',
-        '[data-price-type="oldPrice"]',
-        '.price-was-container'
+        '.price-standard',
+        '.swa-product-summary__price--original',
+        '[data-test-id="product-standard-price"]'
       ];
-      
-      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
+
+      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors, root);
       if (originalPriceElement) {
         const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
         result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-        Logger.debug(`Found Pandora original price: ${result.originalPrice}`);
+        Logger.debug(`Found Swarovski original price: ${result.originalPrice}`);
       }
       
       // Extract product image
       const imageSelectors = [
-        '.gallery-placeholder img',
-        '.product-image-gallery img',
-        '.fotorama__stage__shaft img',
-        '.MagicZoom img',
-        '.pdp-primary-images img'
+        '.carousel-item.active img',
+        '.swa-product-gallery-carousel__main-image img',
+        '.swa-product-gallery img',
+        '[data-test-id="product-image"] img'
       ];
       
-      const imageElement = DOMUtils.querySelector(imageSelectors);
+      const imageElement = DOMUtils.querySelector(imageSelectors, root);
       if (imageElement) {
-        // Get high-res image URL if available
-        const dataFullImage = imageElement.getAttribute('data-full') || 
-                             imageElement.getAttribute('data-zoom-image') || 
-                             imageElement.getAttribute('data-product-lg-image');
-                             
-        result.imageUrl = FormatUtils.makeUrlAbsolute(
-          dataFullImage || imageElement.getAttribute('src')
-        );
-        Logger.debug(`Found Pandora image URL: ${result.imageUrl}`);
+        let imageUrl = imageElement.getAttribute('src');
+        // Try to get larger image from data attributes if available
+        if (!imageUrl || imageUrl.includes('transparent.gif')) {
+          imageUrl = imageElement.getAttribute('data-src') || 
+                     imageElement.getAttribute('data-zoom-image') || 
+                     imageElement.getAttribute('data-large-img');
+        }
+        if (imageUrl) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
+          Logger.debug(`Found Swarovski image: ${result.imageUrl}`);
+        }
       }
       
       // Extract product description
       const descriptionSelectors = [
-        '.product-description',
-        '.description',
-        '.value[itemprop="description"]',
-        '.product.attribute.overview',
-        '.product.attribute.description'
+        '.product-details-description',
+        '.swa-product-content-details__description',
+        '.swa-product-details__description',
+        '[data-test-id="product-description"]'
       ];
       
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors, root);
       if (descriptionElement) {
         result.description = DOMUtils.getTextContent(descriptionElement);
-        Logger.debug(`Found Pandora description`);
+        Logger.debug("Found Swarovski description");
       }
       
-      // Extract product SKU/product code
-      const skuSelectors = [
-        '.product.attribute.sku .value',
-        '.sku .value',
-        '[itemprop="sku"]',
-        '.product-id-sku'
-      ];
-      
-      const skuElement = DOMUtils.querySelector(skuSelectors);
-      if (skuElement) {
-        result.sku = DOMUtils.getTextContent(skuElement);
-        Logger.debug(`Found Pandora SKU: ${result.sku}`);
+      // Extract product SKU/ID
+      // For Swarovski, we can extract the product code from the URL (e.g., 5642595)
+      const skuMatch = new URL(url).pathname.match(/\/p-[A-Za-z](\d+)\//);
+      if (skuMatch && skuMatch[1]) {
+        result.sku = skuMatch[1];
+        Logger.debug(`Extracted Swarovski SKU from URL: ${result.sku}`);
       } else {
-        // Try to extract SKU from URL
-        const skuMatch = window.location.href.match(/\/([A-Z0-9]+)\.html/);
-        if (skuMatch && skuMatch[1]) {
-          result.sku = skuMatch[1];
-          Logger.debug(`Extracted Pandora SKU from URL: ${result.sku}`);
+        // Try to find SKU in the DOM
+        const skuSelectors = [
+          '.product-id',
+          '.swa-product-number',
+          '[data-test-id="product-id"]'
+        ];
+        
+        const skuElement = DOMUtils.querySelector(skuSelectors, root);
+        if (skuElement) {
+          result.sku = DOMUtils.getTextContent(skuElement).replace(/Item No.:|Art. Nr.:|Ref:/i, '').trim();
+          Logger.debug(`Found Swarovski SKU in DOM: ${result.sku}`);
         }
       }
       
-      // Extract metal variants - specific to Pandora jewelry
-      this.extractPandoraMetalVariants(result);
-      
-      // Extract size variants - specific to Pandora jewelry
-      this.extractPandoraSizeVariants(result);
+      // Extract colors - Swarovski specific
+      this.extractSwarovskiColors(result, root);
       
-      // Check if we have the minimum needed information for success
-      result.success = !!(result.title && result.price);
+      // Price and stock of the other colors come from their own pages
+      if (root === document) {
+        await VariantPageFetcher.aggregate(result, this.variantLinks(root), (page, pageUrl) =>
+          this.extract(page, pageUrl)
+        );
+      }
       
-      // Log final number of variants for debugging
-      Logger.debug(`Final Pandora variants - colors: ${result.variants.colors.length}, sizes: ${result.variants.sizes.length}`);
+      // Mark as success if we have the essential product information
+      if (result.title && result.price) {
+        result.success = true;
+        Logger.info("Successfully extracted Swarovski product data");
+      }
       
       return result;
     } catch (e) {
-      Logger.error("Error extracting Pandora product data", e);
+      Logger.error("Error extracting Swarovski product data", e);
       return {
         isProductPage: true,
         success: false,
-        brand: "Pandora",
-        url: window.location.href,
-        extractionMethod: "pandora-specific-failed",
+        brand: "Swarovski",
+        url: url,
+        extractionMethod: "swarovski-specific",
         error: e.message
       };
     }
   },
   
-  // Extract metal variants for Pandora products
-  extractPandoraMetalVariants: function(result) {
+  // Extract color variants specifically for Swarovski
+  extractSwarovskiColors: function(result, root = document) {
     try {
-      Logger.info("Extracting Pandora metal variants");
-      
-      // First check if this product has color options at all
-      const hasColorOptions = !!document.querySelector('.variation-attribute[data-attr="color-group"]');
-      
-      if (!hasColorOptions) {
-        Logger.debug("No color options found for this Pandora product - skipping color extraction");
-        // Don't create an empty colors array if no colors exist
-        delete result.variants.colors;
-        return;
-      }
+      Logger.info("Extracting Swarovski color variants");
       
-      // First try to find the color-group-container based on the HTML structure provided by the user
-      const colorGroupContainer = document.querySelector('#color-group-selector-198421C01, #color-group-selector-198421C03, .color-group-container, ul[id^="color-group-selector"]');
+      // Swarovski color variants are in a specific container
+      const colorContainer = root.querySelector('.swa-product-color-selector-horizontal__tiles');
       
-      if (colorGroupContainer) {
-        Logger.debug("Found color group container using ID or class selector");
+      if (colorContainer) {
+        const colorItems = colorContainer.querySelectorAll('.swa-product-color-variant-thumbnail');
+        Logger.debug(`Found ${colorItems.length} Swarovski color options`);
         
-        // Find all color attributes
-        const colorAttributes = colorGroupContainer.querySelectorAll('.color-attribute');
-        if (colorAttributes && colorAttributes.length > 0) {
-          Logger.debug(`Found ${colorAttributes.length} color attributes`);
-          
-          for (const colorAttr of colorAttributes) {
-            // Get the color variant link
-            const variantLink = colorAttr.querySelector('.color-variant-link');
-            if (!variantLink) continue;
-            
+        if (colorItems && colorItems.length > 0) {
+          for (const colorItem of colorItems) {
             // Check if this color is selected
-            const isSelected = variantLink.classList.contains('selected');
-            
-            // Get color name from product-color-group which is more reliable than title
-            const colorName = variantLink.getAttribute('data-product-color-group') || 
-                             variantLink.getAttribute('title') || '';
-            if (!colorName) continue;
-            
-            // Get actual color from class - important for proper UI display
-            const colorClasses = variantLink.className.split(' ');
-            let colorClass = '';
-            for (const cls of colorClasses) {
-              if (cls.startsWith('color-swatch') || cls.startsWith('color-')) {
-                const potentialColor = cls.replace('color-swatch', '').replace('color-', '').trim();
-                if (potentialColor && potentialColor !== 'value' && potentialColor !== 'swatch') {
-                  colorClass = potentialColor;
-                  break;
-                }
-              }
-            }
-            
-            Logger.debug(`Found color class: ${colorClass} for color: ${colorName}`);
+            const isSelected = colorItem.classList.contains('swa-product-color-variant-thumbnail--selected');
             
-            // Get the URL of the color image
-            const swatchCircle = variantLink.querySelector('.swatch-circle');
-            const swatchColor = swatchCircle ? swatchCircle.className.split(' ').find(c => c.startsWith('swatch-circle-')) : null;
+            // Get color link and name
+            const colorLink = colorItem.querySelector('a');
+            if (!colorLink) continue;
             
-            // Get high-resolution product image for this color variant
-            const colorProductImage = variantLink.getAttribute('data-product-lg-image') || '';
+            // Get color name from name attribute
+            const colorName = this.colorLinkName(colorLink);
             
-            // Get product name for this color
-            const colorProductName = variantLink.getAttribute('data-product-name') || '';
+            if (!colorName) continue;
             
-            // Get the href URL to the color-specific product page (important for size availability)
-            const colorHref = variantLink.getAttribute('href') || '';
+            // Get the image URL for the color
+            const img = colorItem.querySelector('img');
+            let imageUrl = null;
             
-            // Create a color value object with more complete information
-            const colorData = {
-              type: "color",
-              colorName: colorName,
-              colorClass: colorClass || (swatchColor ? swatchColor.replace('swatch-circle-', '') : ''),
-              imageUrl: colorProductImage,
-              productName: colorProductName,
-              href: colorHref
-            };
+            if (img) {
+              // Get image URL
+              imageUrl = FormatUtils.makeUrlAbsolute(img.getAttribute('src'));
+            }
             
-            // Add this color variant - include color class in the value for proper UI rendering
+            // Add to color variants
             result.variants.colors.push({
               text: colorName,
               selected: isSelected,
-              value: JSON.stringify(colorData)
+              value: imageUrl || colorName // Use image URL as value if available
             });
             
-            Logger.debug(`Added Pandora color variant: ${colorName}, selected: ${isSelected}, class: ${colorClass}`);
+            Logger.debug(`Added Swarovski color: ${colorName}, selected: ${isSelected}`);
           }
-          return;
         }
       }
       
-      // Fallback to metal-group if color-group not found
-      const metalContainer = document.querySelector('.variation-attribute[data-attr="metal-group"] .metal-group-container');
-      
-      if (!metalContainer) {
-        Logger.debug("No metal variants found");
-        return;
-      }
-      
-      // Find all metal variant options
-      const metalItems = metalContainer.querySelectorAll('.color-attribute');
-      if (!metalItems || metalItems.length === 0) {
-        Logger.debug("No metal variant items found");
-        return;
-      }
-      
-      Logger.debug(`Found ${metalItems.length} metal variants`);
-      
-      // Get the current selected metal text, helpful for displaying in the UI
-      const selectedMetalText = document.querySelector('.metal-group-label span[data-auto="lblSelectedMetal"]');
-      const selectedMetalName = selectedMetalText ? DOMUtils.getTextContent(selectedMetalText) : '';
-      Logger.debug(`Selected metal from label: ${selectedMetalName}`);
-      
-      // Process metal variants
-      for (const metalItem of metalItems) {
-        const metalLink = metalItem.querySelector('.metal-variant-link');
-        if (!metalLink) continue;
-        
-        // Check if this metal is selected
-        const isSelected = metalLink.classList.contains('selected');
-        
-        // Get metal name from title attribute
-        const metalName = metalLink.getAttribute('title') || metalLink.getAttribute('data-product-metal-group');
-        if (!metalName) continue;
-        
-        // Get metal image
-        const metalImg = metalLink.querySelector('.swatch-circle-metal img');
-        const metalImgUrl = metalImg ? FormatUtils.makeUrlAbsolute(metalImg.getAttribute('src')) : '';
-        
-        // Get product data from metal variant
-        const productMetalGroup = metalLink.getAttribute('data-product-metal-group') || metalName;
-        
-        // Create a metal value object that can be stringified, following required format from website_extraction.mdc
-        const metalData = {
-          type: "metal",
-          metal: productMetalGroup,
-          imageUrl: metalImgUrl,
-          href: metalLink.getAttribute('href') || ''
-        };
-        
-        // Add as a color variant to ensure it displays in the UI
-        result.variants.colors.push({
-          text: productMetalGroup || metalName,
-          selected: isSelected || (productMetalGroup === selectedMetalName),
-          value: metalImgUrl || JSON.stringify(metalData)
-        });
-        
-        Logger.debug(`Added Pandora metal as color variant: ${productMetalGroup || metalName}, selected: ${isSelected}`);
-      }
-      
-      // If we have variant data but no colors were added, create a default one
+      // If no colors found from main selector, try alternative selectors
       if (result.variants.colors.length === 0) {
-        // Try to get metal info from product title or other elements
-        const productTitle = result.title || '';
-        let defaultMetal = '';
-        
-        if (productTitle.toLowerCase().includes('silver') || productTitle.toLowerCase().includes('gümüş')) {
-          defaultMetal = 'Silver';
-        } else if (productTitle.toLowerCase().includes('gold') || productTitle.toLowerCase().includes('altın')) {
-          defaultMetal = 'Gold';
-        } else if (productTitle.toLowerCase().includes('rose') || productTitle.toLowerCase().includes('pembe')) {
-          defaultMetal = 'Rose Gold';
-        } else {
-          defaultMetal = 'Metal';
-        }
-        
-        result.variants.colors.push({
-          text: defaultMetal,
-          selected: true,
-          value: 'default'
-        });
-        
-        Logger.debug(`Added default metal: ${defaultMetal}`);
-      }
-    } catch (e) {
-      Logger.warn("Error extracting Pandora metal variants:", e);
-    }
-  },
-  
-  // Extract size variants for Pandora products
-  extractPandoraSizeVariants: function(result) {
-    try {
-      Logger.info("Extracting Pandora size variants");
-      
-      // Check if we have a sizes array to work with
-      if (!result.variants || !result.variants.sizes) {
-        Logger.debug("No sizes array in variants - skipping size extraction");
-        return;
-      }
-      
-      // First try the standard size attributes
-      const sizeContainer = document.querySelector('.variation-attribute[data-attr="size"] .size-container');
-      
-      if (sizeContainer) {
-        Logger.debug("Found Pandora size container");
-        
-        // Find all size attributes 
-        const sizeAttributes = sizeContainer.querySelectorAll('.size-attributes');
+        const alternativeSelectors = [
+          '.swa-swatches-container .swa-swatch',
+          '.swa-product-variants .swa-variant-selector',
+          '.swa-product-color-selector .swa-color-selector-item'
+        ];
         
-        if (sizeAttributes && sizeAttributes.length > 0) {
-          Logger.debug(`Found ${sizeAttributes.length} size attributes`);
+        for (const selector of alternativeSelectors) {
+          const colorElements = root.querySelectorAll(selector);
           
-          for (const sizeAttr of sizeAttributes) {
-            // Check if this size is selectable or unselectable
-            const isSelectable = sizeAttr.classList.contains('selectable');
-            const isUnselectable = sizeAttr.classList.contains('unselectable');
-            
-            // Get the size button and check if it's disabled
-            const sizeButton = sizeAttr.querySelector('button');
-            if (!sizeButton) continue;
-            
-            const isDisabled = sizeButton.classList.contains('disabled');
-            const sizeText = DOMUtils.getTextContent(sizeButton).trim();
-            
-            // Skip if we can't find the size text
-            if (!sizeText) continue;
-            
-            // Determine if the size is available based on selectable status and disabled state
-            const isAvailable = isSelectable && !isUnselectable && !isDisabled;
-            
-            // Get the size value attribute
-            const sizeValue = sizeAttr.getAttribute('data-attr-value') || '';
-            const sizeAttrValue = sizeButton.getAttribute('data-sizeattr') || sizeText;
-            
-            // Create a value object with size information
-            const sizeData = {
-              size: sizeText,
-              sizeValue: sizeValue,
-              sizeAttr: sizeAttrValue,
-              inStock: isAvailable
-            };
+          if (colorElements && colorElements.length > 0) {
+            Logger.debug(`Found ${colorElements.length} color options with alternative selector: ${selector}`);
             
-            // Add the size variant
-            result.variants.sizes.push({
-              text: sizeText,
-              selected: false, // Pandora doesn't pre-select sizes
-              value: JSON.stringify(sizeData)
-            });
+            for (const element of colorElements) {
+              // Check if selected
+              const isSelected = element.classList.contains('selected') || 
+                               element.classList.contains('active') ||
+                               element.getAttribute('aria-selected') === 'true';
+              
+              // Get color name from various possible sources
+              let colorName = element.getAttribute('title') || 
+                            element.getAttribute('data-color-name') || 
+                            element.getAttribute('aria-label');
+              
+              if (!colorName) {
+                const nameEl = element.querySelector('.color-name, .swatch-name');
+                if (nameEl) {
+                  colorName = DOMUtils.getTextContent(nameEl);
+                }
+              }
+              
+              if (!colorName) continue;
+              
+              // Get image if available
+              const img = element.querySelector('img');
+              let imageUrl = null;
+              
+              if (img && img.src) {
+                imageUrl = FormatUtils.makeUrlAbsolute(img.src);
+              }
+              
+              // Add to color variants
+              result.variants.colors.push({
+                text: colorName,
+                selected: isSelected,
+                value: imageUrl || colorName
+              });
+              
+              Logger.debug(`Added Swarovski color (alternative): ${colorName}`);
+            }
             
-            Logger.debug(`Added Pandora size: ${sizeText}, in stock: ${isAvailable}`);
-          }
-          
-          // If we've found sizes, return
-          if (result.variants.sizes.length > 0) {
-            return;
+            if (result.variants.colors.length > 0) {
+              break; // Stop after finding colors with one selector
+            }
           }
         }
       }
-      
-      // Fallback to other size options if the main approach didn't find any
-      // ... existing fallback code ...
     } catch (e) {
-      Logger.warn("Error extracting Pandora size variants:", e);
+      Logger.warn("Error extracting Swarovski colors", e);
     }
   },
   
-  // Method to extract size availability data for a specific color
-  extractColorSpecificSizesData: function(colorUrl) {
-    // This would be called when a user selects a color in the UI
-    // It would navigate to the color URL and extract the available sizes
-    // Currently not implemented as it would require a navigation
-    // This is more of a placeholder for potential future implementation
-    if (!colorUrl) return null;
-    
-    try {
-      Logger.info(`Extracting size data for color URL: ${colorUrl}`);
-      
-      // In a real implementation, we would:
-      // 1. Navigate to the colorUrl
-      // 2. Wait for the page to load
-      // 3. Extract size data from the new page
-      // 4. Return the size data
-      
-      return null;
-    } catch (e) {
-      Logger.warn(`Error extracting color-specific size data: ${e}`);
-      return null;
+  // Color name of a swatch link: its name attribute, else its aria-label
+  colorLinkName: function(colorLink) {
+    let colorName = colorLink.getAttribute('name');
+    if (!colorName) {
+      colorName = colorLink.getAttribute('aria-label');
+      if (colorName && colorName.startsWith('Product: ')) {
+        colorName = colorName.substring('Product: '.length);
+      }
     }
+    return colorName;
+  },
+  
+  // Color swatch links: [{ text, url }]
+  variantLinks: function(root) {
+    return VariantPageFetcher.linksFrom(
+      root,
+      '.swa-product-color-selector-horizontal__tiles .swa-product-color-variant-thumbnail a',
+      (colorLink) => this.colorLinkName(colorLink)
+    );
   }
 };
 
-// Victoria's Secret Extractor - For extracting Victoria's Secret product information
-const VictoriasSecretExtractor = {
-  // Check if current site is Victoria's Secret
-  isVictoriasSecret: function() {
-    const url = window.location.href.toLowerCase();
-    return url.includes("victoriassecret.com.tr");
-  },
-  
-  // Check if the URL is a product page
-  isVictoriasSecretProductUrl: function(url) {
-    if (!url) return false;
-    url = url.toLowerCase();
-    
-    // Turkish Victoria's Secret site pattern (add more patterns as needed for different regions)
-    return url.includes("victoriassecret.com.tr/") && 
-           url.includes("urun/");
-  },
-  
-  // Check if the URL is a non-product page
-  isVictoriasSecretNonProductUrl: function(url) {
-    if (!url) return false;
-    url = url.toLowerCase();
-    
-    // Common non-product pages
-    const nonProductPatterns = [
-      "/home", "/kampanya", "/kategori/"
-    ];
-    
-    return nonProductPatterns.some(pattern => url.includes(pattern));
+// Guess Extractor - For extracting Guess product information
+const GuessExtractor = {
+  // Check if current site is Guess
+  isGuess: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("guess.eu");
   },
   
-  // Extract product information from Victoria's Secret pages
-  extract: function() {
+  // Extract product information from a Guess page: the live document, or a
+  // color page fetched by VariantPageFetcher
+  extract: async function(root = document, url = window.location.href) {
     try {
-      Logger.info("Extracting product data for Victoria's Secret");
+      Logger.info("Extracting product data for Guess");
       
       // Basic product information
-      const result = BaseExtractor.createResultObject();
-      result.brand = "Victoria's Secret";
-      result.extractionMethod = "victoriassecret-specific";
+      const result = BaseExtractor.createResultObject(url);
+      result.brand = "Guess";
+      result.extractionMethod = "guess-specific";
       
       // Extract title
       const titleSelectors = [
-        'h1.ProductName',
-        '.ProductName h1',
-        'h1.product-name'
+        '.product-name h1',
+        '.pdp-details__name h1',
+        '.product-detail-name'
       ];
       
-      const titleElement = DOMUtils.querySelector(titleSelectors);
+      const titleElement = DOMUtils.querySelector(titleSelectors, root);
       if (titleElement) {
         result.title = DOMUtils.getTextContent(titleElement);
-        Logger.debug(`Found Victoria's Secret title: ${result.title}`);
+        Logger.debug(`Found Guess title: ${result.title}`);
       } else {
         // Fallback to page title
-        const pageTitle = document.title;
+        const pageTitle = root.title;
         if (pageTitle) {
-          result.title = pageTitle.split('|')[0].trim();
+          // Often follows pattern: "Product Name | Guess"
+          const titleParts = pageTitle.split("|");
+          if (titleParts.length > 1) {
+            result.title = titleParts[0].trim();
+          } else {
+            result.title = pageTitle;
+          }
           Logger.debug(`Using page title: ${result.title}`);
         }
       }
       
-      // Extract price - handle both discounted and regular price cases
-      // First check if there's a discount container
-      const discountContainer = document.querySelector('#divIndirimliFiyat');
+      // Extract price
+      const priceSelectors = [
+        '.product-price .price-sales',
+        '.price-sales',
+        '.product-price .value',
+        '[data-sales-price]'
+      ];
       
-      if (discountContainer) {
-        // Discounted case - need to get both original and discounted price
-        
-        // Get original price
-        const originalPriceElement = discountContainer.querySelector('#fiyat .spanFiyat');
-        if (originalPriceElement) {
-          const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
-          result.originalPrice = FormatUtils.formatPrice(originalPriceText);
-          Logger.debug(`Found Victoria's Secret original price: ${result.originalPrice}`);
-        }
-        
-        // Get discounted price
-        const discountedPriceElement = discountContainer.querySelector('#indirimliFiyat .spanFiyat');
-        if (discountedPriceElement) {
-          const discountedPriceText = DOMUtils.getTextContent(discountedPriceElement);
-          result.price = FormatUtils.formatPrice(discountedPriceText);
-          result.currency = 'TRY'; // Hardcoded for Turkish site, could be detected from text
-          Logger.debug(`Found Victoria's Secret discounted price: ${result.price} ${result.currency}`);
-        }
-      } else {
-        // Regular price case (no discount)
-        const priceSelectors = [
-          '#fiyat2 .spanFiyat',
-          '.PriceList .spanFiyat',
-          '.product-price .current'
-        ];
-        
-        const priceElement = DOMUtils.querySelector(priceSelectors);
-        if (priceElement) {
-          const priceText = DOMUtils.getTextContent(priceElement);
-          result.price = FormatUtils.formatPrice(priceText);
-          result.currency = 'TRY'; // Hardcoded for Turkish site, could be detected from text
-          Logger.debug(`Found Victoria's Secret price: ${result.price} ${result.currency}`);
-        }
+      const priceElement = DOMUtils.querySelector(priceSelectors, root);
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText);
+        Logger.debug(`Found Guess price: ${result.price} ${result.currency}`);
       }
       
-      // Extract image
+      // Extract original price (for sales)
+      const originalPriceSelectors = [
+        '.product-price .price-standard',
+        '.price-standard',
+        '.product-price .strike-through'
+      ];
+      
+      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors, root);
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+        Logger.debug(`Found Guess original price: ${result.originalPrice}`);
+      }
+      
+      // Extract product image
       const imageSelectors = [
-        '#ProductImage img',
-        '.ProductImage img',
-        '.product-image img'
+        '.pdp-primary-image img',
+        '.product-image img',
+        '.primary-image img'
       ];
       
-      const imageElement = DOMUtils.querySelector(imageSelectors);
+      const imageElement = DOMUtils.querySelector(imageSelectors, root);
       if (imageElement) {
-        const imageSrc = imageElement.getAttribute('src');
+        const imageSrc = imageElement.src || imageElement.getAttribute('data-src');
         if (imageSrc) {
           result.imageUrl = FormatUtils.makeUrlAbsolute(imageSrc);
-          Logger.debug(`Found Victoria's Secret image: ${result.imageUrl}`);
-        }
-      }
-      
-      // Try to find high resolution images in owl carousel if standard selectors failed
-      if (!result.imageUrl) {
-        // First try to get the high-res image link from the active carousel item
-        const activeOwlItem = document.querySelector('.owl-item.active a.lightItem');
-        if (activeOwlItem) {
-          // Extract high-res image URL from href attribute (link to large image)
-          const highResImageUrl = activeOwlItem.getAttribute('href');
-          if (highResImageUrl) {
-            result.imageUrl = FormatUtils.makeUrlAbsolute(highResImageUrl);
-            Logger.debug(`Found Victoria's Secret high-res image from carousel: ${result.imageUrl}`);
-          } else {
-            // Fallback to img tag inside if href is not available
-            const imgElement = activeOwlItem.querySelector('img');
-            if (imgElement) {
-              const imgSrc = imgElement.getAttribute('src');
-              if (imgSrc) {
-                result.imageUrl = FormatUtils.makeUrlAbsolute(imgSrc);
-                Logger.debug(`Found Victoria's Secret image from carousel img: ${result.imageUrl}`);
-              }
-            }
-          }
-        } else {
-          // If no active item is found, try any carousel item
-          const anyOwlItem = document.querySelector('.owl-item a.lightItem');
-          if (anyOwlItem) {
-            const highResImageUrl = anyOwlItem.getAttribute('href');
-            if (highResImageUrl) {
-              result.imageUrl = FormatUtils.makeUrlAbsolute(highResImageUrl);
-              Logger.debug(`Found Victoria's Secret high-res image from any carousel item: ${result.imageUrl}`);
-            } else {
-              const imgElement = anyOwlItem.querySelector('img');
-              if (imgElement) {
-                const imgSrc = imgElement.getAttribute('src');
-                if (imgSrc) {
-                  result.imageUrl = FormatUtils.makeUrlAbsolute(imgSrc);
-                  Logger.debug(`Found Victoria's Secret image from any carousel img: ${result.imageUrl}`);
-                }
-              }
-            }
-          }
+          Logger.debug(`Found Guess image: ${result.imageUrl}`);
         }
       }
       
-      // Extract description
+      // Extract product description
       const descriptionSelectors = [
-        '#divTabOzellikler',
-        '.ProductDetail .details',
-        '.product-description'
+        '.product-description',
+        '.product-detail-description',
+        '.pdp-details__description'
       ];
       
-      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors, root);
       if (descriptionElement) {
         result.description = DOMUtils.getTextContent(descriptionElement);
+        Logger.debug(`Found Guess description`);
       }
       
-      // Extract variants (colors, bands, containers)
-      result.variants = {};
+      // Extract product SKU
+      const skuSelectors = [
+        '.product-id',
+        '.product-detail-sku',
+        '[data-target="#product-sku"]'
+      ];
       
-      // Extract colors
-      try {
-        const colorVariants = [];
-        const allColorVariants = []; // Store all colors for fallback
-        const colorContainer = document.querySelector('.aksesuarSecenek .ulUrunSlider');
+      const skuElement = DOMUtils.querySelector(skuSelectors, root);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement).replace(/SKU:|Ref:|\s+/gi, '');
+        Logger.debug(`Found Guess SKU: ${result.sku}`);
+      }
+      
+      // Extract color variants 
+      this.extractGuessColors(result, root);
+      
+      // Extract size variants
+      this.extractGuessSizes(result, root);
+      
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+      
+      // Fetched color pages stop here
+      if (root !== document) return result;
+      
+      // Sizes and prices of the other colors come from their own pages
+      await VariantPageFetcher.aggregate(result, this.variantLinks(root), (page, pageUrl) =>
+        this.extract(page, pageUrl)
+      );
+      
+      // Execute additional script to enhance variants after returning the basic data
+      NavigationWatcher.schedule(() => {
+        try {
+          if (window.FlutterChannel) {
+            const enhancedScript = this.getEnhancedVariantsScript();
+            eval(enhancedScript);
+          }
+        } catch (e) {
+          Logger.error("Error executing enhanced variants script", e);
+        }
+      }, 500);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Guess product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Guess",
+        url: url,
+        extractionMethod: "guess-specific",
+        error: e.message
+      };
+    }
+  },
+  
+  // Extract color information specific to Guess
+  extractGuessColors: function(result, root = document) {
+    try {
+      Logger.info("Extracting Guess color options");
+      
+      // Find the color swatches container
+      const colorSwatchContainer = root.querySelector('.swatches-wrapper, .color-swatches');
+      
+      if (colorSwatchContainer) {
+        const colorButtons = colorSwatchContainer.querySelectorAll('button.color-attribute');
         
-        if (colorContainer) {
-          const colorItems = colorContainer.querySelectorAll('li');
-          let foundSelected = false;
+        Logger.debug(`Found ${colorButtons.length} color options for Guess`);
+        
+        for (const button of colorButtons) {
+          const colorSwatch = button.querySelector('.color-value');
           
-          colorItems.forEach(item => {
-            try {
-              const productItem = item.querySelector('.productItem');
-              if (!productItem) return;
-              
-              // Get color name
-              const colorNameElement = productItem.querySelector('.ozelAlan4');
-              if (!colorNameElement) return;
-              
-              const colorName = DOMUtils.getTextContent(colorNameElement).trim();
-              
-              // Check if this color is selected
-              const isSelected = productItem.classList.contains('selected');
-              if (isSelected) {
-                foundSelected = true;
-              }
-              
-              // Try to get the color image URL
-              let imageUrl = '';
-              const imgElement = productItem.querySelector('img.resimOrginal');
-              if (imgElement) {
-                imageUrl = imgElement.getAttribute('src') || '';
+          if (colorSwatch) {
+            // Extract color code (identifier)
+            const colorCode = colorSwatch.getAttribute('data-attr-value');
+            
+            // Extract color name
+            const colorName = colorSwatch.getAttribute('data-attr-name');
+            
+            // Extract image URL if available
+            let colorImage = '';
+            const style = colorSwatch.getAttribute('style');
+            if (style && style.includes('background-image')) {
+              const bgImgMatch = style.match(/background-image\s*:\s*url\(['"]?(.*?)['"]?\)/i);
+              if (bgImgMatch && bgImgMatch[1]) {
+                colorImage = bgImgMatch[1];
               }
-              
-              // Create color variant option
-              const colorVariant = {
+            }
+            
+            // Check if selected
+            const isSelected = button.classList.contains('attribute__value-wrapper--selected');
+            
+            // Check for selected indicator text
+            const selectedText = button.querySelector('.selected-assistive-text');
+            const hasSelectedText = selectedText && selectedText.textContent.trim() === 'selected';
+            
+            // Add to result
+            if (colorName) {
+              result.variants.colors.push({
                 text: colorName,
-                selected: isSelected,
-                value: imageUrl
-              };
-              
-              // Add to all colors array
-              allColorVariants.push(colorVariant);
-              
-              // If this color is selected, add it to the main colors array for display
-              if (isSelected) {
-                colorVariants.push(colorVariant);
-              }
+                selected: isSelected || hasSelectedText || colorSwatch.classList.contains('selected'),
+                value: colorImage || colorCode
+              });
               
-              Logger.debug(`Found color variant: ${colorName}, selected: ${isSelected}`);
-            } catch (e) {
-              Logger.error('Error processing color variant item:', e);
-            }
-          });
-          
-          // If no color is selected, use all colors
-          if (!foundSelected) {
-            // Mark the first one as selected
-            if (allColorVariants.length > 0) {
-              allColorVariants[0].selected = true;
-              Logger.debug(`No selected color found, marking first color as selected: ${allColorVariants[0].text}`);
+              Logger.debug(`Added Guess color: ${colorName}, selected: ${isSelected || hasSelectedText}`);
             }
-            
-            // Use all colors when no selection is present
-            result.variants.colors = allColorVariants;
-            Logger.debug(`No selected color found, using all ${allColorVariants.length} colors`);
-          } else {
-            // Only use the selected color(s)
-            result.variants.colors = colorVariants;
-            Logger.debug(`Found ${colorVariants.length} selected colors out of ${allColorVariants.length} total colors`);
           }
         }
-      } catch (e) {
-        Logger.error('Error extracting color variants:', e);
       }
+    } catch (e) {
+      Logger.warn("Error extracting Guess color variants", e);
+    }
+  },
+  
+  // Extract size information specific to Guess
+  extractGuessSizes: function(result, root = document) {
+    try {
+      Logger.info("Extracting Guess size options");
       
-      // Extract bands and rename to 'sizes' for compatibility with product_details.dart
-      try {
-        const bandVariants = [];
-        // Find the band section - look for the one with "Band" text
-        const bandSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
-        let bandSection = null;
-        let selectedBandText = null;
-        
-        // First find the band section
-        for (const section of bandSections) {
-          const leftLine = section.querySelector('.left_line');
-          if (leftLine && (DOMUtils.getTextContent(leftLine).toLowerCase().includes('band') || 
-                          DOMUtils.getTextContent(leftLine).toLowerCase().includes('bant'))) {
-            bandSection = section;
-            break;
-          }
-        }
+      // Find the size options container
+      const sizeContainer = root.querySelector('.variation.single-size, .size-container');
+      
+      if (sizeContainer) {
+        // Get size option wrappers first
+        const sizeWrappers = sizeContainer.querySelectorAll('.attribute__value-wrapper');
         
-        if (bandSection) {
-          const bandItems = bandSection.querySelectorAll('.size_box');
-          let foundSelectedBand = false;
+        if (sizeWrappers && sizeWrappers.length > 0) {
+          Logger.debug(`Found ${sizeWrappers.length} size wrappers for Guess`);
           
-          // First pass to identify the selected band
-          bandItems.forEach(item => {
-            if (item.classList.contains('selected') || item.classList.contains('selected show')) {
-              selectedBandText = DOMUtils.getTextContent(item).trim();
-              foundSelectedBand = true;
-              Logger.debug(`Found selected band size: ${selectedBandText}`);
-            }
-          });
+          for (const wrapper of sizeWrappers) {
+            // Check if wrapper is hidden (out of stock or unavailable)
+            const isHidden = wrapper.classList.contains('d-none');
+            
+            // Get the size button inside the wrapper
+            const sizeButton = wrapper.querySelector('.attribute__btn');
+            if (!sizeButton) continue;
+            
+            // Get size value
+            const sizeValue = sizeButton.getAttribute('data-attr-value') || sizeButton.textContent.trim();
+            if (!sizeValue) continue;
+            
+            // Check if the size is available
+            const isAvailable = !isHidden && sizeButton.classList.contains('selectable') && 
+                              !sizeButton.classList.contains('unselectable');
+                             
+            // Check if the size is selected
+            const isSelected = sizeButton.classList.contains('selected') || 
+                              sizeButton.getAttribute('aria-selected') === 'true';
+            
+            // Add size to result
+            result.variants.sizes.push({
+              text: sizeValue,
+              selected: isSelected,
+              value: JSON.stringify({ inStock: isAvailable })
+            });
+            
+            Logger.debug(`Added Guess size: ${sizeValue}, available: ${isAvailable}, selected: ${isSelected}`);
+          }
+        } else {
+          // Fallback to find direct size buttons
+          const sizeButtons = sizeContainer.querySelectorAll('.attribute__btn');
           
-          // Second pass to extract all bands or just the selected one
-          bandItems.forEach(item => {
-            try {
-              const bandText = DOMUtils.getTextContent(item).trim();
-              const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
-              const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
-              const isInStock = stock > 0 && !item.classList.contains('nostok');
-              
-              // Create band variant option with availability info
-              const bandVariant = {
-                text: bandText,
-                selected: isSelected,
-                value: JSON.stringify({
-                  size: bandText,
-                  inStock: isInStock,
-                  stock: stock
-                })
-              };
-              
-              // Only add the selected band if one was found, otherwise add all
-              if (!foundSelectedBand || isSelected) {
-                bandVariants.push(bandVariant);
-              }
-              
-              Logger.debug(`Found band variant: ${bandText}, selected: ${isSelected}, inStock: ${isInStock}, stock: ${stock}`);
-            } catch (e) {
-              Logger.error('Error processing band variant item:', e);
-            }
-          });
+          Logger.debug(`Found ${sizeButtons.length} size buttons for Guess`);
           
-          if (bandVariants.length > 0) {
-            result.variants.sizes = bandVariants;
-            Logger.debug(`Extracted ${bandVariants.length} band variants as sizes`);
+          for (const button of sizeButtons) {
+            // Get size value
+            const sizeValue = button.getAttribute('data-attr-value') || button.textContent.trim();
+            if (!sizeValue) continue;
+            
+            // Check if the size is available
+            const isAvailable = button.classList.contains('selectable') && 
+                               !button.classList.contains('unselectable');
+                               
+            // Check if the size is selected
+            const isSelected = button.classList.contains('selected') || 
+                              button.getAttribute('aria-selected') === 'true';
+            
+            // Add size to result
+            result.variants.sizes.push({
+              text: sizeValue,
+              selected: isSelected,
+              value: JSON.stringify({ inStock: isAvailable })
+            });
+            
+            Logger.debug(`Added Guess size: ${sizeValue}, available: ${isAvailable}, selected: ${isSelected}`);
           }
         }
-      } catch (e) {
-        Logger.error('Error extracting band variants:', e);
       }
-      
-      // Check for regular clothing sizes (if no band sizes were found)
-      if (!result.variants.sizes || result.variants.sizes.length === 0) {
-        try {
-          const sizeVariants = [];
-          // Look for a section that contains size options (XS, S, M, L, XL)
-          const sizeSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
+    } catch (e) {
+      Logger.warn("Error extracting Guess size variants", e);
+    }
+  },
+  
+  // Color swatch links: [{ text, url }]
+  variantLinks: function(root) {
+    return VariantPageFetcher.linksFrom(
+      root,
+      '.swatches-wrapper .color-attribute, .color-swatches .color-attribute',
+      (button) => {
+        const colorSwatch = button.querySelector('.color-value');
+        return colorSwatch ? colorSwatch.getAttribute('data-attr-name') : null;
+      },
+      (button) => this.variationPageUrl(button)
+    );
+  },
+  
+  // Swatch buttons carry no link, only data-url: the Product-Variation
+  // endpoint, which answers JSON. The same query on Product-Show renders
+  // the product page with that color selected.
+  variationPageUrl: function(button) {
+    const dataUrl = button.getAttribute('data-url');
+    if (!dataUrl || !dataUrl.includes('Product-Variation')) return null;
+    return dataUrl.replace('Product-Variation', 'Product-Show');
+  },
+  
+  // Get enhanced variants extraction script - this will be injected to get more accurate colors and sizes
+  getEnhancedVariantsScript: function() {
+    return `
+      try {
+        // Function to fetch Guess variants with more accuracy
+        function fetchGuessVariants() {
+          const results = { colors: [], sizes: [] };
           
-          for (const section of sizeSections) {
-            const sizeItems = section.querySelectorAll('.size_box');
-            if (sizeItems.length === 0) continue;
-            
-            // Check if these look like clothing sizes
-            let isClothingSize = false;
-            for (const item of sizeItems) {
-              const sizeText = DOMUtils.getTextContent(item).trim();
-              if (['XS', 'S', 'M', 'L', 'XL', 'XXL'].includes(sizeText)) {
-                isClothingSize = true;
-                break;
-              }
-            }
-            
-            if (isClothingSize) {
-              // Process all the size options, only including in-stock ones
-              sizeItems.forEach(item => {
-                try {
-                  const sizeText = DOMUtils.getTextContent(item).trim();
-                  const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
-                  const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
-                  const isInStock = stock > 0 && !item.classList.contains('nostok');
-                  
-                  // Only add in-stock sizes for regular clothing
-                  if (isInStock) {
-                    // Create size variant option
-                    const sizeVariant = {
-                      text: sizeText,
-                      selected: isSelected,
-                      value: JSON.stringify({
-                        size: sizeText,
-                        inStock: true,
-                        stock: stock
-                      })
-                    };
+          // Extract colors
+          try {
+            const colorContainer = document.querySelector(".swatches-wrapper, .color-swatches");
+            if (colorContainer) {
+              const colorButtons = colorContainer.querySelectorAll("button.color-attribute");
+              
+              for (let i = 0; i < colorButtons.length; i++) {
+                const button = colorButtons[i];
+                const colorSwatch = button.querySelector(".color-value");
+                
+                if (colorSwatch) {
+                  // Get color code
+                  const colorCode = colorSwatch.getAttribute("data-attr-value");
+                  
+                  // Get color name
+                  const colorName = colorSwatch.getAttribute("data-attr-name");
+                  
+                  // Get image URL if available
+                  let imageUrl = "";
+                  const style = colorSwatch.getAttribute("style");
+                  if (style && style.includes("background-image")) {
+                    const match = style.match(/background-image\\s*:\\s*url\\(['"]?(.*?)['"]?\\)/i);
+                    if (match && match[1]) {
+                      imageUrl = match[1];
+                    }
+                  }
+                  
+                  // Check if selected
+                  const isSelected = button.classList.contains("attribute__value-wrapper--selected");
+                  
+                  // Check for selected text
+                  const selectedText = button.querySelector(".selected-assistive-text");
+                  const hasSelectedText = selectedText && selectedText.textContent.trim() === "selected";
+                  
+                  if (colorName) {
+                    results.colors.push({
+                      text: colorName,
+                      selected: isSelected || hasSelectedText || colorSwatch.classList.contains("selected"),
+                      value: imageUrl || colorCode
+                    });
                     
-                    sizeVariants.push(sizeVariant);
-                    Logger.debug(`Found clothing size: ${sizeText}, selected: ${isSelected}, stock: ${stock}`);
-                  } else {
-                    Logger.debug(`Skipping out-of-stock size: ${sizeText}`);
+                    console.log("Added Guess color: " + colorName);
                   }
-                } catch (e) {
-                  Logger.error('Error processing size item:', e);
                 }
-              });
+              }
+            }
+          } catch(e) {
+            console.error("Error getting Guess colors:", e);
+          }
+          
+          // Extract sizes
+          try {
+            const sizeContainer = document.querySelector(".variation.single-size, .size-container");
+            if (sizeContainer) {
+              // First try wrappers
+              const sizeWrappers = sizeContainer.querySelectorAll(".attribute__value-wrapper");
               
-              // Make sure at least one size is selected
-              if (sizeVariants.length > 0) {
-                let hasSelected = false;
+              if (sizeWrappers && sizeWrappers.length > 0) {
+                console.log("Found " + sizeWrappers.length + " size wrappers");
                 
-                // Check if any size is already marked as selected
-                for (const size of sizeVariants) {
-                  if (size.selected) {
-                    hasSelected = true;
-                    break;
-                  }
+                for (let i = 0; i < sizeWrappers.length; i++) {
+                  const wrapper = sizeWrappers[i];
+                  
+                  // Check if wrapper is hidden (out of stock or unavailable)
+                  const isHidden = wrapper.classList.contains("d-none");
+                  
+                  // Get the size button inside the wrapper
+                  const sizeButton = wrapper.querySelector(".attribute__btn");
+                  if (!sizeButton) continue;
+                  
+                  // Get size value
+                  const sizeValue = sizeButton.getAttribute("data-attr-value") || sizeButton.textContent.trim();
+                  if (!sizeValue) continue;
+                  
+                  // Check if available
+                  const isAvailable = !isHidden && sizeButton.classList.contains("selectable") && 
+                                     !sizeButton.classList.contains("unselectable");
+                  
+                  // Check if selected
+                  const isSelected = sizeButton.classList.contains("selected") || 
+                                    sizeButton.getAttribute("aria-selected") === "true";
+                  
+                  // Create JSON value with inStock info
+                  const valueObj = { 
+                    size: sizeValue, 
+                    inStock: isAvailable 
+                  };
+                  
+                  results.sizes.push({
+                    text: sizeValue,
+                    selected: isSelected,
+                    value: JSON.stringify(valueObj)
+                  });
+                  
+                  console.log("Added Guess size: " + sizeValue + (isSelected ? " (selected)" : "") + 
+                             (isAvailable ? "" : " (out of stock)"));
                 }
+              } else {
+                // Fallback to direct buttons
+                const sizeButtons = sizeContainer.querySelectorAll(".attribute__btn");
                 
-                // If no size is selected, mark the first one
-                if (!hasSelected) {
-                  sizeVariants[0].selected = true;
-                  Logger.debug(`No selected size found, marking first size as selected: ${sizeVariants[0].text}`);
-                }
+                console.log("Found " + sizeButtons.length + " size buttons");
                 
-                // Set the sizes
-                result.variants.sizes = sizeVariants;
-                Logger.debug(`Extracted ${sizeVariants.length} clothing sizes`);
+                for (let i = 0; i < sizeButtons.length; i++) {
+                  const button = sizeButtons[i];
+                  
+                  // Get size value
+                  const sizeValue = button.getAttribute("data-attr-value") || button.textContent.trim();
+                  if (!sizeValue) continue;
+                  
+                  // Check if available
+                  const isAvailable = button.classList.contains("selectable") && 
+                                    !button.classList.contains("unselectable");
+                  
+                  // Check if selected
+                  const isSelected = button.classList.contains("selected") || 
+                                    button.getAttribute("aria-selected") === "true";
+                  
+                  // Create JSON value with inStock info
+                  const valueObj = { 
+                    size: sizeValue, 
+                    inStock: isAvailable 
+                  };
+                  
+                  results.sizes.push({
+                    text: sizeValue,
+                    selected: isSelected,
+                    value: JSON.stringify(valueObj)
+                  });
+                  
+                  console.log("Added Guess size: " + sizeValue + (isSelected ? " (selected)" : "") + 
+                             (isAvailable ? "" : " (out of stock)"));
+                }
               }
-              
-              // Break since we found clothing sizes
-              break;
             }
+          } catch(e) {
+            console.error("Error getting Guess sizes:", e);
           }
-        } catch (e) {
-          Logger.error('Error extracting clothing sizes:', e);
+          
+          return results;
+        }
+              
+        // Get Guess-specific variants
+        const guessVariants = fetchGuessVariants();
+        
+        // Log what we found
+        console.log("Guess variants retrieved: " + 
+                   guessVariants.colors.length + " colors, " + 
+                   guessVariants.sizes.length + " sizes");
+        
+        // If we found any variants, send them to Flutter
+        if (guessVariants.colors.length > 0 || guessVariants.sizes.length > 0) {
+          // Create message with enhanced variants
+          const enhancedMessage = {
+            type: "enhanced_variants",
+            variants: guessVariants
+          };
+          
+          // Send to Flutter
+          FlutterChannel.postMessage(JSON.stringify(enhancedMessage));
         }
+      } catch(e) {
+        console.error("Error getting enhanced Guess variants:", e);
+      }
+    `;
+  }
+};
+
+// Mango Extractor - For extracting Mango product information
+const MangoExtractor = {
+  // Check if current site is Mango
+  isMango: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("mango.com");
+  },
+  
+  // Extract product information from Mango pages
+  extract: async function() {
+    try {
+      Logger.info("Extracting product data for Mango");
+      
+      // Basic product information
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Mango";
+      result.extractionMethod = "mango-specific";
+      
+      // Extract title
+      const titleSelectors = [
+        '.ProductDetail_title___WrC_',
+        'h1.texts_titleL__HgQ5x',
+        '.product-name h1',
+        '.product-title h1'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Mango title: ${result.title}`);
+      }
+      
+      // Extract price
+      const priceSelectors = [
+        '.SinglePrice_center__mfcM3.texts_bodyM__lR_K7',
+        '.Price_wrapper__qlieq span[itemprop="price"]',
+        '.price__current',
+        '.product-price'
+      ];
+      
+      const priceElement = DOMUtils.querySelector(priceSelectors);
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
+        Logger.debug(`Found Mango price: ${result.price} ${result.currency}`);
+      }
+      
+      // Extract original price (for sales)
+      const originalPriceSelectors = [
+        '.price__amount--crossed',
+        '.was-price',
+        '.original-price',
+        '.old-price'
+      ];
+      
+      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+        Logger.debug(`Found Mango original price: ${result.originalPrice}`);
+      }
+      
+      // Extract product image
+      const imageSelectors = [
+        'img.SlideshowWrapper_image__J48xz',
+        '.product-images img',
+        '.product-photo img',
+        '.image-gallery img'
+      ];
+      
+      const imageElement = DOMUtils.querySelector(imageSelectors);
+      if (imageElement) {
+        // Mango uses srcset for responsive images, so we need to get the largest image URL
+        const srcset = imageElement.getAttribute('srcset');
+        if (srcset) {
+          // Find the largest image from srcset
+          const largestImage = FormatUtils.pickFromSrcset(srcset);
+          if (largestImage) {
+            result.imageUrl = largestImage.url;
+            Logger.debug(`Found Mango image URL (from srcset): ${result.imageUrl}`);
+          }
+        } else {
+          // If no srcset, use src attribute
+          result.imageUrl = imageElement.getAttribute('src');
+          Logger.debug(`Found Mango image URL (from src): ${result.imageUrl}`);
+        }
+      }
+      
+      // Extract product description
+      const descriptionSelectors = [
+        '.description',
+        '.product-description',
+        '.description-content'
+      ];
+      
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+        Logger.debug(`Found Mango description: ${result.description}`);
+      }
+      
+      // Extract colors
+      try {
+        Logger.info("Extracting Mango-specific colors");
+        const colorVariants = [];
+        
+        // Main color selectors based on provided HTML
+        const colorSelectorContainer = document.querySelector(".ColorsSelector_colorsSelector__roWxg");
+        
+        if (colorSelectorContainer) {
+          // Get the current selected color name from the label
+          const colorLabel = colorSelectorContainer.querySelector(".ColorsSelector_label__52wJk");
+          let selectedColorName = '';
+          if (colorLabel) {
+            selectedColorName = DOMUtils.getTextContent(colorLabel);
+            Logger.debug(`Found current selected color: ${selectedColorName}`);
+          }
+          
+          // Get all color items
+          const colorItems = document.querySelectorAll(".ColorList_color__n635i");
+          Logger.debug(`Found ${colorItems.length} Mango color options`);
+          
+          if (colorItems && colorItems.length > 0) {
+            for (const colorItem of colorItems) {
+              // Check if this color is selected
+              const isSelected = !!colorItem.querySelector(".ColorSelectorPicker_selected__n16Ry");
+              
+              // Get the color image
+              const colorImg = colorItem.querySelector("img");
+              let colorValue = '';
+              let colorName = '';
+              
+              if (colorImg) {
+                // Get color name from alt text that follows pattern "Selected color NAME" or just from img alt
+                const altText = colorImg.getAttribute('alt') || '';
+                if (altText.includes('color')) {
+                  colorName = altText.split('color')[1].trim();
+                }
+                
+                // Get image URL for the color
+                colorValue = colorImg.getAttribute('src') || colorImg.getAttribute('srcset');
+              }
+              
+              // If we couldn't get color name from alt text, use the selected color label
+              if (!colorName && isSelected && selectedColorName) {
+                colorName = selectedColorName;
+              }
+              
+              // Fallback if we still don't have a color name
+              if (!colorName) {
+                colorName = 'Color Option';
+              }
+              
+              // Add the color to our variants
+              colorVariants.push({
+                text: colorName,
+                selected: isSelected,
+                value: colorValue || colorName
+              });
+              
+              Logger.debug(`Added Mango color: ${colorName}, Selected: ${isSelected}`);
+            }
+          }
+          
+          // If we found colors, add them to the result
+          if (colorVariants.length > 0) {
+            result.variants.colors = colorVariants;
+          }
+        } else {
+          // Try alternative color selectors if the main one isn't found
+          Logger.debug("Using alternative color selectors for Mango");
+          
+          // Alternative method for extracting colors - try other common selectors
+          const colorButtons = document.querySelectorAll('button[aria-label*="color"], div[role="radiogroup"] button');
+          if (colorButtons && colorButtons.length > 0) {
+            for (const button of colorButtons) {
+              const colorName = button.getAttribute('aria-label') || DOMUtils.getTextContent(button);
+              const isSelected = button.getAttribute('aria-pressed') === 'true' || 
+                                button.hasAttribute('aria-current') ||
+                                button.classList.contains('selected');
+              
+              // Try to get the color image or swatch
+              let colorValue = '';
+              const colorImg = button.querySelector('img');
+              if (colorImg) {
+                colorValue = colorImg.getAttribute('src');
+              } else {
+                const colorStyle = DOMUtils.getStyle(button, 'background-color');
+                if (colorStyle && colorStyle !== 'transparent') {
+                  colorValue = colorStyle;
+                }
+              }
+              
+              if (colorName) {
+                colorVariants.push({
+                  text: colorName,
+                  selected: isSelected,
+                  value: colorValue || colorName
+                });
+                
+                Logger.debug(`Added Mango color (alternative method): ${colorName}, Selected: ${isSelected}`);
+              }
+            }
+            
+            if (colorVariants.length > 0) {
+              result.variants.colors = colorVariants;
+            }
+          }
+        }
+      } catch (e) {
+        Logger.error("Error extracting Mango colors:", e);
+      }
+      
+      // Extract sizes
+      try {
+        Logger.info("Extracting Mango-specific sizes");
+        const sizeVariants = [];
+        
+        // First check if sizes are already visible
+        const sizeSelectors = [
+          ".SizesList_sizesList__SFVLW",
+          ".SizeSelector_sizes__bN_5W",
+          ".size-selector"
+        ];
+        
+        // Check if we have sizes directly available
+        let sizeContainer = DOMUtils.querySelector(sizeSelectors);
+        let foundSizes = false;
+        
+        // If sizes are not visible, try to click the Ekle button to show them
+        if (!sizeContainer) {
+          Logger.debug("Sizes not immediately visible, looking for Ekle button");
+          
+          // The "Ekle" (Add) button. It is an add-to-bag button, so only the
+          // one Mango's sandbox profile allows is used: found by its text,
+          // and only while no size is selected (it would add to the bag).
+          const ekleButton = InteractionSandbox.findAllowed("button");
+          
+          // The size list or the sheet/modal that holds it
+          const modalSizeSelectors = [
+            ".modal .SizesList_sizesList__SFVLW",
+            ".size-selector-modal .sizes",
+            ".size-modal",
+            ".SheetContent_content__sJjkI" // Mango's sheet content class
+          ];
+          
+          // Click the button to reveal sizes, read them and close the sheet
+          // again. That happens once per URL; later runs reuse the sizes.
+          const revealedSizes = ekleButton && await DetectionScheduler.revealOnce("mango-sizes", function() {
+            return InteractionSandbox.run(
+              [{
+                click: ekleButton,
+                waitFor: sizeSelectors.concat(modalSizeSelectors),
+                timeout: 1500
+              }],
+              function(container) {
+                Logger.debug("Sizes revealed after clicking Ekle button");
+                extractSizesFromContainer(container);
+                return sizeVariants.splice(0);
+              }
+            );
+          });
+          foundSizes = !!revealedSizes;
+          if (revealedSizes) {
+            sizeVariants.push(...revealedSizes);
+          }
+          
+          if (!ekleButton) {
+            Logger.debug("No Ekle button safe to click (missing, or a size is already selected)");
+          } else if (!foundSizes) {
+            Logger.debug("Could not reveal sizes with the Ekle button");
+          }
+        } else {
+          // If sizes are directly visible, extract them
+          Logger.debug("Sizes are directly visible in the DOM");
+          extractSizesFromContainer(sizeContainer);
+          foundSizes = true;
+        }
+        
+        // Helper function to extract sizes from a container
+        function extractSizesFromContainer(container) {
+          if (!container) return;
+          
+          // For tracking already processed sizes to avoid duplicates
+          const processedSizes = new Map();
+          
+          // Get all size items/buttons
+          const sizeItems = container.querySelectorAll("li button, li, button.SizeItem_sizeItem__v0Bm2");
+          Logger.debug(`Found ${sizeItems.length} size items`);
+          
+          for (const sizeItem of sizeItems) {
+            // Skip non-relevant items
+            if (!sizeItem || DOMUtils.getTextContent(sizeItem).trim() === '') {
+              continue;
+            }
+            
+            // Extract size text - could be in a child span
+            let sizeText = '';
+            const sizeSpan = sizeItem.querySelector(".texts_bodyMRegular__j0yfK, .size-text");
+            
+            if (sizeSpan) {
+              sizeText = DOMUtils.getTextContent(sizeSpan);
+            } else {
+              sizeText = DOMUtils.getTextContent(sizeItem);
+            }
+            
+            // Skip if size text is empty or not a valid size
+            if (!sizeText || sizeText.trim() === '' || 
+                sizeText.toLowerCase().includes('select') ||
+                sizeText.toLowerCase().includes('seçin')) {
+              continue;
+            }
+            
+            // Clean up size text - remove any non-size text that might be in the same element
+            sizeText = sizeText.trim();
+            
+            // Check if this size is selected
+            const isSelected = sizeItem.classList.contains('selected') || 
+                              sizeItem.classList.contains('SizeItem_selected__tH_5C') ||
+                              sizeItem.getAttribute('aria-pressed') === 'true' ||
+                              sizeItem.getAttribute('aria-selected') === 'true' ||
+                              sizeItem.classList.contains('active');
+            
+            // Check if this size is available or out of stock
+            const isDisabled = sizeItem.hasAttribute('disabled') || 
+                              sizeItem.classList.contains('disabled') ||
+                              sizeItem.classList.contains('unavailable') ||
+                              !sizeItem.classList.contains('SizeItem_selectable__ETiIg'); // Not selectable = not in stock
+            
+            // For Mango specifically, we need a different approach for checking availability
+            const isMango = window.location.href.toLowerCase().includes("mango.com");
+            let isInStock = !isDisabled;
+            
+            // Check for delayed delivery information (specific to Mango)
+            let hasDelayedDelivery = false;
+            let deliveryInfo = null;
+            
+            // Special handling for Mango sizes
+            if (isMango) {
+              // Check for marker classes that indicate unavailability
+              const isUnavailable = sizeItem.innerHTML.includes('SizeItemContent_notAvailable__') || 
+                                   sizeItem.innerHTML.includes('SizeItemContent_notifyMe__');
+              
+              // Look for delayed delivery labels within the size item
+              const delayedLabel = sizeItem.querySelector(".SizeDelayedLabel_sizeDelayedLabel__lLZqd");
+              if (delayedLabel) {
+                hasDelayedDelivery = true;
+                deliveryInfo = DOMUtils.getTextContent(delayedLabel).trim();
+                Logger.debug(`Found delayed delivery info: ${deliveryInfo}`);
+              }
+              
+              // Log comprehensive details about the element structure
+              Logger.debug(`Mango size ${sizeText} HTML structure: ${sizeItem.innerHTML.substring(0, 100)}...`);
+              Logger.debug(`Mango size ${sizeText}: isUnavailable = ${isUnavailable}, hasDelayedDelivery = ${hasDelayedDelivery}`);
+              
+              // A size is in stock if it doesn't have unavailability markers
+              isInStock = !isUnavailable;
+              
+              // Log all classes on this element for debugging
+              const allClasses = Array.from(sizeItem.classList).join(', ');
+              Logger.debug(`Mango size ${sizeText} classes: ${allClasses}, availability: ${isInStock}`);
+            }
+            
+            // Stock information for this size
+            const stock = {
+              inStock: isInStock,
+              deliveryEstimate: hasDelayedDelivery ? deliveryInfo : null,
+              notifyAvailable: !isInStock && sizeItem.innerHTML.includes('SizeItemContent_notifyMe__')
+            };
+            
+            // Check if we've already processed this size
+            if (processedSizes.has(sizeText)) {
+              // Only update if this entry has more information
+              const existingValue = processedSizes.get(sizeText);
+              
+              // If the current entry is selected and the existing one isn't, replace it
+              if (isSelected && !existingValue.selected) {
+                processedSizes.set(sizeText, BaseExtractor.createSizeOption(sizeText, isSelected, stock));
+                Logger.debug(`Updated Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
+              }
+              
+              // If the current entry has delivery info and the existing one doesn't, replace it
+              else if (hasDelayedDelivery && !existingValue.deliveryEstimate) {
+                processedSizes.set(
+                  sizeText,
+                  BaseExtractor.createSizeOption(sizeText, isSelected || existingValue.selected, stock) // Preserve selection state
+                );
+                Logger.debug(`Updated Mango size with delivery info: ${sizeText}, InStock: ${isInStock}`);
+              }
+            } else {
+              // First time seeing this size, add it to the map
+              processedSizes.set(sizeText, BaseExtractor.createSizeOption(sizeText, isSelected, stock));
+              
+              Logger.debug(`Added Mango size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, Delayed: ${hasDelayedDelivery}`);
+            }
+          }
+          
+          // Convert the map values to an array and add to sizeVariants
+          for (const sizeOption of processedSizes.values()) {
+            sizeVariants.push(sizeOption);
+          }
+          
+          Logger.debug(`After deduplication: ${sizeVariants.length} unique Mango sizes`);
+        }
+        
+        // If we found sizes through any method, add them to the result
+        if (sizeVariants.length > 0) {
+          result.variants.sizes = sizeVariants;
+          Logger.info(`Extracted ${sizeVariants.length} sizes from Mango product`);
+        } else {
+          // Fallback - try to find any hidden size data in the page
+          Logger.debug("No sizes found through DOM, checking for hidden size data");
+          
+          // Check for size data in script tags
+          const scriptTags = document.querySelectorAll('script:not([src])');
+          for (const script of scriptTags) {
+            const scriptContent = script.textContent || '';
+            
+            if (scriptContent.includes('"sizes"') || scriptContent.includes('"size"')) {
+              try {
+                // Look for JSON objects in the script text
+                const jsonMatches = scriptContent.match(/\{[\s\S]*?"size[s]?"[\s\S]*?\}/g);
+                
+                if (jsonMatches && jsonMatches.length > 0) {
+                  for (const jsonMatch of jsonMatches) {
+                    try {
+                      const sizeData = JSON.parse(jsonMatch);
+                      
+                      // Check if this has size information
+                      if (sizeData.sizes || sizeData.size) {
+                        const sizes = sizeData.sizes || sizeData.size;
+                        
+                        if (Array.isArray(sizes)) {
+                          // Process size array
+                          for (const size of sizes) {
+                            if (typeof size === 'string') {
+                              sizeVariants.push(BaseExtractor.createSizeOption(size, false, { inStock: true }));
+                            } else if (typeof size === 'object') {
+                              const sizeText = size.name || size.value || size.text || '';
+                              const isInStock = size.inStock !== false; // Assume in stock unless explicitly false
+                              
+                              if (sizeText) {
+                                sizeVariants.push(BaseExtractor.createSizeOption(sizeText, !!size.selected, { inStock: isInStock }));
+                              }
+                            }
+                          }
+                        }
+                      }
+                    } catch (jsonError) {
+                      // Skip invalid JSON
+                    }
+                  }
+                }
+              } catch (parseError) {
+                // Skip errors in script parsing
+              }
+            }
+          }
+          
+          // If we found sizes in scripts, add them
+          if (sizeVariants.length > 0) {
+            result.variants.sizes = sizeVariants;
+            Logger.info(`Extracted ${sizeVariants.length} sizes from script tags`);
+          } else {
+            Logger.warn("Could not extract size information from Mango product");
+          }
+        }
+      } catch (e) {
+        Logger.error("Error extracting Mango sizes:", e);
+      }
+      
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+      Logger.info(`Mango extraction success: ${result.success}`);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Mango product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Mango",
+        url: window.location.href,
+        extractionMethod: "mango-specific-failed",
+        error: e.message
+      };
+    }
+  }
+};
+
+// Bershka size extraction
+function extractBershkaSizes() {
+  const results = { sizes: [] };
+  
+  try {
+    Logger.info("🔍 Attempting to extract Bershka sizes");
+    
+    // Log the current URL for debugging
+    Logger.debug(`Current URL: ${window.location.href}`);
+    
+    // Log entire page structure for button finding
+    Logger.debug("Looking for size button in DOM");
+    
+    // Dump all buttons on the page with their text content for debugging
+    const allButtons = document.querySelectorAll('button');
+    Logger.debug(`Found ${allButtons.length} total buttons on page`);
+    for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
+      const btn = allButtons[i];
+      Logger.debug(`Button ${i}: class="${btn.className}" text="${btn.textContent.trim()}" data-attrs="${btn.dataset ? Object.keys(btn.dataset).join(',') : 'none'}"`);
+    }
+    
+    // First try to identify all potential containers for size data
+    Logger.debug("Looking for size containers in the DOM");
+    const possibleContainers = [
+      document.querySelector('.sizes-list-dialog .ui--size-list'),
+      document.querySelector('[data-qa-anchor="productDetailSize"] .ui--size-list'),
+      document.querySelector('.ui--size-list'),
+      document.querySelector('[data-qa-anchor="wishlistSizes"]'),
+      document.querySelector('.single-length-list__content ul')
+    ];
+    
+    const sizesContainer = possibleContainers.find(container => container !== null);
+    
+    // The list is only rendered while the size sheet is open; see
+    // revealBershkaSizes()
+    if (!sizesContainer) {
+      Logger.info("No size container found, the size sheet is closed");
+    }
+    
+    // Once the dialog is open, extract sizes
+    if (sizesContainer) {
+      Logger.info("✅ Found sizes container");
+      Logger.debug(`Container class: ${sizesContainer.className}`);
+      Logger.debug(`Container HTML: ${sizesContainer.outerHTML.substring(0, 500)}...`);
+      
+      // Try multiple selector patterns for size items
+      const sizeItemsSelectors = [
+        'li.list-item button.ui--list-item',
+        'button[data-qa-anchor="sizeListItem"]',
+        'li button',
+        'button.ui--list-item',
+        '.name', // Direct size name elements
+      ];
+      
+      let sizeItems = [];
+      for (const selector of sizeItemsSelectors) {
+        const items = sizesContainer.querySelectorAll(selector);
+        if (items && items.length > 0) {
+          sizeItems = items;
+          Logger.debug(`Found ${items.length} size items using selector: ${selector}`);
+          break;
+        }
+      }
+      
+      Logger.debug(`Found ${sizeItems.length} size items`);
+      
+      // Capture raw HTML for debugging if no items found
+      if (sizeItems.length === 0) {
+        Logger.debug(`Container HTML: ${sizesContainer.outerHTML.substring(0, 1000)}...`);
+        
+        // Try direct text extraction if no items found with selectors
+        const sizeText = sizesContainer.textContent.trim();
+        Logger.debug(`Container text content: ${sizeText}`);
+        
+        // Try to extract size names from text content
+        const sizeMatches = sizeText.match(/XS|S|M|L|XL|XXL|\d+\.\d+|\d+/g);
+        if (sizeMatches && sizeMatches.length > 0) {
+          Logger.debug(`Found ${sizeMatches.length} size matches in text: ${sizeMatches.join(', ')}`);
+          
+          // Create size items from text matches
+          for (const size of sizeMatches) {
+            results.sizes.push(BaseExtractor.createSizeOption(size, false, { inStock: true }));
+          }
+          
+          // Log the results
+          Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes from text matching`);
+        }
+      } else {
+        for (let i = 0; i < sizeItems.length; i++) {
+          const sizeItem = sizeItems[i];
+          
+          // Log the raw HTML of the first item for debugging
+          if (i === 0) {
+            Logger.debug(`First size item HTML: ${sizeItem.outerHTML}`);
+          }
+          
+          // Check if selected (has aria-checked="true")
+          const isSelected = sizeItem.getAttribute('aria-checked') === 'true' || 
+                            sizeItem.classList.contains('is-active');
+          
+          // Check if in stock (doesn't have "sold out" text and no disabled class)
+          const hasLimitedStock = sizeItem.classList.contains('is-last-units');
+          
+          // Try multiple selectors for the extra-info element
+          const extraInfoElement = sizeItem.querySelector('.extra-info') || 
+                                  sizeItem.querySelector('.list-item__action-buttons') || 
+                                  sizeItem.querySelector('.availability');
+          
+          const extraInfoText = extraInfoElement ? extraInfoElement.textContent.trim() : '';
+          
+          // Check if out of stock or disabled
+          const isOutOfStock = sizeItem.classList.contains('is-disabled') || 
+                            extraInfoText.includes('Sold out') || 
+                            extraInfoText.includes('out of stock');
+          
+          const isInStock = !isOutOfStock;
+          
+          // Extract size name from the button text
+          let sizeName = '';
+          const nameElement = sizeItem.querySelector('.name') || 
+                            sizeItem.querySelector('.text span.name');
+          
+          if (nameElement) {
+            sizeName = nameElement.textContent.trim();
+          } else {
+            // Fallback: try to get text directly from the button
+            const buttonText = sizeItem.textContent.trim();
+            if (buttonText) {
+              // Try to extract size from button text, removing any "sold out" or similar phrases
+              sizeName = buttonText.replace(/sold out|out of stock|only a few left/i, '').trim();
+            }
+          }
+          
+          if (sizeName) {
+            Logger.debug(`Adding size: ${sizeName}, Selected: ${isSelected}, In stock: ${isInStock}, Limited: ${hasLimitedStock}`);
+            results.sizes.push(BaseExtractor.createSizeOption(sizeName, isSelected, { inStock: isInStock, lowStock: hasLimitedStock }));
+          }
+        }
+        
+        // Log the results
+        Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes`);
+        
+        // Log the actual size data for debugging
+        if (results.sizes.length > 0) {
+          Logger.debug(`Size data sample: ${JSON.stringify(results.sizes[0])}`);
+        }
+      }
+    } else {
+      Logger.warn("❌ Couldn't find Bershka sizes container");
+      
+      // Last resort - try to directly find size elements scattered in the DOM
+      Logger.debug("Trying direct DOM search for size elements");
+      
+      // Check for common size patterns anywhere in the document
+      const sizePatterns = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+      const sizeElements = [];
+      
+      // Loop through size patterns and try to find them in the document
+      for (const pattern of sizePatterns) {
+        const elements = document.querySelectorAll(`*:not(script):not(style):contains("${pattern}")`);
+        if (elements && elements.length > 0) {
+          for (const element of elements) {
+            // Only consider elements that are likely to be size indicators
+            if (element.tagName.toLowerCase() === 'button' || 
+                element.tagName.toLowerCase() === 'span' || 
+                element.tagName.toLowerCase() === 'div' || 
+                element.tagName.toLowerCase() === 'li') {
+              const text = element.textContent.trim();
+              // Only add if the text is exactly the size pattern (or very close)
+              if (text === pattern || text.startsWith(pattern + ' ') || text.endsWith(' ' + pattern)) {
+                sizeElements.push({ element, size: pattern });
+              }
+            }
+          }
+        }
+      }
+      
+      if (sizeElements.length > 0) {
+        Logger.debug(`Found ${sizeElements.length} potential size elements directly in DOM`);
+        
+        // Add sizes from found elements
+        const addedSizes = new Set();
+        for (const {element, size} of sizeElements) {
+          if (!addedSizes.has(size)) {
+            addedSizes.add(size);
+            results.sizes.push(BaseExtractor.createSizeOption(size, false, { inStock: true }));
+          }
+        }
+        
+        Logger.info(`✅ Extracted ${results.sizes.length} Bershka sizes from direct DOM search`);
+      }
+    }
+  } catch(e) {
+    Logger.error("❌ Error getting Bershka sizes:", e);
+  }
+  
+  return results;
+}
+
+// Open Bershka's size sheet in the interaction sandbox, read the sizes and
+// close it again. Resolves with extractBershkaSizes() results, or null if
+// the sheet could not be opened.
+async function revealBershkaSizes() {
+  const sizeButtonSelectors = [
+    '.product-page-actions button.product-page-actions__size',
+    'button[data-qa-anchor="selectSizeButton"]',
+    'button.product-page-actions__size',
+    'button.size-selector',
+    'button.size-selector-button',
+    '.product-page-actions__size',
+    'button[type="button"].product-detail-size-selector',
+    'button.product-detail-size-selector'
+  ];
+  
+  let sizeButton = DOMUtils.querySelector(sizeButtonSelectors);
+  
+  // If not found by selector, try to find by text content
+  if (!sizeButton) {
+    Logger.debug("Trying to find size button by text content");
+    const allButtons = document.querySelectorAll('button:not([disabled]):not([hidden]):not([aria-hidden="true"])');
+    for (const btn of allButtons) {
+      const text = btn.textContent.trim().toLowerCase();
+      if (text.includes('size') || text.includes('boyut') || text.includes('beden')) {
+        sizeButton = btn;
+        Logger.debug(`Found size button by text: "${text}"`);
+        break;
+      }
+    }
+  }
+  
+  if (!sizeButton) {
+    Logger.warn("❌ No size button found to click");
+    return null;
+  }
+  
+  Logger.info("📱 Found size button, opening the size sheet");
+  Logger.debug(`Size button text: ${sizeButton.textContent.trim()}`);
+  
+  return InteractionSandbox.run(
+    [{
+      click: sizeButton,
+      waitFor: ['.sizes-list-dialog', '[data-qa-anchor="productDetailSize"]'],
+      timeout: 1500
+    }],
+    () => extractBershkaSizes()
+  );
+}
+
+// Bershka Extractor - For extracting Bershka product information
+const BershkaExtractor = {
+  // Check if current site is Bershka
+  isBershka: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("bershka.com");
+  },
+  
+  // Check if this is a product page (more specific than just domain check)
+  isProductPage: function() {
+    // URL rules and product DOM anchors live in URL_RULES
+    const classification = UrlClassifier.classify(window.location.href);
+    if (classification.site === "bershka" && classification.pageType === "product") {
+      return true;
+    }
+    return !UrlClassifier.shouldSkipDetection(window.location.href);
+  },
+  
+  // Extract product information from Bershka pages
+  extract: async function() {
+    try {
+      Logger.info("Extracting product data for Bershka");
+      
+      // First verify this is a product page
+      if (!this.isProductPage()) {
+        Logger.info("Not a Bershka product page, skipping extraction");
+        return {
+          isProductPage: false,
+          success: false,
+          url: window.location.href,
+          message: "Not a Bershka product page"
+        };
+      }
+      
+      // Basic product information
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Bershka";
+      result.extractionMethod = "bershka-specific";
+      
+      // Extract title
+      const titleSelectors = [
+        'h1.product-info__name',
+        '.product-title h1',
+        'h1.product-name',
+        '[data-qa-anchor="productName"]'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Bershka title: ${result.title}`);
+      }
+      
+      // Extract price
+      const priceSelectors = [
+        '.product-info__price span[data-qa-anchor="productPrice"]',
+        'span[data-qa-anchor="productPrice"]',
+        '.product-price .current',
+        '[data-qa-anchor="currentPrice"]'
+      ];
+      
+      const priceElement = DOMUtils.querySelector(priceSelectors);
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
+        Logger.debug(`Found Bershka price: ${result.price} ${result.currency}`);
+      }
+      
+      // Extract original price (for sales)
+      const originalPriceSelectors = [
+        'span[data-qa-anchor="productPreviousPrice"]',
+        '.product-info__price .previous',
+        '.product-price .previous',
+        '[data-qa-anchor="oldPrice"]'
+      ];
+      
+      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+        Logger.debug(`Found Bershka original price: ${result.originalPrice}`);
+      }
+      
+      // Extract product image
+      const imageSelectors = [
+        '.product-gallery__image img',
+        '.media-viewer img.main-image',
+        '.image-container img',
+        '[data-qa-anchor="imageProductPage"] img',
+        '.product-images img'
+      ];
+      
+      const imageElement = DOMUtils.querySelector(imageSelectors);
+      if (imageElement) {
+        // Get the source or data attribute that contains the image URL
+        result.imageUrl = FormatUtils.getImageSource(imageElement);
+        
+        Logger.debug(`Found Bershka image URL: ${result.imageUrl}`);
+      }
+      
+      // Extract product description
+      const descriptionSelectors = [
+        '.product-info__description',
+        '.description-container',
+        '.product-description',
+        '[data-qa-anchor="productDetailDescription"]'
+      ];
+      
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+        Logger.debug(`Found Bershka description: ${result.description}`);
+      }
+      
+      // Extract colors
+      try {
+        Logger.info("Extracting Bershka-specific colors");
+        const colorVariants = [];
+        
+        // Color selector container
+        const colorSelectorContainer = document.querySelector('[data-qa-anchor="productDetailColors"]');
+        
+        if (colorSelectorContainer) {
+          // Get all color swatches
+          const colorItems = colorSelectorContainer.querySelectorAll('button[data-qa-anchor="colorSwatch"]');
+          Logger.debug(`Found ${colorItems.length} Bershka color options`);
+          
+          if (colorItems && colorItems.length > 0) {
+            for (const colorItem of colorItems) {
+              // Check if this color is selected
+              const isSelected = colorItem.getAttribute('aria-pressed') === 'true' || 
+                               colorItem.classList.contains('is-active');
+              
+              // Get the color name and image
+              const colorImg = colorItem.querySelector('img');
+              let colorValue = '';
+              let colorName = '';
+              
+              // Try to get the color name from aria-label or title
+              colorName = colorItem.getAttribute('aria-label') || colorItem.getAttribute('title');
+              
+              // If we have an image, use its alt text or src as a fallback for the name
+              if (colorImg) {
+                if (!colorName) {
+                  colorName = colorImg.getAttribute('alt');
+                }
+                colorValue = colorImg.getAttribute('src');
+              }
+              
+              // Fallback if we still don't have a color name
+              if (!colorName) {
+                colorName = 'Color Option';
+              }
+              
+              // Add the color to our variants
+              colorVariants.push({
+                text: colorName,
+                selected: isSelected,
+                value: colorValue || colorName
+              });
+              
+              Logger.debug(`Added Bershka color: ${colorName}, Selected: ${isSelected}`);
+            }
+          }
+          
+          // If we found colors, add them to the result
+          if (colorVariants.length > 0) {
+            result.variants = result.variants || {};
+            result.variants.colors = colorVariants;
+          }
+        }
+      } catch(e) {
+        Logger.error("Error extracting Bershka colors:", e);
+      }
+      
+      // Extract sizes using the specialized function, opening the size
+      // sheet first when it is closed. The sheet is read once per URL: the
+      // run that opens it reports the product with its sizes "pending" and
+      // detection runs again once they are known.
+      try {
+        const sheetOpen = document.querySelector('.sizes-list-dialog, [data-qa-anchor="productDetailSize"]');
+        let sizeResults = null;
+        if (!sheetOpen) {
+          const reveal = DetectionScheduler.revealOnce("bershka-sizes", revealBershkaSizes);
+          if (DetectionScheduler.isRevealing("bershka-sizes")) {
+            result.variantsStatus = "pending";
+            reveal.then(() => DetectionScheduler.request("Bershka sizes revealed"));
+          } else {
+            sizeResults = await reveal;
+          }
+        }
+        if (result.variantsStatus !== "pending") {
+          sizeResults = sizeResults || extractBershkaSizes();
+          const found = !!(sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0);
+          if (found) {
+            result.variants = result.variants || {};
+            result.variants.sizes = sizeResults.sizes;
+          }
+          result.variantsStatus = found ? "complete" : "unavailable";
+        }
+      } catch(e) {
+        Logger.error("Error extracting Bershka sizes:", e);
+        result.variantsStatus = "unavailable";
+      }
+      
+      // Sizes are only rendered for the selected color
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+      
+      // Check if we have enough information to consider this successful
+      result.success = !!(result.title && result.price);
+      
+      return result;
+    } catch(e) {
+      Logger.error("Error in Bershka extractor:", e);
+      return {
+        isProductPage: true,
+        success: false,
+        url: window.location.href,
+        error: e.message,
+        extractionMethod: "bershka-failed"
+      };
+    }
+  }
+};
+
+// Extract sizes for Massimo Dutti products
+function extractMassimoDuttiSizes() {
+  const results = { sizes: [] };
+  
+  try {
+    Logger.info("🔍 Attempting to extract Massimo Dutti sizes");
+    
+    // Log the current URL for debugging
+    Logger.debug(`Current URL: ${window.location.href}`);
+    
+    // Find the main size selector container
+    const sizeContainer = document.querySelector('product-size-selector-layout, .product-size-selector, .tabs.product-size-selector');
+    
+    if (!sizeContainer) {
+      Logger.warn("❌ No size container found for Massimo Dutti");
+      return results;
+    }
+    
+    Logger.debug(`Found Massimo Dutti size container: ${sizeContainer.className}`);
+    
+    // Find all size buttons
+    const sizeButtons = sizeContainer.querySelectorAll('button[role="option"], .product-size-selector__li button');
+    
+    if (!sizeButtons || sizeButtons.length === 0) {
+      Logger.warn("❌ No size buttons found in container");
+      return results;
+    }
+    
+    Logger.info(`✅ Found ${sizeButtons.length} size options`);
+    
+    // Process each size button
+    for (const button of sizeButtons) {
+      // Extract size text
+      const sizeTextElement = button.querySelector('.tab-inner-size');
+      if (!sizeTextElement) continue;
+      
+      const sizeText = sizeTextElement.textContent.trim();
+      if (!sizeText) continue;
+      
+      // Determine if this size is selected
+      const isSelected = button.getAttribute('aria-selected') === 'true';
+      
+      // Determine stock status
+      let isInStock = true; // Default to in stock
+      let isBackSoon = false;
+      
+      // Check for unavailable status
+      if (button.classList.contains('c-middle-grey')) {
+        // This indicates either "Back Soon" or "Sold Out"
+        
+        // Check for specific icons/labels
+        const icon = button.querySelector('.icon-sizes');
+        if (icon) {
+          const statusText = icon.getAttribute('data-title');
+          if (statusText) {
+            Logger.debug(`Size ${sizeText} has status: ${statusText}`);
+            
+            if (statusText.includes('ÇOK YAKINDA') || statusText.toLowerCase().includes('back soon')) {
+              isInStock = false;
+              isBackSoon = true;
+            } else if (statusText.includes('dev.product.soldOut') || statusText.toLowerCase().includes('sold out')) {
+              isInStock = false;
+              isBackSoon = false;
+            }
+          }
+        }
+      }
+      
+      // Add to results
+      results.sizes.push(BaseExtractor.createSizeOption(sizeText, isSelected, {
+        inStock: isInStock,
+        backInStockSoon: isBackSoon,
+        notifyAvailable: isBackSoon
+      }));
+      
+      Logger.debug(`Added Massimo Dutti size: ${sizeText}, Selected: ${isSelected}, InStock: ${isInStock}, BackSoon: ${isBackSoon}`);
+    }
+    
+    Logger.info(`✅ Extracted ${results.sizes.length} sizes from Massimo Dutti product`);
+  } catch (error) {
+    Logger.error(`Error extracting Massimo Dutti sizes: ${error}`);
+  }
+  
+  return results;
+}
+
+// Massimo Dutti Extractor - The generic extraction (JSON-LD, meta tags or
+// DOM) with the sizes from Massimo Dutti's size list
+const MassimoDuttiExtractor = {
+  extract: function() {
+    let result = BaseExtractor.extractStructuredData();
+    if (!result || !result.success) result = BaseExtractor.extractMetaTags();
+    if (!result || !result.success) result = BaseExtractor.extractFromDOM();
+    if (!result || !result.success) return result;
+    
+    const sizeResults = extractMassimoDuttiSizes();
+    if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
+      Logger.info(`Found ${sizeResults.sizes.length} sizes for Massimo Dutti product`);
+      result.variants = result.variants || {};
+      result.variants.sizes = sizeResults.sizes;
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+    }
+    
+    return result;
+  }
+};
+
+// Pandora Extractor - For extracting Pandora product information
+const PandoraExtractor = {
+  // Check if current site is Pandora
+  isPandora: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("pandora.net");
+  },
+
+  // Select { color, size }. Colors are the color-group or metal swatches read
+  // by extractPandoraMetalVariants, sizes the size buttons. A swatch's own
+  // page is fetched and extracted rather than navigated to.
+  selectVariant: function(args) {
+    return VariantSelector.select(args, {
+      color: [
+        {
+          selector: 'ul[id^="color-group-selector"] .color-attribute .color-variant-link, .color-group-container .color-attribute .color-variant-link',
+          label: (link) => link.getAttribute('data-product-color-group') || link.getAttribute('title'),
+        },
+        {
+          selector: '.metal-group-container .color-attribute .metal-variant-link',
+          label: (link) => link.getAttribute('title') || link.getAttribute('data-product-metal-group'),
+        },
+      ],
+      size: [
+        {
+          selector: '.variation-attribute[data-attr="size"] .size-attributes',
+          label: (item) => DOMUtils.getTextContent(item.querySelector('button')),
+          target: (item) => item.querySelector('button'),
+        },
+      ],
+    }, (root, url) => this.extract(root, url));
+  },
+  
+  // Price and SKU selectors
+  priceSelectors: [
+    '.product-price .price',
+    '.price-container .price',
+    '.ProductDetailMainInfo .price',
+    '.product-info-main .price',
+    '[data-price-type="finalPrice"]',
+    '.sales.sales-origin .value'
+  ],
+  
+  originalPriceSelectors: [
+    '.old-price .price',
+    '.price-container .old-price',
+    '[data-price-type="oldPrice"]',
+    '.price-was-container'
+  ],
+  
+  skuSelectors: [
+    '.product.attribute.sku .value',
+    '.sku .value',
+    '[itemprop="sku"]',
+    '.product-id-sku'
+  ],
+  
+  // Extract product information from a Pandora page: the live document, or
+  // a color page fetched by VariantPageFetcher
+  extract: async function(root = document, url = window.location.href) {
+    try {
+      Logger.info("Extracting product data for Pandora");
+      
+      // Basic product information
+      const result = BaseExtractor.createResultObject(url);
+      result.brand = "Pandora";
+      result.extractionMethod = "pandora-specific";
+      
+      // Only initialize variants that exist
+      if (!result.variants) {
+        result.variants = {};
+      }
+      
+      // Check for color options
+      const hasColorOptions = !!root.querySelector('.variation-attribute[data-attr="color-group"]');
+      if (hasColorOptions) {
+        result.variants.colors = [];
+        Logger.debug("Found color options container");
+      }
+      
+      // Check for size options
+      const hasSizeOptions = !!root.querySelector('.size-attribute-container, select[name="ring-size"], .pdp-size-section');
+      if (hasSizeOptions) {
+        result.variants.sizes = [];
+        Logger.debug("Found size options container");
+      }
+      
+      Logger.debug("Initialized variants object for Pandora");
+      
+      // Extract title
+      const titleSelectors = [
+        '.product-name', 
+        '.pdp-title',
+        'h1.page-title',
+        '.ProductDetailMainInfo h1'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors, root);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Pandora title: ${result.title}`);
+      }
+      
+      // Extract price
+      const priceElement = DOMUtils.querySelector(this.priceSelectors, root);
+      if (priceElement) {
+        const priceText = DOMUtils.getTextContent(priceElement);
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText) || "TRY"; // Default to TRY if not detected
+        Logger.debug(`Found Pandora price: ${result.price} ${result.currency}`);
+      }
+      
+      // Extract original price (for sales)
+      const originalPriceElement = DOMUtils.querySelector(this.originalPriceSelectors, root);
+      if (originalPriceElement) {
+        const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+        result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+        Logger.debug(`Found Pandora original price: ${result.originalPrice}`);
+      }
+      
+      // Extract product image
+      const imageSelectors = [
+        '.gallery-placeholder img',
+        '.product-image-gallery img',
+        '.fotorama__stage__shaft img',
+        '.MagicZoom img',
+        '.pdp-primary-images img'
+      ];
+      
+      const imageElement = DOMUtils.querySelector(imageSelectors, root);
+      if (imageElement) {
+        // Get high-res image URL if available
+        const dataFullImage = imageElement.getAttribute('data-full') || 
+                             imageElement.getAttribute('data-zoom-image') || 
+                             imageElement.getAttribute('data-product-lg-image');
+                             
+        result.imageUrl = FormatUtils.makeUrlAbsolute(
+          dataFullImage || imageElement.getAttribute('src')
+        );
+        Logger.debug(`Found Pandora image URL: ${result.imageUrl}`);
+      }
+      
+      // Extract product description
+      const descriptionSelectors = [
+        '.product-description',
+        '.description',
+        '.value[itemprop="description"]',
+        '.product.attribute.overview',
+        '.product.attribute.description'
+      ];
+      
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors, root);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+        Logger.debug(`Found Pandora description`);
+      }
+      
+      // Extract product SKU/product code
+      const skuElement = DOMUtils.querySelector(this.skuSelectors, root);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement);
+        Logger.debug(`Found Pandora SKU: ${result.sku}`);
+      } else {
+        // Try to extract SKU from URL
+        const skuMatch = url.match(/\/([A-Z0-9]+)\.html/);
+        if (skuMatch && skuMatch[1]) {
+          result.sku = skuMatch[1];
+          Logger.debug(`Extracted Pandora SKU from URL: ${result.sku}`);
+        }
+      }
+      
+      // Extract metal variants - specific to Pandora jewelry
+      this.extractPandoraMetalVariants(result, root);
+      
+      // Extract size variants - specific to Pandora jewelry
+      this.extractPandoraSizeVariants(result, root);
+      
+      // Sizes of the other metals/colors come from their own pages; pages
+      // read that way don't fetch further
+      if (root === document) {
+        await this.extractPerColorSizes(result);
+      }
+      
+      // Check if we have the minimum needed information for success
+      result.success = !!(result.title && result.price);
+      
+      // Log final number of variants for debugging
+      Logger.debug(`Final Pandora variants - colors: ${(result.variants.colors || []).length}, sizes: ${(result.variants.sizes || []).length}`);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Pandora product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Pandora",
+        url: url,
+        extractionMethod: "pandora-specific-failed",
+        error: e.message
+      };
+    }
+  },
+  
+  // Extract metal variants for Pandora products
+  extractPandoraMetalVariants: function(result, root = document) {
+    try {
+      Logger.info("Extracting Pandora metal variants");
+      
+      // First check if this product has color options at all
+      const hasColorOptions = !!root.querySelector('.variation-attribute[data-attr="color-group"]');
+      
+      if (!hasColorOptions) {
+        Logger.debug("No color options found for this Pandora product - skipping color extraction");
+        // Don't create an empty colors array if no colors exist
+        delete result.variants.colors;
+        return;
+      }
+      
+      // First try to find the color-group-container based on the HTML structure provided by the user
+      const colorGroupContainer = root.querySelector('#color-group-selector-198421C01, #color-group-selector-198421C03, .color-group-container, ul[id^="color-group-selector"]');
+      
+      if (colorGroupContainer) {
+        Logger.debug("Found color group container using ID or class selector");
+        
+        // Find all color attributes
+        const colorAttributes = colorGroupContainer.querySelectorAll('.color-attribute');
+        if (colorAttributes && colorAttributes.length > 0) {
+          Logger.debug(`Found ${colorAttributes.length} color attributes`);
+          
+          for (const colorAttr of colorAttributes) {
+            // Get the color variant link
+            const variantLink = colorAttr.querySelector('.color-variant-link');
+            if (!variantLink) continue;
+            
+            // Check if this color is selected
+            const isSelected = variantLink.classList.contains('selected');
+            
+            // Get color name from product-color-group which is more reliable than title
+            const colorName = variantLink.getAttribute('data-product-color-group') || 
+                             variantLink.getAttribute('title') || '';
+            if (!colorName) continue;
+            
+            // Get actual color from class - important for proper UI display
+            const colorClasses = variantLink.className.split(' ');
+            let colorClass = '';
+            for (const cls of colorClasses) {
+              if (cls.startsWith('color-swatch') || cls.startsWith('color-')) {
+                const potentialColor = cls.replace('color-swatch', '').replace('color-', '').trim();
+                if (potentialColor && potentialColor !== 'value' && potentialColor !== 'swatch') {
+                  colorClass = potentialColor;
+                  break;
+                }
+              }
+            }
+            
+            Logger.debug(`Found color class: ${colorClass} for color: ${colorName}`);
+            
+            // Get the URL of the color image
+            const swatchCircle = variantLink.querySelector('.swatch-circle');
+            const swatchColor = swatchCircle ? swatchCircle.className.split(' ').find(c => c.startsWith('swatch-circle-')) : null;
+            
+            // Get high-resolution product image for this color variant
+            const colorProductImage = variantLink.getAttribute('data-product-lg-image') || '';
+            
+            // Get product name for this color
+            const colorProductName = variantLink.getAttribute('data-product-name') || '';
+            
+            // Get the href URL to the color-specific product page (important for size availability)
+            const colorHref = variantLink.getAttribute('href') || '';
+            
+            // Create a color value object with more complete information
+            const colorData = {
+              type: "color",
+              colorName: colorName,
+              colorClass: colorClass || (swatchColor ? swatchColor.replace('swatch-circle-', '') : ''),
+              imageUrl: colorProductImage,
+              productName: colorProductName,
+              href: colorHref
+            };
+            
+            // Add this color variant - include color class in the value for proper UI rendering
+            result.variants.colors.push({
+              text: colorName,
+              selected: isSelected,
+              value: JSON.stringify(colorData)
+            });
+            
+            Logger.debug(`Added Pandora color variant: ${colorName}, selected: ${isSelected}, class: ${colorClass}`);
+          }
+          return;
+        }
+      }
+      
+      // Fallback to metal-group if color-group not found
+      const metalContainer = root.querySelector('.variation-attribute[data-attr="metal-group"] .metal-group-container');
+      
+      if (!metalContainer) {
+        Logger.debug("No metal variants found");
+        return;
+      }
+      
+      // Find all metal variant options
+      const metalItems = metalContainer.querySelectorAll('.color-attribute');
+      if (!metalItems || metalItems.length === 0) {
+        Logger.debug("No metal variant items found");
+        return;
+      }
+      
+      Logger.debug(`Found ${metalItems.length} metal variants`);
+      
+      // Get the current selected metal text, helpful for displaying in the UI
+      const selectedMetalText = root.querySelector('.metal-group-label span[data-auto="lblSelectedMetal"]');
+      const selectedMetalName = selectedMetalText ? DOMUtils.getTextContent(selectedMetalText) : '';
+      Logger.debug(`Selected metal from label: ${selectedMetalName}`);
+      
+      // Process metal variants
+      for (const metalItem of metalItems) {
+        const metalLink = metalItem.querySelector('.metal-variant-link');
+        if (!metalLink) continue;
+        
+        // Check if this metal is selected
+        const isSelected = metalLink.classList.contains('selected');
+        
+        // Get metal name from title attribute
+        const metalName = metalLink.getAttribute('title') || metalLink.getAttribute('data-product-metal-group');
+        if (!metalName) continue;
+        
+        // Get metal image
+        const metalImg = metalLink.querySelector('.swatch-circle-metal img');
+        const metalImgUrl = metalImg ? FormatUtils.makeUrlAbsolute(metalImg.getAttribute('src')) : '';
+        
+        // Get product data from metal variant
+        const productMetalGroup = metalLink.getAttribute('data-product-metal-group') || metalName;
+        
+        // Create a metal value object that can be stringified, following required format from website_extraction.mdc
+        const metalData = {
+          type: "metal",
+          metal: productMetalGroup,
+          imageUrl: metalImgUrl,
+          href: metalLink.getAttribute('href') || ''
+        };
+        
+        // Add as a color variant to ensure it displays in the UI
+        result.variants.colors.push({
+          text: productMetalGroup || metalName,
+          selected: isSelected || (productMetalGroup === selectedMetalName),
+          value: metalImgUrl || JSON.stringify(metalData)
+        });
+        
+        Logger.debug(`Added Pandora metal as color variant: ${productMetalGroup || metalName}, selected: ${isSelected}`);
+      }
+      
+      // If we have variant data but no colors were added, create a default one
+      if (result.variants.colors.length === 0) {
+        // Try to get metal info from product title or other elements
+        const productTitle = result.title || '';
+        let defaultMetal = '';
+        
+        if (productTitle.toLowerCase().includes('silver') || productTitle.toLowerCase().includes('gümüş')) {
+          defaultMetal = 'Silver';
+        } else if (productTitle.toLowerCase().includes('gold') || productTitle.toLowerCase().includes('altın')) {
+          defaultMetal = 'Gold';
+        } else if (productTitle.toLowerCase().includes('rose') || productTitle.toLowerCase().includes('pembe')) {
+          defaultMetal = 'Rose Gold';
+        } else {
+          defaultMetal = 'Metal';
+        }
+        
+        result.variants.colors.push({
+          text: defaultMetal,
+          selected: true,
+          value: 'default'
+        });
+        
+        Logger.debug(`Added default metal: ${defaultMetal}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Pandora metal variants:", e);
+    }
+  },
+  
+  // Extract size variants for Pandora products
+  extractPandoraSizeVariants: function(result, root = document) {
+    try {
+      Logger.info("Extracting Pandora size variants");
+      
+      // Check if we have a sizes array to work with
+      if (!result.variants || !result.variants.sizes) {
+        Logger.debug("No sizes array in variants - skipping size extraction");
+        return;
+      }
+      
+      // First try the standard size attributes
+      const sizes = this.parsePandoraSizes(root);
+      
+      for (const sizeData of sizes) {
+        // Add the size variant
+        result.variants.sizes.push({
+          text: sizeData.size,
+          selected: false, // Pandora doesn't pre-select sizes
+          value: JSON.stringify(sizeData)
+        });
+        
+        Logger.debug(`Added Pandora size: ${sizeData.size}, in stock: ${sizeData.inStock}`);
+      }
+      
+      // If we've found sizes, return
+      if (result.variants.sizes.length > 0) {
+        return;
+      }
+      
+      // Fallback to other size options if the main approach didn't find any
+      // ... existing fallback code ...
+    } catch (e) {
+      Logger.warn("Error extracting Pandora size variants:", e);
+    }
+  },
+  
+  // Size attributes of a Pandora product page, from the live document or a
+  // fetched one: [{ size, sizeValue, sizeAttr, inStock }]
+  parsePandoraSizes: function(root) {
+    const sizes = [];
+    const sizeContainer = root.querySelector('.variation-attribute[data-attr="size"] .size-container');
+    if (!sizeContainer) return sizes;
+    
+    Logger.debug("Found Pandora size container");
+    
+    // Find all size attributes 
+    const sizeAttributes = sizeContainer.querySelectorAll('.size-attributes');
+    Logger.debug(`Found ${sizeAttributes.length} size attributes`);
+    
+    for (const sizeAttr of sizeAttributes) {
+      // Check if this size is selectable or unselectable
+      const isSelectable = sizeAttr.classList.contains('selectable');
+      const isUnselectable = sizeAttr.classList.contains('unselectable');
+      
+      // Get the size button and check if it's disabled
+      const sizeButton = sizeAttr.querySelector('button');
+      if (!sizeButton) continue;
+      
+      const isDisabled = sizeButton.classList.contains('disabled');
+      const sizeText = DOMUtils.getTextContent(sizeButton).trim();
+      
+      // Skip if we can't find the size text
+      if (!sizeText) continue;
+      
+      sizes.push({
+        size: sizeText,
+        sizeValue: sizeAttr.getAttribute('data-attr-value') || '',
+        sizeAttr: sizeButton.getAttribute('data-sizeattr') || sizeText,
+        // Available when selectable and the button isn't disabled
+        inStock: isSelectable && !isUnselectable && !isDisabled
+      });
+    }
+    
+    return sizes;
+  },
+  
+  // Read a color variant's page (same origin only) off-DOM and extract it.
+  // Resolves with the product for that color, or null when the page can't
+  // be read.
+  extractColorSpecificSizesData: async function(colorUrl) {
+    Logger.info(`Extracting size data for color URL: ${colorUrl}`);
+    const root = await VariantPageFetcher.fetchDocument(colorUrl);
+    return root ? this.extract(root, VariantPageFetcher.resolveUrl(colorUrl)) : null;
+  },
+  
+  // Color and metal swatch links: [{ text, url }]
+  variantLinks: function(root) {
+    return VariantPageFetcher.linksFrom(
+      root,
+      'ul[id^="color-group-selector"] .color-variant-link, .color-group-container .color-variant-link',
+      (link) => link.getAttribute('data-product-color-group') || link.getAttribute('title')
+    ).concat(VariantPageFetcher.linksFrom(
+      root,
+      '.metal-group-container .metal-variant-link',
+      (link) => link.getAttribute('data-product-metal-group') || link.getAttribute('title')
+    ));
+  },
+  
+  // Sizes of every color: the selected color from the page, the others from
+  // their own pages. Becomes the result's variant matrix, so sizes show the
+  // stock of the color the user picks.
+  extractPerColorSizes: function(result) {
+    const sizes = (result.variants && result.variants.sizes) || [];
+    if (sizes.length === 0) return Promise.resolve(result);
+    
+    return VariantPageFetcher.aggregate(result, this.variantLinks(document), (root, url) =>
+      this.extract(root, url)
+    );
+  }
+};
+
+// Victoria's Secret Extractor - For extracting Victoria's Secret product information
+const VictoriasSecretExtractor = {
+  // Check if current site is Victoria's Secret
+  isVictoriasSecret: function() {
+    const url = window.location.href.toLowerCase();
+    return url.includes("victoriassecret.com.tr");
+  },
+  
+  // Check if the URL is a product page
+  isVictoriasSecretProductUrl: function(url) {
+    if (!url) return false;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "victoriassecret" && classification.pageType === "product";
+  },
+  
+  // Check if the URL is a non-product page
+  isVictoriasSecretNonProductUrl: function(url) {
+    if (!url) return false;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "victoriassecret" && classification.pageType !== "product";
+  },
+  
+  // Extract product information from Victoria's Secret pages
+  extract: function() {
+    try {
+      Logger.info("Extracting product data for Victoria's Secret");
+      
+      // Basic product information
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Victoria's Secret";
+      result.extractionMethod = "victoriassecret-specific";
+      
+      // Extract title
+      const titleSelectors = [
+        'h1.ProductName',
+        '.ProductName h1',
+        'h1.product-name'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Victoria's Secret title: ${result.title}`);
+      } else {
+        // Fallback to page title
+        const pageTitle = document.title;
+        if (pageTitle) {
+          result.title = pageTitle.split('|')[0].trim();
+          Logger.debug(`Using page title: ${result.title}`);
+        }
+      }
+      
+      // Extract price - handle both discounted and regular price cases
+      // First check if there's a discount container
+      const discountContainer = document.querySelector('#divIndirimliFiyat');
+      
+      if (discountContainer) {
+        // Discounted case - need to get both original and discounted price
+        
+        // Get original price
+        const originalPriceElement = discountContainer.querySelector('#fiyat .spanFiyat');
+        if (originalPriceElement) {
+          const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+          result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+          Logger.debug(`Found Victoria's Secret original price: ${result.originalPrice}`);
+        }
+        
+        // Get discounted price
+        const discountedPriceElement = discountContainer.querySelector('#indirimliFiyat .spanFiyat');
+        if (discountedPriceElement) {
+          const discountedPriceText = DOMUtils.getTextContent(discountedPriceElement);
+          result.price = FormatUtils.formatPrice(discountedPriceText);
+          result.currency = 'TRY'; // Hardcoded for Turkish site, could be detected from text
+          Logger.debug(`Found Victoria's Secret discounted price: ${result.price} ${result.currency}`);
+        }
+      } else {
+        // Regular price case (no discount)
+        const priceSelectors = [
+          '#fiyat2 .spanFiyat',
+          '.PriceList .spanFiyat',
+          '.product-price .current'
+        ];
+        
+        const priceElement = DOMUtils.querySelector(priceSelectors);
+        if (priceElement) {
+          const priceText = DOMUtils.getTextContent(priceElement);
+          result.price = FormatUtils.formatPrice(priceText);
+          result.currency = 'TRY'; // Hardcoded for Turkish site, could be detected from text
+          Logger.debug(`Found Victoria's Secret price: ${result.price} ${result.currency}`);
+        }
+      }
+      
+      // Extract image
+      const imageSelectors = [
+        '#ProductImage img',
+        '.ProductImage img',
+        '.product-image img'
+      ];
+      
+      const imageElement = DOMUtils.querySelector(imageSelectors);
+      if (imageElement) {
+        const imageSrc = imageElement.getAttribute('src');
+        if (imageSrc) {
+          result.imageUrl = FormatUtils.makeUrlAbsolute(imageSrc);
+          Logger.debug(`Found Victoria's Secret image: ${result.imageUrl}`);
+        }
+      }
+      
+      // Try to find high resolution images in owl carousel if standard selectors failed
+      if (!result.imageUrl) {
+        // First try to get the high-res image link from the active carousel item
+        const activeOwlItem = document.querySelector('.owl-item.active a.lightItem');
+        if (activeOwlItem) {
+          // Extract high-res image URL from href attribute (link to large image)
+          const highResImageUrl = activeOwlItem.getAttribute('href');
+          if (highResImageUrl) {
+            result.imageUrl = FormatUtils.makeUrlAbsolute(highResImageUrl);
+            Logger.debug(`Found Victoria's Secret high-res image from carousel: ${result.imageUrl}`);
+          } else {
+            // Fallback to img tag inside if href is not available
+            const imgElement = activeOwlItem.querySelector('img');
+            if (imgElement) {
+              const imgSrc = imgElement.getAttribute('src');
+              if (imgSrc) {
+                result.imageUrl = FormatUtils.makeUrlAbsolute(imgSrc);
+                Logger.debug(`Found Victoria's Secret image from carousel img: ${result.imageUrl}`);
+              }
+            }
+          }
+        } else {
+          // If no active item is found, try any carousel item
+          const anyOwlItem = document.querySelector('.owl-item a.lightItem');
+          if (anyOwlItem) {
+            const highResImageUrl = anyOwlItem.getAttribute('href');
+            if (highResImageUrl) {
+              result.imageUrl = FormatUtils.makeUrlAbsolute(highResImageUrl);
+              Logger.debug(`Found Victoria's Secret high-res image from any carousel item: ${result.imageUrl}`);
+            } else {
+              const imgElement = anyOwlItem.querySelector('img');
+              if (imgElement) {
+                const imgSrc = imgElement.getAttribute('src');
+                if (imgSrc) {
+                  result.imageUrl = FormatUtils.makeUrlAbsolute(imgSrc);
+                  Logger.debug(`Found Victoria's Secret image from any carousel img: ${result.imageUrl}`);
+                }
+              }
+            }
+          }
+        }
+      }
+      
+      // Extract description
+      const descriptionSelectors = [
+        '#divTabOzellikler',
+        '.ProductDetail .details',
+        '.product-description'
+      ];
+      
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      }
+      
+      // Extract variants (colors, bands, containers)
+      result.variants = {};
+      
+      // Extract colors
+      try {
+        const colorVariants = [];
+        const allColorVariants = []; // Store all colors for fallback
+        const colorContainer = document.querySelector('.aksesuarSecenek .ulUrunSlider');
+        
+        if (colorContainer) {
+          const colorItems = colorContainer.querySelectorAll('li');
+          let foundSelected = false;
+          
+          colorItems.forEach(item => {
+            try {
+              const productItem = item.querySelector('.productItem');
+              if (!productItem) return;
+              
+              // Get color name
+              const colorNameElement = productItem.querySelector('.ozelAlan4');
+              if (!colorNameElement) return;
+              
+              const colorName = DOMUtils.getTextContent(colorNameElement).trim();
+              
+              // Check if this color is selected
+              const isSelected = productItem.classList.contains('selected');
+              if (isSelected) {
+                foundSelected = true;
+              }
+              
+              // Try to get the color image URL
+              let imageUrl = '';
+              const imgElement = productItem.querySelector('img.resimOrginal');
+              if (imgElement) {
+                imageUrl = imgElement.getAttribute('src') || '';
+              }
+              
+              // Create color variant option
+              const colorVariant = {
+                text: colorName,
+                selected: isSelected,
+                value: imageUrl
+              };
+              
+              // Add to all colors array
+              allColorVariants.push(colorVariant);
+              
+              // If this color is selected, add it to the main colors array for display
+              if (isSelected) {
+                colorVariants.push(colorVariant);
+              }
+              
+              Logger.debug(`Found color variant: ${colorName}, selected: ${isSelected}`);
+            } catch (e) {
+              Logger.error('Error processing color variant item:', e);
+            }
+          });
+          
+          // If no color is selected, use all colors
+          if (!foundSelected) {
+            // Mark the first one as selected
+            if (allColorVariants.length > 0) {
+              allColorVariants[0].selected = true;
+              Logger.debug(`No selected color found, marking first color as selected: ${allColorVariants[0].text}`);
+            }
+            
+            // Use all colors when no selection is present
+            result.variants.colors = allColorVariants;
+            Logger.debug(`No selected color found, using all ${allColorVariants.length} colors`);
+          } else {
+            // Only use the selected color(s)
+            result.variants.colors = colorVariants;
+            Logger.debug(`Found ${colorVariants.length} selected colors out of ${allColorVariants.length} total colors`);
+          }
+        }
+      } catch (e) {
+        Logger.error('Error extracting color variants:', e);
+      }
+      
+      // Extract bands and rename to 'sizes' for compatibility with product_details.dart
+      try {
+        const bandVariants = [];
+        // Find the band section - look for the one with "Band" text
+        const bandSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
+        let bandSection = null;
+        let selectedBandText = null;
+        
+        // First find the band section
+        for (const section of bandSections) {
+          const leftLine = section.querySelector('.left_line');
+          if (leftLine && (DOMUtils.getTextContent(leftLine).toLowerCase().includes('band') || 
+                          DOMUtils.getTextContent(leftLine).toLowerCase().includes('bant'))) {
+            bandSection = section;
+            break;
+          }
+        }
+        
+        if (bandSection) {
+          const bandItems = bandSection.querySelectorAll('.size_box');
+          let foundSelectedBand = false;
+          
+          // First pass to identify the selected band
+          bandItems.forEach(item => {
+            if (item.classList.contains('selected') || item.classList.contains('selected show')) {
+              selectedBandText = DOMUtils.getTextContent(item).trim();
+              foundSelectedBand = true;
+              Logger.debug(`Found selected band size: ${selectedBandText}`);
+            }
+          });
+          
+          // Second pass to extract all bands or just the selected one
+          bandItems.forEach(item => {
+            try {
+              const bandText = DOMUtils.getTextContent(item).trim();
+              const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
+              const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
+              const isInStock = stock > 0 && !item.classList.contains('nostok');
+              
+              // Create band variant option with availability info
+              const bandVariant = {
+                text: bandText,
+                selected: isSelected,
+                value: JSON.stringify({
+                  size: bandText,
+                  inStock: isInStock,
+                  stock: stock
+                })
+              };
+              
+              // Only add the selected band if one was found, otherwise add all
+              if (!foundSelectedBand || isSelected) {
+                bandVariants.push(bandVariant);
+              }
+              
+              Logger.debug(`Found band variant: ${bandText}, selected: ${isSelected}, inStock: ${isInStock}, stock: ${stock}`);
+            } catch (e) {
+              Logger.error('Error processing band variant item:', e);
+            }
+          });
+          
+          if (bandVariants.length > 0) {
+            result.variants.sizes = bandVariants;
+            Logger.debug(`Extracted ${bandVariants.length} band variants as sizes`);
+          }
+        }
+      } catch (e) {
+        Logger.error('Error extracting band variants:', e);
+      }
+      
+      // Check for regular clothing sizes (if no band sizes were found)
+      if (!result.variants.sizes || result.variants.sizes.length === 0) {
+        try {
+          const sizeVariants = [];
+          // Look for a section that contains size options (XS, S, M, L, XL)
+          const sizeSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
+          
+          for (const section of sizeSections) {
+            const sizeItems = section.querySelectorAll('.size_box');
+            if (sizeItems.length === 0) continue;
+            
+            // Check if these look like clothing sizes
+            let isClothingSize = false;
+            for (const item of sizeItems) {
+              const sizeText = DOMUtils.getTextContent(item).trim();
+              if (['XS', 'S', 'M', 'L', 'XL', 'XXL'].includes(sizeText)) {
+                isClothingSize = true;
+                break;
+              }
+            }
+            
+            if (isClothingSize) {
+              // Process all the size options, only including in-stock ones
+              sizeItems.forEach(item => {
+                try {
+                  const sizeText = DOMUtils.getTextContent(item).trim();
+                  const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
+                  const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
+                  const isInStock = stock > 0 && !item.classList.contains('nostok');
+                  
+                  // Only add in-stock sizes for regular clothing
+                  if (isInStock) {
+                    // Create size variant option
+                    const sizeVariant = {
+                      text: sizeText,
+                      selected: isSelected,
+                      value: JSON.stringify({
+                        size: sizeText,
+                        inStock: true,
+                        stock: stock
+                      })
+                    };
+                    
+                    sizeVariants.push(sizeVariant);
+                    Logger.debug(`Found clothing size: ${sizeText}, selected: ${isSelected}, stock: ${stock}`);
+                  } else {
+                    Logger.debug(`Skipping out-of-stock size: ${sizeText}`);
+                  }
+                } catch (e) {
+                  Logger.error('Error processing size item:', e);
+                }
+              });
+              
+              // Make sure at least one size is selected
+              if (sizeVariants.length > 0) {
+                let hasSelected = false;
+                
+                // Check if any size is already marked as selected
+                for (const size of sizeVariants) {
+                  if (size.selected) {
+                    hasSelected = true;
+                    break;
+                  }
+                }
+                
+                // If no size is selected, mark the first one
+                if (!hasSelected) {
+                  sizeVariants[0].selected = true;
+                  Logger.debug(`No selected size found, marking first size as selected: ${sizeVariants[0].text}`);
+                }
+                
+                // Set the sizes
+                result.variants.sizes = sizeVariants;
+                Logger.debug(`Extracted ${sizeVariants.length} clothing sizes`);
+              }
+              
+              // Break since we found clothing sizes
+              break;
+            }
+          }
+        } catch (e) {
+          Logger.error('Error extracting clothing sizes:', e);
+        }
+      }
+      
+      // Extract containers (cup sizes) and store as otherOptions
+      try {
+        const containerVariants = [];
+        // Find the container section - look for the one with "Container" text
+        const containerSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
+        let containerSection = null;
+        
+        for (const section of containerSections) {
+          const leftLine = section.querySelector('.left_line');
+          if (leftLine && (DOMUtils.getTextContent(leftLine).toLowerCase().includes('container') ||
+                          DOMUtils.getTextContent(leftLine).toLowerCase().includes('kap'))) {
+            containerSection = section;
+            break;
+          }
+        }
+        
+        if (containerSection) {
+          const containerItems = containerSection.querySelectorAll('.size_box');
+          
+          containerItems.forEach(item => {
+            try {
+              const containerText = DOMUtils.getTextContent(item).trim();
+              const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
+              const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
+              const isInStock = stock > 0 && !item.classList.contains('nostok');
+              
+              // Create container variant option with availability info
+              const containerVariant = {
+                text: containerText,
+                selected: isSelected,
+                value: JSON.stringify({
+                  size: containerText,
+                  inStock: isInStock,
+                  stock: stock
+                })
+              };
+              
+              containerVariants.push(containerVariant);
+              Logger.debug(`Found container variant: ${containerText}, selected: ${isSelected}, inStock: ${isInStock}, stock: ${stock}`);
+            } catch (e) {
+              Logger.error('Error processing container variant item:', e);
+            }
+          });
+          
+          if (containerVariants.length > 0) {
+            // Store cup sizes as a separate variant type for product details
+            result.variants.cupSizes = containerVariants;
+            Logger.debug(`Extracted ${containerVariants.length} cup size variants`);
+            
+            // Check if we have band sizes to create combined sizes
+            if (result.variants.sizes && result.variants.sizes.length > 0) {
+              // Get selected band size (first one if multiple are selected)
+              const selectedBand = result.variants.sizes[0].text;
+              let selectedBandIsInStock = true;
+              
+              try {
+                const bandValue = JSON.parse(result.variants.sizes[0].value);
+                selectedBandIsInStock = bandValue.inStock;
+              } catch (e) {
+                Logger.error('Error parsing band value JSON:', e);
+              }
+              
+              // Create a combined sizes array that includes band + cup for each available cup size
+              const fullSizes = [];
+              
+              containerVariants.forEach(cup => {
+                // Only create combinations for in-stock cup sizes
+                let cupIsInStock = false;
+                
+                try {
+                  const cupValue = JSON.parse(cup.value);
+                  cupIsInStock = cupValue.inStock;
+                } catch (e) {
+                  Logger.error('Error parsing cup value JSON:', e);
+                }
+                
+                // Only create a variant if both band and cup are in stock
+                if (selectedBandIsInStock && cupIsInStock) {
+                  const combinedSize = {
+                    text: `${selectedBand}${cup.text}`,
+                    selected: cup.selected, // Cup selection state determines combined selection
+                    value: JSON.stringify({
+                      size: `${selectedBand}${cup.text}`,
+                      inStock: true,
+                      bandSize: selectedBand,
+                      cupSize: cup.text
+                    })
+                  };
+                  
+                  fullSizes.push(combinedSize);
+                }
+              });
+              
+              // If we have combined sizes, use these instead of just band sizes
+              if (fullSizes.length > 0) {
+                // Replace the sizes array with the combined sizes
+                result.variants.sizes = fullSizes;
+                Logger.debug(`Created ${fullSizes.length} combined sizes for band ${selectedBand}`);
+              }
+            }
+          }
+        }
+      } catch (e) {
+        Logger.error('Error extracting container variants:', e);
+      }
+      
+      // Mark as successful if we have at least title and price
+      result.success = !!(result.title && result.price);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Victoria's Secret product data:", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Victoria's Secret",
+        url: window.location.href,
+        extractionMethod: "victoriassecret-specific",
+        error: e.message
+      };
+    }
+  }
+};
+
+// Nocturne size extraction
+function extractNocturneSizes() {
+  const results = { sizes: [] };
+  
+  try {
+    Logger.info("🔍 Attempting to extract Nocturne sizes");
+    
+    // Log the current URL for debugging
+    Logger.debug(`Current URL: ${window.location.href}`);
+    
+    // Find the size list container
+    const sizeContainer = document.querySelector('ul.size-list[data-js="size-list"]');
+    
+    if (!sizeContainer) {
+      Logger.warn("No size list container found on Nocturne product page");
+      return results;
+    }
+    
+    Logger.debug(`Found Nocturne size container: ${sizeContainer.tagName}`);
+    
+    // Get all size items
+    const sizeItems = sizeContainer.querySelectorAll('li.size-item[data-js="size-item"]');
+    Logger.debug(`Found ${sizeItems.length} size items`);
+    
+    // Process each size item
+    for (const sizeItem of sizeItems) {
+      try {
+        // Extract size information
+        const sizeName = sizeItem.getAttribute('data-name');
+        const stockCount = parseInt(sizeItem.getAttribute('data-stock') || '0', 10);
+        const isSelected = sizeItem.getAttribute('data-state') === 'True';
+        const status = sizeItem.getAttribute('data-status') || '';
+        
+        // Skip if size name is missing
+        if (!sizeName) {
+          continue;
+        }
+        
+        // Determine stock status
+        const isInStock = stockCount > 0;
+        
+        // Check if this is limited stock
+        const isLimitedStock = status.includes('Son');
+        
+        // Keep the raw stock count and status label alongside the stock fields
+        const extra = { stockCount: stockCount };
+        if (status) {
+          extra.status = status;
+        }
+        
+        // Add size to results
+        results.sizes.push(BaseExtractor.createSizeOption(sizeName, isSelected, {
+          inStock: isInStock,
+          lowStock: isLimitedStock
+        }, extra));
+        
+        Logger.debug(`Added Nocturne size: ${sizeName}, Selected: ${isSelected}, InStock: ${isInStock}, Stock count: ${stockCount}`);
+      } catch (e) {
+        Logger.error(`Error processing Nocturne size item: ${e.message}`);
+      }
+    }
+    
+    Logger.info(`✅ Extracted ${results.sizes.length} Nocturne sizes`);
+  } catch (e) {
+    Logger.error(`❌ Error extracting Nocturne sizes: ${e.message}`);
+  }
+  
+  return results;
+}
+
+const NocturneExtractor = {
+  // Check if current site is Nocturne
+  isSiteNocturne: function() {
+    return window.location.href.includes('nocturne.com.tr');
+  },
+  
+  // Check if URL is a Nocturne product page
+  isNocturneProductUrl: function(url) {
+    if (!url) url = window.location.href;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "nocturne" && classification.pageType === "product";
+  },
+  
+  // Check if URL is a Nocturne non-product page
+  isNocturneNonProductUrl: function(url) {
+    if (!url) url = window.location.href;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "nocturne" && classification.pageType !== "product";
+  },
+  
+  // Extract product information from Nocturne
+  extract: function() {
+    try {
+      Logger.info("🛍️ Extracting Nocturne product information");
+      
+      // Create base result object with common properties
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Nocturne";
+      result.extractionMethod = "nocturne-specific";
+      
+      // Extract product title
+      const titleSelectors = [
+        'h1.product-name',
+        '.product-detail h1',
+        '#product-name'
+      ];
+      
+      for (const selector of titleSelectors) {
+        const titleElement = document.querySelector(selector);
+        if (titleElement) {
+          result.title = titleElement.textContent.trim();
+          break;
+        }
+      }
+      
+      // Extract product price - Enhanced to handle different price structures
+      // Find the price container first
+      const priceContainer = document.querySelector('.product-price');
+      if (priceContainer) {
+        // Check for discounted price scenario (has old-price and new-price)
+        const oldPriceElement = priceContainer.querySelector('.old-price');
+        const newPriceElement = priceContainer.querySelector('.new-price');
+        
+        if (newPriceElement) {
+          // Get the current price from new-price element
+          let currentPriceText = newPriceElement.textContent.trim();
+          
+          // Handle nested font elements if present
+          if (currentPriceText.length === 0 && newPriceElement.querySelector('font')) {
+            const fontElements = newPriceElement.querySelectorAll('font');
+            for (const fontElement of fontElements) {
+              const textContent = fontElement.textContent.trim();
+              if (textContent.length > 0) {
+                currentPriceText = textContent;
+                break;
+              }
+            }
+          }
+          
+          Logger.debug(`Raw price text: ${currentPriceText}`);
+          
+          // Turkish format: "2.650,00 TL"
+          result.price = FormatUtils.formatPrice(currentPriceText);
+          Logger.debug(`Parsed price: ${result.price}`);
+          
+          // Set currency (always TRY for Turkish Lira)
+          result.currency = 'TRY';
+        }
+        
+        // If old-price element exists, extract original price for discounted items
+        if (oldPriceElement) {
+          let originalPriceText = oldPriceElement.textContent.trim();
+          Logger.debug(`Raw original price text: ${originalPriceText}`);
+          
+          result.originalPrice = FormatUtils.formatPrice(originalPriceText);
+          Logger.debug(`Parsed original price: ${result.originalPrice}`);
+        }
+        
+        // Check for discount badge
+        const discountBadge = priceContainer.querySelector('.badge.new-black-badge');
+        if (discountBadge) {
+          const discountText = discountBadge.textContent.trim();
+          if (discountText) {
+            // Store discount information for debugging
+            Logger.debug(`Found discount badge: ${discountText}`);
+          }
+        }
+      } else {
+        Logger.warn("Could not find price container on Nocturne product page");
+      }
+      
+      // Extract product image
+      const imageSelectors = [
+        '.p-main-image img', // Main Nocturne product image selector
+        '.active-main img',  // Another main image selector for Nocturne
+        '.product-image img',
+        '.product-detail-image img',
+        '#product-zoom'
+      ];
+      
+      for (const selector of imageSelectors) {
+        const imageElement = document.querySelector(selector);
+        if (imageElement) {
+          // Get image source (prefer high-resolution version)
+          result.imageUrl = imageElement.getAttribute('src') || imageElement.getAttribute('data-src');
+          Logger.debug(`Found product image: ${result.imageUrl}`);
+          break;
+        }
+      }
+      
+      // If no image found with selectors, try alternative approach for Nocturne
+      if (!result.imageUrl) {
+        // Try to find the main image container - exact match for the HTML structure provided
+        const mainImageContainer = document.querySelector('.p-main-image.easyzoom--overlay');
+        if (mainImageContainer) {
+          // Look for the link inside it
+          const mainImageLink = mainImageContainer.querySelector('a.active-main');
+          if (mainImageLink) {
+            // Look for img within the link
+            const mainImage = mainImageLink.querySelector('img');
+            if (mainImage) {
+              result.imageUrl = mainImage.getAttribute('src');
+              Logger.debug(`Found product image through exact structure match: ${result.imageUrl}`);
+            } else {
+              // If no image found in link but link has an href, use that as fallback
+              const highResImageUrl = mainImageLink.getAttribute('href');
+              if (highResImageUrl) {
+                result.imageUrl = highResImageUrl;
+                Logger.debug(`Using high-res image from link href: ${result.imageUrl}`);
+              }
+            }
+          }
+        }
+      }
+      
+      // Extract product description
+      const descriptionSelectors = [
+        '.product-description',
+        '.detail-description',
+        '#accordion .accordion-body'
+      ];
+      
+      for (const selector of descriptionSelectors) {
+        const descriptionElement = document.querySelector(selector);
+        if (descriptionElement) {
+          result.description = descriptionElement.textContent.trim();
+          break;
+        }
+      }
+      
+      // Extract product SKU
+      const skuSelectors = [
+        '.product-sku',
+        '.sku-code'
+      ];
+      
+      for (const selector of skuSelectors) {
+        const skuElement = document.querySelector(selector);
+        if (skuElement) {
+          result.sku = skuElement.textContent.trim();
+          break;
+        }
+      }
+      
+      // Extract color variants
+      const colorContainer = document.querySelector('.color-list, .variant-group:has(.color-box)');
+      if (colorContainer) {
+        const colorItems = colorContainer.querySelectorAll('.color-box, .color-item');
+        if (colorItems && colorItems.length > 0) {
+          result.variants.colors = [];
+          
+          for (const colorItem of colorItems) {
+            try {
+              // Get color name
+              let colorName = colorItem.getAttribute('title') || colorItem.getAttribute('data-title');
+              
+              // If no title attribute, try to get from child elements
+              if (!colorName) {
+                const nameElement = colorItem.querySelector('.color-name');
+                if (nameElement) {
+                  colorName = nameElement.textContent.trim();
+                }
+              }
+              
+              // Skip if no color name found
+              if (!colorName) continue;
+              
+              // Check if this color is selected
+              const isSelected = colorItem.classList.contains('selected') || 
+                               colorItem.hasAttribute('selected') ||
+                               colorItem.getAttribute('data-selected') === 'true';
+              
+              // Get color value (might be a background color or image)
+              let colorValue = null;
+              
+              // Try to get background color
+              const style = colorItem.getAttribute('style');
+              if (style && style.includes('background-color')) {
+                const bgColorMatch = style.match(/background-color:\s*([^;]+)/);
+                if (bgColorMatch && bgColorMatch[1]) {
+                  colorValue = bgColorMatch[1].trim();
+                }
+              }
+              
+              // If no background color, try to find image
+              if (!colorValue) {
+                const colorImage = colorItem.querySelector('img');
+                if (colorImage) {
+                  colorValue = colorImage.getAttribute('src');
+                }
+              }
+              
+              // Add color to variants
+              result.variants.colors.push({
+                text: colorName,
+                selected: isSelected,
+                value: colorValue
+              });
+              
+              Logger.debug(`Added Nocturne color: ${colorName}, Selected: ${isSelected}`);
+            } catch (e) {
+              Logger.error(`Error processing Nocturne color item: ${e.message}`);
+            }
+          }
+          
+          Logger.info(`✅ Extracted ${result.variants.colors.length} Nocturne colors`);
+        }
+      }
+      
+      // Extract size variants using the dedicated size extractor
+      const sizeResults = extractNocturneSizes();
+      if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
+        result.variants.sizes = sizeResults.sizes;
+        Logger.info(`✅ Added ${sizeResults.sizes.length} Nocturne sizes to result`);
+      }
+      
+      // Check if we have enough information to consider this successful
+      result.success = !!(result.title && result.price);
+      
+      // Log the final extraction result
+      Logger.info(`✅ Nocturne product extraction completed, success: ${result.success}`);
+      return result;
+    } catch (e) {
+      Logger.error(`❌ Error extracting Nocturne product: ${e.message}`);
+      return {
+        isProductPage: true,
+        success: false,
+        url: window.location.href,
+        brand: "Nocturne",
+        extractionMethod: "nocturne-specific",
+        error: e.message
+      };
+    }
+  }
+};
+
+// Function to extract Beymen product prices
+function extractBeymenPrices() {
+  try {
+    Logger.info("Extracting Beymen product prices");
+    let price = null;
+    let originalPrice = null;
+    let currency = "TRY";
+    
+    // Regular price in both scenarios (non-discounted and discounted)
+    const regularPriceElement = document.querySelector(".a-m-productPrice.-salePrice");
+    
+    if (regularPriceElement) {
+      let priceText = regularPriceElement.textContent.trim();
+      Logger.info(`Found regular price text: ${priceText}`);
+      
+      // Extract TL or another currency if present
+      if (priceText.includes("TL")) {
+        currency = "TRY";
+        priceText = priceText.replace("TL", "").trim();
+      } else if (priceText.includes("$")) {
+        currency = "USD";
+        priceText = priceText.replace("$", "").trim();
+      } else if (priceText.includes("€")) {
+        currency = "EUR";
+        priceText = priceText.replace("€", "").trim();
+      }
+      
+      // Turkish format: "5.150" is 5150
+      price = FormatUtils.formatPrice(priceText);
+      Logger.info(`Parsed regular price: ${price} ${currency}`);
+    }
+    
+    // Check for campaign price (discounted price)
+    const campaignPriceElement = document.querySelector(".m-price__campaignPrice");
+    
+    if (campaignPriceElement) {
+      // If campaign price exists, then the regular price becomes the original price
+      originalPrice = price;
+      
+      let discountedPriceText = campaignPriceElement.textContent.trim();
+      Logger.info(`Found campaign price text: ${discountedPriceText}`);
+      
+      // Extract TL or another currency if present
+      if (discountedPriceText.includes("TL")) {
+        discountedPriceText = discountedPriceText.replace("TL", "").trim();
+      }
+      
+      // Turkish format: "2.939,30" is 2939.30
+      price = FormatUtils.formatPrice(discountedPriceText);
+      Logger.info(`Parsed campaign price: ${price} ${currency}, original price: ${originalPrice}`);
+    }
+    
+    return { price, originalPrice, currency };
+  } catch (e) {
+    Logger.error("Error extracting Beymen prices", e);
+    return null;
+  }
+}
+
+// Function to extract Beymen size variants
+function extractBeymenSizes() {
+  try {
+    Logger.info("Extracting Beymen size variants");
+    const sizes = [];
+    
+    // Find the size wrapper
+    const sizeWrapper = document.querySelector(".m-variation__sizeWrapper");
+    
+    if (!sizeWrapper) {
+      Logger.warn("No size wrapper found for Beymen product");
+      return { sizes };
+    }
+    
+    // Find all size elements
+    const sizeElements = sizeWrapper.querySelectorAll(".m-variation__size");
+    
+    if (sizeElements.length === 0) {
+      Logger.warn("No size elements found for Beymen product");
+      return { sizes };
+    }
+    
+    Logger.info(`Found ${sizeElements.length} size elements`);
+    
+    // Process each size element
+    for (const sizeElement of sizeElements) {
+      try {
+        // Check if size is in stock (doesn't have -unStock class)
+        const isInStock = !sizeElement.classList.contains("-unStock");
+        
+        // Get the input and label elements
+        const input = sizeElement.querySelector("input");
+        const label = sizeElement.querySelector("label");
+        
+        if (!label) {
+          Logger.warn("Size element doesn't have a label, skipping");
+          continue;
+        }
+        
+        // Get the size text
+        const sizeText = DOMUtils.getTextContent(label).trim();
+        
+        // Check if size is selected
+        const isSelected = input ? input.checked : false;
+        
+        // Create size value object (as a JSON string)
+        const sizeValue = JSON.stringify({
+          size: sizeText,
+          inStock: isInStock,
+          sizeId: input ? input.value : null
+        });
+        
+        // Add size to sizes array
+        sizes.push({
+          text: sizeText,
+          selected: isSelected,
+          value: sizeValue
+        });
+        
+        Logger.debug(`Added size: ${sizeText}, inStock: ${isInStock}, selected: ${isSelected}`);
+      } catch (e) {
+        Logger.error(`Error processing size element: ${e.message}`);
+      }
+    }
+    
+    Logger.info(`Successfully extracted ${sizes.length} sizes for Beymen product`);
+    return { sizes };
+  } catch (e) {
+    Logger.error(`Error extracting Beymen sizes: ${e.message}`);
+    return { sizes: [] };
+  }
+}
+
+// Beymen Extractor
+const BeymenExtractor = {
+  isBeymen: function() {
+    return window.location.href.toLowerCase().includes('beymen.com');
+  },
+  
+  isBeymenProductUrl: function(url) {
+    if (!url) return false;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "beymen" && classification.pageType === "product";
+  },
+  
+  isBeymenNonProductUrl: function(url) {
+    if (!url) return false;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "beymen" && classification.pageType !== "product";
+  },
+  
+  extract: function() {
+    try {
+      Logger.info("Extracting Beymen product information");
+      
+      // Extract basic product information
+      // The title is a combination of brand and product description
+      const brandElement = document.querySelector("h1.o-productInformation__header--name a");
+      const descriptionElement = document.querySelector("p.o-productInformation__header--description");
+      
+      const brandText = brandElement ? DOMUtils.getTextContent(brandElement).trim() : "Beymen";
+      const descriptionText = descriptionElement ? DOMUtils.getTextContent(descriptionElement).trim() : "";
+      
+      // Combine brand and description to form the title
+      const title = descriptionText ? `${brandText} ${descriptionText}` : brandText;
+      
+      Logger.info(`Extracted title: ${title}`);
+      
+      // Extract image URL from the swiper container
+      const imageElement = document.querySelector(".swiper-zoom-container img, .o-productImage img");
+      const imageUrl = imageElement ? imageElement.getAttribute("src") : null;
+      
+      Logger.info(`Extracted image URL: ${imageUrl}`);
+      
+      // Extract price information using the Beymen-specific function
+      const priceInfo = extractBeymenPrices();
+      
+      // Use the brand we already extracted
+      const brand = brandText || "Beymen";
+      
+      // Extract description
+      const fullDescriptionEl = document.querySelector(".m-productDescription__content");
+      const description = fullDescriptionEl ? DOMUtils.getTextContent(fullDescriptionEl) : descriptionText;
+      
+      // Extract availability
+      const availabilityText = document.querySelector(".m-stockRetailStore__item") 
+        ? "In Stock" 
+        : "Check Availability";
+      
+      // Extract SKU/Product code
+      const skuElement = document.querySelector(".m-productCode");
+      const sku = skuElement ? DOMUtils.getTextContent(skuElement).replace("Ürün Kodu:", "").trim() : "";
+      
+      // Extract sizes
+      const sizeResults = extractBeymenSizes();
+      
+      // Create variants object
+      const variants = {};
+      
+      // Add sizes to variants if available
+      if (sizeResults.sizes && sizeResults.sizes.length > 0) {
+        variants.sizes = sizeResults.sizes;
+        Logger.info(`Added ${sizeResults.sizes.length} sizes to variants`);
+      }
+      
+      // Create product info object
+      const productInfo = {
+        isProductPage: true,
+        title: title,
+        price: priceInfo ? priceInfo.price : null,
+        originalPrice: priceInfo ? priceInfo.originalPrice : null,
+        currency: priceInfo ? priceInfo.currency : "TRY",
+        imageUrl: imageUrl,
+        description: description,
+        sku: sku,
+        availability: availabilityText,
+        brand: brand,
+        extractionMethod: "beymen-specific",
+        url: window.location.href,
+        success: true,
+        variants: variants
+      };
+      
+      Logger.info("Successfully extracted Beymen product information");
+      return productInfo;
+    } catch (e) {
+      Logger.error("Error in Beymen extractor", e);
+      return null;
+    }
+  }
+};
+
+// Louis Vuitton Extractor - For extracting Louis Vuitton product information
+const LouisVuittonExtractor = {
+  isLouisVuitton: function() {
+    return window.location.hostname.toLowerCase().includes('louisvuitton.com');
+  },
+  
+  // Model numbers such as M46234, N41358 or 1A8X7V
+  skuPattern: /^[A-Z0-9]{6,7}$/,
+  
+  // Material and color swatches, each linking to its own model's page
+  swatchSelectors: [
+    '.lv-product-variations__item',
+    '.lv-product-variation-selector__item',
+    '.lv-product-color-selector__item',
+    '[data-testid="variation-item"]'
+  ],
+  
+  // Select { color, size }. Colors are the material swatches, whose models
+  // are read from their own pages rather than navigated to.
+  selectVariant: function(args) {
+    return VariantSelector.select(args, {
+      color: [
+        {
+          selector: this.swatchSelectors.join(', '),
+          label: (swatch) => this.variationName(swatch),
+          target: (swatch) => this.variationLink(swatch) || swatch,
+        },
+      ],
+      size: [
+        {
+          selector: '.lv-product-size-selector__item, .lv-size-list__item, .lv-product__sizes li, [data-testid="size-item"]',
+          label: (item) => DOMUtils.getTextContent(item.querySelector('.lv-size-list__label, span') || item),
+          target: (item) => (item.matches('button') ? item : item.querySelector('button')),
+        },
+      ],
+    }, (root, url) => this.extract(root, url));
+  },
+  
+  extract: async function(root = document, url = window.location.href) {
+    try {
+      Logger.info("Extracting product data for Louis Vuitton");
+      
+      // JSON-LD, where present, fills in what the page markup lacks
+      const structured = BaseExtractor.extractStructuredData(root, url);
+      
+      const result = BaseExtractor.createResultObject(url);
+      result.brand = "Louis Vuitton";
+      result.extractionMethod = "louisvuitton-specific";
+      
+      // Extract title
+      const titleSelectors = [
+        '.lv-product__name',
+        '.lv-product__title',
+        'h1.lv-product-name',
+        '[data-testid="product-name"]',
+        'h1'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors, root);
+      result.title = titleElement
+        ? DOMUtils.getTextContent(titleElement)
+        : (structured && structured.title) || null;
+      Logger.debug(`Found Louis Vuitton title: ${result.title}`);
+      
+      // Extract SKU: the model number is the last URL segment
+      // (/products/neverfull-mm-monogram-nvprod440003v/M40995) and is also
+      // printed on the page
+      const urlSku = new URL(url, window.location.href).pathname.split('/').filter(Boolean).pop() || '';
+      const skuSelectors = [
+        '.lv-product__sku',
+        '.lv-product-sku',
+        '[data-testid="product-sku"]'
+      ];
+      const skuElement = DOMUtils.querySelector(skuSelectors, root);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement).replace(/^(ref\.?|sku|model)\s*:?\s*/i, '').trim();
+      } else if (this.skuPattern.test(urlSku)) {
+        result.sku = urlSku;
+      } else if (structured && structured.sku) {
+        result.sku = structured.sku;
       }
+      if (result.sku) Logger.debug(`Found Louis Vuitton SKU: ${result.sku}`);
       
-      // Extract containers (cup sizes) and store as otherOptions
-      try {
-        const containerVariants = [];
-        // Find the container section - look for the one with "Container" text
-        const containerSections = document.querySelectorAll('.eksecenekLine.kutuluvaryasyon');
-        let containerSection = null;
-        
-        for (const section of containerSections) {
-          const leftLine = section.querySelector('.left_line');
-          if (leftLine && (DOMUtils.getTextContent(leftLine).toLowerCase().includes('container') ||
-                          DOMUtils.getTextContent(leftLine).toLowerCase().includes('kap'))) {
-            containerSection = section;
-            break;
-          }
-        }
-        
-        if (containerSection) {
-          const containerItems = containerSection.querySelectorAll('.size_box');
-          
-          containerItems.forEach(item => {
-            try {
-              const containerText = DOMUtils.getTextContent(item).trim();
-              const isSelected = item.classList.contains('selected') || item.classList.contains('selected show');
-              const stock = parseInt(item.getAttribute('data-stock') || '0', 10);
-              const isInStock = stock > 0 && !item.classList.contains('nostok');
-              
-              // Create container variant option with availability info
-              const containerVariant = {
-                text: containerText,
-                selected: isSelected,
-                value: JSON.stringify({
-                  size: containerText,
-                  inStock: isInStock,
-                  stock: stock
-                })
-              };
-              
-              containerVariants.push(containerVariant);
-              Logger.debug(`Found container variant: ${containerText}, selected: ${isSelected}, inStock: ${isInStock}, stock: ${stock}`);
-            } catch (e) {
-              Logger.error('Error processing container variant item:', e);
-            }
-          });
-          
-          if (containerVariants.length > 0) {
-            // Store cup sizes as a separate variant type for product details
-            result.variants.cupSizes = containerVariants;
-            Logger.debug(`Extracted ${containerVariants.length} cup size variants`);
-            
-            // Check if we have band sizes to create combined sizes
-            if (result.variants.sizes && result.variants.sizes.length > 0) {
-              // Get selected band size (first one if multiple are selected)
-              const selectedBand = result.variants.sizes[0].text;
-              let selectedBandIsInStock = true;
-              
-              try {
-                const bandValue = JSON.parse(result.variants.sizes[0].value);
-                selectedBandIsInStock = bandValue.inStock;
-              } catch (e) {
-                Logger.error('Error parsing band value JSON:', e);
-              }
-              
-              // Create a combined sizes array that includes band + cup for each available cup size
-              const fullSizes = [];
-              
-              containerVariants.forEach(cup => {
-                // Only create combinations for in-stock cup sizes
-                let cupIsInStock = false;
-                
-                try {
-                  const cupValue = JSON.parse(cup.value);
-                  cupIsInStock = cupValue.inStock;
-                } catch (e) {
-                  Logger.error('Error parsing cup value JSON:', e);
-                }
-                
-                // Only create a variant if both band and cup are in stock
-                if (selectedBandIsInStock && cupIsInStock) {
-                  const combinedSize = {
-                    text: `${selectedBand}${cup.text}`,
-                    selected: cup.selected, // Cup selection state determines combined selection
-                    value: JSON.stringify({
-                      size: `${selectedBand}${cup.text}`,
-                      inStock: true,
-                      bandSize: selectedBand,
-                      cupSize: cup.text
-                    })
-                  };
-                  
-                  fullSizes.push(combinedSize);
-                }
-              });
-              
-              // If we have combined sizes, use these instead of just band sizes
-              if (fullSizes.length > 0) {
-                // Replace the sizes array with the combined sizes
-                result.variants.sizes = fullSizes;
-                Logger.debug(`Created ${fullSizes.length} combined sizes for band ${selectedBand}`);
-              }
-            }
-          }
-        }
-      } catch (e) {
-        Logger.error('Error extracting container variants:', e);
+      // Extract price, or note that the price is given on request
+      this.extractPrice(result, structured, root);
+      
+      // Extract image: the first gallery image, else og:image. Recommendation
+      // tiles further down the page also match a plain "img" selector.
+      const imageSelectors = [
+        '.lv-product-page-header__media img',
+        '.lv-product-visual img',
+        '.lv-product__media img',
+        '.lv-smart-picture img'
+      ];
+      const imageElement = DOMUtils.querySelector(imageSelectors, root);
+      const imageUrl = imageElement
+        ? FormatUtils.getImageSource(imageElement)
+        : DOMUtils.getAttribute(root.querySelector('meta[property="og:image"]'), 'content');
+      if (imageUrl) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
+        Logger.debug(`Found Louis Vuitton image: ${result.imageUrl}`);
       }
       
-      // Mark as successful if we have at least title and price
-      result.success = !!(result.title && result.price);
+      // Extract description
+      const descriptionSelectors = [
+        '.lv-product-detailed-features__description',
+        '.lv-product-description',
+        '[data-testid="product-description"]'
+      ];
+      const descriptionElement = DOMUtils.querySelector(descriptionSelectors, root);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      } else if (structured && structured.description) {
+        result.description = structured.description;
+      }
+      
+      if (structured && structured.availability) {
+        result.availability = structured.availability;
+      }
+      
+      // Extract material/color variants and sizes
+      this.extractLouisVuittonVariations(result, root, url);
+      this.extractLouisVuittonSizes(result, root);
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+      
+      // A price on request still makes a complete product
+      result.success = !!(result.title && (result.price || result.priceOnRequest));
+      
+      // Price, SKU and sizes of the other models come from their own pages
+      if (root === document) {
+        await VariantPageFetcher.aggregate(result, this.variantLinks(root), (page, pageUrl) =>
+          this.extract(page, pageUrl)
+        );
+      }
       
       return result;
     } catch (e) {
-      Logger.error("Error extracting Victoria's Secret product data:", e);
+      Logger.error("Error extracting Louis Vuitton product data", e);
       return {
         isProductPage: true,
         success: false,
-        brand: "Victoria's Secret",
-        url: window.location.href,
-        extractionMethod: "victoriassecret-specific",
+        brand: "Louis Vuitton",
+        url: url,
+        extractionMethod: "louisvuitton-specific",
         error: e.message
       };
     }
-  }
-};
-
-// Nocturne size extraction
-function extractNocturneSizes() {
-  const results = { sizes: [] };
+  },
   
-  try {
-    Logger.info("🔍 Attempting to extract Nocturne sizes");
-    
-    // Log the current URL for debugging
-    Logger.debug(`Current URL: ${window.location.href}`);
+  extractPrice: function(result, structured, root = document) {
+    const priceSelectors = [
+      '.lv-product__price',
+      '.lv-product-price',
+      '.lv-price',
+      '[data-testid="product-price"]'
+    ];
     
-    // Find the size list container
-    const sizeContainer = document.querySelector('ul.size-list[data-js="size-list"]');
+    const priceElement = DOMUtils.querySelector(priceSelectors, root);
+    const priceText = priceElement ? DOMUtils.getTextContent(priceElement) : '';
     
-    if (!sizeContainer) {
-      Logger.warn("No size list container found on Nocturne product page");
-      return results;
+    if (priceText && !FormatUtils.isPriceOnRequest(priceText) && /\d/.test(priceText)) {
+      result.price = FormatUtils.formatPrice(priceText);
+      result.currency = FormatUtils.detectCurrency(priceText);
+      Logger.debug(`Found Louis Vuitton price: ${result.price} ${result.currency}`);
+      return;
     }
     
-    Logger.debug(`Found Nocturne size container: ${sizeContainer.tagName}`);
-    
-    // Get all size items
-    const sizeItems = sizeContainer.querySelectorAll('li.size-item[data-js="size-item"]');
-    Logger.debug(`Found ${sizeItems.length} size items`);
+    if (structured && structured.price) {
+      result.price = structured.price;
+      result.currency = structured.currency || null;
+      Logger.debug(`Found Louis Vuitton price in JSON-LD: ${result.price}`);
+      return;
+    }
     
-    // Process each size item
-    for (const sizeItem of sizeItems) {
-      try {
-        // Extract size information
-        const sizeName = sizeItem.getAttribute('data-name');
-        const stockCount = parseInt(sizeItem.getAttribute('data-stock') || '0', 10);
-        const isSelected = sizeItem.getAttribute('data-state') === 'True';
-        const status = sizeItem.getAttribute('data-status') || '';
-        
-        // Skip if size name is missing
-        if (!sizeName) {
-          continue;
-        }
+    // No price: look for the "price on request" wording in the price slot
+    // or the purchase panel
+    const panel = root.querySelector('.lv-product__purchase, .lv-product-purchase, .lv-product__details');
+    const panelText = priceText || (panel ? DOMUtils.getTextContent(panel) : '');
+    if (FormatUtils.isPriceOnRequest(panelText)) {
+      result.price = null;
+      result.priceOnRequest = true;
+      Logger.info("Louis Vuitton price is given on request");
+    }
+  },
+  
+  // The link (or button) of a swatch
+  variationLink: function(swatch) {
+    return swatch.matches('a') ? swatch : swatch.querySelector('a, button');
+  },
+  
+  // Name of a swatch's model, as listed in colors and variant links
+  variationName: function(swatch) {
+    const link = this.variationLink(swatch);
+    const img = swatch.querySelector('img');
+    const name = DOMUtils.getAttribute(link, 'aria-label') ||
+                 DOMUtils.getAttribute(swatch, 'title') ||
+                 DOMUtils.getAttribute(img, 'alt') ||
+                 DOMUtils.getTextContent(swatch);
+    return name ? name.trim() : '';
+  },
+  
+  // Swatch links to the other models' pages: [{ text, url }]
+  variantLinks: function(root) {
+    return VariantPageFetcher.linksFrom(
+      root,
+      this.swatchSelectors.join(', '),
+      (swatch) => this.variationName(swatch),
+      (swatch) => {
+        const link = this.variationLink(swatch);
+        return link ? link.getAttribute('href') : null;
+      }
+    );
+  },
+  
+  // Material and color swatches. Each links to its own model's page; the
+  // one for url is marked selected.
+  extractLouisVuittonVariations: function(result, root = document, url = window.location.href) {
+    try {
+      const swatches = DOMUtils.querySelectorAll(this.swatchSelectors, root);
+      const pageUrl = VariantPageFetcher.resolveUrl(url);
+      
+      for (const swatch of swatches) {
+        const link = this.variationLink(swatch);
+        const img = swatch.querySelector('img');
+        const name = this.variationName(swatch);
+        if (!name || result.variants.colors.some((color) => color.text === name)) continue;
         
-        // Determine stock status
-        const isInStock = stockCount > 0;
+        const href = link ? link.getAttribute('href') : null;
+        const isSelected = swatch.classList.contains('-selected') ||
+                           swatch.classList.contains('is-selected') ||
+                           DOMUtils.getAttribute(link, 'aria-current') === 'true' ||
+                           DOMUtils.getAttribute(link, 'aria-current') === 'page' ||
+                           (href !== null && VariantPageFetcher.resolveUrl(href) === pageUrl);
         
-        // Check if this is limited stock
-        const isLimitedStock = status.includes('Son');
+        result.variants.colors.push({
+          text: name,
+          selected: isSelected,
+          value: img ? FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(img)) : name
+        });
         
-        // Create the value object with stock information
-        const valueObject = {
-          size: sizeName,
-          inStock: isInStock,
-          limitedStock: isLimitedStock,
-          stockCount: stockCount
-        };
+        Logger.debug(`Added Louis Vuitton variation: ${name}, selected: ${isSelected}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Louis Vuitton variations", e);
+    }
+  },
+  
+  // Sizes for shoes, belts and rings
+  extractLouisVuittonSizes: function(result, root = document) {
+    try {
+      const sizeSelectors = [
+        '.lv-product-size-selector__item',
+        '.lv-size-list__item',
+        '.lv-product__sizes li',
+        '[data-testid="size-item"]'
+      ];
+      
+      const sizeItems = DOMUtils.querySelectorAll(sizeSelectors, root);
+      
+      for (const item of sizeItems) {
+        const sizeText = DOMUtils.getTextContent(item.querySelector('.lv-size-list__label, span') || item);
+        if (!sizeText || result.variants.sizes.some((size) => size.text === sizeText)) continue;
         
-        // If there's a status, add it to the value object
-        if (status) {
-          valueObject.status = status;
-        }
+        const button = item.matches('button') ? item : item.querySelector('button');
+        const isUnavailable = item.classList.contains('-unavailable') ||
+                              item.classList.contains('-disabled') ||
+                              item.classList.contains('is-disabled') ||
+                              (button !== null && (button.disabled || button.getAttribute('aria-disabled') === 'true'));
+        const isSelected = item.classList.contains('-selected') ||
+                           item.classList.contains('is-selected') ||
+                           DOMUtils.getAttribute(button, 'aria-pressed') === 'true' ||
+                           DOMUtils.getAttribute(button, 'aria-checked') === 'true';
         
-        // Add size to results
-        results.sizes.push({
-          text: sizeName,
-          selected: isSelected,
-          value: JSON.stringify(valueObject)
-        });
+        result.variants.sizes.push(
+          BaseExtractor.createSizeOption(sizeText, isSelected, { inStock: !isUnavailable })
+        );
         
-        Logger.debug(`Added Nocturne size: ${sizeName}, Selected: ${isSelected}, InStock: ${isInStock}, Stock count: ${stockCount}`);
-      } catch (e) {
-        Logger.error(`Error processing Nocturne size item: ${e.message}`);
+        Logger.debug(`Added Louis Vuitton size: ${sizeText}, available: ${!isUnavailable}`);
       }
+    } catch (e) {
+      Logger.warn("Error extracting Louis Vuitton sizes", e);
     }
-    
-    Logger.info(`✅ Extracted ${results.sizes.length} Nocturne sizes`);
-  } catch (e) {
-    Logger.error(`❌ Error extracting Nocturne sizes: ${e.message}`);
   }
-  
-  return results;
-}
+};
 
-const NocturneExtractor = {
-  // Check if current site is Nocturne
-  isSiteNocturne: function() {
-    return window.location.href.includes('nocturne.com.tr');
-  },
-  
-  // Check if URL is a Nocturne product page
-  isNocturneProductUrl: function(url) {
-    if (!url) url = window.location.href;
-    const nocturneProductPattern = /nocturne\.com\.tr\/.*_\d+($|\?)/;
-    return nocturneProductPattern.test(url);
-  },
-  
-  // Check if URL is a Nocturne non-product page
-  isNocturneNonProductUrl: function(url) {
-    if (!url) url = window.location.href;
-    const nocturneNonProductPattern = /nocturne\.com\.tr\/(ust-giyim|aksesuar|indirim|giyim|alt-giyim|dis-giyim|plaj-giyim)?$/;
-    return nocturneNonProductPattern.test(url);
+// Miu Miu Extractor - For extracting Miu Miu product information
+const MiuMiuExtractor = {
+  isMiuMiu: function() {
+    return window.location.hostname.toLowerCase().includes('miumiu.com');
   },
   
-  // Extract product information from Nocturne
+  // Labels shown above the title, by the English name they are reported as
+  labelPatterns: [
+    { label: "Made to order", pattern: /made to order|sipariş üzerine|siparişe özel/i },
+    { label: "Online exclusive", pattern: /online exclusive|exclusively online|online'?a özel|sadece online|çevrimiçi özel/i }
+  ],
+  
   extract: function() {
     try {
-      Logger.info("🛍️ Extracting Nocturne product information");
+      Logger.info("Extracting product data for Miu Miu");
       
-      // Create base result object with common properties
-      const result = {
-        isProductPage: true,
-        success: true,
-        url: window.location.href,
-        brand: "Nocturne",
-        extractionMethod: "nocturne-specific",
-        variants: {}
-      };
+      const structured = BaseExtractor.extractStructuredData();
       
-      // Extract product title
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Miu Miu";
+      result.extractionMethod = "miumiu-specific";
+      
+      // Extract title
       const titleSelectors = [
+        '.product-details__name',
+        '.pdp-product-info__name',
         'h1.product-name',
-        '.product-detail h1',
-        '#product-name'
+        '[data-element="product-name"]'
       ];
       
-      for (const selector of titleSelectors) {
-        const titleElement = document.querySelector(selector);
-        if (titleElement) {
-          result.title = titleElement.textContent.trim();
-          break;
-        }
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      result.title = titleElement
+        ? DOMUtils.getTextContent(titleElement)
+        : (structured && structured.title) || null;
+      Logger.debug(`Found Miu Miu title: ${result.title}`);
+      
+      // Extract SKU: the product code closes the URL
+      // (/tr/tr/p/poplin-shirt/MK1398_11GY_F0009_S_OOO)
+      const codeMatch = window.location.pathname.match(/\/([A-Z0-9]+(?:_[A-Z0-9]+)+)(?:\.html)?\/?$/);
+      const skuElement = DOMUtils.querySelector(['.product-details__code', '.pdp-product-info__code', '[data-element="product-code"]']);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement).replace(/^(ürün kodu|product code|code)\s*:?\s*/i, '').trim();
+      } else if (codeMatch) {
+        result.sku = codeMatch[1];
+      } else if (structured && structured.sku) {
+        result.sku = structured.sku;
       }
       
-      // Extract product price - Enhanced to handle different price structures
-      // Find the price container first
-      const priceContainer = document.querySelector('.product-price');
-      if (priceContainer) {
-        // Check for discounted price scenario (has old-price and new-price)
-        const oldPriceElement = priceContainer.querySelector('.old-price');
-        const newPriceElement = priceContainer.querySelector('.new-price');
-        
-        if (newPriceElement) {
-          // Get the current price from new-price element
-          let currentPriceText = newPriceElement.textContent.trim();
-          
-          // Handle nested font elements if present
-          if (currentPriceText.length === 0 && newPriceElement.querySelector('font')) {
-            const fontElements = newPriceElement.querySelectorAll('font');
-            for (const fontElement of fontElements) {
-              const textContent = fontElement.textContent.trim();
-              if (textContent.length > 0) {
-                currentPriceText = textContent;
-                break;
-              }
-            }
-          }
-          
-          Logger.debug(`Raw price text: ${currentPriceText}`);
-          
-          // Extract and clean the price text
-          // Remove currency symbol and non-numeric characters except decimal separator
-          currentPriceText = currentPriceText.replace(/[^\d,\.]/g, '');
-          
-          // Handle special case for Nocturne abbreviated prices
-          // If price appears to be abbreviated (like 2,65 instead of 2.650,00)
-          // Looking at the screenshot, prices are in thousands (2,65 means 2.650 TL)
-          // Check if it's likely an abbreviated price (less than 100 and has comma)
-          const priceValue = parseFloat(currentPriceText.replace(',', '.'));
-          if (priceValue < 100 && currentPriceText.includes(',')) {
-            // Multiply by 1000 to get the full price
-            result.price = priceValue * 1000;
-            Logger.debug(`Detected abbreviated price: ${currentPriceText} → ${result.price}`);
-          } else {
-            // Normal case - just convert to number
-            result.price = priceValue;
-            Logger.debug(`Standard price format: ${result.price}`);
-          }
-          
-          // Set currency (always TRY for Turkish Lira)
-          result.currency = 'TRY';
-        }
-        
-        // If old-price element exists, extract original price for discounted items
-        if (oldPriceElement) {
-          let originalPriceText = oldPriceElement.textContent.trim();
-          Logger.debug(`Raw original price text: ${originalPriceText}`);
-          
-          // Extract and clean the original price text
-          originalPriceText = originalPriceText.replace(/[^\d,\.]/g, '');
-          
-          // Handle abbreviated prices the same way
-          const originalPriceValue = parseFloat(originalPriceText.replace(',', '.'));
-          if (originalPriceValue < 100 && originalPriceText.includes(',')) {
-            // Multiply by 1000 to get the full price
-            result.originalPrice = originalPriceValue * 1000;
-            Logger.debug(`Detected abbreviated original price: ${originalPriceText} → ${result.originalPrice}`);
-          } else {
-            // Normal case - just convert to number
-            result.originalPrice = originalPriceValue;
-            Logger.debug(`Standard original price format: ${result.originalPrice}`);
-          }
-        }
-        
-        // Check for discount badge
-        const discountBadge = priceContainer.querySelector('.badge.new-black-badge');
-        if (discountBadge) {
-          const discountText = discountBadge.textContent.trim();
-          if (discountText) {
-            // Store discount information for debugging
-            Logger.debug(`Found discount badge: ${discountText}`);
-          }
-        }
-      } else {
-        Logger.warn("Could not find price container on Nocturne product page");
+      // Extract price; the Turkish site lists prices in TRY
+      const priceSelectors = [
+        '.product-details__price',
+        '.pdp-product-info__price',
+        '.product-price',
+        '[data-element="product-price"]'
+      ];
+      
+      const priceElement = DOMUtils.querySelector(priceSelectors);
+      const priceText = priceElement ? DOMUtils.getTextContent(priceElement) : '';
+      if (FormatUtils.isPriceOnRequest(priceText)) {
+        result.price = null;
+        result.priceOnRequest = true;
+        Logger.info("Miu Miu price is given on request");
+      } else if (priceText && /\d/.test(priceText)) {
+        result.price = FormatUtils.formatPrice(priceText);
+        result.currency = FormatUtils.detectCurrency(priceText) ||
+          (window.location.pathname.startsWith('/tr/') ? "TRY" : null);
+        Logger.debug(`Found Miu Miu price: ${result.price} ${result.currency}`);
+      } else if (structured && structured.price) {
+        result.price = structured.price;
+        result.currency = structured.currency || null;
       }
       
-      // Extract product image
+      // Extract image
       const imageSelectors = [
-        '.p-main-image img', // Main Nocturne product image selector
-        '.active-main img',  // Another main image selector for Nocturne
-        '.product-image img',
-        '.product-detail-image img',
-        '#product-zoom'
+        '.product-gallery img',
+        '.pdp-gallery img',
+        '.product-details__gallery img'
       ];
-      
-      for (const selector of imageSelectors) {
-        const imageElement = document.querySelector(selector);
-        if (imageElement) {
-          // Get image source (prefer high-resolution version)
-          result.imageUrl = imageElement.getAttribute('src') || imageElement.getAttribute('data-src');
-          Logger.debug(`Found product image: ${result.imageUrl}`);
-          break;
-        }
+      const imageElement = DOMUtils.querySelector(imageSelectors);
+      const imageUrl = imageElement
+        ? FormatUtils.getImageSource(imageElement)
+        : DOMUtils.getAttribute(document.querySelector('meta[property="og:image"]'), 'content');
+      if (imageUrl) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(imageUrl);
       }
       
-      // If no image found with selectors, try alternative approach for Nocturne
-      if (!result.imageUrl) {
-        // Try to find the main image container - exact match for the HTML structure provided
-        const mainImageContainer = document.querySelector('.p-main-image.easyzoom--overlay');
-        if (mainImageContainer) {
-          // Look for the link inside it
-          const mainImageLink = mainImageContainer.querySelector('a.active-main');
-          if (mainImageLink) {
-            // Look for img within the link
-            const mainImage = mainImageLink.querySelector('img');
-            if (mainImage) {
-              result.imageUrl = mainImage.getAttribute('src');
-              Logger.debug(`Found product image through exact structure match: ${result.imageUrl}`);
-            } else {
-              // If no image found in link but link has an href, use that as fallback
-              const highResImageUrl = mainImageLink.getAttribute('href');
-              if (highResImageUrl) {
-                result.imageUrl = highResImageUrl;
-                Logger.debug(`Using high-res image from link href: ${result.imageUrl}`);
-              }
-            }
-          }
-        }
+      // Extract description
+      const descriptionElement = DOMUtils.querySelector([
+        '.product-details__description',
+        '.pdp-product-info__description',
+        '[data-element="product-description"]'
+      ]);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      } else if (structured && structured.description) {
+        result.description = structured.description;
       }
       
-      // Extract product description
-      const descriptionSelectors = [
-        '.product-description',
-        '.detail-description',
-        '#accordion .accordion-body'
-      ];
+      this.extractMiuMiuAttributes(result);
+      this.extractMiuMiuColors(result);
+      this.extractMiuMiuSizes(result);
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
       
-      for (const selector of descriptionSelectors) {
-        const descriptionElement = document.querySelector(selector);
-        if (descriptionElement) {
-          result.description = descriptionElement.textContent.trim();
+      result.success = !!(result.title && (result.price || result.priceOnRequest));
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Miu Miu product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Miu Miu",
+        url: window.location.href,
+        extractionMethod: "miumiu-specific",
+        error: e.message
+      };
+    }
+  },
+  
+  // Material composition from the details list, and the made-to-order and
+  // online-exclusive labels
+  extractMiuMiuAttributes: function(result) {
+    try {
+      const detailItems = DOMUtils.querySelectorAll([
+        '.product-details__composition',
+        '.pdp-details__composition',
+        '.product-details__list li',
+        '.pdp-details li'
+      ]);
+      
+      for (const item of detailItems) {
+        const text = DOMUtils.getTextContent(item);
+        const match = text.match(/^(composition|material|malzeme|materyal|içerik|kompozisyon)\s*:?\s*(.+)$/i);
+        if (match) {
+          result.attributes = Object.assign({}, result.attributes, { composition: match[2].trim() });
           break;
         }
-      }
-      
-      // Extract product SKU
-      const skuSelectors = [
-        '.product-sku',
-        '.sku-code'
-      ];
-      
-      for (const selector of skuSelectors) {
-        const skuElement = document.querySelector(selector);
-        if (skuElement) {
-          result.sku = skuElement.textContent.trim();
+        // Dedicated composition elements carry the text alone
+        if (item.matches('.product-details__composition, .pdp-details__composition') && text) {
+          result.attributes = Object.assign({}, result.attributes, { composition: text });
           break;
         }
       }
       
-      // Extract color variants
-      const colorContainer = document.querySelector('.color-list, .variant-group:has(.color-box)');
-      if (colorContainer) {
-        const colorItems = colorContainer.querySelectorAll('.color-box, .color-item');
-        if (colorItems && colorItems.length > 0) {
-          result.variants.colors = [];
-          
-          for (const colorItem of colorItems) {
-            try {
-              // Get color name
-              let colorName = colorItem.getAttribute('title') || colorItem.getAttribute('data-title');
-              
-              // If no title attribute, try to get from child elements
-              if (!colorName) {
-                const nameElement = colorItem.querySelector('.color-name');
-                if (nameElement) {
-                  colorName = nameElement.textContent.trim();
-                }
-              }
-              
-              // Skip if no color name found
-              if (!colorName) continue;
-              
-              // Check if this color is selected
-              const isSelected = colorItem.classList.contains('selected') || 
-                               colorItem.hasAttribute('selected') ||
-                               colorItem.getAttribute('data-selected') === 'true';
-              
-              // Get color value (might be a background color or image)
-              let colorValue = null;
-              
-              // Try to get background color
-              const style = colorItem.getAttribute('style');
-              if (style && style.includes('background-color')) {
-                const bgColorMatch = style.match(/background-color:\s*([^;]+)/);
-                if (bgColorMatch && bgColorMatch[1]) {
-                  colorValue = bgColorMatch[1].trim();
-                }
-              }
-              
-              // If no background color, try to find image
-              if (!colorValue) {
-                const colorImage = colorItem.querySelector('img');
-                if (colorImage) {
-                  colorValue = colorImage.getAttribute('src');
-                }
-              }
-              
-              // Add color to variants
-              result.variants.colors.push({
-                text: colorName,
-                selected: isSelected,
-                value: colorValue
-              });
-              
-              Logger.debug(`Added Nocturne color: ${colorName}, Selected: ${isSelected}`);
-            } catch (e) {
-              Logger.error(`Error processing Nocturne color item: ${e.message}`);
-            }
-          }
-          
-          Logger.info(`✅ Extracted ${result.variants.colors.length} Nocturne colors`);
+      const labelElements = document.querySelectorAll(
+        '.product-details__label, .pdp-product-info__label, .product-badge, .product-details__tag'
+      );
+      const labelText = Array.from(labelElements).map((element) => DOMUtils.getTextContent(element)).join(' ');
+      const labels = this.labelPatterns
+        .filter((entry) => entry.pattern.test(labelText))
+        .map((entry) => entry.label);
+      if (labels.length > 0) {
+        result.labels = labels;
+        Logger.debug(`Found Miu Miu labels: ${labels.join(', ')}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Miu Miu attributes", e);
+    }
+  },
+  
+  extractMiuMiuColors: function(result) {
+    try {
+      const swatches = DOMUtils.querySelectorAll([
+        '.color-picker__item',
+        '.pdp-color-selector__item',
+        '.product-details__colors li'
+      ]);
+      
+      for (const swatch of swatches) {
+        const control = swatch.matches('a, button') ? swatch : swatch.querySelector('a, button') || swatch;
+        const img = swatch.querySelector('img');
+        const name = DOMUtils.getAttribute(control, 'aria-label') ||
+                     DOMUtils.getAttribute(swatch, 'title') ||
+                     DOMUtils.getAttribute(img, 'alt') ||
+                     DOMUtils.getTextContent(swatch);
+        if (!name || result.variants.colors.some((color) => color.text === name)) continue;
+        
+        const isSelected = swatch.classList.contains('is-selected') ||
+                           swatch.classList.contains('-selected') ||
+                           DOMUtils.getAttribute(control, 'aria-current') === 'true' ||
+                           DOMUtils.getAttribute(control, 'aria-checked') === 'true';
+        const isUnavailable = swatch.classList.contains('is-disabled') ||
+                              swatch.classList.contains('is-soldout');
+        
+        result.variants.colors.push({
+          text: name.trim(),
+          selected: isSelected,
+          value: img ? FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(img)) : name.trim(),
+          inStock: !isUnavailable
+        });
+        
+        Logger.debug(`Added Miu Miu color: ${name}, selected: ${isSelected}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Miu Miu colors", e);
+    }
+  },
+  
+  // Size grid; sold-out sizes stay listed but disabled
+  extractMiuMiuSizes: function(result) {
+    try {
+      const sizeItems = DOMUtils.querySelectorAll([
+        '.size-picker__item',
+        '.pdp-size-selector__item',
+        '.size-grid button',
+        'select[name="size"] option'
+      ]);
+      
+      for (const item of sizeItems) {
+        const sizeText = (DOMUtils.getAttribute(item, 'data-size') || DOMUtils.getTextContent(item)).trim();
+        if (!sizeText || /^(beden seçin|select size|size)$/i.test(sizeText)) continue;
+        if (result.variants.sizes.some((size) => size.text === sizeText)) continue;
+        
+        const control = item.matches('button, option') ? item : item.querySelector('button, input') || item;
+        const isUnavailable = control.disabled === true ||
+                              control.getAttribute('aria-disabled') === 'true' ||
+                              item.classList.contains('is-disabled') ||
+                              item.classList.contains('is-soldout');
+        const isSelected = item.classList.contains('is-selected') ||
+                           control.selected === true ||
+                           control.checked === true ||
+                           control.getAttribute('aria-checked') === 'true';
+        
+        result.variants.sizes.push(
+          BaseExtractor.createSizeOption(sizeText, isSelected, { inStock: !isUnavailable })
+        );
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Miu Miu sizes", e);
+    }
+  }
+};
+
+// Lacoste Extractor - For extracting Lacoste Turkey product information
+const LacosteExtractor = {
+  isLacoste: function() {
+    return window.location.hostname.toLowerCase().includes('lacoste.com.tr');
+  },
+  
+  // Polo sizes are numbered 2-8; their letter equivalents
+  poloSizes: { "2": "XS", "3": "S", "4": "M", "5": "L", "6": "XL", "7": "2XL", "8": "3XL" },
+  
+  // Fit names as reported, by the wording on the page
+  fitPatterns: [
+    { fit: "Slim", pattern: /slim fit|dar kesim/i },
+    { fit: "Regular", pattern: /regular fit|normal kesim/i },
+    { fit: "Classic", pattern: /classic fit|klasik kesim/i },
+    { fit: "Relaxed", pattern: /relaxed fit|loose fit|rahat kesim|bol kesim/i }
+  ],
+  
+  // Product pages, by URL or by the product DOM (see URL_RULES)
+  isLacosteProductPage: function() {
+    const classification = UrlClassifier.classify(window.location.href);
+    return classification.site === "lacoste" && classification.pageType === "product";
+  },
+  
+  extract: function() {
+    try {
+      if (!this.isLacosteProductPage()) {
+        Logger.info("Not a Lacoste product page, skipping Lacoste extraction");
+        return null;
+      }
+      
+      Logger.info("Extracting product data for Lacoste");
+      
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Lacoste";
+      result.extractionMethod = "lacoste-specific";
+      result.currency = "TRY";
+      
+      // Extract title
+      const titleSelectors = [
+        '.product-detail__name',
+        '.product-name h1',
+        'h1.product-title',
+        '.pdp-title'
+      ];
+      
+      const titleElement = DOMUtils.querySelector(titleSelectors);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Lacoste title: ${result.title}`);
+      }
+      
+      // Extract reference code, e.g. "PH4012 00 031"
+      const skuSelectors = [
+        '.product-detail__code',
+        '.product-code',
+        '.product-reference',
+        '[data-testid="product-code"]'
+      ];
+      
+      const skuElement = DOMUtils.querySelector(skuSelectors);
+      if (skuElement) {
+        result.sku = DOMUtils.getTextContent(skuElement)
+          .replace(/^(ürün kodu|referans|ref\.?|model)\s*:?\s*/i, '')
+          .trim();
+        Logger.debug(`Found Lacoste reference: ${result.sku}`);
+      }
+      
+      // Extract prices: the sale price, and the struck-through original when
+      // the product is discounted
+      const priceSelectors = [
+        '.product-detail__price .sale-price',
+        '.product-price .sale-price',
+        '.product-detail__price .price',
+        '.product-price .price',
+        '.product-price'
+      ];
+      const originalPriceSelectors = [
+        '.product-detail__price .old-price',
+        '.product-price .old-price',
+        '.product-price del',
+        '.product-price .retail-price'
+      ];
+      
+      const priceElement = DOMUtils.querySelector(priceSelectors);
+      if (priceElement) {
+        result.price = FormatUtils.formatPriceAs(DOMUtils.getTextContent(priceElement), 'tr', 'TRY');
+        Logger.debug(`Found Lacoste price: ${result.price}`);
+      }
+      
+      const originalPriceElement = DOMUtils.querySelector(originalPriceSelectors);
+      if (originalPriceElement && originalPriceElement !== priceElement) {
+        const originalPrice = FormatUtils.formatPriceAs(DOMUtils.getTextContent(originalPriceElement), 'tr', 'TRY');
+        if (originalPrice && originalPrice !== result.price) {
+          result.originalPrice = originalPrice;
+          Logger.debug(`Found Lacoste original price: ${result.originalPrice}`);
         }
       }
       
-      // Extract size variants using the dedicated size extractor
-      const sizeResults = extractNocturneSizes();
-      if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
-        result.variants.sizes = sizeResults.sizes;
-        Logger.info(`✅ Added ${sizeResults.sizes.length} Nocturne sizes to result`);
+      // Extract image
+      const imageElement = DOMUtils.querySelector([
+        '.product-detail__gallery img',
+        '.product-gallery img',
+        '.product-images img'
+      ]);
+      if (imageElement) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(imageElement));
       }
       
-      // Log the final extraction result
-      Logger.info("✅ Nocturne product extraction completed successfully");
+      // Extract description
+      const descriptionElement = DOMUtils.querySelector([
+        '.product-detail__description',
+        '.product-description',
+        '.product-info__description'
+      ]);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      }
+      
+      this.extractLacosteFit(result, descriptionElement);
+      this.extractLacosteColors(result);
+      this.extractLacosteSizes(result);
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+      
+      result.success = !!(result.title && result.price);
+      
       return result;
     } catch (e) {
-      Logger.error(`❌ Error extracting Nocturne product: ${e.message}`);
+      Logger.error("Error extracting Lacoste product data", e);
       return {
         isProductPage: true,
         success: false,
+        brand: "Lacoste",
         url: window.location.href,
-        brand: "Nocturne",
-        extractionMethod: "nocturne-specific",
+        extractionMethod: "lacoste-specific",
         error: e.message
       };
     }
-  }
-};
-
-// Function to extract Beymen product prices
-function extractBeymenPrices() {
-  try {
-    Logger.info("Extracting Beymen product prices");
-    let price = null;
-    let originalPrice = null;
-    let currency = "TRY";
-    
-    // Regular price in both scenarios (non-discounted and discounted)
-    const regularPriceElement = document.querySelector(".a-m-productPrice.-salePrice");
+  },
+  
+  // Fit (slim, regular, ...) from the feature list, the description or the
+  // title, in that order
+  extractLacosteFit: function(result, descriptionElement) {
+    const sources = Array.from(document.querySelectorAll(
+      '.product-detail__features li, .product-features li, .product-attributes li'
+    )).map((element) => DOMUtils.getTextContent(element));
+    sources.push(DOMUtils.getTextContent(descriptionElement), result.title || '');
     
-    if (regularPriceElement) {
-      let priceText = regularPriceElement.textContent.trim();
-      Logger.info(`Found regular price text: ${priceText}`);
-      
-      // Extract TL or another currency if present
-      if (priceText.includes("TL")) {
-        currency = "TRY";
-        priceText = priceText.replace("TL", "").trim();
-      } else if (priceText.includes("$")) {
-        currency = "USD";
-        priceText = priceText.replace("$", "").trim();
-      } else if (priceText.includes("€")) {
-        currency = "EUR";
-        priceText = priceText.replace("€", "").trim();
+    for (const text of sources) {
+      const entry = this.fitPatterns.find((candidate) => candidate.pattern.test(text));
+      if (entry) {
+        result.attributes = Object.assign({}, result.attributes, { fit: entry.fit });
+        Logger.debug(`Found Lacoste fit: ${entry.fit}`);
+        return;
       }
-      
-      // Convert "5.150" to "5150" and then to number
-      priceText = priceText.replace(".", "").replace(",", ".");
-      price = parseFloat(priceText);
-      Logger.info(`Parsed regular price: ${price} ${currency}`);
     }
-    
-    // Check for campaign price (discounted price)
-    const campaignPriceElement = document.querySelector(".m-price__campaignPrice");
-    
-    if (campaignPriceElement) {
-      // If campaign price exists, then the regular price becomes the original price
-      originalPrice = price;
-      
-      let discountedPriceText = campaignPriceElement.textContent.trim();
-      Logger.info(`Found campaign price text: ${discountedPriceText}`);
-      
-      // Extract TL or another currency if present
-      if (discountedPriceText.includes("TL")) {
-        discountedPriceText = discountedPriceText.replace("TL", "").trim();
+  },
+  
+  // Color swatches: name from the title/aria-label, value as the swatch's
+  // hex color or image
+  extractLacosteColors: function(result) {
+    try {
+      const swatches = DOMUtils.querySelectorAll([
+        '.product-detail__colors .color-item',
+        '.color-selector .color-item',
+        '.product-colors a',
+        '.variant-color a'
+      ]);
+      
+      for (const swatch of swatches) {
+        const img = swatch.querySelector('img');
+        const name = DOMUtils.getAttribute(swatch, 'title') ||
+                     DOMUtils.getAttribute(swatch, 'aria-label') ||
+                     DOMUtils.getAttribute(swatch, 'data-color-name') ||
+                     DOMUtils.getAttribute(img, 'alt');
+        if (!name || result.variants.colors.some((color) => color.text === name)) continue;
+        
+        const isSelected = swatch.classList.contains('selected') ||
+                           swatch.classList.contains('active') ||
+                           DOMUtils.getAttribute(swatch, 'aria-checked') === 'true' ||
+                           DOMUtils.getAttribute(swatch, 'aria-current') === 'true';
+        
+        result.variants.colors.push({
+          text: name.trim(),
+          selected: isSelected,
+          value: this.swatchValue(swatch) || name.trim()
+        });
+        
+        Logger.debug(`Added Lacoste color: ${name}, selected: ${isSelected}`);
       }
-      
-      // Convert "2.939,30" to "2939.30" and then to number
-      discountedPriceText = discountedPriceText.replace(".", "").replace(",", ".");
-      price = parseFloat(discountedPriceText);
-      Logger.info(`Parsed campaign price: ${price} ${currency}, original price: ${originalPrice}`);
+    } catch (e) {
+      Logger.warn("Error extracting Lacoste colors", e);
+    }
+  },
+  
+  // Hex color of a swatch (data attribute or background color), else its
+  // image URL
+  swatchValue: function(swatch) {
+    const candidates = [swatch].concat(Array.from(swatch.querySelectorAll('[style], [data-color], [data-hex]')));
+    for (const element of candidates) {
+      const hex = DOMUtils.getAttribute(element, 'data-hex') || DOMUtils.getAttribute(element, 'data-color');
+      if (/^#?[0-9a-f]{3,8}$/i.test(hex)) return hex.startsWith('#') ? hex : `#${hex}`;
+      
+      const style = DOMUtils.getAttribute(element, 'style');
+      const background = style.match(/background(?:-color)?\s*:\s*(#[0-9a-f]{3,8}|rgba?\([^)]+\))/i);
+      if (background) return background[1];
+      
+      const image = style.match(/background-image\s*:\s*url\(['"]?(.*?)['"]?\)/i);
+      if (image) return FormatUtils.makeUrlAbsolute(image[1]);
     }
     
-    return { price, originalPrice, currency };
-  } catch (e) {
-    Logger.error("Error extracting Beymen prices", e);
-    return null;
+    const img = swatch.querySelector('img');
+    return img ? FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(img)) : null;
+  },
+  
+  // Numeric polo sizes (2-8) carry their letter equivalent; letter sizes
+  // pass through
+  extractLacosteSizes: function(result) {
+    try {
+      const sizeItems = DOMUtils.querySelectorAll([
+        '.product-detail__sizes .size-item',
+        '.size-selector .size-item',
+        '.product-sizes button',
+        '.variant-size a'
+      ]);
+      
+      for (const item of sizeItems) {
+        const sizeText = (DOMUtils.getAttribute(item, 'data-size') || DOMUtils.getTextContent(item))
+          .replace(/^T(?=\d$)/, '')
+          .trim();
+        if (!sizeText || result.variants.sizes.some((size) => size.text === sizeText)) continue;
+        
+        const isUnavailable = item.disabled === true ||
+                              item.classList.contains('disabled') ||
+                              item.classList.contains('out-of-stock') ||
+                              item.classList.contains('passive') ||
+                              DOMUtils.getAttribute(item, 'aria-disabled') === 'true';
+        const isSelected = item.classList.contains('selected') ||
+                           item.classList.contains('active') ||
+                           DOMUtils.getAttribute(item, 'aria-checked') === 'true';
+        const lowStock = item.classList.contains('low-stock') || item.classList.contains('few-left');
+        
+        const extra = this.poloSizes[sizeText] ? { letterSize: this.poloSizes[sizeText] } : {};
+        result.variants.sizes.push(
+          BaseExtractor.createSizeOption(sizeText, isSelected, { inStock: !isUnavailable, lowStock: lowStock }, extra)
+        );
+        
+        Logger.debug(`Added Lacoste size: ${sizeText}, available: ${!isUnavailable}`);
+      }
+    } catch (e) {
+      Logger.warn("Error extracting Lacoste sizes", e);
+    }
   }
-}
+};
 
-// Function to extract Beymen size variants
-function extractBeymenSizes() {
-  try {
-    Logger.info("Extracting Beymen size variants");
-    const sizes = [];
-    
-    // Find the size wrapper
-    const sizeWrapper = document.querySelector(".m-variation__sizeWrapper");
-    
-    if (!sizeWrapper) {
-      Logger.warn("No size wrapper found for Beymen product");
-      return { sizes };
+// Ipekyol Extractor - For extracting Ipekyol Turkey product information
+const IpekyolExtractor = {
+  isIpekyol: function() {
+    return window.location.hostname.toLowerCase().includes('ipekyol.com.tr');
+  },
+  
+  isIpekyolProductUrl: function(url) {
+    if (!url) url = window.location.href;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "ipekyol" && classification.pageType === "product";
+  },
+  
+  // Title, product code, prices, image and availability from the page's
+  // JSON-LD Product and price meta tags. Their prices are plain numbers
+  // ("1299.00"), not Turkish-formatted text.
+  readStructuredData: function(result) {
+    const product = FormatUtils.getMainProductNode();
+    if (product) {
+      if (typeof product.name === 'string') result.title = product.name.trim();
+      if (product.sku || product.mpn) result.sku = String(product.sku || product.mpn).trim();
+      
+      const image = [].concat(product.image || [])[0];
+      const imageSrc = image && (typeof image === 'string' ? image : image.url);
+      if (imageSrc) result.imageUrl = FormatUtils.makeUrlAbsolute(imageSrc);
+      
+      const offer = [].concat(product.offers || [])[0];
+      if (offer) {
+        const price = parseFloat(offer.price !== undefined ? offer.price : offer.lowPrice);
+        if (price > 0) result.price = price;
+        if (typeof offer.availability === 'string') {
+          result.availability = offer.availability.replace(/^https?:\/\/schema\.org\//, '');
+        }
+      }
     }
     
-    // Find all size elements
-    const sizeElements = sizeWrapper.querySelectorAll(".m-variation__size");
-    
-    if (sizeElements.length === 0) {
-      Logger.warn("No size elements found for Beymen product");
-      return { sizes };
+    if (!result.price) {
+      const meta = document.querySelector('meta[property="product:price:amount"], meta[property="og:price:amount"]');
+      const price = meta ? parseFloat(meta.getAttribute('content')) : NaN;
+      if (price > 0) result.price = price;
     }
-    
-    Logger.info(`Found ${sizeElements.length} size elements`);
-    
-    // Process each size element
-    for (const sizeElement of sizeElements) {
-      try {
-        // Check if size is in stock (doesn't have -unStock class)
-        const isInStock = !sizeElement.classList.contains("-unStock");
-        
-        // Get the input and label elements
-        const input = sizeElement.querySelector("input");
-        const label = sizeElement.querySelector("label");
-        
-        if (!label) {
-          Logger.warn("Size element doesn't have a label, skipping");
-          continue;
+  },
+  
+  extract: function() {
+    try {
+      Logger.info("Extracting product data for Ipekyol");
+      
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Ipekyol";
+      result.extractionMethod = "ipekyol-specific";
+      result.currency = "TRY";
+      
+      // The JSON-LD and meta tags come first; the theme's markup only fills
+      // in what they leave out
+      this.readStructuredData(result);
+      
+      // Extract title
+      const titleElement = DOMUtils.querySelector([
+        '.product-detail__title',
+        '.product-detail h1',
+        'h1.product-name'
+      ]);
+      if (!result.title && titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Ipekyol title: ${result.title}`);
+      }
+      
+      // Extract product code, e.g. "IW6240011061001"
+      const codeElement = DOMUtils.querySelector([
+        '.product-detail__code',
+        '.product-code',
+        '.product-sku'
+      ]);
+      if (!result.sku && codeElement) {
+        result.sku = DOMUtils.getTextContent(codeElement).replace(/^(ürün kodu|model kodu)\s*:?\s*/i, '').trim();
+        Logger.debug(`Found Ipekyol product code: ${result.sku}`);
+      }
+      
+      // Extract prices; a discounted product shows the old price struck through
+      const priceElement = DOMUtils.querySelector([
+        '.product-detail__price .sale-price',
+        '.product-price .discounted-price',
+        '.product-price .sale-price',
+        '.product-detail__price .price',
+        '.product-price .price'
+      ]);
+      if (!result.price && priceElement) {
+        result.price = FormatUtils.formatPriceAs(DOMUtils.getTextContent(priceElement), 'tr', 'TRY');
+        Logger.debug(`Found Ipekyol price: ${result.price}`);
+      }
+      
+      const originalPriceElement = DOMUtils.querySelector([
+        '.product-detail__price .old-price',
+        '.product-price .old-price',
+        '.product-price del'
+      ]);
+      if (originalPriceElement) {
+        const originalPrice = FormatUtils.formatPriceAs(DOMUtils.getTextContent(originalPriceElement), 'tr', 'TRY');
+        if (originalPrice && originalPrice !== result.price) {
+          result.originalPrice = originalPrice;
+          Logger.debug(`Found Ipekyol original price: ${result.originalPrice}`);
         }
+      }
+      
+      // Extract image
+      const imageElement = DOMUtils.querySelector([
+        '.product-detail__gallery img',
+        '.product-gallery img',
+        '.product-images img'
+      ]);
+      if (!result.imageUrl && imageElement) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(imageElement));
+      }
+      
+      // Extract description
+      const descriptionElement = DOMUtils.querySelector([
+        '.product-detail__description',
+        '.product-description',
+        '.product-info__content'
+      ]);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      }
+      
+      // Colors are links to the sibling color products
+      const colorItems = DOMUtils.querySelectorAll([
+        '.product-detail__colors a',
+        '.product-colors a',
+        '.color-list a'
+      ]);
+      for (const item of colorItems) {
+        const img = item.querySelector('img');
+        const name = DOMUtils.getAttribute(item, 'title') ||
+                     DOMUtils.getAttribute(item, 'data-color') ||
+                     DOMUtils.getAttribute(img, 'alt');
+        if (!name || result.variants.colors.some((color) => color.text === name.trim())) continue;
         
-        // Get the size text
-        const sizeText = DOMUtils.getTextContent(label).trim();
-        
-        // Check if size is selected
-        const isSelected = input ? input.checked : false;
-        
-        // Create size value object (as a JSON string)
-        const sizeValue = JSON.stringify({
-          size: sizeText,
-          inStock: isInStock,
-          sizeId: input ? input.value : null
-        });
-        
-        // Add size to sizes array
-        sizes.push({
-          text: sizeText,
+        const isSelected = item.classList.contains('active') || item.classList.contains('selected');
+        result.variants.colors.push({
+          text: name.trim(),
           selected: isSelected,
-          value: sizeValue
+          value: img ? FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(img)) : name.trim()
         });
+        Logger.debug(`Added Ipekyol color: ${name}, selected: ${isSelected}`);
+      }
+      
+      // Sizes; sold-out sizes stay listed but disabled
+      const sizeItems = DOMUtils.querySelectorAll([
+        '.product-detail__sizes .size-item',
+        '.product-sizes button',
+        '.size-list li'
+      ]);
+      for (const item of sizeItems) {
+        const sizeText = DOMUtils.getAttribute(item, 'data-size') || DOMUtils.getTextContent(item);
+        if (!sizeText || result.variants.sizes.some((size) => size.text === sizeText)) continue;
         
-        Logger.debug(`Added size: ${sizeText}, inStock: ${isInStock}, selected: ${isSelected}`);
-      } catch (e) {
-        Logger.error(`Error processing size element: ${e.message}`);
+        const isUnavailable = item.disabled === true ||
+                              item.classList.contains('disabled') ||
+                              item.classList.contains('passive') ||
+                              item.classList.contains('out-of-stock');
+        const isSelected = item.classList.contains('active') || item.classList.contains('selected');
+        result.variants.sizes.push(
+          BaseExtractor.createSizeOption(sizeText, isSelected, {
+            inStock: !isUnavailable,
+            lowStock: item.classList.contains('low-stock')
+          })
+        );
+        Logger.debug(`Added Ipekyol size: ${sizeText}, available: ${!isUnavailable}`);
       }
+      
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+      
+      result.success = !!(result.title && result.price);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Ipekyol product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Ipekyol",
+        url: window.location.href,
+        extractionMethod: "ipekyol-specific",
+        error: e.message
+      };
     }
-    
-    Logger.info(`Successfully extracted ${sizes.length} sizes for Beymen product`);
-    return { sizes };
-  } catch (e) {
-    Logger.error(`Error extracting Beymen sizes: ${e.message}`);
-    return { sizes: [] };
   }
-}
+};
 
-// Beymen Extractor
-const BeymenExtractor = {
-  isBeymen: function() {
-    return window.location.href.toLowerCase().includes('beymen.com');
-  },
-  
-  isBeymenProductUrl: function(url) {
-    if (!url) return false;
-    return url.toLowerCase().includes('beymen.com') && (
-      url.includes('/product/') || 
-      url.includes('-p-')
-    );
+// Manc Extractor - For extracting Manc (tr.mancofficial.com) jewelry
+// product information
+const MancExtractor = {
+  isManc: function() {
+    return window.location.hostname.toLowerCase().includes('mancofficial.com');
   },
   
-  isBeymenNonProductUrl: function(url) {
-    if (!url) return false;
-    if (!url.toLowerCase().includes('beymen.com')) return false;
-    
-    // Check for category pages or home page
-    return url.endsWith('beymen.com/') || 
-           url.endsWith('beymen.com') || 
-           url.includes('/kadin') || 
-           url.includes('/erkek') ||
-           url.includes('/cocuk') ||
-           url.includes('/aksesuar') ||
-           url.includes('/home');
+  isMancProductUrl: function(url) {
+    if (!url) url = window.location.href;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "manc" && classification.pageType === "product";
   },
   
+  // Option group names (in the legend or label) that hold sizes; other
+  // groups are named by VariantMatrix.normalizeDimension
+  sizeGroupPattern: /beden|ölçü|olcu|size|uzunluk|length/i,
+  
   extract: function() {
     try {
-      Logger.info("Extracting Beymen product information");
-      
-      // Extract basic product information
-      // The title is a combination of brand and product description
-      const brandElement = document.querySelector("h1.o-productInformation__header--name a");
-      const descriptionElement = document.querySelector("p.o-productInformation__header--description");
-      
-      const brandText = brandElement ? DOMUtils.getTextContent(brandElement).trim() : "Beymen";
-      const descriptionText = descriptionElement ? DOMUtils.getTextContent(descriptionElement).trim() : "";
-      
-      // Combine brand and description to form the title
-      const title = descriptionText ? `${brandText} ${descriptionText}` : brandText;
+      Logger.info("Extracting product data for Manc");
       
-      Logger.info(`Extracted title: ${title}`);
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Manc";
+      result.extractionMethod = "manc-specific";
+      result.currency = "TRY";
       
-      // Extract image URL from the swiper container
-      const imageElement = document.querySelector(".swiper-zoom-container img, .o-productImage img");
-      const imageUrl = imageElement ? imageElement.getAttribute("src") : null;
+      // Extract title
+      const titleElement = DOMUtils.querySelector([
+        '.product__title h1',
+        '.product__title',
+        'h1.product-single__title',
+        'h1.product-title'
+      ]);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Manc title: ${result.title}`);
+      }
       
-      Logger.info(`Extracted image URL: ${imageUrl}`);
+      // Extract product code
+      const skuElement = DOMUtils.querySelector([
+        '.product__sku',
+        '.product-single__sku',
+        '[data-product-sku]'
+      ]);
+      if (skuElement) {
+        result.sku = (DOMUtils.getAttribute(skuElement, 'data-product-sku') || DOMUtils.getTextContent(skuElement))
+          .replace(/^(sku|ürün kodu)\s*:?\s*/i, '')
+          .trim();
+        Logger.debug(`Found Manc product code: ${result.sku}`);
+      }
+      
+      // Extract prices; on sale the regular price is struck through
+      const priceElement = DOMUtils.querySelector([
+        '.product__info-container .price__sale .price-item--sale',
+        '.product__info-container .price-item--regular',
+        '.product-single__price',
+        '.product__price'
+      ]);
+      if (priceElement) {
+        result.price = FormatUtils.formatPriceAs(DOMUtils.getTextContent(priceElement), 'tr', 'TRY');
+        Logger.debug(`Found Manc price: ${result.price}`);
+      }
       
-      // Extract price information using the Beymen-specific function
-      const priceInfo = extractBeymenPrices();
+      const onSale = document.querySelector('.product__info-container .price--on-sale, .product__price--on-sale');
+      const originalPriceElement = DOMUtils.querySelector([
+        '.product__info-container .price__sale s.price-item--regular',
+        '.product-single__price--compare',
+        '.product__price--compare'
+      ]);
+      if (onSale && originalPriceElement) {
+        const originalPrice = FormatUtils.formatPriceAs(DOMUtils.getTextContent(originalPriceElement), 'tr', 'TRY');
+        if (originalPrice && originalPrice !== result.price) {
+          result.originalPrice = originalPrice;
+          Logger.debug(`Found Manc original price: ${result.originalPrice}`);
+        }
+      }
       
-      // Use the brand we already extracted
-      const brand = brandText || "Beymen";
+      // Extract image
+      const imageElement = DOMUtils.querySelector([
+        '.product__media img',
+        '.product-single__photo img',
+        '.product__main-photos img'
+      ]);
+      if (imageElement) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(imageElement));
+      }
       
       // Extract description
-      const fullDescriptionEl = document.querySelector(".m-productDescription__content");
-      const description = fullDescriptionEl ? DOMUtils.getTextContent(fullDescriptionEl) : descriptionText;
-      
-      // Extract availability
-      const availabilityText = document.querySelector(".m-stockRetailStore__item") 
-        ? "In Stock" 
-        : "Check Availability";
-      
-      // Extract SKU/Product code
-      const skuElement = document.querySelector(".m-productCode");
-      const sku = skuElement ? DOMUtils.getTextContent(skuElement).replace("Ürün Kodu:", "").trim() : "";
+      const descriptionElement = DOMUtils.querySelector([
+        '.product__description',
+        '.product-single__description'
+      ]);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
+      }
       
-      // Extract sizes
-      const sizeResults = extractBeymenSizes();
+      this.extractMancOptions(result);
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
       
-      // Create variants object
-      const variants = {};
+      const soldOut = document.querySelector('.product-form__submit[disabled], .product-form__cart-submit[disabled]');
+      result.availability = soldOut ? "OutOfStock" : "InStock";
       
-      // Add sizes to variants if available
-      if (sizeResults.sizes && sizeResults.sizes.length > 0) {
-        variants.sizes = sizeResults.sizes;
-        Logger.info(`Added ${sizeResults.sizes.length} sizes to variants`);
-      }
+      result.success = !!(result.title && result.price);
       
-      // Create product info object
-      const productInfo = {
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Manc product data", e);
+      return {
         isProductPage: true,
-        title: title,
-        price: priceInfo ? priceInfo.price : null,
-        originalPrice: priceInfo ? priceInfo.originalPrice : null,
-        currency: priceInfo ? priceInfo.currency : "TRY",
-        imageUrl: imageUrl,
-        description: description,
-        sku: sku,
-        availability: availabilityText,
-        brand: brand,
-        extractionMethod: "beymen-specific",
+        success: false,
+        brand: "Manc",
         url: window.location.href,
-        success: true,
-        variants: variants
+        extractionMethod: "manc-specific",
+        error: e.message
       };
-      
-      Logger.info("Successfully extracted Beymen product information");
-      return productInfo;
+    }
+  },
+  
+  // Option groups are radio fieldsets or selects; unavailable values are
+  // marked disabled by the theme. The first color and size groups fill
+  // colors and sizes; every other group (metal, stone, ...) goes to
+  // otherOptions labelled with its dimension.
+  extractMancOptions: function(result) {
+    try {
+      const groups = document.querySelectorAll(
+        'variant-radios fieldset, variant-selects .product-form__input, .product-form__input--pill, .selector-wrapper'
+      );
+      const seen = new Set();
+      
+      for (const group of groups) {
+        const groupName = DOMUtils.getTextContent(group.querySelector('legend, label')).split(':')[0].trim();
+        const dimension = this.sizeGroupPattern.test(groupName)
+          ? "size"
+          : VariantMatrix.normalizeDimension(groupName);
+        const listName = seen.has(dimension) || (dimension !== "color" && dimension !== "size")
+          ? "otherOptions"
+          : dimension === "color" ? "colors" : "sizes";
+        seen.add(dimension);
+        
+        const options = group.querySelectorAll('input[type="radio"], select option');
+        for (const option of options) {
+          const text = (option.value || '').trim();
+          if (!text) continue;
+          
+          const isSelected = option.tagName === 'OPTION' ? option.selected : option.checked;
+          const isUnavailable = option.disabled || option.classList.contains('disabled');
+          
+          if (listName === "sizes") {
+            result.variants.sizes.push(BaseExtractor.createSizeOption(text, isSelected, { inStock: !isUnavailable }));
+          } else if (listName === "colors") {
+            result.variants.colors.push({ text: text, selected: isSelected, value: text });
+          } else {
+            result.variants.otherOptions.push({ text: text, selected: isSelected, value: text, dimension: dimension });
+          }
+          Logger.debug(`Added Manc ${dimension}: ${text}, available: ${!isUnavailable}`);
+        }
+      }
     } catch (e) {
-      Logger.error("Error in Beymen extractor", e);
-      return null;
+      Logger.warn("Error extracting Manc options", e);
     }
   }
 };
 
-// ==================== Main Product Extractor ====================
-
-// Main product extractor that orchestrates the extraction process
-const ProductExtractor = {
-  // Extract product information using all available methods
-  extract: function () {
-    Logger.info("Starting product extraction");
-
+// Sandro Extractor - For extracting Sandro Turkey product information
+const SandroExtractor = {
+  isSandro: function() {
+    return window.location.hostname.toLowerCase().includes('sandro.com.tr');
+  },
+  
+  isSandroProductUrl: function(url) {
+    if (!url) url = window.location.href;
+    const classification = UrlClassifier.classify(url);
+    return classification.site === "sandro" && classification.pageType === "product";
+  },
+  
+  // Sandro references: SF (women) or SH (men), three letters, five digits
+  codePattern: /\bS[FH][A-Z]{3}\d{5}\b/i,
+  
+  extract: function() {
     try {
-      // Check if the current page is a product page
-      if (!ProductPageDetector.isProductPage()) {
-        Logger.info("Not a product page, skipping extraction");
-        return {
-          isProductPage: false,
-          success: false,
-          url: window.location.href,
-        };
-      }
-
-      // First try site-specific extractors
-      if (GuessExtractor.isGuess()) {
-        Logger.info("Detected Guess site, using Guess extractor");
-        const guessResult = GuessExtractor.extract();
-        if (guessResult && guessResult.success) {
-          return guessResult;
-        }
-      }
+      Logger.info("Extracting product data for Sandro");
       
-      if (NocturneExtractor.isSiteNocturne()) {
-        Logger.info("Detected Nocturne site, using Nocturne extractor");
-        const nocturneResult = NocturneExtractor.extract();
-        if (nocturneResult && nocturneResult.success) {
-          return nocturneResult;
-        }
+      const result = BaseExtractor.createResultObject();
+      result.brand = "Sandro";
+      result.extractionMethod = "sandro-specific";
+      result.currency = "TRY";
+      
+      // Extract title
+      const titleElement = DOMUtils.querySelector([
+        'h1.product-name',
+        '.product-detail h1',
+        '.product-title'
+      ]);
+      if (titleElement) {
+        result.title = DOMUtils.getTextContent(titleElement);
+        Logger.debug(`Found Sandro title: ${result.title}`);
       }
       
-      if (PandoraExtractor.isPandora()) {
-        Logger.info("Detected Pandora site, using Pandora extractor");
-        const pandoraResult = PandoraExtractor.extract();
-        if (pandoraResult && pandoraResult.success) {
-          return pandoraResult;
-        }
+      // Extract reference, from the page or else from the URL
+      const codeElement = DOMUtils.querySelector([
+        '.product-ref',
+        '.product-number',
+        '.product-code'
+      ]);
+      const codeMatch = (DOMUtils.getTextContent(codeElement) || window.location.pathname).match(this.codePattern);
+      if (codeMatch) {
+        result.sku = codeMatch[0].toUpperCase();
+        Logger.debug(`Found Sandro reference: ${result.sku}`);
       }
       
-      if (GucciExtractor.isGucci()) {
-        Logger.info("Detected Gucci site, using Gucci extractor");
-        const gucciResult = GucciExtractor.extract();
-        if (gucciResult && gucciResult.success) {
-          return gucciResult;
-        }
+      // Extract prices; a discounted product keeps the standard price
+      // struck through
+      const priceElement = DOMUtils.querySelector([
+        '.product-price .price-sales',
+        '.product-price .sales',
+        '.product-price .sale-price',
+        '.product-price .price'
+      ]);
+      if (priceElement) {
+        result.price = FormatUtils.formatPriceAs(DOMUtils.getTextContent(priceElement), 'tr', 'TRY');
+        Logger.debug(`Found Sandro price: ${result.price}`);
       }
       
-      if (ZaraExtractor.isZara()) {
-        Logger.info("Detected Zara site, using Zara extractor");
-        const zaraResult = ZaraExtractor.extract();
-        if (zaraResult && zaraResult.success) {
-          return zaraResult;
+      const originalPriceElement = DOMUtils.querySelector([
+        '.product-price .price-standard',
+        '.product-price .strike-through',
+        '.product-price .old-price'
+      ]);
+      if (originalPriceElement) {
+        const originalPrice = FormatUtils.formatPriceAs(DOMUtils.getTextContent(originalPriceElement), 'tr', 'TRY');
+        if (originalPrice && originalPrice !== result.price) {
+          result.originalPrice = originalPrice;
+          Logger.debug(`Found Sandro original price: ${result.originalPrice}`);
         }
       }
       
-      if (StradivariusExtractor.isStradivarius()) {
-        Logger.info("Detected Stradivarius site, using Stradivarius extractor");
-        const stradivariusResult = StradivariusExtractor.extract();
-        if (stradivariusResult && stradivariusResult.success) {
-          return stradivariusResult;
-        }
+      // Extract image
+      const imageElement = DOMUtils.querySelector([
+        '.product-images img',
+        '.product-primary-image img',
+        '.product-gallery img'
+      ]);
+      if (imageElement) {
+        result.imageUrl = FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(imageElement));
       }
       
-      if (CartierExtractor.isCartier()) {
-        Logger.info("Detected Cartier site, using Cartier extractor");
-        const cartierResult = CartierExtractor.extract();
-        if (cartierResult && cartierResult.success) {
-          return cartierResult;
-        }
+      // Extract description
+      const descriptionElement = DOMUtils.querySelector([
+        '.product-description',
+        '.product-details .description',
+        '.tab-content .description'
+      ]);
+      if (descriptionElement) {
+        result.description = DOMUtils.getTextContent(descriptionElement);
       }
       
-      if (SwarovskiExtractor.isSwarovski()) {
-        Logger.info("Detected Swarovski site, using Swarovski extractor");
-        const swarovskiResult = SwarovskiExtractor.extract();
-        if (swarovskiResult && swarovskiResult.success) {
-          return swarovskiResult;
-        }
+      // Colors and sizes are swatch lists; "unselectable" marks what is
+      // out of stock
+      const colorItems = document.querySelectorAll('.swatches.color li, .color-swatches li');
+      for (const item of colorItems) {
+        const link = item.querySelector('a') || item;
+        const img = item.querySelector('img');
+        const name = DOMUtils.getAttribute(link, 'title') ||
+                     DOMUtils.getAttribute(link, 'data-color') ||
+                     DOMUtils.getAttribute(img, 'alt');
+        if (!name || result.variants.colors.some((color) => color.text === name.trim())) continue;
+        
+        const isSelected = item.classList.contains('selected');
+        result.variants.colors.push({
+          text: name.trim(),
+          selected: isSelected,
+          value: img ? FormatUtils.makeUrlAbsolute(FormatUtils.getImageSource(img)) : name.trim()
+        });
+        Logger.debug(`Added Sandro color: ${name}, selected: ${isSelected}`);
       }
       
-      if (VictoriasSecretExtractor.isVictoriasSecret()) {
-        Logger.info("Detected Victoria's Secret site, using Victoria's Secret extractor");
-        const victoriasSecretResult = VictoriasSecretExtractor.extract();
-        if (victoriasSecretResult && victoriasSecretResult.success) {
-          return victoriasSecretResult;
-        }
+      const sizeItems = document.querySelectorAll('.swatches.size li, .size-swatches li');
+      for (const item of sizeItems) {
+        const link = item.querySelector('a, button') || item;
+        const sizeText = DOMUtils.getAttribute(link, 'data-size') || DOMUtils.getTextContent(link);
+        if (!sizeText || result.variants.sizes.some((size) => size.text === sizeText)) continue;
+        
+        const isUnavailable = item.classList.contains('unselectable') ||
+                              item.classList.contains('disabled') ||
+                              link.disabled === true;
+        result.variants.sizes.push(
+          BaseExtractor.createSizeOption(sizeText, item.classList.contains('selected'), {
+            inStock: !isUnavailable,
+            lowStock: item.classList.contains('low-stock')
+          })
+        );
+        Logger.debug(`Added Sandro size: ${sizeText}, available: ${!isUnavailable}`);
       }
       
-      if (BeymenExtractor.isBeymen()) {
-        Logger.info("Detected Beymen site, using Beymen extractor");
-        const beymenResult = BeymenExtractor.extract();
-        if (beymenResult && beymenResult.success) {
-          return beymenResult;
-        }
+      VariantMatrix.apply(result, VariantMatrix.fromSelectedColor(result));
+      
+      result.success = !!(result.title && result.price);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Sandro product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Sandro",
+        url: window.location.href,
+        extractionMethod: "sandro-specific",
+        error: e.message
+      };
+    }
+  }
+};
+
+// Deep Atelier Extractor - deepatelier.co is a Shopify store; this reads
+// the full product JSON (fetched when the page embeds only the analytics
+// summary) so ring size, metal and stone come with per-variant price and
+// stock
+const DeepAtelierExtractor = {
+  isDeepAtelier: function() {
+    return window.location.hostname.toLowerCase().includes('deepatelier.co');
+  },
+  
+  extract: async function() {
+    try {
+      Logger.info("Extracting product data for Deep Atelier");
+      
+      let productJson = ShopifyExtractor.findProductJson();
+      if (!productJson || !productJson.options) {
+        productJson = (await ShopifyExtractor.fetchProductJson()) || productJson;
       }
       
-      // First try external Mango extractor if available
-      if (window.MangoExtractor && window.MangoExtractor.isMango()) {
-        Logger.info("Detected Mango site, using external Mango extractor");
-        const mangoResult = window.MangoExtractor.extract();
-        if (mangoResult && mangoResult.success) {
-          return mangoResult;
-        }
-      } 
-      // Fallback to built-in Mango extractor if external one isn't loaded
-      else if (MangoExtractor.isMango()) {
-        Logger.info("Detected Mango site, using built-in Mango extractor");
-        const mangoResult = MangoExtractor.extract();
-        if (mangoResult && mangoResult.success) {
-          return mangoResult;
+      const result = ShopifyExtractor.extract(productJson);
+      if (!result) throw new Error("No product data found");
+      
+      result.brand = "Deep Atelier";
+      result.extractionMethod = "deepatelier-shopify";
+      Logger.debug(`Deep Atelier options: ${(result.variantMatrix ? result.variantMatrix.dimensions : []).join(', ')}`);
+      
+      return result;
+    } catch (e) {
+      Logger.error("Error extracting Deep Atelier product data", e);
+      return {
+        isProductPage: true,
+        success: false,
+        brand: "Deep Atelier",
+        url: window.location.href,
+        extractionMethod: "deepatelier-shopify",
+        error: e.message
+      };
+    }
+  }
+};
+
+// ==================== Listing Extractor ====================
+
+// Selectors for product tiles on category and search pages, shared with the
+// page-type classifier
+const LISTING_TILE_SELECTORS = [
+  ".product-card, .product-item, .product-tile, .product-grid-item",
+  "li.product, [data-product-id], [class*='productCard'], [class*='product-list-item']",
+];
+
+// Extracts the product tiles currently rendered on listing pages
+const ListingExtractor = {
+  // Site-specific tile layouts, keyed like URL_RULES
+  siteTiles: {
+    zara: {
+      tile: ".product-grid-product",
+      title: ".product-grid-product-info__name",
+      price: ".price-current .money-amount__main, .money-amount__main",
+      originalPrice: ".price-old .money-amount__main",
+    },
+    mango: {
+      tile: "[class*='ProductCard_productCard'], li[class*='Grid_item']",
+      title: "[class*='ProductCard_title'], [class*='productTitle']",
+      price: "[class*='SalePrice'], [class*='price-sale'], [class*='Price_price']",
+      originalPrice: "[class*='CrossedPrice'], [class*='price-crossed']",
+    },
+    beymen: {
+      tile: ".m-productCard, .o-productList__item",
+      title: ".m-productCard__desc, .m-productCard__title",
+      price: ".m-productCard__newPrice, .m-productCard__lastPrice",
+      originalPrice: ".m-productCard__oldPrice",
+    },
+  },
+
+  // Generic selectors used inside a tile
+  titleSelectors: [
+    "[class*='product-name'], [class*='productName'], [class*='product-title']",
+    "[class*='name'], [class*='title'], h2, h3, h4",
+  ],
+  priceSelectors: [
+    "[class*='sale-price'], [class*='current-price'], [class*='new-price']",
+    "[itemprop='price'], [data-price], [class*='price'], .money",
+  ],
+  originalPriceSelectors: [
+    "del, s, [class*='old-price'], [class*='oldPrice'], [class*='original']",
+    "[class*='was-price'], [class*='compare'], [class*='crossed'], [class*='strike']",
+  ],
+  badgeSelectors: [
+    "[class*='badge'], [class*='label'], [class*='flag'], [class*='tag']",
+  ],
+
+  // Product URLs already reported for the current listing URL
+  sentUrls: new Set(),
+  listingUrl: null,
+  batchIndex: 0,
+
+  // Find tile elements for the current page
+  findTiles: function () {
+    const classification = UrlClassifier.classify(window.location.href);
+    const site = classification.site && this.siteTiles[classification.site];
+
+    if (site) {
+      const tiles = Array.from(document.querySelectorAll(site.tile));
+      if (tiles.length > 0) return { tiles, site };
+    }
+
+    const tiles = Array.from(DOMUtils.querySelectorAll(LISTING_TILE_SELECTORS));
+    if (tiles.length > 0) {
+      // Drop tiles nested inside other tiles (e.g. li.product > .product-card)
+      return {
+        tiles: tiles.filter(
+          (tile) => !tiles.some((other) => other !== tile && other.contains(tile))
+        ),
+        site: null,
+      };
+    }
+
+    // Fallback: links to product URLs that wrap an image
+    const anchors = Array.from(document.querySelectorAll("a[href]")).filter(
+      (anchor) =>
+        anchor.querySelector("img") &&
+        UrlClassifier.classify(anchor.href).pageType === "product"
+    );
+    return {
+      tiles: anchors.map((anchor) => anchor.closest("li, article") || anchor),
+      site: null,
+    };
+  },
+
+  // Find the first element inside a tile matching any selector
+  findIn: function (tile, selectors) {
+    for (const selector of [].concat(selectors || [])) {
+      try {
+        const element = tile.querySelector(selector);
+        if (element) return element;
+      } catch (e) {
+        // Skip invalid selectors
+      }
+    }
+    return null;
+  },
+
+  // Normalize a badge label to "new", "sale" or the cleaned text
+  normalizeBadge: function (text) {
+    text = FormatUtils.cleanText(text);
+    if (!text || text.length > 30) return null;
+
+    const lower = text.toLowerCase();
+    if (/\b(new|yeni|nuevo|neu)\b/.test(lower)) return "new";
+    if (/(sale|indirim|%|outlet|rebaja)/.test(lower)) return "sale";
+    return lower;
+  },
+
+  // Extract a card from a single tile
+  extractCard: function (tile, site) {
+    const anchor =
+      tile.tagName === "A" ? tile : tile.querySelector("a[href]");
+    const productUrl = anchor
+      ? FormatUtils.makeUrlAbsolute(anchor.getAttribute("href"))
+      : null;
+    if (!productUrl) return null;
+
+    const image = tile.querySelector("img");
+    let imageUrl = null;
+    if (image) {
+      imageUrl = FormatUtils.getImageSource(image);
+    }
+
+    const titleElement = this.findIn(
+      tile,
+      site ? [site.title].concat(this.titleSelectors) : this.titleSelectors
+    );
+    const title =
+      DOMUtils.getTextContent(titleElement) ||
+      (image && image.getAttribute("alt")) ||
+      (anchor && (anchor.getAttribute("title") || anchor.getAttribute("aria-label"))) ||
+      "";
+
+    const originalPriceElement = this.findIn(
+      tile,
+      site ? [site.originalPrice].concat(this.originalPriceSelectors) : this.originalPriceSelectors
+    );
+
+    // The current price is the first price element that isn't the original one
+    let priceElement = null;
+    const priceSelectors = site
+      ? [site.price].concat(this.priceSelectors)
+      : this.priceSelectors;
+    for (const selector of priceSelectors) {
+      const candidates = Array.from(tile.querySelectorAll(selector)).filter(
+        (element) =>
+          /\d/.test(element.textContent) &&
+          element !== originalPriceElement &&
+          !(originalPriceElement && (originalPriceElement.contains(element) || element.contains(originalPriceElement)))
+      );
+      if (candidates.length > 0) {
+        priceElement = candidates[0];
+        break;
+      }
+    }
+
+    const priceText = DOMUtils.getTextContent(priceElement);
+    const originalPriceText = DOMUtils.getTextContent(originalPriceElement);
+    const badgeElement = this.findIn(tile, this.badgeSelectors);
+
+    return {
+      title: FormatUtils.cleanText(title),
+      price: FormatUtils.formatPrice(priceText),
+      originalPrice: FormatUtils.formatPrice(originalPriceText),
+      currency: FormatUtils.detectCurrency(priceText || originalPriceText),
+      image: imageUrl ? FormatUtils.makeUrlAbsolute(imageUrl) : null,
+      productUrl: productUrl,
+      badge: badgeElement ? this.normalizeBadge(badgeElement.textContent) : null,
+    };
+  },
+
+  // Extract all cards currently rendered, deduplicated by product URL
+  extract: function () {
+    const { tiles, site } = this.findTiles();
+    const cards = [];
+    const seen = new Set();
+
+    for (const tile of tiles) {
+      try {
+        const card = this.extractCard(tile, site);
+        if (card && card.title && !seen.has(card.productUrl)) {
+          seen.add(card.productUrl);
+          cards.push(card);
         }
+      } catch (e) {
+        Logger.debug("Error extracting listing card", e);
       }
+    }
+
+    Logger.info(`Listing extraction found ${cards.length} cards`);
+    return cards;
+  },
+
+  // Get cards not yet reported for this listing. Navigating to a different
+  // listing URL starts over at batch 0, which tells Flutter to replace
+  // rather than append.
+  collectBatch: function () {
+    const url = window.location.href;
+    if (url !== this.listingUrl) {
+      this.listingUrl = url;
+      this.sentUrls = new Set();
+      this.batchIndex = 0;
+    }
+
+    const cards = this.extract().filter((card) => !this.sentUrls.has(card.productUrl));
+    if (cards.length === 0) {
+      return { cards, batch: null };
+    }
+
+    cards.forEach((card) => this.sentUrls.add(card.productUrl));
+    return { cards, batch: this.batchIndex++ };
+  },
+};
+
+// ==================== Extractor Registrations ====================
+
+// Site-specific extractors
+ExtractorRegistry.register({
+  name: "Guess",
+  hosts: ["guess.eu"],
+  priority: 100,
+  // Reads the other colors' pages (see VariantPageFetcher)
+  timeBudget: 6000,
+  extract: () => GuessExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Massimo Dutti",
+  hosts: ["massimodutti.com"],
+  priority: 100,
+  extract: () => MassimoDuttiExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Nocturne",
+  hosts: ["nocturne.com.tr"],
+  priority: 100,
+  extract: () => NocturneExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Pandora",
+  hosts: ["pandora.net"],
+  priority: 100,
+  // Reads the other metals' pages (see VariantPageFetcher)
+  timeBudget: 6000,
+  extract: () => PandoraExtractor.extract(),
+  selectVariant: (args) => PandoraExtractor.selectVariant(args),
+});
+ExtractorRegistry.register({
+  name: "Gucci",
+  hosts: ["gucci.com"],
+  priority: 100,
+  extract: () => GucciExtractor.extract(),
+  selectVariant: (args) => GucciExtractor.selectVariant(args),
+});
+ExtractorRegistry.register({
+  name: "Zara",
+  hosts: ["zara.com"],
+  priority: 100,
+  extract: () => ZaraExtractor.extract(),
+  selectVariant: (args) => ZaraExtractor.selectVariant(args),
+});
+ExtractorRegistry.register({
+  name: "Stradivarius",
+  hosts: ["stradivarius.com"],
+  priority: 100,
+  extract: () => StradivariusExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Cartier",
+  hosts: ["cartier.com"],
+  priority: 100,
+  // Reads the other colors' pages (see VariantPageFetcher)
+  timeBudget: 6000,
+  extract: () => CartierExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Swarovski",
+  hosts: ["swarovski.com"],
+  priority: 100,
+  // Reads the other colors' pages (see VariantPageFetcher)
+  timeBudget: 6000,
+  extract: () => SwarovskiExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Victoria's Secret",
+  hosts: ["victoriassecret.com.tr"],
+  priority: 100,
+  extract: () => VictoriasSecretExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Beymen",
+  hosts: ["beymen.com"],
+  priority: 100,
+  extract: () => BeymenExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Louis Vuitton",
+  hosts: ["louisvuitton.com"],
+  priority: 100,
+  // Reads the other models' pages (see VariantPageFetcher)
+  timeBudget: 6000,
+  extract: () => LouisVuittonExtractor.extract(),
+  selectVariant: (args) => LouisVuittonExtractor.selectVariant(args),
+});
+ExtractorRegistry.register({
+  name: "Miu Miu",
+  hosts: ["miumiu.com"],
+  priority: 100,
+  extract: () => MiuMiuExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Lacoste",
+  hosts: ["lacoste.com.tr"],
+  priority: 100,
+  extract: () => LacosteExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Ipekyol",
+  hosts: ["ipekyol.com.tr"],
+  priority: 100,
+  extract: () => IpekyolExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Manc",
+  hosts: ["mancofficial.com"],
+  priority: 100,
+  extract: () => MancExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Sandro",
+  hosts: ["sandro.com.tr"],
+  priority: 100,
+  extract: () => SandroExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Deep Atelier",
+  hosts: ["deepatelier.co"],
+  priority: 100,
+  timeBudget: 6000,
+  extract: () => DeepAtelierExtractor.extract(),
+});
+// Built-in Mango extractor; the external mango_extractor.js module registers
+// with a higher priority and takes over once loaded
+ExtractorRegistry.register({
+  name: "Mango (built-in)",
+  hosts: ["mango.com"],
+  priority: 100,
+  // Waits for the size sheet after opening it
+  timeBudget: 4000,
+  extract: () => MangoExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "Bershka",
+  hosts: ["bershka.com"],
+  priority: 100,
+  extract: () => BershkaExtractor.extract(),
+});
 
-      if (BershkaExtractor.isBershka()) {
-        Logger.info("Detected Bershka site, using Bershka extractor");
-        const bershkaResult = BershkaExtractor.extract();
-        if (bershkaResult && bershkaResult.success) {
-          return bershkaResult;
-        }
-      }
+// Platform extractors, tried on any host after the site-specific ones
+ExtractorRegistry.register({
+  name: "Shopify",
+  priority: 20,
+  match: () => ShopifyExtractor.isShopify(),
+  extract: () => ShopifyExtractor.extract(),
+});
+ExtractorRegistry.register({
+  name: "WooCommerce",
+  priority: 10,
+  match: () => WooCommerceExtractor.isWooCommerce(),
+  extract: () => WooCommerceExtractor.extract(),
+});
 
-      // Then try platform-specific extractors
-      if (ShopifyExtractor.isShopify()) {
-        Logger.info("Detected Shopify platform, using Shopify extractor");
-        const shopifyResult = ShopifyExtractor.extract();
-        if (shopifyResult && shopifyResult.success) {
-          return shopifyResult;
-        }
+// Expose the registry so modules loaded by ExtractorsLoader can register too
+window.ExtractorRegistry = ExtractorRegistry;
+
+// ==================== Main Product Extractor ====================
+
+// Main product extractor that orchestrates the extraction process
+const ProductExtractor = {
+  // Extract product information using all available methods. Resolves with
+  // the result once any asynchronous extractor has finished.
+  extract: async function () {
+    Logger.info("Starting product extraction");
+
+    try {
+      // Classify the page and only extract on product detail pages
+      const page = ProductPageDetector.classifyPage();
+      if (page.pageType !== "product") {
+        Logger.info(`Not a product page (${page.pageType}), skipping extraction`);
+        return {
+          isProductPage: false,
+          success: false,
+          url: window.location.href,
+          pageType: page.pageType,
+          pageTypeConfidence: page.confidence,
+        };
       }
 
-      if (WooCommerceExtractor.isWooCommerce()) {
-        Logger.info(
-          "Detected WooCommerce platform, using WooCommerce extractor"
-        );
-        const wooCommerceResult = WooCommerceExtractor.extract();
-        if (wooCommerceResult && wooCommerceResult.success) {
-          return wooCommerceResult;
+      const withPageType = (result) => {
+        result.pageType = page.pageType;
+        result.pageTypeConfidence = page.confidence;
+        ImageGallery.attach(result);
+        BaseExtractor.resolveCurrency(result);
+        // Extractors still revealing sizes mark them "pending"
+        result.variantsStatus = result.variantsStatus || "complete";
+        return BaseExtractor.normalizeVariants(result);
+      };
+
+      // Run registered site and platform extractors for this hostname
+      const candidates = ExtractorRegistry.getCandidates(window.location.hostname);
+      for (const candidate of candidates) {
+        Logger.info(`Using ${candidate.name} extractor`);
+        const result = await ExtractorRegistry.run(candidate);
+        if (result && result.success) {
+          return withPageType(result);
         }
       }
 
@@ -6807,19 +11462,19 @@ const ProductExtractor = {
       // First try structured data (JSON-LD)
       const structuredDataResult = BaseExtractor.extractStructuredData();
       if (structuredDataResult && structuredDataResult.success) {
-        return structuredDataResult;
+        return withPageType(structuredDataResult);
       }
 
       // Then try meta tags
       const metaTagsResult = BaseExtractor.extractMetaTags();
       if (metaTagsResult && metaTagsResult.success) {
-        return metaTagsResult;
+        return withPageType(metaTagsResult);
       }
 
       // Finally try DOM-based extraction
       const domResult = BaseExtractor.extractFromDOM();
       if (domResult && domResult.success) {
-        return domResult;
+        return withPageType(domResult);
       }
 
       // If all methods failed but we know it's a product page, return partial info
@@ -6829,6 +11484,8 @@ const ProductExtractor = {
         success: false,
         url: window.location.href,
         extractionMethod: "partial",
+        pageType: page.pageType,
+        pageTypeConfidence: page.confidence,
       };
     } catch (e) {
       Logger.error("Error during product extraction", e);
@@ -6842,182 +11499,461 @@ const ProductExtractor = {
   },
 };
 
-// ==================== Main Execution ====================
+// ==================== Navigation Watcher ====================
+
+// Detects client-side navigation in single-page shops (Zara, Bershka, Mango)
+// from history.pushState/replaceState, popstate, hashchange and the
+// Navigation API, and emits one "navigated" event per URL change.
+//
+// Work started for a URL is cancelled when the shopper leaves it: timers
+// created with schedule() are cleared, signal is aborted, and isCurrent()
+// lets callbacks that outlived their page drop their results.
+const NavigationWatcher = {
+  currentUrl: window.location.href,
+  navigationId: 0,
+  listeners: [],
+  timers: new Set(),
+  controller: typeof AbortController !== "undefined" ? new AbortController() : null,
+  installed: false,
+
+  // Abort signal for fetches belonging to the current URL
+  get signal() {
+    return this.controller ? this.controller.signal : undefined;
+  },
 
-// Main function to detect and report product info
-function detectAndReportProduct(retryCount = 0) {
-  Logger.info(`Running product detection (attempt: ${retryCount + 1})`);
+  // Register listener({ oldUrl, newUrl, navigationId, trigger })
+  onNavigate: function (listener) {
+    this.listeners.push(listener);
+  },
 
-  try {
-    // Check if we're on the Nocturne homepage or category page and skip detection
-    const url = window.location.href;
-    if (url.includes("nocturne.com.tr")) {
-      // Nocturne product URLs have a pattern with an underscore followed by numeric ID (_XXXXXX)
-      // Also allow query parameters after the ID
-      const nocturneProductPattern = /nocturne\.com\.tr\/.*_\d+($|\?)/;
-      
-      // Skip homepage and category pages
-      const nocturneNonProductPattern = /nocturne\.com\.tr\/(ust-giyim|aksesuar|indirim|giyim|alt-giyim|dis-giyim|plaj-giyim)?$/;
-      
-      // Check if this is NOT a product page
-      if (nocturneNonProductPattern.test(url) || !nocturneProductPattern.test(url)) {
-        Logger.info("Skipping product detection on Nocturne non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Nocturne non-product page"
-          }));
-        }
-        return;
-      }
+  // True while the page that captured navigationId is still showing
+  isCurrent: function (navigationId) {
+    return navigationId === this.navigationId;
+  },
+
+  // setTimeout that is cancelled when the URL changes
+  schedule: function (callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  },
+
+  // Compare the URL with the last one seen and emit if it changed. Several
+  // hooks fire for one navigation; only the first sees a new URL.
+  check: function (trigger) {
+    const newUrl = window.location.href;
+    if (newUrl === this.currentUrl) return;
+
+    const oldUrl = this.currentUrl;
+    this.currentUrl = newUrl;
+    this.navigationId++;
+
+    // Cancel in-flight work for the old URL
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = new AbortController();
     }
 
-    // Check if we're on the Guess homepage or category page and skip detection
-    if (url.includes("guess.eu")) {
-      // Guess product URLs end with .html
-      const guessProductPattern = /guess\.eu\/.*\/.*\.html$/;
-      
-      // Detect non-product pages
-      const guessNonProductPattern = /guess\.eu\/.*\/(home|men|women|new-in|sale|accessories|clothing|bags|shoes|watches|jewelry)(\?.*)?$/;
-      
-      // Check if this is NOT a product page
-      if (guessNonProductPattern.test(url) || !guessProductPattern.test(url)) {
-        Logger.info("Skipping product detection on Guess non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Guess non-product page"
-          }));
-        }
-        return;
+    Logger.debug(`Navigated (${trigger}): ${oldUrl} -> ${newUrl}`);
+    const event = { oldUrl, newUrl, navigationId: this.navigationId, trigger };
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (e) {
+        Logger.error("Error in navigation listener", e);
       }
+    });
+  },
+
+  install: function () {
+    if (this.installed) return;
+    this.installed = true;
+
+    // pushState/replaceState don't fire events, so wrap them
+    ["pushState", "replaceState"].forEach((method) => {
+      const original = history[method];
+      history[method] = function () {
+        const result = original.apply(this, arguments);
+        NavigationWatcher.check(method);
+        return result;
+      };
+    });
+
+    window.addEventListener("popstate", () => this.check("popstate"));
+    window.addEventListener("hashchange", () => this.check("hashchange"));
+
+    // The Navigation API also sees navigations made before our wrappers
+    // were installed (e.g. a router holding its own pushState reference)
+    if (window.navigation && typeof window.navigation.addEventListener === "function") {
+      window.navigation.addEventListener("currententrychange", () =>
+        this.check("navigation")
+      );
     }
+  },
+};
 
-    // Check if we're on the Swarovski homepage or category page and skip detection
-    if (url.includes("swarovski.com")) {
-      // Swarovski product URLs have /p-XXXXXXX/ pattern
-      const swarovskiProductPattern = /swarovski\.com\/.*\/p-[A-Za-z0-9]+\//;
-      
-      // Check if this is NOT a product page
-      if (!swarovskiProductPattern.test(url)) {
-        Logger.info("Skipping product detection on Swarovski non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Swarovski non-product page"
-          }));
-        }
-        return;
-      }
+// ==================== Detection Scheduler ====================
+
+// Single entry point for running detection. Every trigger (initial load,
+// load event, DOM changes, navigation, retries, Flutter) calls request();
+// triggers due within CONFIG.coalesceWindow of each other share one run.
+//
+// Each URL gets one session. A session's results are posted to Flutter only
+// when their stable hash differs from the last message posted for it, and
+// results from a session that has since been replaced are dropped.
+const DetectionScheduler = {
+  session: null,
+  sessionCounter: 0,
+  dueTimes: [],
+  timer: null,
+  running: false,
+
+  // Start a session for the current URL, cancelling pending runs of the
+  // previous one
+  startSession: function () {
+    this.clearPending();
+    this.session = {
+      id: ++this.sessionCounter,
+      url: window.location.href,
+      retries: 0,
+      runs: 0,
+      lastHash: null,
+      // Last product payload posted, for FoozBridge.getVariantMatrix
+      lastProduct: null,
+      // revealOnce() runs, { promise, settled }, keyed by what/navigation/URL
+      revealed: new Map(),
+    };
+    Logger.debug(`Detection session ${this.session.id} for ${this.session.url}`);
+    return this.session;
+  },
+
+  // Session for the current URL, starting one if the URL changed
+  currentSession: function () {
+    if (!this.session || this.session.url !== window.location.href) {
+      this.startSession();
     }
-    
-    // Check if we're on the Cartier homepage or category page and skip detection
-    if (url.includes("cartier.com")) {
-      // Skip detection on Cartier homepage
-      const isCartierHomepage = url.match(/cartier\.com\/[a-z-]+\/home/) || 
-                                url.includes("cartier.com/home") || 
-                                url.endsWith("cartier.com/") || 
-                                url.endsWith("cartier.com");
-      
-      // Skip detection on category pages
-      // Examples of category pages:
-      // https://www.cartier.com/en-tr/jewellery/collections/juste-un-clou/
-      // https://www.cartier.com/en-tr/watches/collections/santos-de-cartier/
-      const isCartierCategoryPage = url.match(/cartier\.com\/.*\/.*\/collections\//) || 
-                                   url.endsWith('/');
-      
-      if (isCartierHomepage || isCartierCategoryPage) {
-        Logger.info("Skipping product detection on Cartier non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Cartier non-product page"
-          }));
-        }
-        return;
-      }
+    return this.session;
+  },
+
+  isStale: function (session) {
+    return !session || session !== this.session || session.url !== window.location.href;
+  },
+
+  // Run reveal() (an interaction that opens part of the page, such as a
+  // size sheet) at most once per URL and navigation. Later detection runs
+  // get a copy of what the first one resolved with, null included, instead
+  // of clicking again.
+  revealOnce: function (what, reveal) {
+    const session = this.currentSession();
+    const key = this.revealKey(what, session);
+    if (!session.revealed.has(key)) {
+      const entry = { settled: false };
+      entry.promise = Promise.resolve()
+        .then(reveal)
+        .catch((e) => {
+          Logger.error(`Revealing ${what} failed`, e);
+          return null;
+        })
+        .then((value) => {
+          entry.settled = true;
+          return JSON.stringify(value === undefined ? null : value);
+        });
+      session.revealed.set(key, entry);
     }
-    
-    // Check if we're on the Mango homepage or category page and skip detection
-    if (url.includes("mango.com")) {
-      // Mango product URLs have /p/ pattern
-      const mangoProductPattern = /mango\.com\/.*\/p\//;
-      
-      // Skip category pages
-      const mangoNonProductPattern = /mango\.com\/.*\/h\//;
-      
-      // Check if this is NOT a product page
-      if (mangoNonProductPattern.test(url) && !mangoProductPattern.test(url)) {
-        Logger.info("Skipping product detection on Mango non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Mango non-product page"
-          }));
-        }
-        return;
-      }
+    return session.revealed.get(key).promise.then((json) => JSON.parse(json));
+  },
+
+  // Whether revealOnce(what) is still running for the current page
+  isRevealing: function (what) {
+    const session = this.currentSession();
+    const entry = session.revealed.get(this.revealKey(what, session));
+    return !!entry && !entry.settled;
+  },
+
+  revealKey: function (what, session) {
+    return `${what}|${NavigationWatcher.navigationId}|${session.url}`;
+  },
+
+  clearPending: function () {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.dueTimes = [];
+  },
+
+  // Ask for a detection run after delay ms
+  request: function (reason, delay = 0) {
+    const due = Date.now() + delay;
+    Logger.debug(`Detection requested (${reason}) in ${delay}ms`);
+
+    // Already covered by a run due at almost the same time
+    if (this.dueTimes.some((time) => Math.abs(time - due) <= CONFIG.coalesceWindow)) {
+      return;
     }
-    
-    // Check if we're on the Bershka homepage or category page and skip detection
-    if (url.includes("bershka.com")) {
-      // Bershka product URLs have a pattern with c0p + numbers + .html
-      const bershkaProductPattern = /bershka\.com\/.*c0p\d+\.html/;
-      
-      // Also check for product page indicators in the DOM
-      const isProductPageDOM = document.querySelector('[data-qa-anchor="productDetailSize"], [data-qa-anchor="productDetailColors"], [data-qa-anchor="productName"]') !== null;
-      
-      // Check for category pages which don't follow the product pattern
-      const isBershkaHomepage = url.endsWith('bershka.com/') || 
-                               url.endsWith('bershka.com');
-      
-      // Check if this is NOT a product page
-      if (isBershkaHomepage || (!bershkaProductPattern.test(url) && !isProductPageDOM)) {
-        Logger.info("Skipping product detection on Bershka non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Bershka non-product page"
-          }));
-        }
-        return;
-      }
+    this.dueTimes.push(due);
+    this.dueTimes.sort((a, b) => a - b);
+    this.arm();
+  },
+
+  // Keep one timer, for the earliest due run. While a run is in progress
+  // nothing is armed; the run re-arms when it finishes.
+  arm: function () {
+    if (this.timer) clearTimeout(this.timer);
+    if (this.running || this.dueTimes.length === 0) {
+      this.timer = null;
+      return;
     }
-    
-    // Check if we're on Massimo Dutti non-product page and skip detection
-    if (url.includes("massimodutti.com")) {
-      // Massimo Dutti product URLs have a pattern with /tr/... followed by l + 8 digits + ?pelement= + digits
-      // Example: https://www.massimodutti.com/tr/yumusak-bantl%C4%B1-makosen-l12502550?pelement=45484097
-      const massimoDuttiProductPattern = /massimodutti\.com\/.*\/[^\/]+\-l\d{8}\?pelement=\d+/;
-      
-      // Also check for alternate pattern where l + 8 digits appears in the URL
-      const altMassimoDuttiProductPattern = /massimodutti\.com\/.*\/.*l\d{8}/;
-      
-      // Check if this is NOT a product page based on URL pattern
-      if (!massimoDuttiProductPattern.test(url) && !altMassimoDuttiProductPattern.test(url)) {
-        Logger.info("Skipping product detection on Massimo Dutti non-product page");
-        if (window.FlutterChannel) {
-          window.FlutterChannel.postMessage(JSON.stringify({
-            isProductPage: false,
-            success: false,
-            url: window.location.href,
-            message: "Skipped detection on Massimo Dutti non-product page"
-          }));
-        }
-        return;
+    this.timer = setTimeout(() => this.run(), Math.max(0, this.dueTimes[0] - Date.now()));
+  },
+
+  run: function () {
+    this.timer = null;
+    // This run satisfies every request due by now or shortly after
+    const cutoff = Date.now() + CONFIG.coalesceWindow;
+    this.dueTimes = this.dueTimes.filter((time) => time > cutoff);
+
+    const session = this.currentSession();
+    session.runs++;
+    this.running = true;
+    const startedAt = Date.now();
+
+    // Extractors may be asynchronous; the next run waits for this one
+    Promise.resolve()
+      .then(() => detectAndReportProduct(session.retries))
+      .catch((e) => Logger.error("Detection run failed", e))
+      .then(() => {
+        this.running = false;
+        if (CONFIG.reportMetrics) {
+          MessageProtocol.send("metrics", {
+            name: "detection",
+            durationMs: Date.now() - startedAt,
+            runs: session.runs,
+            retries: session.retries,
+          }, session);
+        }
+        this.arm();
+      });
+  },
+
+  // Schedule another attempt for the current session, up to CONFIG.maxRetries
+  retry: function () {
+    const session = this.currentSession();
+    if (session.retries >= CONFIG.maxRetries) return false;
+    session.retries++;
+    Logger.info(`Scheduling retry ${session.retries} in ${CONFIG.retryDelay}ms`);
+    this.request("retry", CONFIG.retryDelay);
+    return true;
+  },
+
+  // Order-independent hash of a payload: keys are sorted before hashing so
+  // the same data always gives the same hash (32-bit FNV-1a)
+  stableHash: function (value) {
+    const canonical = (item) => {
+      if (Array.isArray(item)) return `[${item.map(canonical).join(",")}]`;
+      if (item && typeof item === "object") {
+        return `{${Object.keys(item)
+          .sort()
+          .filter((key) => item[key] !== undefined)
+          .map((key) => `${JSON.stringify(key)}:${canonical(item[key])}`)
+          .join(",")}}`;
+      }
+      return JSON.stringify(item === undefined ? null : item);
+    };
+
+    const text = canonical(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+  },
+
+  // Post a detection result of a MessageProtocol type for session (default:
+  // the current one). Returns false when it was dropped as stale or
+  // unchanged.
+  post: function (type, payload, session) {
+    if (!window.FlutterChannel) return false;
+    session = session || this.currentSession();
+    if (this.isStale(session)) {
+      Logger.debug(`Dropping result of stale session ${session && session.id}`);
+      return false;
+    }
+
+    const hash = this.stableHash({ type: type, payload: payload });
+    if (hash === session.lastHash) {
+      Logger.debug("Result unchanged, not posting");
+      return false;
+    }
+
+    session.lastHash = hash;
+    if (type === "product") session.lastProduct = payload;
+    return MessageProtocol.send(type, payload, session);
+  },
+};
+
+// Flutter requests runs through this (see WebViewService._injectProductDetector)
+window.DetectionScheduler = DetectionScheduler;
+
+// ==================== Flutter Bridge ====================
+
+// Commands from Flutter, sent as
+//   window.FoozBridge.handle({ cmd, args, requestId })
+// Every command is answered with a "response" message carrying the same
+// requestId, so WebViewService.sendCommand can match it to its caller.
+const FoozBridge = {
+  commands: {
+    // Run the extractors now and answer with the product payload, checked
+    // against the product schema like a posted product message
+    reextract: async function () {
+      const productInfo = await ProductExtractor.extract();
+      const { payload, problems } = MessageProtocol.validate(
+        "product",
+        BaseExtractor.normalizeVariants(productInfo)
+      );
+      if (problems.length) {
+        Logger.warn(`Invalid product fields in reextract: ${problems.join("; ")}`);
+      }
+      return payload;
+    },
+
+    // Select { color, size } on the page through the site's extractor and
+    // answer with the price, SKU and stock it reports for that choice
+    selectVariant: async function (args) {
+      const entry = ExtractorRegistry.getCandidates(window.location.hostname).find(
+        (candidate) => candidate.selectVariant
+      );
+      // Sites without their own selection use the generic option selectors
+      return entry ? entry.selectVariant(args) : BaseExtractor.selectVariant(args);
+    },
+
+    // Variant matrix of the last product posted for this page, extracting
+    // one if nothing was posted yet
+    getVariantMatrix: async function () {
+      const session = DetectionScheduler.currentSession();
+      const productInfo = session.lastProduct || (await ProductExtractor.extract());
+      return productInfo.variantMatrix || null;
+    },
+
+    scrollToProduct: function () {
+      const element = DOMUtils.querySelector([
+        "[itemtype*='schema.org/Product']",
+        ".product-detail",
+        ".product-single",
+        "main h1",
+        "h1",
+      ]);
+      if (!element) return { found: false };
+      element.scrollIntoView({ behavior: "smooth", block: "start" });
+      return { found: true };
+    },
+
+    // Outline the element matching args.selector for args.duration ms
+    highlightElement: function (args) {
+      const element = DOMUtils.querySelector([].concat(args.selector || []));
+      if (!element) return { found: false };
+
+      const outline = element.style.outline;
+      const outlineOffset = element.style.outlineOffset;
+      element.style.outline = "3px solid #ff6b00";
+      element.style.outlineOffset = "2px";
+      element.scrollIntoView({ behavior: "smooth", block: "center" });
+
+      setTimeout(() => {
+        element.style.outline = outline;
+        element.style.outlineOffset = outlineOffset;
+      }, args.duration || 2000);
+      return { found: true };
+    },
+
+    // args.level: console level name; args.forward: level name at which
+    // logs are also sent to Flutter, or null to stop forwarding
+    setLogLevel: function (args) {
+      const levelOf = (name) => {
+        const level = Logger.levels[String(name).toUpperCase()];
+        if (level === undefined) throw new Error(`Unknown log level ${name}`);
+        return level;
+      };
+
+      if (args.level !== undefined) Logger.currentLevel = levelOf(args.level);
+      if (args.forward !== undefined) {
+        CONFIG.flutterLogLevel = args.forward === null ? null : levelOf(args.forward);
       }
+      return { level: Logger.currentLevel, forward: CONFIG.flutterLogLevel };
+    },
+  },
+
+  handle: async function (request) {
+    const { cmd, args, requestId } = request || {};
+    const command = this.commands[cmd];
+    const response = { requestId: requestId, cmd: cmd, ok: true, result: null, error: null };
+    Logger.debug(`Bridge command ${cmd} (${requestId})`, args);
+
+    try {
+      if (!command) throw new Error(`Unknown command ${cmd}`);
+      const result = await command(args || {});
+      response.result = result === undefined ? null : result;
+    } catch (e) {
+      Logger.error(`Bridge command ${cmd} failed`, e);
+      response.ok = false;
+      response.error = e.message;
+    }
+
+    MessageProtocol.send("response", response, DetectionScheduler.currentSession());
+    return response;
+  },
+};
+
+window.FoozBridge = FoozBridge;
+
+// ==================== Main Execution ====================
+
+// Report product tiles on listing and search pages. Only cards not sent yet
+// for the current URL are posted, so infinite scroll produces small batches.
+function reportListingCards(page) {
+  if (!window.FlutterChannel) return;
+
+  page = page || ProductPageDetector.classifyPage();
+  if (page.pageType !== "listing" && page.pageType !== "search") return;
+
+  const { cards, batch } = ListingExtractor.collectBatch();
+  if (cards.length === 0) return;
+
+  Logger.info(`Sending listing batch ${batch} with ${cards.length} cards to Flutter`);
+  MessageProtocol.send("listing", {
+    pageType: page.pageType,
+    pageTypeConfidence: page.confidence,
+    batch: batch,
+    cards: cards,
+  }, DetectionScheduler.currentSession());
+}
+
+// Main function to detect and report product info
+// Runs through DetectionScheduler; call DetectionScheduler.request() rather
+// than this directly so triggers are coalesced and results deduplicated.
+async function detectAndReportProduct(retryCount = 0) {
+  Logger.info(`Running product detection (attempt: ${retryCount + 1})`);
+  const session = DetectionScheduler.currentSession();
+
+  try {
+    // Skip detection on known non-product pages (homepages, categories, ...)
+    const url = window.location.href;
+    if (UrlClassifier.shouldSkipDetection(url)) {
+      const classification = UrlClassifier.classify(url);
+      Logger.info(
+        `Skipping product detection on ${classification.site} ${classification.pageType} page`
+      );
+      DetectionScheduler.post("pageType", {
+        pageType: classification.pageType,
+        pageTypeConfidence: classification.confidence,
+        reason: `Skipped detection on ${classification.site} non-product page`
+      }, session);
+      reportListingCards();
+      return;
     }
 
     // Check if FlutterChannel exists
@@ -7025,315 +11961,76 @@ function detectAndReportProduct(retryCount = 0) {
       Logger.warn("FlutterChannel not available, cannot report data");
 
       // Retry if under max retries
-      if (retryCount < CONFIG.maxRetries) {
-        setTimeout(() => {
-          detectAndReportProduct(retryCount + 1);
-        }, CONFIG.retryDelay);
-      }
+      DetectionScheduler.retry();
       return;
     }
 
     // Extract product info
-    const productInfo = ProductExtractor.extract();
-
-    // Special handling for Bershka to ensure sizes are populated
-    if (window.location.href.toLowerCase().includes('bershka.com') && 
-        productInfo.isProductPage && 
-        productInfo.success &&
-        (!productInfo.variants || !productInfo.variants.sizes || productInfo.variants.sizes.length === 0)) {
-      
-      Logger.info("🛍️ Bershka product detected without sizes, trying special extraction");
-      
-      // First, log the current product info for debugging
-      Logger.debug(`Initial product info without sizes: ${JSON.stringify(productInfo)}`);
-      
-      // Always send back a product with sizes (even if we have to generate them)
-      // This ensures that sizes will always be displayed in the product details
-      const defaultSizes = [
-        { text: "XS", selected: false, value: JSON.stringify({ size: "XS", inStock: true }) },
-        { text: "S", selected: false, value: JSON.stringify({ size: "S", inStock: true }) },
-        { text: "M", selected: true, value: JSON.stringify({ size: "M", inStock: true }) },
-        { text: "L", selected: false, value: JSON.stringify({ size: "L", inStock: true }) },
-        { text: "XL", selected: false, value: JSON.stringify({ size: "XL", inStock: true }) }
-      ];
-      
-      // Create a copy of the product info with default sizes
-      const fallbackProductInfo = JSON.parse(JSON.stringify(productInfo));
-      fallbackProductInfo.variants = fallbackProductInfo.variants || {};
-      fallbackProductInfo.variants.sizes = defaultSizes;
-      
-      // Send default sizes immediately so Flutter has something to display
-      Logger.info("📲 First sending immediate fallback product info with default sizes to Flutter");
-      window.FlutterChannel.postMessage(JSON.stringify(fallbackProductInfo));
-      
-      // Try to click the size button if present
-      const sizeButtonSelectors = [
-        '.product-page-actions button.product-page-actions__size',
-        'button[data-qa-anchor="selectSizeButton"]',
-        'button.product-page-actions__size',
-        'button.size-selector',
-        '.product-page-actions__size',
-        'button.product-detail-size-selector'
-      ];
-      
-      let sizeButton = null;
-      
-      // First try to find by selector
-      for (const selector of sizeButtonSelectors) {
-        const button = document.querySelector(selector);
-        if (button) {
-          sizeButton = button;
-          Logger.debug(`Found size button with selector: ${selector}`);
-          break;
-        }
-      }
-      
-      // If not found by selector, try to find by text content
-      if (!sizeButton) {
-        Logger.debug("Trying to find size button by text content");
-        const allButtons = document.querySelectorAll('button');
-        for (const btn of allButtons) {
-          const text = btn.textContent.trim().toLowerCase();
-          if (text.includes('size') || text.includes('select size') || text.includes('choose size') || 
-              text.includes('select a size') || text.includes('boyut') || text.includes('beden')) {
-            sizeButton = btn;
-            Logger.debug(`Found size button by text: "${text}"`);
-            break;
-          }
-        }
-      }
-      
-      if (sizeButton) {
-        Logger.info("📱 Clicking size button to show options");
-        Logger.debug(`Size button text: ${sizeButton.textContent.trim()}`);
-        Logger.debug(`Size button HTML: ${sizeButton.outerHTML}`);
-        
-        sizeButton.click();
-        
-        // Wait for dialog to appear and retry extraction after a delay
-        Logger.info("⏱️ Waiting for size dialog to appear...");
-        setTimeout(() => {
-          try {
-            const sizeResults = extractBershkaSizes();
-            Logger.debug(`Size extraction after click returned ${sizeResults.sizes.length} sizes`);
-            
-            if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
-              Logger.info(`✅ Got ${sizeResults.sizes.length} sizes after clicking button`);
-              
-              // Create a copy of the product info
-              const updatedProductInfo = JSON.parse(JSON.stringify(productInfo));
-              
-              // Add the sizes
-              updatedProductInfo.variants = updatedProductInfo.variants || {};
-              updatedProductInfo.variants.sizes = sizeResults.sizes;
-              
-              // Log the updated product info
-              Logger.debug(`Updated product info with sizes: ${JSON.stringify(updatedProductInfo)}`);
-              
-              // Send updated product info to Flutter
-              Logger.info("📲 Sending updated product info with real sizes to Flutter");
-              window.FlutterChannel.postMessage(JSON.stringify(updatedProductInfo));
-            }
-          } catch (e) {
-            Logger.error("❌ Error extracting Bershka sizes after click:", e);
-          }
-        }, 1500); // Increase timeout to 1500ms for better reliability
-      } else {
-        Logger.warn("⚠️ No size button found to click");
-      }
-    } else if (window.location.href.toLowerCase().includes('bershka.com') && productInfo.isProductPage && productInfo.success) {
-      // Log the product info when we do have sizes
-      Logger.info(`✅ Bershka product already has ${productInfo.variants?.sizes?.length || 0} sizes`);
-      if (productInfo.variants && productInfo.variants.sizes) {
-        Logger.debug(`Size data: ${JSON.stringify(productInfo.variants.sizes)}`);
-      }
-    }
+    const productInfo = await ProductExtractor.extract();
 
-    // Special handling for specific sites
-    // ... existing code ...
-    
-    // Add Massimo Dutti size extraction
-    if (window.location.href.includes('massimodutti.com')) {
-      Logger.info("🛍️ Detected Massimo Dutti product page");
-      
-      // Extract sizes using dedicated function
-      const sizeResults = extractMassimoDuttiSizes();
-      
-      // Add sizes to the result if found
-      if (sizeResults && sizeResults.sizes && sizeResults.sizes.length > 0) {
-        Logger.info(`Found ${sizeResults.sizes.length} sizes for Massimo Dutti product`);
-        productInfo.variants.sizes = sizeResults.sizes;
-      }
+    // The shopper may have navigated away while extractors were waiting
+    if (DetectionScheduler.isStale(session)) return;
+
+    // Report back to Flutter; other pages only report their type
+    if (productInfo.isProductPage) {
+      Logger.info("Sending product info to Flutter", productInfo);
+      DetectionScheduler.post("product", productInfo, session);
+    } else {
+      DetectionScheduler.post("pageType", {
+        pageType: productInfo.pageType,
+        pageTypeConfidence: productInfo.pageTypeConfidence,
+      }, session);
     }
-    
-    // ... existing code ...
 
-    // Report back to Flutter
-    Logger.info("Sending product info to Flutter", productInfo);
-    window.FlutterChannel.postMessage(JSON.stringify(productInfo));
+    // Listing and search pages also get their product tiles
+    if (!productInfo.isProductPage && productInfo.pageType) {
+      reportListingCards({
+        pageType: productInfo.pageType,
+        confidence: productInfo.pageTypeConfidence,
+      });
+    }
 
     // Retry if needed
-    if (
-      productInfo.isProductPage &&
-      !productInfo.success &&
-      retryCount < CONFIG.maxRetries
-    ) {
-      Logger.info(
-        `Scheduling retry ${retryCount + 1} in ${CONFIG.retryDelay}ms`
-      );
-      setTimeout(() => {
-        detectAndReportProduct(retryCount + 1);
-      }, CONFIG.retryDelay);
+    if (productInfo.isProductPage && !productInfo.success) {
+      DetectionScheduler.retry();
     }
   } catch (e) {
     Logger.error("Error in product detection", e);
 
     // Try to report error back to Flutter
-    if (window.FlutterChannel) {
-      window.FlutterChannel.postMessage(
-        JSON.stringify({
-          isProductPage: false,
-          success: false,
-          url: window.location.href,
-          error: e.message,
-        })
-      );
-    }
+    DetectionScheduler.post("error", {
+      message: e.message,
+      stage: "detection",
+    }, session);
 
     // Retry if under max retries
-    if (retryCount < CONFIG.maxRetries) {
-      setTimeout(() => {
-        detectAndReportProduct(retryCount + 1);
-      }, CONFIG.retryDelay);
-    }
+    DetectionScheduler.retry();
   }
 }
 
-// Keep track of the last URL to avoid duplicate processing
-let lastUrl = window.location.href;
-
-// Watch for URL changes (for single-page apps)
-function checkForUrlChanges() {
-  const currentUrl = window.location.href;
-  
-  if (currentUrl !== lastUrl) {
-    Logger.debug(`URL changed: ${lastUrl} -> ${currentUrl}`);
-    lastUrl = currentUrl;
-    
-    // Skip detection on Nocturne non-product pages
-    if (currentUrl.includes("nocturne.com.tr")) {
-      // Nocturne product URLs have a pattern with an underscore followed by numeric ID (_XXXXXX)
-      // Also allow query parameters after the ID
-      const nocturneProductPattern = /nocturne\.com\.tr\/.*_\d+($|\?)/;
-      
-      // Skip homepage and category pages
-      const nocturneNonProductPattern = /nocturne\.com\.tr\/(ust-giyim|aksesuar|indirim|giyim|alt-giyim|dis-giyim|plaj-giyim)?$/;
-      
-      // Check if this is NOT a product page
-      if (nocturneNonProductPattern.test(currentUrl) || !nocturneProductPattern.test(currentUrl)) {
-        Logger.debug("DOM changes on Nocturne non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    // Skip detection on Pandora non-product pages
-    if (currentUrl.includes("pandora.net")) {
-      // Pandora product URLs have numeric/alphanumeric product codes ending with .html
-      const pandoraProductPattern = /pandora\.net\/.*\/.*\/[A-Z0-9]+\.html/;
-      
-      // Skip non-product pages
-      const pandoraNonProductPattern = /pandora\.net\/[a-z-]+\/?$/;
-      
-      // Check if this is NOT a product page
-      if (!pandoraProductPattern.test(currentUrl) && pandoraNonProductPattern.test(currentUrl)) {
-        Logger.debug("DOM changes on Pandora non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    // Skip detection on Victoria's Secret non-product pages
-    if (currentUrl.includes("victoriassecret.com.tr")) {
-      // Victoria's Secret product URLs contain "urun" (product) path
-      const victoriaSecretProductPattern = /victoriassecret\.com\.tr\/.*\/urun\//;
-      
-      // Skip homepage and category pages
-      const victoriaSecretNonProductPattern = /victoriassecret\.com\.tr\/(home|kampanya|kategori)\/?$/;
-      
-      // Check if this is NOT a product page
-      if (!victoriaSecretProductPattern.test(currentUrl) || victoriaSecretNonProductPattern.test(currentUrl)) {
-        Logger.debug("DOM changes on Victoria's Secret non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    if (currentUrl.includes("guess.eu")) {
-      // Guess product URLs end with .html
-      const guessProductPattern = /guess\.eu\/.*\/.*\.html$/;
-      
-      // Detect non-product pages
-      const guessNonProductPattern = /guess\.eu\/.*\/(home|men|women|new-in|sale|accessories|clothing|bags|shoes|watches|jewelry)(\?.*)?$/;
-      
-      // Check if this is NOT a product page
-      if (guessNonProductPattern.test(currentUrl) || !guessProductPattern.test(currentUrl)) {
-        Logger.debug("DOM changes on Guess non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    // ... existing code for other sites ...
-
-    // Skip detection on Beymen non-product pages
-    if (currentUrl.includes("beymen.com")) {
-      // Beymen product URLs contain /product/ or -p- in the URL
-      const beymenProductPattern = /beymen\.com\/.*(\-p\-|\/product\/)/;
-      
-      // Skip homepage and category pages
-      if (!beymenProductPattern.test(currentUrl)) {
-        Logger.debug("URL change on Beymen non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    detectAndReportProduct();
-  }
-
-  // Continue checking periodically
-  setTimeout(checkForUrlChanges, 1000);
-}
+// React to client-side navigation (single-page apps)
+NavigationWatcher.onNavigate(({ oldUrl, newUrl }) => {
+  // New URL, new session: pending runs for the old page are dropped
+  const session = DetectionScheduler.startSession();
+  MessageProtocol.send("navigation", { oldUrl: oldUrl, url: newUrl }, session);
+  DetectionScheduler.request("navigation");
+});
 
 // Watch for DOM changes
 let observerDebounceTimer = null;
 const observer = new MutationObserver((mutations) => {
+  // Sheets the interaction sandbox opens and closes are not page changes
+  if (InteractionSandbox.active) return;
+
   // Debounce to avoid excessive processing
   if (observerDebounceTimer) {
     clearTimeout(observerDebounceTimer);
   }
 
   observerDebounceTimer = setTimeout(() => {
-    // Skip detection on Guess non-product pages
-    const currentUrl = window.location.href;
-    
-    // Skip detection on Nocturne non-product pages
-    if (currentUrl.includes("nocturne.com.tr")) {
-      // ... existing code ...
-    }
-    
-    // ... other site checks ...
-    
-    // Skip detection on Beymen non-product pages
-    if (currentUrl.includes("beymen.com")) {
-      // Beymen product URLs contain /product/ or -p- in the URL
-      const beymenProductPattern = /beymen\.com\/.*(\-p\-|\/product\/)/;
-      
-      // Skip homepage and category pages
-      if (!beymenProductPattern.test(currentUrl)) {
-        Logger.debug("DOM changes on Beymen non-product page - skipping detection");
-        return;
-      }
-    }
-    
-    // Detect and report products
-    detectAndReportProduct();
+    // Non-product pages skip extraction inside the run but still report
+    // new listing tiles as infinite scroll adds them
+    DetectionScheduler.request("dom");
   }, CONFIG.observerDebounceTime);
 });
 
@@ -7367,19 +12064,19 @@ function loadExtractors() {
 loadExtractors();
 
 // Start URL change detection
-checkForUrlChanges();
+NavigationWatcher.install();
 
 // Start initial detection
 Logger.info("Product detector initialized");
-setTimeout(() => {
-  detectAndReportProduct();
-}, CONFIG.initialDelay);
+DetectionScheduler.startSession();
 
-// Start immediately (don't wait for full load)
-detectAndReportProduct();
+// Start immediately (don't wait for full load), then again once the page
+// has had time to render
+DetectionScheduler.request("init");
+DetectionScheduler.request("initial-delay", CONFIG.initialDelay);
 
 // Also run detection when the page fully loads
 window.addEventListener("load", () => {
   Logger.info("Page fully loaded, running detection");
-  detectAndReportProduct();
+  DetectionScheduler.request("load");
 });
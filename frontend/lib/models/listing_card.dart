@@ -0,0 +1,41 @@
+// lib/models/listing_card.dart - Product tile from a category or search page
+
+class ListingCard {
+  final String title;
+  final double? price;
+  final double? originalPrice;
+  final String? currency;
+  final String? image;
+  final String productUrl;
+  // Normalized badge: "new", "sale" or the site's own label
+  final String? badge;
+
+  ListingCard({
+    required this.title,
+    this.price,
+    this.originalPrice,
+    this.currency,
+    this.image,
+    required this.productUrl,
+    this.badge,
+  });
+
+  factory ListingCard.fromJson(Map<String, dynamic> json) {
+    return ListingCard(
+      title: json['title'] ?? '',
+      price: json['price'] != null
+          ? double.tryParse(json['price'].toString())
+          : null,
+      originalPrice: json['originalPrice'] != null
+          ? double.tryParse(json['originalPrice'].toString())
+          : null,
+      currency: json['currency'],
+      image: json['image'],
+      productUrl: json['productUrl'] ?? '',
+      badge: json['badge'],
+    );
+  }
+
+  bool get isOnSale =>
+      originalPrice != null && price != null && originalPrice! > price!;
+}
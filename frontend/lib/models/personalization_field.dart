@@ -0,0 +1,49 @@
+// lib/models/personalization_field.dart - A field the shopper fills in before
+// adding to cart, such as an engraving
+
+class PersonalizationField {
+  // Property name the store expects, e.g. 'Engraving'
+  final String name;
+  final String label;
+  // text, textarea, select, ...
+  final String type;
+  final bool required;
+  final int? maxLength;
+  // Choices for select fields
+  final List<String> options;
+
+  PersonalizationField({
+    required this.name,
+    required this.label,
+    this.type = 'text',
+    this.required = false,
+    this.maxLength,
+    this.options = const [],
+  });
+
+  factory PersonalizationField.fromJson(Map<String, dynamic> json) {
+    return PersonalizationField(
+      name: json['name'] ?? '',
+      label: json['label'] ?? json['name'] ?? '',
+      type: json['type'] ?? 'text',
+      required: json['required'] ?? false,
+      maxLength: json['maxLength'] != null
+          ? int.tryParse(json['maxLength'].toString())
+          : null,
+      options: json['options'] is List
+          ? (json['options'] as List).map((option) => option.toString()).toList()
+          : const [],
+    );
+  }
+
+  Map<String, dynamic> toJson() {
+    return {
+      'name': name,
+      'label': label,
+      'type': type,
+      'required': required,
+      'maxLength': maxLength,
+      'options': options,
+    };
+  }
+}
@@ -0,0 +1,46 @@
+// lib/models/product_image.dart - One image from a product's gallery
+
+class ProductImage {
+  final String url;
+  // The page's own URL when [url] asks the CDN for a larger rendition that
+  // may not exist; load this one if [url] fails
+  final String? fallbackUrl;
+  final int? width;
+  final String? alt;
+  // Text of the color this image shows, when the site has per-color galleries
+  final String? colorRef;
+  final bool isPrimary;
+
+  ProductImage({
+    required this.url,
+    this.fallbackUrl,
+    this.width,
+    this.alt,
+    this.colorRef,
+    this.isPrimary = false,
+  });
+
+  factory ProductImage.fromJson(Map<String, dynamic> json) {
+    return ProductImage(
+      url: json['url'] ?? '',
+      fallbackUrl: json['fallbackUrl'],
+      width: json['width'] != null
+          ? int.tryParse(json['width'].toString())
+          : null,
+      alt: json['alt'],
+      colorRef: json['colorRef'],
+      isPrimary: json['isPrimary'] ?? false,
+    );
+  }
+
+  Map<String, dynamic> toJson() {
+    return {
+      'url': url,
+      'fallbackUrl': fallbackUrl,
+      'width': width,
+      'alt': alt,
+      'colorRef': colorRef,
+      'isPrimary': isPrimary,
+    };
+  }
+}
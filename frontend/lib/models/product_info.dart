@@ -2,6 +2,8 @@
 import 'package:intl/intl.dart';
 import 'package:flutter/foundation.dart';
 import 'variant_option.dart';
+import 'product_image.dart';
+import 'personalization_field.dart';
 
 class ProductInfo {
   final bool isProductPage;
@@ -9,15 +11,39 @@ class ProductInfo {
   final double? price;
   final double? originalPrice;
   final String? currency;
+  // What decided the currency: json-ld, meta, shopify, iso-code, symbol,
+  // symbol+locale, locale or extractor
+  final String? currencySource;
   final String? imageUrl;
   final String? description;
   final String? sku;
   final String? availability;
+  // The site shows no price and gives it on request (price is null)
+  final bool priceOnRequest;
+  // Product facts by name, e.g. {'composition': '100% cotton'}
+  final Map<String, String>? attributes;
+  // Merchandising labels such as 'Made to order' or 'Online exclusive'
+  final List<String>? labels;
+  // Engraving and other fields the shopper fills in
+  final List<PersonalizationField>? personalization;
   final String? brand;
   final String? extractionMethod;
   final String url;
   final bool success;
   final Map<String, List<VariantOption>>? variants;
+  // 'pending' while the detector is still revealing the sizes (an update
+  // follows), 'complete', or 'unavailable' when they could not be read
+  final String? variantsStatus;
+  // Page type from the detector's classifier: product, listing, search,
+  // cart, checkout, account, home or other
+  final String? pageType;
+  final double? pageTypeConfidence;
+  // Every option combination with its own sku, price and stock, plus the
+  // selected one (see VariantMatrix in product_detector.js). Null when the
+  // extractor only knows the flat variant lists.
+  final Map<String, dynamic>? variantMatrix;
+  // Full gallery, deduplicated, with the primary image flagged
+  final List<ProductImage>? images;
 
   ProductInfo({
     required this.isProductPage,
@@ -25,15 +51,25 @@ class ProductInfo {
     this.price,
     this.originalPrice,
     this.currency,
+    this.currencySource,
     this.imageUrl,
     this.description,
     this.sku,
     this.availability,
+    this.priceOnRequest = false,
+    this.attributes,
+    this.labels,
+    this.personalization,
     this.brand,
     this.extractionMethod,
     required this.url,
     required this.success,
     this.variants,
+    this.variantsStatus,
+    this.pageType,
+    this.pageTypeConfidence,
+    this.variantMatrix,
+    this.images,
   });
 
   factory ProductInfo.fromJson(Map<String, dynamic> json) {
@@ -220,15 +256,47 @@ class ProductInfo {
           ? double.tryParse(json['originalPrice'].toString())
           : null,
       currency: json['currency'],
+      currencySource: json['currencySource'],
       imageUrl: json['imageUrl'],
       description: json['description'],
       sku: json['sku'],
       availability: json['availability'],
+      priceOnRequest: json['priceOnRequest'] == true,
+      attributes: json['attributes'] is Map
+          ? (json['attributes'] as Map).map(
+              (key, value) => MapEntry(key.toString(), value.toString()))
+          : null,
+      labels: json['labels'] is List
+          ? (json['labels'] as List).map((label) => label.toString()).toList()
+          : null,
+      personalization: json['personalization'] is List
+          ? (json['personalization'] as List)
+              .whereType<Map>()
+              .map((field) => PersonalizationField.fromJson(
+                  Map<String, dynamic>.from(field)))
+              .toList()
+          : null,
       brand: json['brand'],
       extractionMethod: json['extractionMethod'],
       url: json['url'] ?? '',
       success: json['success'] ?? false,
       variants: variantMap,
+      variantsStatus: json['variantsStatus'],
+      pageType: json['pageType'],
+      pageTypeConfidence: json['pageTypeConfidence'] != null
+          ? double.tryParse(json['pageTypeConfidence'].toString())
+          : null,
+      variantMatrix: json['variantMatrix'] is Map
+          ? Map<String, dynamic>.from(json['variantMatrix'])
+          : null,
+      images: json['images'] is List
+          ? (json['images'] as List)
+              .whereType<Map>()
+              .map((image) =>
+                  ProductImage.fromJson(Map<String, dynamic>.from(image)))
+              .where((image) => image.url.isNotEmpty)
+              .toList()
+          : null,
     );
 
     // Final summary of variants
@@ -245,6 +313,8 @@ class ProductInfo {
     return result;
   }
   
+  bool get variantsPending => variantsStatus == 'pending';
+
   String formatPrice(double? price, String? currency) {
     if (price == null) return '';
 
@@ -288,7 +358,19 @@ class ProductInfo {
     }
   }
 
+  // Images for one color, or the whole gallery when the site doesn't tag
+  // images by color
+  List<ProductImage> imagesForColor(String? color) {
+    final gallery = images ?? [];
+    if (color == null) return gallery;
+    final matching = gallery
+        .where((image) => image.colorRef?.toLowerCase() == color.toLowerCase())
+        .toList();
+    return matching.isNotEmpty ? matching : gallery;
+  }
+
   String get formattedPrice {
+    if (price == null && priceOnRequest) return 'Price on request';
     return formatPrice(price, currency);
   }
 
@@ -22,13 +22,28 @@ class VariantOption {
     // Capture any additional fields we might want to use later
     Map<String, dynamic>? additionalData;
 
+    // Structured size stock fields sent alongside the legacy JSON value
+    const sizeStockKeys = [
+      'lowStock',
+      'backInStockSoon',
+      'deliveryEstimate',
+      'notifyAvailable',
+    ];
+
     // Extract specific properties we want to preserve
     if (json.containsKey('inStock') ||
         json.containsKey('colorValue') ||
         json.containsKey('rgbValue') ||
-        json.containsKey('imageUrl')) {
+        json.containsKey('imageUrl') ||
+        sizeStockKeys.any(json.containsKey)) {
       additionalData = {};
 
+      for (final key in sizeStockKeys) {
+        if (json.containsKey(key)) {
+          additionalData[key] = json[key];
+        }
+      }
+
       if (json.containsKey('inStock')) {
         additionalData['inStock'] = json['inStock'];
       }
@@ -109,6 +124,18 @@ class VariantOption {
     return true;
   }
 
+  // Only a few items left in this size
+  bool get isLowStock => additionalData?['lowStock'] == true;
+
+  // Sold out but expected back
+  bool get isBackInStockSoon => additionalData?['backInStockSoon'] == true;
+
+  // Delivery estimate text for sizes that ship later (e.g. Mango)
+  String? get deliveryEstimate => additionalData?['deliveryEstimate'];
+
+  // The site offers a back-in-stock notification for this size
+  bool get notifyAvailable => additionalData?['notifyAvailable'] == true;
+
   // Get the color value for color variants
   String? get colorValue {
     // Check additionalData first
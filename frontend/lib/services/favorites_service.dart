@@ -131,6 +131,7 @@ class FavoritesService {
       'originalPrice': product.originalPrice,
       'currency': product.currency,
       'imageUrl': product.imageUrl,
+      'images': product.images?.map((image) => image.toJson()).toList(),
       'description': product.description,
       'sku': product.sku,
       'availability': product.availability,
@@ -29,9 +29,80 @@ class ImageCacheService {
     }
   }
 
-  // Get file name from URL using MD5 hash
+  // Canonical form of an image URL, for telling whether two URLs are
+  // renditions of one image: https, no fragment, no CDN size parameters or
+  // cache busters, sorted query. Not a cache key, since it maps a thumbnail
+  // and its full-size rendition to the same value.
+  // Mirrors FormatUtils.canonicalImageUrl in product_detector.js.
+  static String canonicalUrl(String url) {
+    var trimmed = url.trim();
+    if (trimmed.startsWith('//')) trimmed = 'https:$trimmed';
+
+    final uri = Uri.tryParse(trimmed);
+    if (uri == null || uri.host.isEmpty) return trimmed;
+
+    final host = uri.host.toLowerCase();
+    var path = uri.path;
+    final query = Map<String, String>.from(uri.queryParameters);
+
+    if (RegExp(r'(^|\.)(mngbcn|mango)\.com$').hasMatch(host)) {
+      // Mango: ?imwidth=480&imdensity=1
+      query.remove('imwidth');
+      query.remove('imdensity');
+    } else if (RegExp(r'(^|\.)zara\.net$').hasMatch(host)) {
+      // Zara: ?w=563 or /w/563/, plus a ?ts= cache buster
+      query.remove('w');
+      query.remove('ts');
+      path = path.replaceFirst(RegExp(r'/w/\d+/'), '/');
+    } else if (host == 'cdn.shopify.com' || path.contains('/cdn/shop/')) {
+      // Shopify: image_300x.jpg, image_grande.jpg, ?width=300&v=123
+      path = path.replaceFirst(
+          RegExp(
+              r'_(?:pico|icon|thumb|small|compact|medium|large|grande|original|master|\d+x\d*|x\d+)(?:@\dx)?(?:_crop_[a-z]+)?(?=\.[a-z0-9]+$)',
+              caseSensitive: false),
+          '');
+      for (final param in ['width', 'height', 'crop', 'v']) {
+        query.remove(param);
+      }
+    } else if (RegExp(r'(^|\.)gucci\.com$').hasMatch(host)) {
+      // Gucci: /style/DarkGray_Center_0_0_490x490/ and Style_Thumbnail
+      path = path
+          .replaceFirst(RegExp(r'_\d+x\d+/'), '/')
+          .replaceAll(
+              RegExp(r'Style_(?:Thumbnail|Zoom)', caseSensitive: false), 'Style');
+    } else if (RegExp(r'(^|\.)(swarovski|scene7)\.com$').hasMatch(host)) {
+      // Swarovski: /images/$size_360/ and scene7 ?wid=360&hei=360
+      path = path.replaceFirst(RegExp(r'/\$size_\d+'), '');
+      query.remove('wid');
+      query.remove('hei');
+    }
+
+    final sortedKeys = query.keys.toList()..sort();
+    final canonical = Uri(
+      scheme: 'https',
+      host: host,
+      port: uri.hasPort && uri.port != 443 && uri.port != 80 ? uri.port : null,
+      path: path,
+      queryParameters: sortedKeys.isEmpty
+          ? null
+          : {for (final key in sortedKeys) key: query[key]!},
+    );
+    return canonical.toString();
+  }
+
+  // Cache key of an image: the URL as requested (already upgraded by the
+  // detector), with its rendition and cache-buster parameters kept. Only
+  // protocol-relative URLs and fragments are normalized.
+  static String cacheKey(String url) {
+    var trimmed = url.trim();
+    if (trimmed.startsWith('//')) trimmed = 'https:$trimmed';
+    final hash = trimmed.indexOf('#');
+    return hash >= 0 ? trimmed.substring(0, hash) : trimmed;
+  }
+
+  // Get file name from the cache key using MD5 hash
   String _getFileName(String url) {
-    var bytes = utf8.encode(url);
+    var bytes = utf8.encode(cacheKey(url));
     var digest = md5.convert(bytes);
     return digest.toString();
   }
@@ -41,8 +112,9 @@ class ImageCacheService {
     await initialize();
     
     // Check in-memory cache first for quick lookup
-    if (_inMemoryCache.containsKey(url)) {
-      return _inMemoryCache[url];
+    final key = cacheKey(url);
+    if (_inMemoryCache.containsKey(key)) {
+      return _inMemoryCache[key];
     }
     
     if (_cacheDir == null) return null;
@@ -52,7 +124,7 @@ class ImageCacheService {
     
     // Check if file exists
     if (await file.exists()) {
-      _inMemoryCache[url] = file.path;
+      _inMemoryCache[key] = file.path;
       return file.path;
     }
     
@@ -103,7 +175,7 @@ class ImageCacheService {
       await file.writeAsBytes(bytes);
       
       // Store in memory cache
-      _inMemoryCache[url] = file.path;
+      _inMemoryCache[cacheKey(url)] = file.path;
       
       debugPrint('[IMAGE_CACHE] Image cached: $url -> ${file.path}');
       return file.path;
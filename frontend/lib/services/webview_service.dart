@@ -1,28 +1,43 @@
+import 'dart:async';
 import 'dart:convert';
 import 'dart:math';
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
 import 'package:webview_flutter/webview_flutter.dart';
+import '../models/listing_card.dart';
 import '../models/product_info.dart';
 import '../models/variant_option.dart'; // Added import
 import '../utils/debug_utils.dart';
+import '../utils/price_parser.dart';
 
 class WebViewService {
+  // Highest MessageProtocol.version of product_detector.js this app reads
+  static const int detectorProtocolVersion = 1;
+
   // Create controller when needed instead of as a final property
   late WebViewController controller;
   final Function(bool) onLoadingStateChanged;
   final Function(ProductInfo) onProductInfoChanged;
   final Function(String) onUrlChanged;
+  // Called with product tiles from listing and search pages. Batch 0 starts a
+  // new listing; later batches append tiles loaded by infinite scroll.
+  final Function(String url, int batch, List<ListingCard> cards)?
+      onListingCardsReceived;
   // Flag to track if the WebView has been initialized
   bool _isInitialized = false;
 
   // Add a property to store the last detected product info
   ProductInfo? _lastProductInfo;
 
+  // FoozBridge commands waiting for their response, by requestId
+  final Map<String, Completer<dynamic>> _pendingCommands = {};
+  int _commandCounter = 0;
+
   WebViewService({
     required this.onLoadingStateChanged,
     required this.onProductInfoChanged,
     required this.onUrlChanged,
+    this.onListingCardsReceived,
   }) {
     // Create the controller in the constructor
     controller = WebViewController();
@@ -150,7 +165,14 @@ class WebViewService {
         debugPrint('[PD] Raw message: ${message.message.substring(0, 100)}...');
       }
 
-      final data = jsonDecode(message.message);
+      var data = jsonDecode(message.message);
+
+      // Versioned messages from product_detector.js (schemas in
+      // assets/protocol): unwrap into the flat shape handled below
+      if (data is Map && data.containsKey('protocolVersion')) {
+        data = _unwrapProtocolMessage(Map<String, dynamic>.from(data));
+        if (data == null) return;
+      }
       
       // Check if this is an enhanced variants message from our custom script
       if (data.containsKey('type') && data['type'] == 'enhanced_variants') {
@@ -163,6 +185,34 @@ class WebViewService {
         return;
       }
 
+      // Client-side navigation seen by the detector's NavigationWatcher;
+      // whatever we extracted belongs to the old URL
+      if (data.containsKey('type') && data['type'] == 'navigated') {
+        debugPrint('[PD] Navigated: ${data['oldUrl']} -> ${data['url']}');
+        _lastProductInfo = null;
+        if (data['url'] != null) {
+          onUrlChanged(data['url']);
+        }
+        return;
+      }
+
+      // Product tiles from a listing or search page
+      if (data.containsKey('type') && data['type'] == 'listing_cards') {
+        final cards = (data['cards'] as List? ?? [])
+            .whereType<Map>()
+            .map((card) => ListingCard.fromJson(Map<String, dynamic>.from(card)))
+            .where((card) => card.productUrl.isNotEmpty)
+            .toList();
+        debugPrint('[PD] Received ${cards.length} listing cards '
+            '(batch ${data['batch']})');
+
+        if (onListingCardsReceived != null) {
+          onListingCardsReceived!(
+              data['url'] ?? '', (data['batch'] as num?)?.toInt() ?? 0, cards);
+        }
+        return;
+      }
+
       // Check if this is a Stradivarius product by URL or brand
       bool isStradivariusProduct = false;
       String? url = data['url'] as String?;
@@ -250,6 +300,19 @@ class WebViewService {
           productData['variants'] = variantsMap;
         }
 
+        // The legacy price extractor sends the raw price text
+        if (productData['price'] == null && productData['priceText'] is String) {
+          final parsed = PriceParser.parse(
+            productData['priceText'],
+            locale: productData['pageLocale'],
+            currency: productData['currency'],
+          );
+          if (parsed != null) {
+            productData['price'] = parsed.amount;
+            productData['currency'] ??= parsed.currency;
+          }
+        }
+
         // Create product info from our properly copied data
         final newProductInfo = ProductInfo.fromJson(productData);
 
@@ -804,7 +867,7 @@ class WebViewService {
       try {
         final data = message.message.split('|');
         if (data.length >= 2) {
-          final price = double.tryParse(data[0]);
+          final price = PriceParser.parse(data[0])?.amount;
           if (price != null) {
             final newProductInfo = ProductInfo(
               isProductPage: true,
@@ -823,6 +886,65 @@ class WebViewService {
     }
   }
 
+  // Turn a protocol envelope {protocolVersion, type, sessionId, url, payload}
+  // into the flat message shape of the handler, or null for messages that
+  // are only logged
+  Map<String, dynamic>? _unwrapProtocolMessage(Map<String, dynamic> envelope) {
+    final version = (envelope['protocolVersion'] as num?)?.toInt() ?? 0;
+    if (version > detectorProtocolVersion) {
+      debugPrint('[PD] Detector protocol v$version is newer than '
+          'v$detectorProtocolVersion, reading what we know');
+    }
+
+    final invalidFields = envelope['invalidFields'];
+    if (invalidFields is List && invalidFields.isNotEmpty) {
+      debugPrint('[PD] Detector flagged invalid ${envelope['type']} fields: '
+          '${invalidFields.join('; ')}');
+    }
+
+    final payload = envelope['payload'] is Map
+        ? Map<String, dynamic>.from(envelope['payload'])
+        : <String, dynamic>{};
+    final url = envelope['url'] as String?;
+
+    switch (envelope['type']) {
+      case 'product':
+        return {'url': url, ...payload};
+      case 'listing':
+        return {'type': 'listing_cards', 'url': url, ...payload};
+      case 'navigation':
+        return {
+          'type': 'navigated',
+          'oldUrl': payload['oldUrl'],
+          'url': payload['url'] ?? url,
+        };
+      case 'pageType':
+        return {
+          'isProductPage': false,
+          'success': false,
+          'url': url,
+          ...payload,
+        };
+      case 'error':
+        debugPrint(
+            '[PD] Detector error (${payload['stage']}): ${payload['message']}');
+        return null;
+      case 'log':
+        debugPrint('[PD][JS ${payload['level']}] ${payload['message']}');
+        return null;
+      case 'response':
+        _completeCommand(payload);
+        return null;
+      case 'metrics':
+        debugPrint(
+            '[PD] Detector ${payload['name']} took ${payload['durationMs']}ms');
+        return null;
+      default:
+        debugPrint('[PD] Unknown detector message type: ${envelope['type']}');
+        return null;
+    }
+  }
+
   // Process enhanced variants from Zara or Stradivarius
   void _processEnhancedVariants(Map<String, dynamic> enhancedVariants) {
     if (_lastProductInfo == null) {
@@ -837,14 +959,26 @@ class WebViewService {
       'price': _lastProductInfo!.price,
       'originalPrice': _lastProductInfo!.originalPrice,
       'currency': _lastProductInfo!.currency,
+      'currencySource': _lastProductInfo!.currencySource,
       'imageUrl': _lastProductInfo!.imageUrl,
       'description': _lastProductInfo!.description,
       'sku': _lastProductInfo!.sku,
       'availability': _lastProductInfo!.availability,
+      'priceOnRequest': _lastProductInfo!.priceOnRequest,
+      'attributes': _lastProductInfo!.attributes,
+      'labels': _lastProductInfo!.labels,
+      'personalization': _lastProductInfo!.personalization
+          ?.map((field) => field.toJson())
+          .toList(),
       'brand': _lastProductInfo!.brand,
       'extractionMethod': _lastProductInfo!.extractionMethod,
       'url': _lastProductInfo!.url,
       'success': _lastProductInfo!.success,
+      'variantsStatus': _lastProductInfo!.variantsStatus,
+      'pageType': _lastProductInfo!.pageType,
+      'pageTypeConfidence': _lastProductInfo!.pageTypeConfidence,
+      'variantMatrix': _lastProductInfo!.variantMatrix,
+      'images': _lastProductInfo!.images?.map((image) => image.toJson()).toList(),
       'variants': <String, dynamic>{},
     };
 
@@ -982,23 +1116,16 @@ class WebViewService {
       final script = await rootBundle.loadString('assets/product_detector.js');
       await controller.runJavaScript(script);
 
-      // Then execute the init function with a delay to let the page fully render
-      await Future.delayed(const Duration(milliseconds: 500));
+      // Ask the detector for a run now and a few later ones for sites that
+      // render their content late. Its scheduler coalesces these with its own
+      // triggers and only posts results that changed.
       await controller.runJavaScript('''
-        // Clear any existing timers
-        if (window._productDetectionTimers) {
-          window._productDetectionTimers.forEach(timer => clearTimeout(timer));
+        if (window.DetectionScheduler) {
+          DetectionScheduler.request("flutter");
+          DetectionScheduler.request("flutter", 1000);
+          DetectionScheduler.request("flutter", 2500);
+          DetectionScheduler.request("flutter", 5000);
         }
-        window._productDetectionTimers = [];
-        
-        // First attempt immediate detection
-        detectAndReportProduct();
-        
-        // Then schedule additional detection attempts with increasing delays
-        // This helps with sites that load content dynamically
-        window._productDetectionTimers.push(setTimeout(() => detectAndReportProduct(), 1000));
-        window._productDetectionTimers.push(setTimeout(() => detectAndReportProduct(), 2500));
-        window._productDetectionTimers.push(setTimeout(() => detectAndReportProduct(), 5000));
       ''');
 
       DebugLog.i(
@@ -1144,48 +1271,15 @@ class WebViewService {
         const result = tryCommonSelectors() || tryMetaTags() || scanForPricePatterns();
         
         if (result) {
-          // Format the price for better parsing
-          let priceStr = result.price;
-          
-          // First check if it's already a clean number
-          if (!isNaN(parseFloat(priceStr))) {
-            // Format as JSON
-            let productInfo = {
-              isProductPage: true,
-              title: result.title,
-              price: parseFloat(priceStr),
-              success: true,
-              url: window.location.href
-            };
-            FlutterChannel.postMessage(JSON.stringify(productInfo));
-            return;
-          }
-          
-          // Extract numeric price from text
-          let price = priceStr.replace(/[^0-9.,]/g, '');
-          
-          // Handle different currency format (1.234,56 TL -> 1234.56)
-          if (price.includes(',') && price.includes('.')) {
-            // Remove all periods (thousand separators in Turkish format)
-            price = price.replace(/\\./g, '');
-            // Replace comma with period (decimal separator)
-            price = price.replace(',', '.');
-          } else if (price.includes(',')) {
-            // If only comma exists, it's likely a decimal separator
-            price = price.replace(',', '.');
-          }
-          
-          if (price && !isNaN(parseFloat(price))) {
-            // Format as JSON
-            let productInfo = {
-              isProductPage: true,
-              title: result.title,
-              price: parseFloat(price),
-              success: true,
-              url: window.location.href
-            };
-            FlutterChannel.postMessage(JSON.stringify(productInfo));
-          }
+          // Flutter parses the price text with the page locale (PriceParser)
+          FlutterChannel.postMessage(JSON.stringify({
+            isProductPage: true,
+            title: result.title,
+            priceText: String(result.price),
+            pageLocale: document.documentElement.lang || null,
+            success: true,
+            url: window.location.href
+          }));
         }
       }
       
@@ -1241,5 +1335,110 @@ class WebViewService {
     _lastProductInfo = null; // Reset product info on reload
     await controller.reload();
   }
-}
 
+  // Run a command of the detector's FoozBridge in the page and wait for its
+  // result. Throws if the page reports an error or doesn't answer in time.
+  Future<dynamic> sendCommand(
+    String cmd, {
+    Map<String, dynamic>? args,
+    Duration timeout = const Duration(seconds: 10),
+  }) async {
+    final requestId = 'cmd-${++_commandCounter}';
+    final completer = Completer<dynamic>();
+    _pendingCommands[requestId] = completer;
+
+    final request = jsonEncode({
+      'cmd': cmd,
+      'args': args ?? {},
+      'requestId': requestId,
+    });
+    DebugLog.d('Sending detector command $cmd ($requestId)',
+        category: DebugLog.PRODUCT);
+
+    try {
+      // Answer right away when the detector isn't loaded on this page
+      await controller.runJavaScript('''
+        if (window.FoozBridge) {
+          window.FoozBridge.handle($request);
+        } else if (window.FlutterChannel) {
+          FlutterChannel.postMessage(JSON.stringify({
+            protocolVersion: $detectorProtocolVersion,
+            type: "response",
+            sessionId: null,
+            url: window.location.href,
+            payload: { requestId: "$requestId", cmd: "$cmd", ok: false,
+              error: "Product detector is not loaded" }
+          }));
+        }
+      ''');
+      return await completer.future.timeout(timeout);
+    } finally {
+      _pendingCommands.remove(requestId);
+    }
+  }
+
+  void _completeCommand(Map<String, dynamic> response) {
+    final completer = _pendingCommands[response['requestId']?.toString()];
+    if (completer == null || completer.isCompleted) return;
+
+    if (response['ok'] == true) {
+      completer.complete(response['result']);
+    } else {
+      completer.completeError(
+          Exception(response['error'] ?? '${response['cmd']} failed'));
+    }
+  }
+
+  // Extract the current page again and report the result like a detection
+  Future<ProductInfo?> reextract() async {
+    final result = await sendCommand('reextract');
+    if (result is! Map) return null;
+
+    final productInfo =
+        ProductInfo.fromJson(Map<String, dynamic>.from(result));
+    if (productInfo.success) {
+      _lastProductInfo = productInfo;
+      onProductInfoChanged(productInfo);
+    }
+    return productInfo;
+  }
+
+  // Select a color and/or size on the page; the result holds what the page
+  // shows for that choice (price, originalPrice, currency, sku, inStock,
+  // stockLevel) and the re-extracted product under 'product'. When the choice
+  // opens another page it is only {selected, navigated: true, url}; that
+  // page's product arrives through onProductInfoChanged once detected.
+  Future<Map<String, dynamic>?> selectVariant(
+      {String? color, String? size}) async {
+    final result = await sendCommand('selectVariant', args: {
+      if (color != null) 'color': color,
+      if (size != null) 'size': size,
+    });
+    return result is Map ? Map<String, dynamic>.from(result) : null;
+  }
+
+  Future<Map<String, dynamic>?> getVariantMatrix() async {
+    final result = await sendCommand('getVariantMatrix');
+    return result is Map ? Map<String, dynamic>.from(result) : null;
+  }
+
+  Future<void> scrollToProduct() => sendCommand('scrollToProduct');
+
+  Future<void> highlightElement(String selector,
+          {Duration duration = const Duration(seconds: 2)}) =>
+      sendCommand('highlightElement', args: {
+        'selector': selector,
+        'duration': duration.inMilliseconds,
+      });
+
+  // [level] is the detector's console level, [forward] the level from which
+  // its logs are also sent here; without it forwarding is left as it is,
+  // unless [stopForwarding] turns it off. Level names: DEBUG, INFO, WARN,
+  // ERROR.
+  Future<void> setDetectorLogLevel(String level,
+          {String? forward, bool stopForwarding = false}) =>
+      sendCommand('setLogLevel', args: {
+        'level': level,
+        if (forward != null || stopForwarding) 'forward': forward,
+      });
+}
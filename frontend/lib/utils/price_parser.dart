@@ -0,0 +1,189 @@
+// lib/utils/price_parser.dart
+//
+// Dart port of FormatUtils.parsePrice in assets/product_detector.js, used for
+// price text that reaches Flutter unparsed (the legacy price extractor).
+
+/// Result of parsing a price string. For ranges [amount] is [min].
+class ParsedPrice {
+  final double amount;
+  final String? currency;
+  final double min;
+  final double max;
+  final String raw;
+
+  /// 1.0 when the separators are unambiguous; lower when "1.299" or several
+  /// unrelated numbers had to be guessed at
+  final double confidence;
+
+  ParsedPrice({
+    required this.amount,
+    this.currency,
+    required this.min,
+    required this.max,
+    required this.raw,
+    required this.confidence,
+  });
+
+  bool get isRange => max > min;
+}
+
+/// Locale-aware price parsing: "1.299 TL", "₺1.299,90", "1,299.00 $",
+/// "CHF 1'250.–" and ranges such as "1.299 – 1.599 TL"
+class PriceParser {
+  static const List<String> _commaDecimalLanguages = [
+    'tr', 'de', 'fr', 'es', 'it', 'nl', 'pt', 'ru', 'pl', 'cs', 'da',
+    'sv', 'nb', 'no', 'fi', 'el', 'ro', 'hu', 'id',
+  ];
+
+  static const Map<String, String> _currencySymbols = {
+    '\$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₺': 'TRY',
+    'CHF': 'CHF',
+    'TL': 'TRY',
+    'USD': 'USD',
+    'EUR': 'EUR',
+    'GBP': 'GBP',
+  };
+
+  /// Parse [text], using [locale] (e.g. "tr", "de-ch") and [currency] as
+  /// hints for which separator is the decimal one. A lone three-digit group
+  /// follows the locale: "1,500" is 1500 in en and 1.5 in tr, "1.299" is
+  /// 1299 in tr and 1.299 in en. Returns null when the text has no number.
+  static ParsedPrice? parse(String? text, {String? locale, String? currency}) {
+    if (text == null || text.trim().isEmpty) return null;
+
+    final resolvedCurrency = currency ?? findCurrency(text);
+    final decimalSeparator = _decimalSeparator(
+        locale?.toLowerCase().replaceAll('_', '-'), resolvedCurrency);
+
+    final normalized = text
+        .replaceAll(RegExp('[\u00a0\u202f\u2009]'), ' ')
+        // "1'250.–" and "1.299,-": a trailing dash stands for zero decimals
+        .replaceAllMapped(
+            RegExp(r'(\d)[.,]?[-–—]+(?!\d)'), (match) => match.group(1)!);
+
+    // Digits with separators; a space only groups when three digits follow
+    final matches = RegExp(r"\d+(?:(?:[.,'’]|\s(?=\d{3}(?!\d)))\d+)*")
+        .allMatches(normalized)
+        .toList();
+    if (matches.isEmpty) return null;
+
+    final numbers = <_ParsedNumber>[];
+    for (final match in matches) {
+      final number = _parseNumber(match.group(0)!, decimalSeparator);
+      if (number != null) numbers.add(number);
+    }
+    if (numbers.isEmpty) return null;
+
+    var min = numbers[0].value;
+    var max = numbers[0].value;
+    var confidence = numbers[0].confidence;
+
+    if (numbers.length > 1) {
+      final between = normalized.substring(matches[0].end, matches[1].start);
+      final isRange = numbers.length == 2 &&
+          between.length <= 12 &&
+          RegExp(r'[-–—~]|\bto\b|\bbis\b', caseSensitive: false)
+              .hasMatch(between);
+
+      if (isRange) {
+        min = numbers[0].value < numbers[1].value
+            ? numbers[0].value
+            : numbers[1].value;
+        max = numbers[0].value > numbers[1].value
+            ? numbers[0].value
+            : numbers[1].value;
+        confidence = numbers[0].confidence < numbers[1].confidence
+            ? numbers[0].confidence
+            : numbers[1].confidence;
+      } else {
+        // Several unrelated numbers (e.g. old and new price): take the first
+        confidence = confidence < 0.5 ? confidence : 0.5;
+      }
+    }
+
+    return ParsedPrice(
+      amount: min,
+      currency: resolvedCurrency,
+      min: min,
+      max: max,
+      raw: text,
+      confidence: confidence,
+    );
+  }
+
+  /// Currency code for the first currency symbol or code in [text]
+  static String? findCurrency(String text) {
+    for (final entry in _currencySymbols.entries) {
+      if (text.contains(entry.key)) return entry.value;
+    }
+    return null;
+  }
+
+  static String? _decimalSeparator(String? locale, String? currency) {
+    // Swiss prices use "." with apostrophe groups: CHF 1'250.00
+    if (currency == 'CHF' || (locale != null && locale.endsWith('-ch'))) {
+      return '.';
+    }
+    if (locale != null && locale.isNotEmpty) {
+      return _commaDecimalLanguages.contains(locale.split('-').first)
+          ? ','
+          : '.';
+    }
+    if (currency == 'TRY' || currency == 'EUR') return ',';
+    if (currency == 'USD' || currency == 'GBP') return '.';
+    return null;
+  }
+
+  static _ParsedNumber? _parseNumber(String token, String? decimalSeparator) {
+    final number = token.replaceAll(RegExp(r"['’\s]"), '');
+    final lastDot = number.lastIndexOf('.');
+    final lastComma = number.lastIndexOf(',');
+    String? decimal;
+    var confidence = 1.0;
+
+    if (lastDot >= 0 && lastComma >= 0) {
+      // Both present: the last one is the decimal separator
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot >= 0 || lastComma >= 0) {
+      final separator = lastDot >= 0 ? '.' : ',';
+      final occurrences = separator.allMatches(number).length;
+      final decimals = number.length - number.lastIndexOf(separator) - 1;
+
+      if (occurrences == 1 && decimals != 3) {
+        // "12,99" or "1.5" can only be decimals
+        decimal = separator;
+      } else if (occurrences == 1 && decimalSeparator == separator) {
+        // "1,500" on a tr page or "1.299" on an en page: the page's decimal
+        // separator, though three-digit decimals are rare in prices
+        decimal = separator;
+        confidence = 0.6;
+      } else if (occurrences == 1) {
+        // "1.299" on a tr page or "1,500" on an en page: a thousands group,
+        // less certain when the page doesn't say
+        confidence = decimalSeparator == null ? 0.7 : 0.9;
+      }
+    }
+
+    String normalized;
+    if (decimal == null) {
+      normalized = number.replaceAll(RegExp('[.,]'), '');
+    } else {
+      final group = decimal == '.' ? ',' : '.';
+      normalized = number.replaceAll(group, '').replaceFirst(decimal, '.');
+    }
+
+    final value = double.tryParse(normalized);
+    return value == null ? null : _ParsedNumber(value, confidence);
+  }
+}
+
+class _ParsedNumber {
+  final double value;
+  final double confidence;
+
+  _ParsedNumber(this.value, this.confidence);
+}
@@ -236,15 +236,25 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
       price: widget.productInfo.price,
       originalPrice: widget.productInfo.originalPrice,
       currency: widget.productInfo.currency,
+      currencySource: widget.productInfo.currencySource,
       imageUrl: widget.productInfo.imageUrl,
       description: widget.productInfo.description,
       sku: widget.productInfo.sku,
       availability: widget.productInfo.availability,
+      priceOnRequest: widget.productInfo.priceOnRequest,
+      attributes: widget.productInfo.attributes,
+      labels: widget.productInfo.labels,
+      personalization: widget.productInfo.personalization,
       brand: widget.productInfo.brand,
       extractionMethod: widget.productInfo.extractionMethod,
       url: widget.productInfo.url,
       success: widget.productInfo.success,
       variants: selectedVariants,
+      variantsStatus: widget.productInfo.variantsStatus,
+      pageType: widget.productInfo.pageType,
+      pageTypeConfidence: widget.productInfo.pageTypeConfidence,
+      variantMatrix: widget.productInfo.variantMatrix,
+      images: widget.productInfo.images,
     );
   }
 
@@ -915,6 +925,32 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
     );
   }
 
+  // Shown while the detector is still reading the sizes from the page
+  Widget _buildSizesLoading() {
+    return Padding(
+      padding: const EdgeInsets.symmetric(vertical: 8.0),
+      child: Row(
+        children: [
+          const Text(
+            'Sizes',
+            style: TextStyle(fontWeight: FontWeight.bold, fontSize: 16),
+          ),
+          const SizedBox(width: 12),
+          const SizedBox(
+            width: 16,
+            height: 16,
+            child: CircularProgressIndicator(strokeWidth: 2),
+          ),
+          const SizedBox(width: 8),
+          Text(
+            'Loading sizes...',
+            style: TextStyle(fontSize: 13, color: Colors.grey[600]),
+          ),
+        ],
+      ),
+    );
+  }
+
   // Enhanced size variant display
   Widget _buildSizeVariants(List<VariantOption> sizeOptions) {
     debugPrint('[PD] Building UI for ${sizeOptions.length} size options');
@@ -1255,6 +1291,12 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
     );
   }
 
+  // "composition" -> "Composition:"
+  String _formatAttributeName(String name) {
+    if (name.isEmpty) return name;
+    return '${name[0].toUpperCase()}${name.substring(1)}:';
+  }
+
   String _formatAvailability(String? availability) {
     if (availability == null) return 'In Stock';
 
@@ -1449,6 +1491,29 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
                         ),
                       ),
                     ),
+                  // Labels such as "Made to order"
+                  if (widget.productInfo.labels != null &&
+                      widget.productInfo.labels!.isNotEmpty)
+                    Padding(
+                      padding: const EdgeInsets.only(top: 8),
+                      child: Wrap(
+                        spacing: 6,
+                        runSpacing: 6,
+                        children: widget.productInfo.labels!
+                            .map((label) => Container(
+                                  padding: const EdgeInsets.symmetric(
+                                      horizontal: 8, vertical: 2),
+                                  decoration: BoxDecoration(
+                                    border:
+                                        Border.all(color: Colors.grey.shade400),
+                                    borderRadius: BorderRadius.circular(4),
+                                  ),
+                                  child: Text(label,
+                                      style: const TextStyle(fontSize: 12)),
+                                ))
+                            .toList(),
+                      ),
+                    ),
                   const SizedBox(height: 12),
 
                   // Price information
@@ -1500,6 +1565,11 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
                         ],
                       ),
                     ),
+
+                  // Product facts such as composition or fit
+                  if (widget.productInfo.attributes != null)
+                    ...widget.productInfo.attributes!.entries.map((entry) =>
+                        _buildInfoRow(_formatAttributeName(entry.key), entry.value)),
                   const SizedBox(height: 16),
 
                   // Color variants with improved display - only show if the product actually has colors
@@ -1511,6 +1581,8 @@ class _ProductDetailsBottomSheetState extends State<ProductDetailsBottomSheet> {
                   // Size variants with improved display
                   if (hasSizeVariants)
                     _buildSizeVariants(widget.productInfo.variants!['sizes']!)
+                  else if (widget.productInfo.variantsPending)
+                    _buildSizesLoading()
                   else
                     Container(), // Empty container when no sizes
 